@@ -80,6 +80,16 @@
       },
     };
 
+    // Market-consensus benchmark (routes/predict.js marketFairProb: median no-vig across books,
+    // or ODDS_SHARP_BOOK). disagreement = modelProb − marketFairProb. All off by default;
+    // MARKET_RULES entries may set maxDisagreement / requireAgreement / minMarketEvForStake100.
+    export const MARKET_CONSENSUS = {
+      requireConsensus: false,     // reject when no consensus line exists at the pick's number
+      requireAgreement: false,     // market EV must clear minMarketEvForStake100 as well
+      minMarketEvForStake100: 0,
+      maxDisagreement: null,       // cap on |modelProb − marketFairProb|
+    };
+
     // Scoring formula weights — must match weightedScore() in premiumSelection.js exactly.
     export const RANKING_WEIGHTS = {
       edge: 0.45,
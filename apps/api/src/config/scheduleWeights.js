@@ -0,0 +1,26 @@
+// Schedule-context weights for the NBA / NHL edge functions (lib/scheduleFeatures.js).
+// Values are in each league's edge units (the input to nbaProbFromEdge / nhlProbFromEdge),
+// applied to the stat side of the Elo blend. Negative = hurts the team it describes.
+// Compare a change with the backtest's logLoss block (withSchedule vs withoutSchedule).
+// SCHEDULE_FEATURES=off disables the whole layer.
+
+export const SCHEDULE_WEIGHTS = {
+  nba: {
+    b2b: -0.035, // second night of a back-to-back (~3.2% after the 40% stat blend)
+    threeInFour: -0.012, // third game in four nights
+    restDay: 0.006, // per day of rest advantage over the opponent (capped at 2)
+    roadTripGame: -0.004, // per road game beyond the first of the current trip
+    travelPer1000Km: -0.006, // distance from the previous game's arena
+  },
+  nhl: {
+    b2b: -0.05, // ~3.7% after the 50% stat blend; goalie rotation makes it bite harder
+    threeInFour: -0.015,
+    restDay: 0.008,
+    roadTripGame: -0.005,
+    travelPer1000Km: -0.008,
+  },
+};
+
+// Rest beyond this many days counts as fully rested (and rust isn't modeled).
+export const MAX_REST_DAYS = 3;
+export const MAX_REST_ADVANTAGE = 2;
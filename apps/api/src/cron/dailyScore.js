@@ -1,9 +1,18 @@
 // apps/api/src/cron/dailyScore.js
 import "dotenv/config";
 import cron from "node-cron";
-import { writeSlatePicksToLedger, upsertPerformanceDaily, updatePickResultsBatch } from "../db/dailyLedger.js";
+import {
+  writeSlatePicksToLedger,
+  upsertPerformanceDaily,
+  updatePickResultsBatch,
+  strategyPickRowsForSlate,
+  upsertStrategyPicksBatch,
+} from "../db/dailyLedger.js";
   import { finalizePickCloses } from "../jobs/finalizePickCloses.js";
-import { MARKET_GATING } from "../config/premiumStrategy.js";
+import { runSettleUserBets } from "../jobs/settleUserBets.js";
+import { resolveStrategy } from "../lib/premiumSelection.js";
+import { getLiveStrategy } from "../lib/strategyRegistry.js";
+import { gradeStrategyPicksForLeague } from "../services/scoring/scoringIndex.js";
 
 /**
  * Premium v20 CRON runner (market-aware)
@@ -17,12 +26,6 @@ import { MARKET_GATING } from "../config/premiumStrategy.js";
  * - It still writes the full `games` array to the ledger so you can audit picks later.
  */
 
-const DEFAULT_LOOKBACK = Object.freeze({
-  nba: 14,
-  nhl: 40,
-  ncaam: 45,
-});
-
 function ymdYesterdayUTC() {
   const d = new Date();
   d.setUTCDate(d.getUTCDate() - 1);
@@ -40,19 +43,19 @@ function parseLeagueList(leagues) {
   return Array.from(new Set(list));
 }
 
-function getLookbackForLeague(league, lookbackDays) {
-  const override = Number.isFinite(Number(lookbackDays)) ? Number(lookbackDays) : null;
-  if (override != null) return override;
-  return DEFAULT_LOOKBACK[league] ?? 14;
+// null => the registered model's default window
+function getLookbackForLeague(lookbackDays) {
+  if (lookbackDays == null || lookbackDays === "") return null;
+  return Number.isFinite(Number(lookbackDays)) ? Number(lookbackDays) : null;
 }
 
 async function loadBuilders() {
-  // avoids circular import issues; predict exports named builders
+  // avoids circular import issues; predict registers the league models on import
   const mod = await import("../routes/predict.js");
+  const registry = await import("../lib/leagueModels.js");
   return {
-    buildNbaPredictions: mod.buildNbaPredictions,
-    buildNhlPredictions: mod.buildNhlPredictions,
-    buildNcaamPredictions: mod.buildNcaamPredictions,
+    buildLeaguePredictions: mod.buildLeaguePredictions,
+    getLeagueModel: registry.getLeagueModel,
   };
 }
 
@@ -245,9 +248,9 @@ function scoreSlate(games) {
 export async function runDailyScoreOnce({ date, leagues, lookbackDays, modelVersion } = {}) {
   const ymd = (date && String(date).trim()) || ymdYesterdayUTC();
   const leagueList = parseLeagueList(leagues);
-  const mv = String(modelVersion || "v2").toLowerCase();
+  const mv = modelVersion ? String(modelVersion).toLowerCase() : null;
 
-  const { buildNbaPredictions, buildNhlPredictions, buildNcaamPredictions } = await loadBuilders();
+  const { buildLeaguePredictions, getLeagueModel } = await loadBuilders();
 
   console.log(`[CRON v21] Run scoring for ${ymd} leagues=${leagueList.join(",")}`);
 
@@ -256,24 +259,21 @@ export async function runDailyScoreOnce({ date, leagues, lookbackDays, modelVers
 
   for (const league of leagueList) {
     try {
-      const lb = getLookbackForLeague(league, lookbackDays);
-
-      let slate;
-      if (league === "nba") slate = await buildNbaPredictions(ymd, lb, { modelVersion: mv });
-      else if (league === "nhl") slate = await buildNhlPredictions(ymd, lb);
-      else if (league === "ncaam") slate = await buildNcaamPredictions(ymd, lb, { tournamentMode: false, modeLabel: "regular" });
-      else {
+      if (!getLeagueModel(league)) {
         results.push({ league, ok: false, date: ymd, error: `unsupported_league:${league}` });
         continue;
       }
 
+      const lb = getLookbackForLeague(lookbackDays);
+      const { out: slate } = await buildLeaguePredictions(league, ymd, { model: mv, windowDays: lb });
+
       const games = Array.isArray(slate?.games) ? slate.games : [];
       totalGames += games.length;
 
       // Scrub recommendedBet AND game.market for any market type blocked by MARKET_GATING.
       // writeSlatePicksToLedger falls back to game.market.pick when recommendedBet is null,
       // so both must be cleared to prevent gated markets leaking via the compat fallback chain.
-      const leagueGating = MARKET_GATING[league] || {};
+      const leagueGating = resolveStrategy().MARKET_GATING?.[league] || {};
       const PASS_MARKET = { marketType: null, marketOdds: null, marketLine: null, marketSide: null, pick: "PASS", tier: "PASS" };
       const gatedGames = games.map((g) => {
         const bet = g?.recommendedBet;
@@ -292,8 +292,21 @@ export async function runDailyScoreOnce({ date, leagues, lookbackDays, modelVers
         modelVersion: slate?.meta?.model || "premium-v18",
         oddsOk: Boolean(slate?.meta?.odds?.ok),
         games: gatedGames,
+        strategyId: getLiveStrategy().id,
       });
 
+      // 1.2) A/B ledger: every strategy version's pick for this slate, graded against the finals (same helper as the backfill)
+      const strategyRows = strategyPickRowsForSlate({
+        date: ymd,
+        league,
+        games,
+        modelVersion: slate?.meta?.model || "premium-v18",
+      });
+      if (strategyRows.length > 0) {
+        await upsertStrategyPicksBatch(strategyRows);
+        await gradeStrategyPicksForLeague(ymd, league);
+      }
+
       // 1.5) Write individual pick results back to picks_daily.result
       // scoreSlate writes aggregates to performance_daily but never updates individual rows.
       // This pass grades each recommended bet and persists result=WIN/LOSS/PUSH per row.
@@ -376,7 +389,18 @@ export async function runDailyScoreOnce({ date, leagues, lookbackDays, modelVers
 
   console.log(`[CRON v21] Completed scoring for ${ymd} totalGames=${totalGames}`);
 
-  return { ok: true, ranFor: ymd, totalGames, results };
+  // 3) Auto-settle users' pending My Bets against the same finals / closes
+  let userBets = null;
+  try {
+    const out = await runSettleUserBets({ to: ymd });
+    userBets = { ok: out.ok, checked: out.checked, settled: out.settled, pending: out.pending, errors: out.errors };
+    console.log(`[CRON v21] user bets settled=${out.settled} pending=${out.pending} errors=${out.errors}`);
+  } catch (err) {
+    console.warn(`[CRON v21] settleUserBets failed for ${ymd}:`, err?.message || err);
+    userBets = { ok: false, error: String(err?.message || err) };
+  }
+
+  return { ok: true, ranFor: ymd, totalGames, results, userBets };
 }
 
 /**
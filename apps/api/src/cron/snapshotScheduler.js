@@ -0,0 +1,197 @@
+// apps/api/src/cron/snapshotScheduler.js
+import "dotenv/config";
+import cron from "node-cron";
+import { runCaptureMarketSnapshots, isCloseWindow } from "../jobs/captureMarketSnapshots.js";
+import { dropOddsCache, getSlateStartTimes, invalidateSlateCache } from "../routes/predict.js";
+
+/**
+ * Game-time-aware market snapshot scheduler (replaces the flat every-10-minutes capture).
+ *
+ * Each minute it reads every game's scheduled start from the ESPN scoreboard for
+ * yesterday's and today's UTC slates (late tip-offs belong to yesterday's slate) and
+ * captures a league/date when one of its games reaches a checkpoint:
+ *
+ *   SNAPSHOT_OFFSETS_MIN         minutes before start to sample (default "60,15,5")
+ *   SNAPSHOT_BASE_INTERVAL_MIN   background cadence while games are still to come (default 60)
+ *
+ * In the close window before start (SNAPSHOT_CLOSE_LEAD_MIN, default 3; see isCloseWindow)
+ * the odds cache is dropped and the game's closing snapshot is written with checkpoint
+ * "close" — only while ESPN still has the game as pre-game; that row is frozen and
+ * finalizePickCloses prefers it. Closes run in their own pass, ahead of the t-N/base work
+ * and on their own per-minute lane, so a slow slate rebuild can't push a close past the
+ * start. A checkpoint counts as done only once its capture succeeded, so a failed close is
+ * retried on the next tick. Checkpoints already passed (e.g. after a restart) are skipped
+ * in favour of the latest one due.
+ */
+
+function envNum(name, fallback) {
+  const n = Number(process.env[name]);
+  return process.env[name] != null && process.env[name] !== "" && Number.isFinite(n) ? n : fallback;
+}
+
+function parseLeagueList(leagues) {
+  return (Array.isArray(leagues) ? leagues : String(leagues || "nba,ncaam,nhl").split(","))
+    .map((s) => String(s).trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function checkpointOffsets() {
+  const list = String(process.env.SNAPSHOT_OFFSETS_MIN || "60,15,5")
+    .split(",")
+    .map((s) => Number(s.trim()))
+    .filter((n) => Number.isFinite(n) && n > 0);
+  return [...new Set(list)].sort((a, b) => b - a); // earliest checkpoint first
+}
+
+function ymdUTC(ms, dayOffset = 0) {
+  const d = new Date(ms);
+  d.setUTCDate(d.getUTCDate() + dayOffset);
+  return d.toISOString().slice(0, 10);
+}
+
+const done = new Set(); // "league|date|eventId|checkpoint"
+const lastBaseRun = new Map(); // "league|date" → ms
+
+function pruneState(dates) {
+  for (const key of done) {
+    if (!dates.includes(key.split("|")[1])) done.delete(key);
+  }
+  for (const key of lastBaseRun.keys()) {
+    if (!dates.includes(key.split("|")[1])) lastBaseRun.delete(key);
+  }
+}
+
+function checkpointLabels(offsets) {
+  return [...offsets.map((m) => `t-${m}`), "close"];
+}
+
+/**
+ * The checkpoint a game has reached and not yet captured, or null. The close pass only
+ * looks at the close window; the other pass leaves that window to it.
+ */
+function dueCheckpoint(slateKey, game, offsets, now, pass) {
+  const start = Date.parse(game.start);
+  // once ESPN has the game under way the feed is quoting in-play prices
+  if (!Number.isFinite(start) || game.state !== "pre") return null;
+
+  if (pass === "close") {
+    return isCloseWindow(start, now) && !done.has(`${slateKey}|${game.eventId}|close`) ? "close" : null;
+  }
+  if (isCloseWindow(start, now)) return null;
+
+  let latest = -1;
+  offsets.forEach((m, i) => {
+    if (now >= start - m * 60_000 && now < start) latest = i;
+  });
+  if (latest < 0) return null;
+  const label = `t-${offsets[latest]}`;
+  return done.has(`${slateKey}|${game.eventId}|${label}`) ? null : label;
+}
+
+// after a successful capture: the checkpoint and every earlier one it supersedes
+function markDone(slateKey, game, offsets, checkpoint) {
+  const labels = checkpointLabels(offsets);
+  for (const label of labels.slice(0, labels.indexOf(checkpoint) + 1)) {
+    done.add(`${slateKey}|${game.eventId}|${label}`);
+  }
+}
+
+async function runSlatePass(pass, league, date, { now, offsets, baseMs }) {
+  const slateKey = `${league}|${date}`;
+  const games = (await getSlateStartTimes(league, date)).filter((g) => g.state !== "post");
+  if (!games.length) return null;
+
+  const due = games
+    .map((g) => ({ game: g, checkpoint: dueCheckpoint(slateKey, g, offsets, now, pass) }))
+    .filter((x) => x.checkpoint);
+
+  let checkpoint = null;
+  if (pass === "close") checkpoint = due.length ? "close" : null;
+  else if (due.length) checkpoint = due.map((x) => x.checkpoint).sort((a, b) => Number(a.slice(2)) - Number(b.slice(2)))[0];
+  else if (games.some((g) => Date.parse(g.start) > now) && now - (lastBaseRun.get(slateKey) ?? 0) >= baseMs) checkpoint = "base";
+  if (!checkpoint) return null;
+
+  // the close must be priced off live odds, not a cached board
+  if (checkpoint === "close") {
+    dropOddsCache(league);
+    invalidateSlateCache(league, date);
+  }
+
+  const result = await runCaptureMarketSnapshots(date, { leagues: [league], checkpoint });
+  if (!result?.ok) throw new Error("capture failed");
+  // a close run that wrote no close rows (odds feed down, say) stays due and is retried
+  const closes = result.results?.[0]?.closes ?? 0;
+  for (const x of due) {
+    if (x.checkpoint !== "close" || closes > 0) markDone(slateKey, x.game, offsets, x.checkpoint);
+  }
+  if (pass !== "close") lastBaseRun.set(slateKey, now);
+  return { league, date, checkpoint, games: due.map((x) => x.game.eventId) };
+}
+
+/**
+ * One scheduler pass → { ok, ran: [{ league, date, checkpoint, games }], errors }.
+ * pass: "close" (closing snapshots only), "rest" (t-N and base) or "all" (closes first).
+ * `now` can be passed to replay the timing logic.
+ */
+export async function runSnapshotTick({ now = Date.now(), leagues = null, pass = "all" } = {}) {
+  const offsets = checkpointOffsets();
+  const baseMs = envNum("SNAPSHOT_BASE_INTERVAL_MIN", 60) * 60_000;
+  const dates = [ymdUTC(now, -1), ymdUTC(now)];
+  pruneState(dates);
+
+  const ran = [];
+  const errors = [];
+
+  for (const p of pass === "all" ? ["close", "rest"] : [pass]) {
+    for (const league of parseLeagueList(leagues)) {
+      for (const date of dates) {
+        try {
+          const r = await runSlatePass(p, league, date, { now, offsets, baseMs });
+          if (r) ran.push(r);
+        } catch (e) {
+          errors.push({ league, date, error: String(e?.message || e) });
+        }
+      }
+    }
+  }
+
+  return { ok: errors.length === 0, ran, errors };
+}
+
+// one per-minute lane per pass, each skipping ticks while its own previous run is in flight
+function scheduleLane(pass) {
+  let running = false;
+
+  cron.schedule("* * * * *", async () => {
+    if (running) return;
+    running = true;
+    try {
+      const r = await runSnapshotTick({ pass });
+      for (const x of r.ran) console.log(`[CRON] Market snapshot ${x.league} ${x.date} (${x.checkpoint})`);
+      for (const x of r.errors) console.error(`[CRON] Snapshot error ${x.league} ${x.date}:`, x.error);
+    } catch (e) {
+      console.error("[CRON] Snapshot scheduler error:", e.message);
+    } finally {
+      running = false;
+    }
+  });
+}
+
+export function startSnapshotScheduler() {
+  scheduleLane("close");
+  scheduleLane("rest");
+
+  console.log(`[CRON] Market snapshot scheduler: checkpoints T-${checkpointOffsets().join(", T-")}, close at start`);
+}
+
+if (process.argv[1]?.endsWith("snapshotScheduler.js")) {
+  runSnapshotTick()
+    .then((r) => {
+      console.log(JSON.stringify(r, null, 2));
+      process.exit(r.ok ? 0 : 1);
+    })
+    .catch((err) => {
+      console.error(JSON.stringify({ ok: false, error: String(err?.message || err) }, null, 2));
+      process.exit(1);
+    });
+}
@@ -0,0 +1,127 @@
+// apps/api/src/db/alertsStore.js
+import { supabaseAdmin } from "../lib/supabaseAdmin.js";
+
+const RULES = "alert_rules";
+const ALERTS = "alerts";
+const BETS_TABLE = "user_bets";
+
+export async function listAlertRules(userKey) {
+  const { data, error } = await supabaseAdmin
+    .from(RULES)
+    .select("*")
+    .eq("user_key", userKey)
+    .order("id", { ascending: true });
+
+  if (error) throw new Error(`${RULES} fetch failed: ${error.message}`);
+  return data || [];
+}
+
+// enabled rules for a league, plus league-less ones
+export async function getEnabledAlertRules(league) {
+  const { data, error } = await supabaseAdmin
+    .from(RULES)
+    .select("*")
+    .eq("enabled", true)
+    .or(`league.is.null,league.eq.${league}`);
+
+  if (error) throw new Error(`${RULES} fetch failed: ${error.message}`);
+  return data || [];
+}
+
+export async function insertAlertRule(row) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabaseAdmin
+    .from(RULES)
+    .insert({ ...row, created_at: now, updated_at: now })
+    .select("*")
+    .single();
+
+  if (error) throw new Error(`${RULES} insert failed: ${error.message}`);
+  return data;
+}
+
+export async function updateAlertRule(userKey, id, patch) {
+  const { data, error } = await supabaseAdmin
+    .from(RULES)
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .eq("user_key", userKey)
+    .select("*")
+    .maybeSingle();
+
+  if (error) throw new Error(`${RULES} update failed: ${error.message}`);
+  return data || null;
+}
+
+export async function deleteAlertRule(userKey, id) {
+  const { error, count } = await supabaseAdmin
+    .from(RULES)
+    .delete({ count: "exact" })
+    .eq("id", id)
+    .eq("user_key", userKey);
+
+  if (error) throw new Error(`${RULES} delete failed: ${error.message}`);
+  return count ?? 0;
+}
+
+export async function listAlerts(userKey, { unreadOnly = false, limit = 50 } = {}) {
+  let q = supabaseAdmin
+    .from(ALERTS)
+    .select("*")
+    .eq("user_key", userKey)
+    .order("created_at", { ascending: false })
+    .limit(limit);
+  if (unreadOnly) q = q.is("read_at", null);
+
+  const { data, error } = await q;
+  if (error) throw new Error(`${ALERTS} fetch failed: ${error.message}`);
+  return data || [];
+}
+
+// ids: array of alert ids, or null for everything unread
+export async function markAlertsRead(userKey, ids = null) {
+  let q = supabaseAdmin
+    .from(ALERTS)
+    .update({ read_at: new Date().toISOString() })
+    .eq("user_key", userKey)
+    .is("read_at", null);
+  if (Array.isArray(ids)) q = q.in("id", ids);
+
+  const { data, error } = await q.select("id");
+  if (error) throw new Error(`${ALERTS} update failed: ${error.message}`);
+  return (data || []).length;
+}
+
+/**
+ * Insert fired alerts; rows already there for (rule_id, dedupe_key) are skipped.
+ * Returns only the rows actually inserted.
+ */
+export async function insertAlerts(rows) {
+  if (!rows.length) return [];
+  const { data, error } = await supabaseAdmin
+    .from(ALERTS)
+    .upsert(rows, { onConflict: "rule_id,dedupe_key", ignoreDuplicates: true })
+    .select("*");
+
+  if (error) throw new Error(`${ALERTS} insert failed: ${error.message}`);
+  return data || [];
+}
+
+export async function saveAlertDeliveries(id, deliveries) {
+  const { error } = await supabaseAdmin.from(ALERTS).update({ deliveries }).eq("id", id);
+  if (error) throw new Error(`${ALERTS} update failed: ${error.message}`);
+}
+
+export async function getPendingBetsForUsers(userKeys, { date, league }) {
+  if (!userKeys.length) return [];
+  const { data, error } = await supabaseAdmin
+    .from(BETS_TABLE)
+    .select("*")
+    .in("user_key", userKeys)
+    .eq("date", date)
+    .eq("league", league)
+    .or("result.is.null,result.eq.pending");
+
+  if (error) throw new Error(`${BETS_TABLE} fetch failed: ${error.message}`);
+  return data || [];
+}
@@ -0,0 +1,55 @@
+// apps/api/src/db/bankrollStore.js
+import { supabaseAdmin } from "../lib/supabaseAdmin.js";
+import { normalizeBankrollSettings, buildBankrollHistory } from "../lib/bankroll.js";
+
+const TABLE = "user_bankrolls";
+const BETS_TABLE = "user_bets";
+
+export async function getBankrollSettings(userKey) {
+  const { data, error } = await supabaseAdmin
+    .from(TABLE)
+    .select("*")
+    .eq("user_key", userKey)
+    .maybeSingle();
+
+  if (error) throw new Error(`user_bankrolls fetch failed: ${error.message}`);
+
+  return { configured: Boolean(data), settings: normalizeBankrollSettings(data || {}) };
+}
+
+export async function upsertBankrollSettings(userKey, raw) {
+  const settings = normalizeBankrollSettings(raw);
+
+  const { data, error } = await supabaseAdmin
+    .from(TABLE)
+    .upsert({ user_key: userKey, ...settings, updated_at: new Date().toISOString() }, { onConflict: "user_key" })
+    .select("*")
+    .single();
+
+  if (error) throw new Error(`user_bankrolls upsert failed: ${error.message}`);
+  return normalizeBankrollSettings(data || settings);
+}
+
+export async function getSettledBetsForUser(userKey) {
+  const { data, error } = await supabaseAdmin
+    .from(BETS_TABLE)
+    .select("id,date,created_at,settled_at,stake,profit,result")
+    .eq("user_key", userKey)
+    .in("result", ["win", "loss", "push", "void"]);
+
+  if (error) throw new Error(`user_bets fetch failed: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Settings + replayed bankroll for a user — everything a stake recommendation needs.
+ */
+export async function getBankrollState(userKey) {
+  const [{ configured, settings }, bets] = await Promise.all([
+    getBankrollSettings(userKey),
+    getSettledBetsForUser(userKey),
+  ]);
+
+  const history = buildBankrollHistory(settings.starting_bankroll, bets);
+  return { configured, settings, history, bets };
+}
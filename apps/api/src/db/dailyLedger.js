@@ -1,22 +1,8 @@
 // apps/api/src/db/dailyLedger.js
-import { createClient } from "@supabase/supabase-js";
+import { getStorageClient } from "./storage/index.js";
 
-const SUPABASE_URL = process.env.SUPABASE_URL || "";
-const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || "";
-
-// Server-side writes require service role
-function assertSupabaseEnv() {
-  if (!SUPABASE_URL) throw new Error("Missing SUPABASE_URL (set in apps/api/.env)");
-  if (!SUPABASE_SERVICE_ROLE_KEY) {
-    throw new Error("Missing SUPABASE_SERVICE_ROLE_KEY (set in apps/api/.env)");
-  }
-}
-
-assertSupabaseEnv();
-
-export const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
-  auth: { persistSession: false },
-});
+// Hosted Supabase or the local file store (LEDGER_STORAGE) — same query API either way
+export const supabase = getStorageClient();
 
 function nowIso() {
   return new Date().toISOString();
@@ -131,6 +117,7 @@ export async function upsertPickDaily(row) {
     edge: row.edge ?? null,
     ev: row.ev ?? null,
     kelly: row.kelly ?? null,
+    strategy_id: row.strategy_id ?? null,
 
     ...(row.result !== undefined ? { result: row.result ?? null } : {}),
     meta: safeJson(row.meta ?? null),
@@ -191,6 +178,7 @@ export async function upsertPicksDailyBatch(rows, { chunkSize = 200 } = {}) {
           edge: r.edge ?? null,
           ev: r.ev ?? null,
           kelly: r.kelly ?? null,
+          strategy_id: r.strategy_id ?? null,
 
           ...(r.result !== undefined ? { result: r.result ?? null } : {}),
           meta: safeJson(r.meta ?? null),
@@ -267,10 +255,25 @@ export async function updatePickResultsBatch(rows, { chunkSize = 200 } = {}) {
   return { ok: true, written };
 }
 
+export function slateGameKey(g, date) {
+  const fallbackKey = `${g?.away?.abbr || g?.away?.name || "AWAY"}@${
+    g?.home?.abbr || g?.home?.name || "HOME"
+  }:${date}`;
+
+  return (
+    ensureGameKey(g?.gameKey) ||
+    ensureGameKey(g?.game_key) ||
+    ensureGameKey(g?.id) ||
+    ensureGameKey(g?.gameId) ||
+    ensureGameKey(g?.eventId) ||
+    fallbackKey
+  );
+}
+
 /**
  * Write an entire slate to the ledger.
  */
-export async function writeSlatePicksToLedger({ date, league, games, modelVersion }) {
+export async function writeSlatePicksToLedger({ date, league, games, modelVersion, strategyId = null }) {
   if (!Array.isArray(games) || games.length === 0) return { ok: true, written: 0 };
 
   const rows = [];
@@ -278,17 +281,7 @@ export async function writeSlatePicksToLedger({ date, league, games, modelVersio
   for (const g of games) {
     const m = g?.market ?? {};
 
-    const fallbackKey = `${g?.away?.abbr || g?.away?.name || "AWAY"}@${
-      g?.home?.abbr || g?.home?.name || "HOME"
-    }:${date}`;
-
-    const game_key =
-      ensureGameKey(g?.gameKey) ||
-      ensureGameKey(g?.game_key) ||
-      ensureGameKey(g?.id) ||
-      ensureGameKey(g?.gameId) ||
-      ensureGameKey(g?.eventId) ||
-      fallbackKey;
+    const game_key = slateGameKey(g, date);
 
     const bet = g?.recommendedBet || null;
     const compat = g?.market || {};
@@ -442,6 +435,7 @@ export async function writeSlatePicksToLedger({ date, league, games, modelVersio
       edge,
       ev,
       kelly,
+      strategy_id: strategyId,
       meta: {
         model_version: g?.model?.version ?? modelVersion ?? null,
         away: g?.away?.abbr ?? g?.away?.name ?? null,
@@ -476,9 +470,80 @@ export async function writeSlatePicksToLedger({ date, league, games, modelVersio
           compat?.topPickWinProb ??
           m?.topPickWinProb ??
           null,
+        // NHL: starters the pick was priced with (jobs/repriceNhlGoalies.js compares against these)
+        ...(g?.model?.goalies?.starters ? { goalies: g.model.goalies.starters } : {}),
       },
     });
   }
 
   return await upsertPicksDailyBatch(rows, { chunkSize: 200 });
-}
\ No newline at end of file
+}
+
+/**
+ * C) Strategy A/B ledger (upsert on date,league,game_key,strategy_id)
+ *
+ * One row per game per strategy version, PASS included — a slate only counts
+ * as evaluated for a version if it has rows, which is what lets
+ * /api/performance/strategies compare versions on identical slates.
+ */
+export function strategyPickRowsForSlate({ date, league, games, modelVersion }) {
+  const rows = [];
+  for (const g of games || []) {
+    const picks = g?.strategyPicks;
+    if (!picks || typeof picks !== "object") continue;
+
+    const game_key = slateGameKey(g, date);
+
+    for (const [strategyId, p] of Object.entries(picks)) {
+      rows.push({
+        date,
+        league: normLeague(league),
+        game_key,
+        strategy_id: strategyId,
+        pick: p?.side ?? "PASS",
+        market: p?.marketType ? normMarket(p.marketType) : null,
+        line: p?.line ?? null,
+        odds: p?.odds ?? null,
+        tier: p?.tier ?? null,
+        win_prob: p?.modelProb ?? null,
+        edge: p?.edge ?? null,
+        ev: p?.evForStake100 ?? null,
+        kelly: p?.kellyHalf ?? null,
+        score: p?.premiumScore ?? null,
+        model_version: g?.model?.version ?? modelVersion ?? null,
+        error: p?.error ?? null,
+      });
+    }
+  }
+  return rows;
+}
+
+export async function upsertStrategyPicksBatch(rows, { chunkSize = 200 } = {}) {
+  if (!Array.isArray(rows) || rows.length === 0) return { ok: true, written: 0 };
+
+  let written = 0;
+
+  for (let i = 0; i < rows.length; i += chunkSize) {
+    const payload = rows
+      .slice(i, i + chunkSize)
+      .filter((r) => ensureGameKey(r.game_key) && r.strategy_id)
+      // result only when the caller graded it, so a re-publish never clears a grade
+      .map((r) => ({ ...r, updated_at: nowIso() }));
+
+    if (payload.length === 0) continue;
+
+    const { error } = await supabase
+      .from("strategy_picks")
+      .upsert(payload, { onConflict: "date,league,game_key,strategy_id" });
+
+    if (error) throw new Error(`upsertStrategyPicksBatch failed: ${error.message}`);
+
+    written += payload.length;
+  }
+
+  return { ok: true, written };
+}
+
+export async function writeStrategyPicksToLedger({ date, league, games, modelVersion }) {
+  return await upsertStrategyPicksBatch(strategyPickRowsForSlate({ date, league, games, modelVersion }));
+}
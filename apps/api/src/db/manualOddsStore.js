@@ -0,0 +1,32 @@
+// apps/api/src/db/manualOddsStore.js
+import { supabaseAdmin } from "../lib/supabaseAdmin.js";
+
+const TABLE = "manual_odds";
+
+export async function listManualOdds({ date, league = null } = {}) {
+  let q = supabaseAdmin.from(TABLE).select("*").eq("date", date);
+  if (league) q = q.eq("league", league);
+  const { data, error } = await q.order("id", { ascending: true });
+  if (error) throw new Error(`${TABLE} fetch failed: ${error.message}`);
+  return data || [];
+}
+
+export async function upsertManualOdds(rows) {
+  if (!rows.length) return [];
+  const now = new Date().toISOString();
+  const { data, error } = await supabaseAdmin
+    .from(TABLE)
+    .upsert(
+      rows.map((r) => ({ ...r, updated_at: now })),
+      { onConflict: "date,league,home_team,away_team,book,market" }
+    )
+    .select("*");
+  if (error) throw new Error(`${TABLE} upsert failed: ${error.message}`);
+  return data || [];
+}
+
+export async function deleteManualOdds(id) {
+  const { data, error } = await supabaseAdmin.from(TABLE).delete().eq("id", id).select("*");
+  if (error) throw new Error(`${TABLE} delete failed: ${error.message}`);
+  return data?.[0] || null;
+}
@@ -30,7 +30,20 @@ function minuteBucket(iso) {
   return d.toISOString();
 }
 
+// A closing snapshot is one row per game/market/side/book, whatever its quote time.
 function makeSnapshotKey(row) {
+  if (row.checkpoint === "close") {
+    return [
+      row.snapshot_date,
+      normLeague(row.league),
+      String(row.mode || "regular").trim().toLowerCase(),
+      row.game_key,
+      normMarket(row.market),
+      String(row.pick || "").trim().toLowerCase(),
+      String(row.book || "unknown").trim().toLowerCase(),
+      "close",
+    ].join("|");
+  }
   return [
     row.snapshot_date,
     normLeague(row.league),
@@ -81,6 +94,7 @@ export async function upsertMarketSnapshotsBatch(rows, { chunkSize = 500 } = {})
           book: r.book ?? null,
           event_start: r.event_start ?? null,
           captured_at,
+          checkpoint: r.checkpoint ?? null,
           meta: r.meta ?? null,
         };
       })
@@ -88,11 +102,22 @@ export async function upsertMarketSnapshotsBatch(rows, { chunkSize = 500 } = {})
 
     if (!payload.length) continue;
 
-    const { error } = await supabase
-      .from("market_snapshots")
-      .upsert(payload, { onConflict: "snapshot_key" });
+    // the first close written is frozen; later passes over the same game leave it alone
+    const closes = payload.filter((r) => r.checkpoint === "close");
+    const others = payload.filter((r) => r.checkpoint !== "close");
 
-    if (error) throw new Error(`upsertMarketSnapshotsBatch failed: ${error.message}`);
+    if (others.length) {
+      const { error } = await supabase
+        .from("market_snapshots")
+        .upsert(others, { onConflict: "snapshot_key" });
+      if (error) throw new Error(`upsertMarketSnapshotsBatch failed: ${error.message}`);
+    }
+    if (closes.length) {
+      const { error } = await supabase
+        .from("market_snapshots")
+        .upsert(closes, { onConflict: "snapshot_key", ignoreDuplicates: true });
+      if (error) throw new Error(`upsertMarketSnapshotsBatch failed: ${error.message}`);
+    }
 
     written += payload.length;
   }
@@ -153,3 +178,20 @@ export async function getLatestClosingSnapshotMap({ date, league, mode = null })
 
   return map;
 }
+
+export async function getMarketSnapshotsForGame({ gameKey, date = null, league = null, market = null }) {
+  let query = supabase
+    .from("market_snapshots")
+    .select("snapshot_date,league,mode,game_key,market,market_type,pick,side,line,odds,book,event_start,captured_at,meta")
+    .eq("game_key", gameKey)
+    .order("captured_at", { ascending: true });
+
+  if (date) query = query.eq("snapshot_date", date);
+  if (league) query = query.eq("league", normLeague(league));
+  if (market) query = query.eq("market", normMarket(market));
+
+  const { data, error } = await query;
+  if (error) throw new Error(`getMarketSnapshotsForGame failed: ${error.message}`);
+
+  return Array.isArray(data) ? data : [];
+}
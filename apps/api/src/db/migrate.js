@@ -0,0 +1,248 @@
+// apps/api/src/db/migrate.js
+import "dotenv/config";
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+import { getStorageBackend } from "./storage/index.js";
+
+/**
+ * Versioned schema migrations for the ledger (src/db/migrations/*.sql).
+ *
+ * Each file is one version, applied in filename order:
+ *
+ *   -- header comments
+ *   -- migrate:up
+ *   ...sql...
+ *   -- migrate:down
+ *   ...sql that undoes it...
+ *
+ * Applied versions live in `schema_migrations`. Every migration runs in its own
+ * transaction under an advisory lock, so two API instances starting together
+ * won't both apply it. Needs a direct Postgres connection (DATABASE_URL, or
+ * SUPABASE_DB_URL — the "connection string" in the Supabase dashboard); the
+ * REST key the rest of the API uses can't run DDL.
+ *
+ * The local file store (LEDGER_STORAGE=local) is schemaless, so there's nothing
+ * to run there.
+ *
+ * CLI:
+ *   node src/db/migrate.js status
+ *   node src/db/migrate.js up   [--to=20261019_app_users] [--steps=1] [--dry=1]
+ *   node src/db/migrate.js down [--to=20260317_pick_closes | --steps=1] [--dry=1]
+ *
+ * Startup: MIGRATE_ON_START=1 runs `up` before the API listens.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const LOCK_ID = 7_270_412; // pg_advisory_lock key for this app's migrations
+
+function getArg(name, fallback = null) {
+  const argv = process.argv.slice(2).map((x) => String(x));
+  for (const arg of argv) {
+    if (arg.startsWith(`--${name}=`)) return arg.slice(`--${name}=`.length);
+    if (arg.startsWith(`${name}=`)) return arg.slice(`${name}=`.length);
+  }
+  return fallback;
+}
+
+function truthy(v) {
+  return ["1", "true", "yes"].includes(String(v ?? "").toLowerCase());
+}
+
+function databaseUrl() {
+  return process.env.DATABASE_URL || process.env.SUPABASE_DB_URL || "";
+}
+
+function parseMigration(file) {
+  const text = fs.readFileSync(path.join(MIGRATIONS_DIR, file), "utf8");
+  const parts = text.split(/^--\s*migrate:(up|down)\s*$/m);
+
+  let up = null;
+  let down = null;
+  if (parts.length === 1) {
+    up = text;
+  } else {
+    for (let i = 1; i < parts.length; i += 2) {
+      if (parts[i] === "up") up = parts[i + 1];
+      if (parts[i] === "down") down = parts[i + 1];
+    }
+  }
+
+  up = String(up || "").trim();
+  down = down == null ? null : String(down).trim() || null;
+
+  return {
+    version: file.replace(/\.sql$/, ""),
+    file,
+    up,
+    down,
+    checksum: crypto.createHash("sha256").update(up).digest("hex").slice(0, 16),
+  };
+}
+
+export function listMigrations() {
+  if (!fs.existsSync(MIGRATIONS_DIR)) return [];
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((f) => f.endsWith(".sql"))
+    .sort()
+    .map(parseMigration);
+}
+
+async function connect() {
+  const url = databaseUrl();
+  if (!url) throw new Error("Missing DATABASE_URL (or SUPABASE_DB_URL) for migrations");
+
+  const { default: pg } = await import("pg");
+  const local = /@(localhost|127\.0\.0\.1)(:|\/)/.test(url);
+  const client = new pg.Client({
+    connectionString: url,
+    ssl: local || process.env.DATABASE_SSL === "0" ? false : { rejectUnauthorized: false },
+  });
+  await client.connect();
+  return client;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    create table if not exists schema_migrations (
+      version text primary key,
+      checksum text,
+      applied_at timestamptz not null default now()
+    )
+  `);
+}
+
+async function appliedVersions(client) {
+  const { rows } = await client.query("select version, checksum, applied_at from schema_migrations order by version");
+  return new Map(rows.map((r) => [r.version, r]));
+}
+
+function statusRows(migrations, applied) {
+  const known = new Set(migrations.map((m) => m.version));
+  const rows = migrations.map((m) => {
+    const a = applied.get(m.version);
+    return {
+      version: m.version,
+      applied: Boolean(a),
+      applied_at: a?.applied_at ?? null,
+      changed: Boolean(a?.checksum && a.checksum !== m.checksum),
+      reversible: Boolean(m.down),
+    };
+  });
+
+  // applied in the database but the file is gone
+  for (const [version, a] of applied) {
+    if (!known.has(version)) rows.push({ version, applied: true, applied_at: a.applied_at, missing: true });
+  }
+  return rows;
+}
+
+export async function migrationStatus() {
+  const client = await connect();
+  try {
+    await ensureMigrationsTable(client);
+    return { ok: true, migrations: statusRows(listMigrations(), await appliedVersions(client)) };
+  } finally {
+    await client.end();
+  }
+}
+
+function planUp(migrations, applied, { to, steps }) {
+  let plan = migrations.filter((m) => !applied.has(m.version));
+  if (to) plan = plan.filter((m) => m.version <= to);
+  if (steps != null) plan = plan.slice(0, steps);
+  return plan;
+}
+
+function planDown(migrations, applied, { to, steps }) {
+  const byVersion = new Map(migrations.map((m) => [m.version, m]));
+  let plan = [...applied.keys()].sort().reverse();
+
+  if (to) plan = plan.filter((v) => v > to);
+  else plan = plan.slice(0, steps ?? 1);
+
+  return plan.map((v) => {
+    const m = byVersion.get(v);
+    if (!m) throw new Error(`Cannot roll back ${v}: migration file not found`);
+    if (!m.down) throw new Error(`Cannot roll back ${v}: no "-- migrate:down" section`);
+    return m;
+  });
+}
+
+export async function runMigrations({ direction = "up", to = null, steps = null, dryRun = false, log = console.log } = {}) {
+  if (direction !== "up" && direction !== "down") throw new Error(`Unknown direction "${direction}"`);
+
+  if (!databaseUrl() && getStorageBackend() === "local") {
+    return { ok: true, direction, skipped: "local_storage", ran: [] };
+  }
+
+  const client = await connect();
+  const ran = [];
+
+  try {
+    await client.query("select pg_advisory_lock($1)", [LOCK_ID]);
+    await ensureMigrationsTable(client);
+
+    const migrations = listMigrations();
+    const applied = await appliedVersions(client);
+    const plan =
+      direction === "up" ? planUp(migrations, applied, { to, steps }) : planDown(migrations, applied, { to, steps });
+
+    for (const m of plan) {
+      if (dryRun) {
+        ran.push({ version: m.version, dry: true });
+        continue;
+      }
+
+      await client.query("begin");
+      try {
+        if (direction === "up") {
+          await client.query(m.up);
+          await client.query("insert into schema_migrations (version, checksum) values ($1, $2)", [m.version, m.checksum]);
+        } else {
+          await client.query(m.down);
+          await client.query("delete from schema_migrations where version = $1", [m.version]);
+        }
+        await client.query("commit");
+      } catch (err) {
+        await client.query("rollback").catch(() => {});
+        throw new Error(`${direction} ${m.version} failed: ${err?.message || err}`);
+      }
+
+      log?.(`[migrate] ${direction} ${m.version}`);
+      ran.push({ version: m.version });
+    }
+
+    return { ok: true, direction, dryRun, ran };
+  } finally {
+    await client.query("select pg_advisory_unlock($1)", [LOCK_ID]).catch(() => {});
+    await client.end();
+  }
+}
+
+// CLI entry point
+if (process.argv[1]?.includes("migrate")) {
+  const command = process.argv.slice(2).find((a) => !a.startsWith("-") && !a.includes("=")) || "status";
+  const stepsArg = getArg("steps");
+  const opts = {
+    to: getArg("to"),
+    steps: stepsArg == null ? null : Math.max(1, Number(stepsArg) || 1),
+    dryRun: truthy(getArg("dry")),
+  };
+
+  const task =
+    command === "status" ? migrationStatus() : runMigrations({ direction: command, ...opts });
+
+  task
+    .then((r) => {
+      console.log(JSON.stringify(r, null, 2));
+      process.exit(r.ok ? 0 : 1);
+    })
+    .catch((err) => {
+      console.error(JSON.stringify({ ok: false, error: String(err?.message || err) }, null, 2));
+      process.exit(1);
+    });
+}
@@ -0,0 +1,341 @@
+-- Baseline ledger schema: the tables the API wrote to before migrations were
+-- versioned. Columns follow the writers in db/dailyLedger.js,
+-- db/marketSnapshots.js, routes/bets.js and the canonical store tables.
+-- Everything is `if not exists`, so applying this to an existing project only
+-- records it as applied. Later migrations add columns on top (pick_closes,
+-- strategy_id, user_bets.legs, …).
+
+-- migrate:up
+
+create extension if not exists pgcrypto;
+
+-- =========================
+-- PICKS (one row per date/league/game/market)
+-- =========================
+create table if not exists picks_daily (
+  id bigserial primary key,
+  date date not null,
+  league text not null,
+  mode text not null default 'regular',
+  game_key text not null,
+  market text not null,
+
+  pick text,
+  market_type text,
+  market_line numeric,
+  market_side text,
+  market_odds integer,
+  odds integer,
+
+  win_prob numeric,
+  raw_win_prob numeric,
+  cal_win_prob numeric,
+  calibration_method text,
+  calibration_version text,
+
+  publish_book text,
+  publish_line numeric,
+  publish_odds integer,
+
+  edge numeric,
+  ev numeric,
+  kelly numeric,
+
+  result text,
+  score_margin numeric,
+  graded_at timestamptz,
+
+  close_book text,
+  close_line numeric,
+  close_odds integer,
+  clv_line_delta numeric,
+  clv_odds_delta numeric,
+  clv_implied_delta numeric,
+  close_reason text,
+
+  meta jsonb,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists picks_daily_unique_game_market
+  on picks_daily (date, league, game_key, market);
+
+create index if not exists idx_picks_daily_league_date
+  on picks_daily (league, date);
+
+-- =========================
+-- DAILY PERFORMANCE (one row per date/league)
+-- =========================
+create table if not exists performance_daily (
+  id bigserial primary key,
+  date date not null,
+  league text not null,
+
+  games integer not null default 0,
+  completed integer not null default 0,
+  picks integer not null default 0,
+  wins integer not null default 0,
+  losses integer not null default 0,
+  pushes integer not null default 0,
+  pass integer not null default 0,
+
+  scored integer,
+  acc numeric,
+  win_rate numeric,
+  roi numeric,
+
+  by_conf jsonb,
+  by_edge jsonb,
+  by_market jsonb,
+  by_tier jsonb,
+
+  model_version text,
+  vegas_ok boolean,
+  error text,
+  notes text,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+
+  constraint performance_daily_unique_key unique (date, league)
+);
+
+-- =========================
+-- MARKET SNAPSHOTS (db/marketSnapshots.js; one row per minute bucket)
+-- =========================
+create table if not exists market_snapshots (
+  id bigserial primary key,
+  snapshot_key text not null,
+  snapshot_date date not null,
+  league text not null,
+  mode text not null default 'regular',
+  game_key text not null,
+  market text not null,
+  market_type text,
+  pick text,
+  side text,
+  line numeric,
+  odds integer,
+  book text,
+  event_start timestamptz,
+  captured_at timestamptz not null,
+  meta jsonb,
+
+  created_at timestamptz not null default now(),
+
+  constraint market_snapshots_snapshot_key_unique unique (snapshot_key)
+);
+
+create index if not exists idx_market_snapshots_date_league
+  on market_snapshots (snapshot_date, league, captured_at desc);
+
+create index if not exists idx_market_snapshots_game
+  on market_snapshots (game_key, captured_at);
+
+-- =========================
+-- ODDS SNAPSHOTS (predict.js publish-time odds)
+-- =========================
+create table if not exists odds_snapshots (
+  id bigserial primary key,
+  league text not null,
+  date date not null,
+  game_id text not null,
+  home_abbr text,
+  away_abbr text,
+  market_type text not null,
+  side text not null,
+  line numeric,
+  odds_american integer,
+  model_prob numeric,
+  implied_prob numeric,
+  edge numeric,
+  ev_100 numeric,
+  kelly_half numeric,
+  tier text,
+  is_model_only boolean default false,
+  bookmaker text,
+  snap_at timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists odds_snapshots_uniq
+  on odds_snapshots (league, date, game_id, market_type);
+
+create index if not exists odds_snapshots_date_league_idx
+  on odds_snapshots (date, league);
+
+-- =========================
+-- USER BETS (routes/bets.js)
+-- =========================
+create table if not exists user_bets (
+  id bigserial primary key,
+  user_key text not null,
+  date date not null,
+  league text not null,
+  mode text default 'regular',
+
+  bet_type text not null default 'straight' check (bet_type in ('straight','parlay')),
+  legs_count integer,
+  parlay_type text,
+  legs_summary text,
+
+  game_key text,
+  game_label text,
+  market text,
+  pick text,
+  line numeric,
+  odds integer,
+  stake numeric,
+  to_win numeric,
+  book text,
+  notes text,
+
+  source text,
+  source_pick_id bigint,
+  source_meta jsonb,
+
+  publish_line numeric,
+  publish_odds integer,
+  close_line numeric,
+  close_odds integer,
+  clv_line_delta numeric,
+  clv_odds_delta numeric,
+  clv_implied_delta numeric,
+  close_reason text,
+
+  result text check (result is null or result in ('win','loss','push','pending','void')),
+  profit numeric,
+  settled_at timestamptz,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists idx_user_bets_user_date
+  on user_bets (user_key, date desc, created_at desc);
+
+-- =========================
+-- CANONICAL STORES (db/predictionsStore.js, recommendedPicksStore.js, pickResultsStore.js)
+-- =========================
+create table if not exists predictions (
+  id uuid primary key default gen_random_uuid(),
+
+  event_id text not null,
+  league text not null,
+  game_date date not null,
+  commence_time timestamptz not null,
+
+  home_team text not null,
+  home_abbr text not null,
+  away_team text not null,
+  away_abbr text not null,
+
+  model_version text not null,
+  feature_version text not null,
+  generated_at timestamptz not null,
+
+  p_home numeric not null,
+  p_away numeric not null,
+
+  fair_ml_home integer,
+  fair_ml_away integer,
+  fair_spread_home numeric,
+  fair_spread_away numeric,
+  fair_total numeric,
+
+  confidence_score numeric,
+  uncertainty_score numeric,
+  data_quality_score numeric,
+
+  created_at timestamptz default now()
+);
+
+create index if not exists ix_predictions_event on predictions (event_id);
+create index if not exists ix_predictions_league_date on predictions (league, game_date);
+
+create table if not exists recommended_picks (
+  id uuid primary key default gen_random_uuid(),
+
+  prediction_id uuid references predictions(id) on delete set null,
+
+  event_id text not null,
+  league text not null,
+  game_date date not null,
+  commence_time timestamptz not null,
+
+  model_version text not null,
+  selection_version text not null,
+  published_at timestamptz not null,
+
+  market_type text not null check (market_type in ('moneyline','spread','total')),
+  pick_side text not null check (pick_side in ('home','away','over','under','pass')),
+  pick_line numeric,
+
+  publish_odds_american integer,
+  publish_odds_decimal numeric,
+  publish_snapshot_key text,
+
+  edge_pct numeric,
+  ev_per_100 numeric,
+  kelly_half numeric,
+  selection_score numeric,
+
+  tier text not null check (tier in ('ELITE','STRONG','ACTIONABLE','PASS')),
+  status text not null check (status in ('published','skipped','voided')),
+
+  created_at timestamptz default now()
+);
+
+create index if not exists ix_picks_event on recommended_picks (event_id);
+create index if not exists ix_picks_league_date on recommended_picks (league, game_date);
+
+create table if not exists pick_results (
+  id uuid primary key default gen_random_uuid(),
+
+  pick_id uuid references recommended_picks(id) on delete cascade,
+
+  event_id text not null,
+  league text not null,
+  game_date date not null,
+
+  score_version text not null,
+  scored_at timestamptz not null,
+
+  final_home_score integer,
+  final_away_score integer,
+
+  result text not null check (result in ('WIN','LOSS','PUSH','PASS','VOID')),
+
+  units_risked numeric default 1,
+  units_won numeric,
+  roi_pct numeric,
+
+  publish_odds_american integer,
+  close_odds_american integer,
+  publish_line numeric,
+  close_line numeric,
+
+  clv_implied_delta numeric,
+  clv_line_delta numeric,
+
+  xroi_publish numeric,
+  xroi_close numeric,
+
+  created_at timestamptz default now()
+);
+
+create index if not exists ix_results_event on pick_results (event_id);
+create index if not exists ix_results_league_date on pick_results (league, game_date);
+
+-- migrate:down
+
+drop table if exists pick_results;
+drop table if exists recommended_picks;
+drop table if exists predictions;
+drop table if exists user_bets;
+drop table if exists odds_snapshots;
+drop table if exists market_snapshots;
+drop table if exists performance_daily;
+drop table if exists picks_daily;
@@ -1,3 +1,5 @@
+-- migrate:up
+
 create table if not exists pick_closes (
   id bigserial primary key,
   date date not null,
@@ -54,3 +56,15 @@ alter table picks_daily
 
 alter table picks_daily
   add column if not exists close_quality text;
+
+-- migrate:down
+
+drop table if exists pick_closes;
+
+alter table picks_daily
+  drop column if exists publish_captured_at,
+  drop column if exists publish_snapshot_key,
+  drop column if exists close_captured_at,
+  drop column if exists close_snapshot_key,
+  drop column if exists close_method,
+  drop column if exists close_quality;
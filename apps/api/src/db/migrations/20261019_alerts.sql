@@ -0,0 +1,51 @@
+-- Alerts (lib/alerts.js)
+-- alert_rules: user-defined triggers, evaluated after market snapshots and slate publishes
+--   kind new_pick      params { minTier: 'STRONG', markets?: ['spread', ...] }
+--   kind line_move     params { minPoints: 1.5 }                     (the user's pending bets)
+--   kind price_target  params { betId } | { gameKey, market, side }, plus { odds?, line? }
+-- alerts: one row per fired rule + dedupe key; doubles as the in-app inbox
+--   deliveries: [{ channel, ok, error, at }]
+
+-- migrate:up
+
+create table if not exists alert_rules (
+  id bigserial primary key,
+  user_key text not null,
+  kind text not null check (kind in ('new_pick','line_move','price_target')),
+  league text,
+  params jsonb not null default '{}'::jsonb,
+  channels text[] not null default array['inbox'],
+  webhook_url text,
+  email text,
+  enabled boolean not null default true,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists idx_alert_rules_user on alert_rules (user_key);
+
+create table if not exists alerts (
+  id bigserial primary key,
+  rule_id bigint references alert_rules (id) on delete cascade,
+  user_key text not null,
+  kind text not null,
+  league text,
+  date date,
+  dedupe_key text not null,
+  title text not null,
+  body text,
+  payload jsonb,
+  deliveries jsonb,
+  read_at timestamptz,
+
+  created_at timestamptz not null default now(),
+  unique (rule_id, dedupe_key)
+);
+
+create index if not exists idx_alerts_inbox on alerts (user_key, created_at desc);
+
+-- migrate:down
+
+drop table if exists alerts;
+drop table if exists alert_rules;
@@ -0,0 +1,41 @@
+-- migrate:up
+
+create extension if not exists pgcrypto;
+
+create table if not exists app_users (
+  id uuid primary key default gen_random_uuid(),
+  email text not null,
+  password_hash text,
+
+  plan text not null default 'free',
+  status text not null default 'active' check (status in ('active','past_due','cancelled','disabled')),
+
+  last_login_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+
+  constraint app_users_email_unique unique (email)
+);
+
+create table if not exists auth_magic_links (
+  id bigserial primary key,
+  email text not null,
+  token_hash text not null,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now(),
+
+  constraint auth_magic_links_token_unique unique (token_hash)
+);
+
+create index if not exists idx_auth_magic_links_email
+  on auth_magic_links (email, created_at desc);
+
+-- user_bets / user_bankrolls.user_key now holds app_users.id (as text).
+-- Rows written under the old client-supplied keys (e.g. 'local-dev') are left
+-- in place; reassign them to a real account with an update if they matter.
+
+-- migrate:down
+
+drop table if exists auth_magic_links;
+drop table if exists app_users;
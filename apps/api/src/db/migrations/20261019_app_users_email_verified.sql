@@ -0,0 +1,11 @@
+-- Set on the first magic-link sign-in (routes/auth.js); email alerts only go to verified addresses.
+
+-- migrate:up
+
+alter table app_users
+  add column if not exists email_verified_at timestamptz;
+
+-- migrate:down
+
+alter table app_users
+  drop column if exists email_verified_at;
@@ -0,0 +1,37 @@
+-- Hand-entered odds (POST /api/odds/manual, lib/odds.js) for books or markets the
+-- feeds don't carry. One row per game / book / market; a later entry replaces it.
+--   moneyline  home_odds, away_odds
+--   spread     line = home spread, home_odds, away_odds
+--   total      line = total, over_odds, under_odds
+-- Merged into the slate's odds (routes/predict.js) until expires_at, if set.
+
+-- migrate:up
+
+create table if not exists manual_odds (
+  id bigserial primary key,
+  date date not null,
+  league text not null,
+  home_team text not null,
+  away_team text not null,
+  book text not null,
+  book_title text,
+  market text not null check (market in ('moneyline','spread','total')),
+  line numeric,
+  home_odds integer,
+  away_odds integer,
+  over_odds integer,
+  under_odds integer,
+  note text,
+  expires_at timestamptz,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+
+  constraint manual_odds_unique_key unique (date, league, home_team, away_team, book, market)
+);
+
+create index if not exists idx_manual_odds_date_league on manual_odds (date, league);
+
+-- migrate:down
+
+drop table if exists manual_odds;
@@ -0,0 +1,25 @@
+-- Confirmed / projected NHL starting goalies entered by hand
+-- (POST /api/nhl/goalies/starters). One row per team per slate date;
+-- a later entry for the same team replaces the earlier one.
+
+-- migrate:up
+
+create table if not exists nhl_goalie_starters (
+  id bigserial primary key,
+  date date not null,
+  team_abbr text not null,
+  goalie_id text,
+  goalie_name text,
+  status text not null default 'projected' check (status in ('confirmed','projected')),
+  source text not null default 'manual',
+  note text,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+
+  constraint nhl_goalie_starters_unique_key unique (date, team_abbr)
+);
+
+-- migrate:down
+
+drop table if exists nhl_goalie_starters;
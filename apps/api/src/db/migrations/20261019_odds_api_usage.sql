@@ -0,0 +1,25 @@
+-- Odds API credit usage per UTC day (lib/oddsQuota.js)
+-- remaining / used mirror the x-requests-remaining / x-requests-used headers of the
+-- day's latest response; credits_used and requests count what this app spent that day.
+
+-- migrate:up
+
+create table if not exists odds_api_usage (
+  id bigserial primary key,
+  day date not null,
+  requests integer not null default 0,
+  credits_used integer not null default 0,
+  remaining integer,
+  used integer,
+  day_start_remaining integer,
+  exhausted_at timestamptz,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+
+  constraint odds_api_usage_unique_day unique (day)
+);
+
+-- migrate:down
+
+drop table if exists odds_api_usage;
@@ -0,0 +1,20 @@
+-- Which scheduler checkpoint wrote a market snapshot (cron/snapshotScheduler.js):
+--   't-60', 't-15', 't-5' … minutes before start, 'base' for the background cadence,
+--   'close' for the frozen closing snapshot taken just before start (one per game/market/book,
+--   never overwritten). finalizePickCloses reads 'close' rows first.
+
+-- migrate:up
+
+alter table market_snapshots
+  add column if not exists checkpoint text;
+
+create index if not exists idx_market_snapshots_close
+  on market_snapshots (snapshot_date, league)
+  where checkpoint = 'close';
+
+-- migrate:down
+
+drop index if exists idx_market_snapshots_close;
+
+alter table market_snapshots
+  drop column if exists checkpoint;
@@ -0,0 +1,45 @@
+-- migrate:up
+
+create table if not exists strategy_picks (
+  id bigserial primary key,
+  date date not null,
+  league text not null,
+  game_key text not null,
+  strategy_id text not null,
+
+  pick text not null default 'PASS',
+  market text,
+  line numeric,
+  odds integer,
+  tier text,
+  win_prob numeric,
+  edge numeric,
+  ev numeric,
+  kelly numeric,
+  score numeric,
+
+  model_version text,
+  result text,
+  error text,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+
+  constraint strategy_picks_unique_key unique (date, league, game_key, strategy_id)
+);
+
+create index if not exists idx_strategy_picks_date_league
+  on strategy_picks (date, league);
+
+create index if not exists idx_strategy_picks_strategy
+  on strategy_picks (strategy_id, date);
+
+alter table picks_daily
+  add column if not exists strategy_id text;
+
+-- migrate:down
+
+drop table if exists strategy_picks;
+
+alter table picks_daily
+  drop column if exists strategy_id;
@@ -0,0 +1,19 @@
+-- migrate:up
+
+create table if not exists user_bankrolls (
+  user_key text primary key,
+
+  starting_bankroll numeric not null default 1000,
+  policy text not null default 'flat' check (policy in ('flat','kelly','capped_pct')),
+  unit_size numeric not null default 10,
+  unit_pct numeric not null default 0.01,
+  kelly_fraction numeric not null default 0.5,
+  max_pct numeric not null default 0.05,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- migrate:down
+
+drop table if exists user_bankrolls;
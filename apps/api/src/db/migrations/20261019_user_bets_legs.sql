@@ -0,0 +1,22 @@
+-- Auto-settlement of My Bets (jobs/settleUserBets.js)
+-- legs: structured parlay legs, graded one by one
+--   [{ league, date, game_key, game_label, market, pick, line, odds, result }]
+-- settled_by: 'auto' (settler) | 'manual' (PATCH /api/bets/:id)
+
+-- migrate:up
+
+alter table user_bets
+  add column if not exists legs jsonb,
+  add column if not exists settled_by text;
+
+create index if not exists idx_user_bets_pending
+  on user_bets (date)
+  where result is null or result = 'pending';
+
+-- migrate:down
+
+drop index if exists idx_user_bets_pending;
+
+alter table user_bets
+  drop column if exists legs,
+  drop column if exists settled_by;
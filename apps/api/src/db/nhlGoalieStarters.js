@@ -0,0 +1,45 @@
+// apps/api/src/db/nhlGoalieStarters.js
+import { supabase } from "./dailyLedger.js";
+
+const TABLE = "nhl_goalie_starters";
+
+export async function getGoalieStartersForDate(date) {
+  const { data, error } = await supabase.from(TABLE).select("*").eq("date", date);
+  if (error) throw new Error(`${TABLE} fetch failed: ${error.message}`);
+  return data || [];
+}
+
+export async function upsertGoalieStarter({ date, teamAbbr, goalieId = null, goalieName = null, status = "projected", note = null }) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from(TABLE)
+    .upsert(
+      {
+        date,
+        team_abbr: String(teamAbbr).toUpperCase(),
+        goalie_id: goalieId == null ? null : String(goalieId),
+        goalie_name: goalieName,
+        status,
+        source: "manual",
+        note,
+        updated_at: now,
+      },
+      { onConflict: "date,team_abbr" }
+    )
+    .select("*")
+    .single();
+
+  if (error) throw new Error(`${TABLE} upsert failed: ${error.message}`);
+  return data;
+}
+
+export async function deleteGoalieStarter({ date, teamAbbr }) {
+  const { error, count } = await supabase
+    .from(TABLE)
+    .delete({ count: "exact" })
+    .eq("date", date)
+    .eq("team_abbr", String(teamAbbr).toUpperCase());
+
+  if (error) throw new Error(`${TABLE} delete failed: ${error.message}`);
+  return count ?? 0;
+}
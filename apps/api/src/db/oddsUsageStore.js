@@ -0,0 +1,23 @@
+// apps/api/src/db/oddsUsageStore.js
+import { supabaseAdmin } from "../lib/supabaseAdmin.js";
+
+const TABLE = "odds_api_usage";
+
+export async function getOddsUsageForDay(day) {
+  const { data, error } = await supabaseAdmin.from(TABLE).select("*").eq("day", day).limit(1);
+  if (error) throw new Error(`${TABLE} fetch failed: ${error.message}`);
+  return data?.[0] || null;
+}
+
+export async function listOddsUsage({ limit = 31 } = {}) {
+  const { data, error } = await supabaseAdmin.from(TABLE).select("*").order("day", { ascending: false }).limit(limit);
+  if (error) throw new Error(`${TABLE} fetch failed: ${error.message}`);
+  return data || [];
+}
+
+export async function saveOddsUsage(row) {
+  const { error } = await supabaseAdmin
+    .from(TABLE)
+    .upsert({ ...row, updated_at: new Date().toISOString() }, { onConflict: "day" });
+  if (error) throw new Error(`${TABLE} upsert failed: ${error.message}`);
+}
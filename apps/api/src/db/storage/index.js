@@ -0,0 +1,62 @@
+// apps/api/src/db/storage/index.js
+import "dotenv/config";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createClient } from "@supabase/supabase-js";
+import { createLocalClient } from "./localClient.js";
+
+/**
+ * Storage adapter selection for the ledger (picks_daily, performance_daily,
+ * market_snapshots, pick_closes, user_bets, …).
+ *
+ * The adapter contract is the supabase-js query builder subset documented in
+ * localClient.js — every db/* helper and route is written against it, so
+ * swapping the backend needs no call-site changes.
+ *
+ *   LEDGER_STORAGE=supabase   hosted Supabase (SUPABASE_URL + SUPABASE_SERVICE_ROLE_KEY)
+ *   LEDGER_STORAGE=local      JSON files under LEDGER_LOCAL_DIR (default apps/api/data/ledger)
+ *
+ * Unset: Supabase, which then needs SUPABASE_URL. The file store is only ever used
+ * when asked for, so a deploy with a missing Supabase config fails loudly instead of
+ * quietly writing the ledger to local disk.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_LOCAL_DIR = path.resolve(__dirname, "../../../data/ledger");
+
+let client = null;
+
+export function getStorageBackend() {
+  const explicit = String(process.env.LEDGER_STORAGE || "").trim().toLowerCase();
+  if (explicit === "local" || explicit === "supabase") return explicit;
+  if (explicit) throw new Error(`Unknown LEDGER_STORAGE "${explicit}" (use "supabase" or "local")`);
+
+  if (process.env.SUPABASE_URL) return "supabase";
+  throw new Error("Missing SUPABASE_URL (set in apps/api/.env, or LEDGER_STORAGE=local for the local file store)");
+}
+
+function createSupabaseClient() {
+  const url = process.env.SUPABASE_URL || "";
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY || "";
+
+  if (!url) throw new Error("Missing SUPABASE_URL (set in apps/api/.env)");
+  if (!key) throw new Error("Missing SUPABASE_SERVICE_ROLE_KEY (set in apps/api/.env)");
+
+  // Service-role client (server-side only). Do NOT expose this key to the browser.
+  return createClient(url, key, { auth: { persistSession: false } });
+}
+
+/** One shared client per process, whichever backend is configured. */
+export function getStorageClient() {
+  if (client) return client;
+
+  if (getStorageBackend() === "local") {
+    const dir = path.resolve(process.env.LEDGER_LOCAL_DIR || DEFAULT_LOCAL_DIR);
+    client = createLocalClient({ dir });
+    console.log(`[storage] using local ledger files in ${dir}`);
+  } else {
+    client = createSupabaseClient();
+  }
+
+  return client;
+}
@@ -0,0 +1,446 @@
+// apps/api/src/db/storage/localClient.js
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+
+/**
+ * File-backed ledger storage for local development.
+ *
+ * Speaks the slice of the supabase-js query builder the API actually uses, so
+ * db/*, routes and jobs run unchanged against it:
+ *
+ *   from(t).select(cols?, { count? }) .insert() .upsert(rows, { onConflict, ignoreDuplicates })
+ *          .update(patch) .delete()
+ *   filters: eq neq gt gte lt lte in is like ilike not(col, op, v) or("a.is.null,b.eq.x") match() filter()
+ *   modifiers: order(col, { ascending, nullsFirst }) limit() range() single() maybeSingle()
+ *
+ * One JSON file per table under the data dir. Writes are whole-file and atomic
+ * (tmp + rename); a table is re-read when its file changes on disk, so the API
+ * and a CLI job can share a directory. Not meant for production volumes.
+ */
+
+// tables whose key is not a generated bigint `id`
+const TABLE_KEYS = {
+  app_users: { pk: ["id"], id: "uuid" },
+  user_bankrolls: { pk: ["user_key"], id: null },
+};
+
+function tableKeys(table) {
+  return TABLE_KEYS[table] || { pk: ["id"], id: "serial" };
+}
+
+function clone(v) {
+  return v == null ? v : structuredClone(v);
+}
+
+function isNum(v) {
+  if (typeof v === "number") return Number.isFinite(v);
+  if (typeof v !== "string" || v.trim() === "") return false;
+  return Number.isFinite(Number(v));
+}
+
+function compare(a, b) {
+  if (isNum(a) && isNum(b)) return Number(a) - Number(b);
+  const sa = String(a);
+  const sb = String(b);
+  return sa < sb ? -1 : sa > sb ? 1 : 0;
+}
+
+function same(a, b) {
+  if (a == null || b == null) return false;
+  if (typeof a === "object" || typeof b === "object") return JSON.stringify(a) === JSON.stringify(b);
+  return String(a) === String(b);
+}
+
+function likeRegex(pattern, flags = "") {
+  const src = String(pattern)
+    .split("%")
+    .map((s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/_/g, "."))
+    .join(".*");
+  return new RegExp(`^${src}$`, flags);
+}
+
+function parseLiteral(v) {
+  if (v === "null") return null;
+  if (v === "true") return true;
+  if (v === "false") return false;
+  return v;
+}
+
+function testOp(value, op, arg) {
+  switch (op) {
+    case "eq":
+      return same(value, arg);
+    case "neq":
+      return value != null && !same(value, arg);
+    case "gt":
+      return value != null && compare(value, arg) > 0;
+    case "gte":
+      return value != null && compare(value, arg) >= 0;
+    case "lt":
+      return value != null && compare(value, arg) < 0;
+    case "lte":
+      return value != null && compare(value, arg) <= 0;
+    case "in":
+      return value != null && (Array.isArray(arg) ? arg : []).some((x) => same(value, x));
+    case "is":
+      return arg === null ? value == null : value === arg;
+    case "like":
+      return value != null && likeRegex(arg).test(String(value));
+    case "ilike":
+      return value != null && likeRegex(arg, "i").test(String(value));
+    default:
+      throw new Error(`local storage: unsupported filter operator "${op}"`);
+  }
+}
+
+// PostgREST text form: "in.(a,b)" / "is.null" / "eq.x"
+function parseOpValue(op, raw) {
+  if (op === "in") {
+    const inner = String(raw).replace(/^\(/, "").replace(/\)$/, "");
+    return inner ? inner.split(",").map((s) => parseLiteral(s.trim().replace(/^"|"$/g, ""))) : [];
+  }
+  return parseLiteral(raw);
+}
+
+function splitTopLevel(expr) {
+  const parts = [];
+  let depth = 0;
+  let cur = "";
+  for (const ch of String(expr)) {
+    if (ch === "(") depth += 1;
+    if (ch === ")") depth -= 1;
+    if (ch === "," && depth === 0) {
+      parts.push(cur);
+      cur = "";
+    } else cur += ch;
+  }
+  if (cur) parts.push(cur);
+  return parts.map((s) => s.trim()).filter(Boolean);
+}
+
+function parseCondition(text) {
+  const m = String(text).match(/^([^.]+)\.(not\.)?([a-z]+)\.(.*)$/);
+  if (!m) throw new Error(`local storage: cannot parse filter "${text}"`);
+  const [, col, negate, op, raw] = m;
+  const arg = parseOpValue(op, raw);
+  return (row) => {
+    const hit = testOp(row[col], op, arg);
+    return negate ? !hit : hit;
+  };
+}
+
+function projector(columns) {
+  const cols = String(columns || "*")
+    .split(",")
+    .map((c) => c.trim())
+    .filter((c) => c && !c.includes("("));
+  if (!cols.length || cols.includes("*")) return (row) => clone(row);
+
+  const pairs = cols.map((c) => {
+    const [alias, name] = c.includes(":") ? c.split(":").map((s) => s.trim()) : [c, c];
+    return [alias, name];
+  });
+  return (row) => Object.fromEntries(pairs.map(([alias, name]) => [alias, clone(row[name] ?? null)]));
+}
+
+class LocalTable {
+  constructor(dir, name) {
+    this.file = path.join(dir, `${name}.json`);
+    this.name = name;
+    this.mtimeMs = -1;
+    this.state = { seq: 0, rows: [] };
+  }
+
+  load() {
+    let stat = null;
+    try {
+      stat = fs.statSync(this.file);
+    } catch {
+      this.mtimeMs = -1;
+      this.state = { seq: 0, rows: [] };
+      return this.state;
+    }
+    if (stat.mtimeMs !== this.mtimeMs) {
+      const parsed = JSON.parse(fs.readFileSync(this.file, "utf8") || "{}");
+      this.state = { seq: Number(parsed.seq) || 0, rows: Array.isArray(parsed.rows) ? parsed.rows : [] };
+      this.mtimeMs = stat.mtimeMs;
+    }
+    return this.state;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.state));
+    fs.renameSync(tmp, this.file);
+    this.mtimeMs = fs.statSync(this.file).mtimeMs;
+  }
+
+  withDefaults(row) {
+    const keys = tableKeys(this.name);
+    const out = { ...row };
+    if (keys.id === "serial" && out.id == null) out.id = ++this.state.seq;
+    if (keys.id === "serial" && isNum(out.id)) this.state.seq = Math.max(this.state.seq, Number(out.id));
+    if (keys.id === "uuid" && out.id == null) out.id = crypto.randomUUID();
+    if (out.created_at == null) out.created_at = new Date().toISOString();
+    return out;
+  }
+}
+
+class LocalQuery {
+  constructor(client, table) {
+    this.client = client;
+    this.table = table;
+    this.op = "select";
+    this.columns = "*";
+    this.returning = false;
+    this.payload = null;
+    this.options = {};
+    this.filters = [];
+    this.orders = [];
+    this.window = null;
+    this.singleMode = null;
+    this.countMode = null;
+    this.head = false;
+  }
+
+  select(columns = "*", { count = null, head = false } = {}) {
+    this.columns = columns;
+    if (this.op === "select") {
+      this.countMode = count;
+      this.head = head;
+    } else {
+      this.returning = true;
+    }
+    return this;
+  }
+
+  insert(rows, options = {}) {
+    this.op = "insert";
+    this.payload = rows;
+    this.options = options;
+    return this;
+  }
+
+  upsert(rows, options = {}) {
+    this.op = "upsert";
+    this.payload = rows;
+    this.options = options;
+    return this;
+  }
+
+  update(patch, { count = null } = {}) {
+    this.op = "update";
+    this.payload = patch;
+    this.countMode = count;
+    return this;
+  }
+
+  delete({ count = null } = {}) {
+    this.op = "delete";
+    this.countMode = count;
+    return this;
+  }
+
+  where(fn) {
+    this.filters.push(fn);
+    return this;
+  }
+
+  eq(col, v) {
+    return this.where((r) => testOp(r[col], "eq", v));
+  }
+  neq(col, v) {
+    return this.where((r) => testOp(r[col], "neq", v));
+  }
+  gt(col, v) {
+    return this.where((r) => testOp(r[col], "gt", v));
+  }
+  gte(col, v) {
+    return this.where((r) => testOp(r[col], "gte", v));
+  }
+  lt(col, v) {
+    return this.where((r) => testOp(r[col], "lt", v));
+  }
+  lte(col, v) {
+    return this.where((r) => testOp(r[col], "lte", v));
+  }
+  in(col, values) {
+    return this.where((r) => testOp(r[col], "in", values));
+  }
+  is(col, v) {
+    return this.where((r) => testOp(r[col], "is", v));
+  }
+  like(col, v) {
+    return this.where((r) => testOp(r[col], "like", v));
+  }
+  ilike(col, v) {
+    return this.where((r) => testOp(r[col], "ilike", v));
+  }
+  match(obj) {
+    for (const [col, v] of Object.entries(obj || {})) this.eq(col, v);
+    return this;
+  }
+  filter(col, op, v) {
+    const arg = typeof v === "string" ? parseOpValue(op, v) : v;
+    return this.where((r) => testOp(r[col], op, arg));
+  }
+  not(col, op, v) {
+    const arg = typeof v === "string" ? parseOpValue(op, v) : v;
+    return this.where((r) => !testOp(r[col], op, arg));
+  }
+  or(expr) {
+    const conds = splitTopLevel(expr).map(parseCondition);
+    return this.where((r) => conds.some((c) => c(r)));
+  }
+
+  order(col, { ascending = true, nullsFirst } = {}) {
+    this.orders.push({ col, ascending, nullsFirst: nullsFirst ?? !ascending });
+    return this;
+  }
+
+  limit(n) {
+    this.window = { from: this.window?.from ?? 0, count: Number(n) };
+    return this;
+  }
+
+  range(from, to) {
+    this.window = { from: Number(from), count: Number(to) - Number(from) + 1 };
+    return this;
+  }
+
+  single() {
+    this.singleMode = "single";
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = "maybe";
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(resolve, reject);
+  }
+
+  matches(row) {
+    return this.filters.every((f) => f(row));
+  }
+
+  sorted(rows) {
+    if (!this.orders.length) return rows;
+    return [...rows].sort((a, b) => {
+      for (const { col, ascending, nullsFirst } of this.orders) {
+        const av = a[col];
+        const bv = b[col];
+        if (av == null && bv == null) continue;
+        if (av == null) return nullsFirst ? -1 : 1;
+        if (bv == null) return nullsFirst ? 1 : -1;
+        const c = compare(av, bv);
+        if (c !== 0) return ascending ? c : -c;
+      }
+      return 0;
+    });
+  }
+
+  mutate(t, state) {
+    const now = [];
+
+    if (this.op === "insert" || this.op === "upsert") {
+      const incoming = Array.isArray(this.payload) ? this.payload : [this.payload];
+      const keys =
+        this.op === "upsert" && this.options.onConflict
+          ? String(this.options.onConflict).split(",").map((s) => s.trim())
+          : tableKeys(this.table).pk;
+
+      for (const raw of incoming.filter(Boolean)) {
+        const existing = keys.every((k) => raw[k] != null)
+          ? state.rows.find((r) => keys.every((k) => same(r[k], raw[k])))
+          : null;
+
+        if (existing && this.op === "insert") {
+          t.mtimeMs = -1; // drop the half-applied batch; next load re-reads the file
+          return { error: { code: "23505", message: `duplicate key value violates unique constraint on ${this.table} (${keys.join(",")})` } };
+        }
+        if (existing) {
+          if (this.options.ignoreDuplicates) continue;
+          Object.assign(existing, clone(raw));
+          now.push(existing);
+        } else {
+          const row = t.withDefaults(clone(raw));
+          state.rows.push(row);
+          now.push(row);
+        }
+      }
+    } else if (this.op === "update") {
+      for (const row of state.rows) {
+        if (!this.matches(row)) continue;
+        Object.assign(row, clone(this.payload));
+        now.push(row);
+      }
+    } else if (this.op === "delete") {
+      const keep = [];
+      for (const row of state.rows) (this.matches(row) ? now : keep).push(row);
+      state.rows = keep;
+    }
+
+    t.save();
+    return { rows: now };
+  }
+
+  execute() {
+    const t = this.client.table(this.table);
+    const state = t.load();
+
+    let rows;
+    if (this.op === "select") {
+      rows = this.sorted(state.rows.filter((r) => this.matches(r)));
+    } else {
+      const out = this.mutate(t, state);
+      if (out.error) return { data: null, error: out.error, count: null, status: 409 };
+      if (!this.returning) return { data: null, error: null, count: this.countMode ? out.rows.length : null, status: 204 };
+      rows = out.rows;
+    }
+
+    const count = this.countMode ? rows.length : null;
+    if (this.window) rows = rows.slice(this.window.from, this.window.from + this.window.count);
+
+    const project = projector(this.columns);
+    let data = this.head ? null : rows.map(project);
+
+    if (this.singleMode && !this.head) {
+      if (data.length > 1 || (data.length === 0 && this.singleMode === "single")) {
+        return {
+          data: null,
+          error: { code: "PGRST116", message: "JSON object requested, multiple (or no) rows returned" },
+          count,
+          status: 406,
+        };
+      }
+      data = data[0] ?? null;
+    }
+
+    return { data, error: null, count, status: 200 };
+  }
+}
+
+export function createLocalClient({ dir }) {
+  const tables = new Map();
+
+  const client = {
+    backend: "local",
+    dir,
+    table(name) {
+      if (!tables.has(name)) tables.set(name, new LocalTable(dir, name));
+      return tables.get(name);
+    },
+    from(name) {
+      return new LocalQuery(client, name);
+    },
+  };
+
+  return client;
+}
@@ -0,0 +1,78 @@
+// apps/api/src/db/usersStore.js
+import { supabaseAdmin } from "../lib/supabaseAdmin.js";
+
+const USERS = "app_users";
+const MAGIC_LINKS = "auth_magic_links";
+
+export async function getUserById(id) {
+  const { data, error } = await supabaseAdmin.from(USERS).select("*").eq("id", id).maybeSingle();
+  if (error) throw new Error(`app_users fetch failed: ${error.message}`);
+  return data || null;
+}
+
+export async function getUserByEmail(email) {
+  const { data, error } = await supabaseAdmin.from(USERS).select("*").eq("email", email).maybeSingle();
+  if (error) throw new Error(`app_users fetch failed: ${error.message}`);
+  return data || null;
+}
+
+// new accounts start on "free"; a paid plan is granted by updating app_users.plan
+export async function createUser({ email, passwordHash = null, plan = "free", status = "active" }) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabaseAdmin
+    .from(USERS)
+    .insert({ email, password_hash: passwordHash, plan, status, created_at: now, updated_at: now })
+    .select("*")
+    .single();
+
+  if (error) throw new Error(`app_users insert failed: ${error.message}`);
+  return data;
+}
+
+export async function touchLogin(id) {
+  const { error } = await supabaseAdmin
+    .from(USERS)
+    .update({ last_login_at: new Date().toISOString() })
+    .eq("id", id);
+
+  if (error) throw new Error(`app_users update failed: ${error.message}`);
+}
+
+// opening a mailed magic link proves the address; email alerts (lib/alerts.js) require it
+export async function markEmailVerified(id) {
+  const { error } = await supabaseAdmin
+    .from(USERS)
+    .update({ email_verified_at: new Date().toISOString() })
+    .eq("id", id)
+    .is("email_verified_at", null);
+
+  if (error) throw new Error(`app_users update failed: ${error.message}`);
+}
+
+export async function insertMagicLink({ email, tokenHash, expiresAt }) {
+  const { error } = await supabaseAdmin
+    .from(MAGIC_LINKS)
+    .insert({ email, token_hash: tokenHash, expires_at: expiresAt });
+
+  if (error) throw new Error(`auth_magic_links insert failed: ${error.message}`);
+}
+
+/**
+ * Mark a magic link used and return its email — only if it exists, is unused and
+ * unexpired. The `used_at is null` filter on the update makes it single-use even
+ * when two requests race.
+ */
+export async function consumeMagicLink(tokenHash) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabaseAdmin
+    .from(MAGIC_LINKS)
+    .update({ used_at: now })
+    .eq("token_hash", tokenHash)
+    .is("used_at", null)
+    .gt("expires_at", now)
+    .select("email")
+    .maybeSingle();
+
+  if (error) throw new Error(`auth_magic_links update failed: ${error.message}`);
+  return data?.email ?? null;
+}
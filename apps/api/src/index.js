@@ -12,9 +12,20 @@ import upsetsRouter from "./routes/upsets.js";
 import scoreRouter from "./routes/score.js";
 import upsetsOddsRouter from "./routes/upsetsOdds.js";
 import { startDailyScoreJob } from "./cron/dailyScore.js";
-import { runCaptureMarketSnapshots } from "./jobs/captureMarketSnapshots.js";
+import { startSnapshotScheduler } from "./cron/snapshotScheduler.js";
 import evRouter from "./routes/ev.js";
 import betsRouter from "./routes/bets.js";
+import bankrollRouter from "./routes/bankroll.js";
+import calibrationRouter from "./routes/calibration.js";
+import marketsRouter from "./routes/markets.js";
+import authRouter from "./routes/auth.js";
+import nhlGoaliesRouter from "./routes/nhlGoalies.js";
+import manualOddsRouter from "./routes/manualOdds.js";
+import liveRouter from "./routes/live.js";
+import alertsRouter from "./routes/alerts.js";
+import { runRepriceNhlGoalies } from "./jobs/repriceNhlGoalies.js";
+import { resolveUser } from "./lib/auth.js";
+import { runMigrations } from "./db/migrate.js";
 
 /**
  * Optional: Premium NBA router (safe import)
@@ -40,6 +51,9 @@ app.disable("x-powered-by");
 app.use(cors());
 app.use(express.json({ limit: "1mb" }));
 
+// req.user from the bearer session token (null when anonymous)
+app.use(resolveUser);
+
 app.use("/api/parlays", parlaysRouter);
 
 app.use("/api/parlaysOdds", parlaysOddsRouter);
@@ -76,8 +90,30 @@ app.use("/api/score", scoreRouter);
 // EV calculator
 app.use("/api/ev", evRouter);
 
-// My Bets ledger
+// Probability calibration curves (reliability / ECE / Brier)
+app.use("/api", calibrationRouter);
+
+// Line-movement history from market_snapshots
+app.use("/api/markets", marketsRouter);
+
+// Subscriber auth (sessions, password + magic-link login)
+app.use("/api", authRouter);
+
+// My Bets ledger (signed-in user only)
 app.use("/api", betsRouter);
+app.use("/api", bankrollRouter);
+
+// NHL starting goalies (manual confirmed/projected starters + re-pricing)
+app.use("/api/nhl/goalies", nhlGoaliesRouter);
+
+// Hand-entered odds for books the feeds don't carry (merged into slate odds)
+app.use("/api/odds", manualOddsRouter);
+
+// In-game win / cover / over probability (ESPN score + clock)
+app.use("/api/live", liveRouter);
+
+// Alert rules + in-app inbox (signed-in user only)
+app.use("/api", alertsRouter);
 
 // Optional NBA premium router
 if (nbaPremiumRouter) {
@@ -205,6 +241,19 @@ app.use((err, _req, res, next) => {
    Server Start
 ============================= */
 
+// Opt-in: bring the ledger schema up to date before serving (see db/migrate.js)
+if (process.env.MIGRATE_ON_START === "1") {
+  try {
+    const out = await runMigrations({ direction: "up" });
+    console.log(
+      out.skipped ? `[migrate] skipped (${out.skipped})` : `[migrate] applied ${out.ran.length} migration(s)`
+    );
+  } catch (err) {
+    console.error("[migrate] startup migrations failed:", err?.message || err);
+    process.exit(1);
+  }
+}
+
 app.listen(PORT, () => {
   console.log(`API listening on http://localhost:${PORT}`);
 
@@ -212,15 +261,18 @@ app.listen(PORT, () => {
     console.log("[CRON] Daily scoring job enabled");
     startDailyScoreJob();
 
-    // Market snapshot cron (runs every 10 minutes)
+    // Market snapshots keyed to each game's start (T-60 / T-15 / T-5 and a frozen close)
+    startSnapshotScheduler();
+
     import("node-cron").then(cron => {
-      cron.default.schedule("*/10 * * * *", async () => {
+      // NHL goalie re-pricing (starters get confirmed through the afternoon)
+      cron.default.schedule("*/15 * * * *", async () => {
         try {
-          console.log("[CRON] Running market snapshot capture...");
           const today = new Date().toISOString().slice(0,10);
-          await runCaptureMarketSnapshots(today);
+          const r = await runRepriceNhlGoalies({ date: today, log: null });
+          if (r.repriced) console.log(`[CRON] NHL goalie re-price: ${r.repriced} pick(s)`);
         } catch (e) {
-          console.error("[CRON] Snapshot error:", e.message);
+          console.error("[CRON] NHL goalie re-price error:", e.message);
         }
       });
     });
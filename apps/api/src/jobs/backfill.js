@@ -0,0 +1,307 @@
+// apps/api/src/jobs/backfill.js
+import "dotenv/config";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { supabase, writeSlatePicksToLedger, writeStrategyPicksToLedger } from "../db/dailyLedger.js";
+import { finalizePickCloses } from "./finalizePickCloses.js";
+import {
+  gradeLedgerForLeague,
+  gradeStrategyPicksForLeague,
+  rollupPerformanceForLeague,
+} from "../services/scoring/scoringIndex.js";
+import { resolveStrategy } from "../lib/premiumSelection.js";
+import { getLiveStrategy } from "../lib/strategyRegistry.js";
+
+/**
+ * One backfill command for the ledger, replacing the old per-task scripts
+ * (backfillHistorical, seedHistoricalRange/Picks, backfillPerformanceSeason,
+ * backfillScore90/180AllMarkets, backfillCanary, rebuildHistoricalData).
+ *
+ *   predictions   build the slate and write picks_daily + strategy_picks (same path as the cron)
+ *   closes        finalize publish/close lines into pick_closes → picks_daily CLV
+ *   grading       grade picks_daily and strategy_picks rows against ESPN finals
+ *   performance   rebuild performance_daily rollups from graded picks
+ *   all           the four above, in that order, per league/date
+ *
+ * Work is split into (step, league, date) units. Each finished unit is written
+ * to a checkpoint file, so re-running the same command after an interruption
+ * skips what's done and retries what failed. --fresh=1 starts over.
+ *
+ * CLI:
+ *   node src/jobs/backfill.js all --from=2025-10-21 --to=2026-03-18 --leagues=nba,nhl
+ *   node src/jobs/backfill.js grading --days=180 --concurrency=3
+ *   node src/jobs/backfill.js performance --days=30 --dry=1
+ *
+ * Options: --from/--start --to/--end (default yesterday) --days=N (default 7)
+ *          --leagues=nba,nhl,ncaam --concurrency=1 --pause-ms=0 --fresh=1 --dry=1
+ *          --checkpoint=path/to/file.json
+ *          --clean=1   predictions: delete the slate's picks_daily rows first, so a market
+ *                      that is now gated (e.g. NHL spread) doesn't leave stale picks behind
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CHECKPOINT_DIR = path.resolve(__dirname, "../../data/backfill");
+
+const STEPS = ["predictions", "closes", "grading", "performance"];
+const DEFAULT_LEAGUES = ["nba", "nhl", "ncaam"];
+const MAX_CONCURRENCY = 8;
+
+function getArg(name, fallback = null) {
+  const argv = process.argv.slice(2).map((x) => String(x));
+  for (const arg of argv) {
+    if (arg.startsWith(`--${name}=`)) return arg.slice(`--${name}=`.length);
+    if (arg.startsWith(`${name}=`)) return arg.slice(`${name}=`.length);
+  }
+  return fallback;
+}
+
+function truthy(v) {
+  return ["1", "true", "yes"].includes(String(v ?? "").toLowerCase());
+}
+
+function normalizeDateParam(date) {
+  const d = String(date || "").trim();
+  return /^\d{4}-\d{2}-\d{2}$/.test(d) ? d : null;
+}
+
+function addDaysUTC(ymd, delta) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  dt.setUTCDate(dt.getUTCDate() + delta);
+  return dt.toISOString().slice(0, 10);
+}
+
+function dateRange(from, to) {
+  const out = [];
+  for (let d = from; d <= to; d = addDaysUTC(d, 1)) out.push(d);
+  return out;
+}
+
+function parseLeagues(v) {
+  const list = String(v || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  return list.length ? Array.from(new Set(list)) : DEFAULT_LEAGUES;
+}
+
+function sleep(ms) {
+  return ms > 0 ? new Promise((r) => setTimeout(r, ms)) : Promise.resolve();
+}
+
+/* ---------------- steps ---------------- */
+
+// Same MARKET_GATING scrub as the cron: gated markets must not reach the ledger
+function gateSlate(league, games) {
+  const leagueGating = resolveStrategy().MARKET_GATING?.[league] || {};
+  const PASS_MARKET = { marketType: null, marketOdds: null, marketLine: null, marketSide: null, pick: "PASS", tier: "PASS" };
+  return games.map((g) => {
+    const mt = String(g?.recommendedBet?.marketType || "").toLowerCase();
+    if (!g?.recommendedBet || leagueGating[mt] !== false) return g;
+    return { ...g, recommendedBet: null, market: { ...(g.market || {}), ...PASS_MARKET } };
+  });
+}
+
+async function runPredictionsStep(league, date, { clean = false } = {}) {
+  // predict registers the league models on import; loaded lazily so the other steps don't pay for it
+  const { buildLeaguePredictions } = await import("../routes/predict.js");
+  const { out: slate } = await buildLeaguePredictions(league, date, {});
+
+  const games = Array.isArray(slate?.games) ? slate.games : [];
+  const modelVersion = slate?.meta?.model || "premium-v18";
+
+  let cleared = 0;
+  if (clean) {
+    const { error, count } = await supabase
+      .from("picks_daily")
+      .delete({ count: "exact" })
+      .eq("date", date)
+      .eq("league", league);
+    if (error) throw new Error(`picks_daily clean failed: ${error.message}`);
+    cleared = count ?? 0;
+  }
+
+  const ledger = await writeSlatePicksToLedger({
+    date,
+    league,
+    modelVersion,
+    games: gateSlate(league, games),
+    strategyId: getLiveStrategy().id,
+  });
+  const strategies = await writeStrategyPicksToLedger({ date, league, games, modelVersion });
+
+  return { games: games.length, cleared, written: ledger?.written ?? 0, strategyRows: strategies?.written ?? 0 };
+}
+
+async function runClosesStep(league, date) {
+  const out = await finalizePickCloses({ date, leagues: [league] });
+  return out?.results?.[0] || {};
+}
+
+async function runGradingStep(league, date) {
+  const ledger = await gradeLedgerForLeague(date, league);
+  const strategies = await gradeStrategyPicksForLeague(date, league);
+  return { ...ledger, strategyResultsUpdated: strategies.strategyResultsUpdated };
+}
+
+async function runPerformanceStep(league, date) {
+  return rollupPerformanceForLeague(date, league);
+}
+
+const STEP_RUNNERS = {
+  predictions: runPredictionsStep,
+  closes: runClosesStep,
+  grading: runGradingStep,
+  performance: runPerformanceStep,
+};
+
+/* ---------------- checkpoint ---------------- */
+
+function checkpointPath({ command, from, to, leagues }) {
+  return path.join(CHECKPOINT_DIR, `${command}_${from}_${to}_${leagues.join("-")}.json`);
+}
+
+function loadCheckpoint(file, fresh) {
+  if (fresh || !fs.existsSync(file)) return { done: {}, failed: {} };
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+    return { done: parsed?.done || {}, failed: parsed?.failed || {} };
+  } catch {
+    console.warn(`[backfill] unreadable checkpoint ${file}; starting over`);
+    return { done: {}, failed: {} };
+  }
+}
+
+function saveCheckpoint(file, state) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ ...state, updated_at: new Date().toISOString() }, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function unitKey(step, league, date) {
+  return `${step}|${league}|${date}`;
+}
+
+/* ---------------- runner ---------------- */
+
+async function runPool(items, limit, worker) {
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(lanes);
+}
+
+export async function runBackfill({
+  command,
+  from,
+  to,
+  leagues = DEFAULT_LEAGUES,
+  concurrency = 1,
+  pauseMs = 0,
+  fresh = false,
+  clean = false,
+  dry = false,
+  checkpoint = null,
+  log = console.log,
+} = {}) {
+  const steps = command === "all" ? STEPS : STEPS.includes(command) ? [command] : null;
+  if (!steps) throw new Error(`Unknown backfill command "${command}" (use ${[...STEPS, "all"].join("|")})`);
+  if (!from || !to || from > to) throw new Error(`Invalid date range ${from}..${to}`);
+
+  const file = checkpoint ? path.resolve(checkpoint) : checkpointPath({ command, from, to, leagues });
+  const state = loadCheckpoint(file, fresh);
+  state.command = command;
+  state.from = from;
+  state.to = to;
+  state.leagues = leagues;
+
+  // a unit = one league/date; its steps run in order and stop at the first failure
+  const units = [];
+  for (const date of dateRange(from, to)) {
+    for (const league of leagues) {
+      const pending = steps.filter((s) => !state.done[unitKey(s, league, date)]);
+      if (pending.length) units.push({ league, date, steps: pending });
+    }
+  }
+
+  const total = dateRange(from, to).length * leagues.length * steps.length;
+  const todo = units.reduce((n, u) => n + u.steps.length, 0);
+  log?.(`[backfill] ${command} ${from}..${to} leagues=${leagues.join(",")} units=${total} remaining=${todo} checkpoint=${file}`);
+
+  if (dry) {
+    return { ok: true, dry: true, command, from, to, leagues, checkpoint: file, total, remaining: todo, units };
+  }
+
+  const counts = { ran: 0, failed: 0 };
+
+  await runPool(units, Math.max(1, Math.min(MAX_CONCURRENCY, concurrency)), async ({ league, date, steps: pending }) => {
+    for (const step of pending) {
+      const key = unitKey(step, league, date);
+      try {
+        const summary = await STEP_RUNNERS[step](league, date, { clean });
+        state.done[key] = { at: new Date().toISOString(), ...summary };
+        delete state.failed[key];
+        counts.ran += 1;
+        log?.(`[backfill] ok   ${key}`);
+      } catch (err) {
+        state.failed[key] = { at: new Date().toISOString(), error: String(err?.message || err) };
+        counts.failed += 1;
+        log?.(`[backfill] FAIL ${key}: ${state.failed[key].error}`);
+        saveCheckpoint(file, state);
+        break;
+      }
+      saveCheckpoint(file, state);
+      await sleep(pauseMs);
+    }
+  });
+
+  return {
+    ok: counts.failed === 0,
+    command,
+    from,
+    to,
+    leagues,
+    checkpoint: file,
+    total,
+    ran: counts.ran,
+    failed: counts.failed,
+    done: Object.keys(state.done).length,
+    failures: state.failed,
+  };
+}
+
+// CLI entry point
+if (process.argv[1]?.includes("backfill")) {
+  const command = process.argv.slice(2).find((a) => !a.startsWith("-") && !a.includes("=")) || "";
+  const days = Math.max(1, Number(getArg("days", 7)) || 7);
+  const to = normalizeDateParam(getArg("to") ?? getArg("end")) || addDaysUTC(new Date().toISOString().slice(0, 10), -1);
+  const from = normalizeDateParam(getArg("from") ?? getArg("start")) || addDaysUTC(to, -(days - 1));
+
+  runBackfill({
+    command,
+    from,
+    to,
+    leagues: parseLeagues(getArg("leagues")),
+    concurrency: Number(getArg("concurrency", 1)) || 1,
+    pauseMs: Math.max(0, Number(getArg("pause-ms", 0)) || 0),
+    fresh: truthy(getArg("fresh")),
+    clean: truthy(getArg("clean")),
+    dry: truthy(getArg("dry")),
+    checkpoint: getArg("checkpoint"),
+  })
+    .then((r) => {
+      const { units: _units, ...printable } = r;
+      console.log(JSON.stringify(printable, null, 2));
+      process.exit(r.ok ? 0 : 1);
+    })
+    .catch((err) => {
+      console.error(JSON.stringify({ ok: false, error: String(err?.message || err) }, null, 2));
+      process.exit(1);
+    });
+}
@@ -0,0 +1,292 @@
+// apps/api/src/jobs/backtest.js
+import "dotenv/config";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { buildLeaguePredictions, getAsOfVegasForGames } from "../routes/predict.js";
+import { getStrategyVersion } from "../lib/strategyRegistry.js";
+import {
+  betsToCsv,
+  clvForBet,
+  gradeBet,
+  profitUnits,
+  quoteForSide,
+  summarizeBacktest,
+  summarizeScheduleFeatures,
+} from "../lib/backtest.js";
+
+/**
+ * Walk-forward backtest.
+ *
+ * For every date in the range, oldest first:
+ *  1. rebuild the slate with the league builder — team stats come from the
+ *     history window ending the day before, so nothing from the slate date leaks in
+ *  2. price each game from the Odds API snapshot `--odds-minutes` before its
+ *     own tip (never the fixed 18:00Z snapshot, which can post-date noon tips)
+ *  3. select with the chosen premiumStrategy config
+ *  4. grade the recommended bet against the final, CLV against the snapshot at
+ *     `--close-minutes` (0 = closing line)
+ *  5. score every final's home-win probability (log loss / Brier) with and
+ *     without the NBA/NHL schedule features → `summary.scheduleFeatures`
+ *
+ * Things the live path uses but a backtest can't see as-of are switched off:
+ * the current NBA injury report, and fitted calibration curves (unless pinned
+ * with --calibration=<version>, which is only honest if fitted before --from).
+ *
+ * CLI:
+ *   node src/jobs/backtest.js --from=2026-01-01 --to=2026-01-31 \
+ *     [--leagues=nba,nhl,ncaam] [--model=v2] [--strategy=<version id|config path>] \
+ *     [--odds-minutes=60] [--close-minutes=0] [--clv=1] [--calibration=none] \
+ *     [--units=100] [--out=backtest.json] [--csv=backtest.csv]
+ *
+ * Works offline against a recorded fixture set (PROVIDER_MODE=replay).
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SRC_DIR = path.resolve(__dirname, "..");
+
+function getArg(name, fallback = null) {
+  const argv = process.argv.slice(2).map((x) => String(x));
+  for (const arg of argv) {
+    if (arg.startsWith(`--${name}=`)) return arg.slice(`--${name}=`.length);
+    if (arg.startsWith(`${name}=`)) return arg.slice(`${name}=`.length);
+  }
+  return fallback;
+}
+
+function normalizeDateParam(date) {
+  const d = String(date || "").trim();
+  return /^\d{4}-\d{2}-\d{2}$/.test(d) ? d : null;
+}
+
+function addDaysUTC(ymd, delta) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  dt.setUTCDate(dt.getUTCDate() + delta);
+  return dt.toISOString().slice(0, 10);
+}
+
+function truthy(v) {
+  return ["1", "true", "yes"].includes(String(v ?? "").toLowerCase());
+}
+
+/**
+ * Load a premiumStrategy-shaped config: a registered version id (lib/strategyRegistry.js)
+ * or a module path — relative paths resolve from cwd, then src/.
+ */
+export async function loadStrategy(spec = "config/premiumStrategy.js") {
+  const registered = getStrategyVersion(spec);
+  if (registered) {
+    return { id: registered.id, file: path.resolve(SRC_DIR, registered.file), config: { ...registered.config } };
+  }
+
+  const candidates = [path.resolve(process.cwd(), spec), path.resolve(SRC_DIR, spec)];
+  const file = candidates.find((f) => fs.existsSync(f));
+  if (!file) throw new Error(`Strategy config not found: ${spec}`);
+
+  const mod = await import(pathToFileURL(file).href);
+  return { id: path.basename(file).replace(/\.(m?js)$/, ""), file, config: { ...mod } };
+}
+
+function applyCalibrationMode(mode) {
+  const m = String(mode || "none").trim();
+  if (m === "none") {
+    process.env.CALIBRATION_DISABLED = "true";
+    return "none";
+  }
+  delete process.env.CALIBRATION_DISABLED;
+  process.env.CALIBRATION_VERSION = m;
+  return m;
+}
+
+function toMillis(x) {
+  const t = new Date(x || "").getTime();
+  return Number.isFinite(t) ? t : null;
+}
+
+async function backtestSlate(league, date, { model, sim, clv, closeMinutes }) {
+  const { out } = await buildLeaguePredictions(league, date, { model, sim });
+  const games = Array.isArray(out?.games) ? out.games : [];
+
+  const skipped = {};
+  const skip = (reason) => {
+    skipped[reason] = (skipped[reason] || 0) + 1;
+  };
+
+  const probs = [];
+  for (const g of games) {
+    const hs = g.score?.home ?? null;
+    const as = g.score?.away ?? null;
+    const sched = g.model?.schedule;
+    if (String(g.status || "") !== "Final" || !sched || hs == null || as == null || hs === as) continue;
+    probs.push({ league, y: hs > as ? 1 : 0, pHome: g.model.pHomeModel, pHomeNoSchedule: sched.pHomeNoSchedule });
+  }
+
+  const picks = [];
+  for (const g of games) {
+    const rb = g?.recommendedBet;
+    if (!rb) continue;
+    if (rb.modelOnly || rb.odds == null) {
+      skip("no_odds");
+      continue;
+    }
+
+    // belt and braces: the as-of snapshot must predate tip
+    const snapT = toMillis(g.oddsSnapshotAt);
+    const startT = toMillis(g.eventStart);
+    if (snapT == null) {
+      skip("no_snapshot");
+      continue;
+    }
+    if (startT != null && snapT >= startT) {
+      skip("snapshot_after_start");
+      continue;
+    }
+
+    picks.push(g);
+  }
+
+  const closeRows = clv && picks.length ? await getAsOfVegasForGames(league, date, picks, closeMinutes) : new Map();
+
+  const bets = [];
+  for (const g of picks) {
+    const rb = g.recommendedBet;
+    const homeScore = g.score?.home ?? g.home?.score ?? null;
+    const awayScore = g.score?.away ?? g.away?.score ?? null;
+
+    if (String(g.status || "") !== "Final") {
+      skip("not_final");
+      continue;
+    }
+
+    const bet = { marketType: rb.marketType, side: rb.side, line: rb.line ?? null, odds: rb.odds };
+    const result = gradeBet(bet, { homeScore, awayScore });
+    if (!result) {
+      skip("ungradeable");
+      continue;
+    }
+
+    const close = quoteForSide(closeRows.get(g.gameId), rb.marketType, rb.side);
+    const { clvImplied, clvLine } = clvForBet(bet, close);
+
+    bets.push({
+      date,
+      league,
+      gameId: g.gameId,
+      matchup: `${g.away?.abbr || g.away?.name || "AWAY"} @ ${g.home?.abbr || g.home?.name || "HOME"}`,
+      eventStart: g.eventStart ?? null,
+      oddsSnapshotAt: g.oddsSnapshotAt ?? null,
+      marketType: rb.marketType,
+      side: rb.side,
+      line: rb.line ?? null,
+      odds: rb.odds,
+      tier: rb.tier ?? null,
+      modelProb: rb.modelProb ?? null,
+      edge: rb.edge ?? null,
+      evForStake100: rb.evForStake100 ?? null,
+      closeLine: close?.line ?? null,
+      closeOdds: close?.odds ?? null,
+      clvImplied,
+      clvLine,
+      homeScore,
+      awayScore,
+      result,
+      profit: profitUnits(rb.odds, result),
+    });
+  }
+
+  return { games: games.length, bets, probs, skipped, odds: out?.meta?.odds ?? null };
+}
+
+export async function runBacktest({
+  from,
+  to,
+  leagues = ["nba", "nhl", "ncaam"],
+  model = null,
+  strategy = "config/premiumStrategy.js",
+  oddsMinutes = 60,
+  closeMinutes = 0,
+  clv = true,
+  calibration = "none",
+  startingUnits = 100,
+} = {}) {
+  if (!from || !to) throw new Error("--from and --to (YYYY-MM-DD) are required");
+  if (from > to) throw new Error("--from must be on or before --to");
+
+  const strat = await loadStrategy(strategy);
+  const calibrationMode = applyCalibrationMode(calibration);
+  const sim = { strategy: strat.config, strategyId: strat.id, oddsMinutesBefore: oddsMinutes };
+
+  const bets = [];
+  const probs = [];
+  const days = [];
+
+  for (let date = from; date <= to; date = addDaysUTC(date, 1)) {
+    for (const league of leagues) {
+      try {
+        const r = await backtestSlate(league, date, { model, sim, clv, closeMinutes });
+        bets.push(...r.bets);
+        probs.push(...r.probs);
+        days.push({ date, league, ok: true, games: r.games, bets: r.bets.length, skipped: r.skipped, odds: r.odds?.ok ?? null });
+      } catch (e) {
+        days.push({ date, league, ok: false, error: String(e?.message || e) });
+      }
+    }
+  }
+
+  return {
+    ok: true,
+    config: {
+      from,
+      to,
+      leagues,
+      model,
+      strategy: strat.id,
+      strategyFile: path.relative(process.cwd(), strat.file),
+      oddsMinutesBefore: oddsMinutes,
+      closeMinutesBefore: clv ? closeMinutes : null,
+      calibration: calibrationMode,
+      startingUnits,
+      generatedAt: new Date().toISOString(),
+    },
+    summary: { ...summarizeBacktest(bets, { startingUnits }), scheduleFeatures: summarizeScheduleFeatures(probs) },
+    days,
+    bets,
+  };
+}
+
+// CLI entry point
+if (process.argv[1]?.includes("jobs/backtest")) {
+  const outFile = getArg("out");
+  const csvFile = getArg("csv");
+
+  runBacktest({
+    from: normalizeDateParam(getArg("from")),
+    to: normalizeDateParam(getArg("to", getArg("from"))),
+    leagues: String(getArg("leagues", "nba,nhl,ncaam"))
+      .split(",")
+      .map((s) => s.trim().toLowerCase())
+      .filter(Boolean),
+    model: getArg("model"),
+    strategy: getArg("strategy", "config/premiumStrategy.js"),
+    oddsMinutes: Math.max(0, Number(getArg("odds-minutes", 60)) || 0),
+    closeMinutes: Math.max(0, Number(getArg("close-minutes", 0)) || 0),
+    clv: getArg("clv") == null ? true : truthy(getArg("clv")),
+    calibration: getArg("calibration", "none"),
+    startingUnits: Number(getArg("units", 100)) || 100,
+  })
+    .then((r) => {
+      if (outFile) fs.writeFileSync(outFile, JSON.stringify(r, null, 2));
+      if (csvFile) fs.writeFileSync(csvFile, betsToCsv(r.bets));
+
+      // stdout gets the headline numbers; the full run goes to --out / --csv
+      const { equity: _equity, ...summary } = r.summary;
+      const failed = r.days.filter((d) => !d.ok);
+      console.log(JSON.stringify({ ok: r.ok, config: r.config, summary, failedSlates: failed, outFile, csvFile }, null, 2));
+      process.exit(0);
+    })
+    .catch((err) => {
+      console.error(JSON.stringify({ ok: false, error: String(err?.message || err) }, null, 2));
+      process.exit(1);
+    });
+}
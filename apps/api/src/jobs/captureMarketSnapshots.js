@@ -1,7 +1,9 @@
 import "dotenv/config";
-import { buildNbaPredictions, buildNhlPredictions, buildNcaamPredictions } from "../routes/predict.js";
+import { buildLeaguePredictions } from "../routes/predict.js";
+import { getLeagueModel } from "../lib/leagueModels.js";
 import { upsertMarketSnapshotsBatch } from "../db/marketSnapshots.js";
 import { supabase } from "../db/dailyLedger.js";
+import { evaluateAlerts } from "../lib/alerts.js";
 
 function yyyymmddUTC(d) {
   return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()))
@@ -82,6 +84,20 @@ function toMillis(v) {
   return Number.isFinite(t) ? t : null;
 }
 
+// A run inside [start − SNAPSHOT_CLOSE_LEAD_MIN, start) writes the game's frozen closing
+// snapshot. The window ends at start: after it the odds feed quotes in-play prices. The lead
+// (default 3 minutes) gives the per-minute scheduler retries if an attempt fails or runs long.
+function closeLeadMs() {
+  const min = Number(process.env.SNAPSHOT_CLOSE_LEAD_MIN);
+  return (Number.isFinite(min) && min > 0 ? min : 3) * 60_000;
+}
+
+export function isCloseWindow(eventStart, now = Date.now()) {
+  const start = typeof eventStart === "number" ? eventStart : toMillis(eventStart);
+  if (start == null) return false;
+  return now >= start - closeLeadMs() && now < start;
+}
+
 function sameNumber(a, b) {
   const na = Number(a);
   const nb = Number(b);
@@ -192,23 +208,21 @@ function filterBooksForStoredPick(books, market, pick, publishLine, publishOdds,
 }
 
 async function buildPredictionsInternal(league, date) {
-  if (league === "nba") return await buildNbaPredictions(date, 14);
-  if (league === "nhl") return await buildNhlPredictions(date, 60);
-  if (league === "ncaam") {
-    return await buildNcaamPredictions(date, 45, {
-      tournamentMode: false,
-      modeLabel: "regular",
-    });
-  }
-  return { meta: { league, date, error: "unsupported league" }, games: [] };
+  if (!getLeagueModel(league)) return { meta: { league, date, error: "unsupported league" }, games: [] };
+  // the registered model's default window: the same slate /api/predictions publishes
+  const { out } = await buildLeaguePredictions(league, date, {});
+  return out;
 }
 
-export async function runCaptureMarketSnapshots(dateOverride = null) {
+/**
+ * checkpoint labels the rows (cron/snapshotScheduler.js passes "t-15", "close", ...).
+ * Whatever the label, games inside their close window are written as "close".
+ */
+export async function runCaptureMarketSnapshots(dateOverride = null, { leagues: leaguesOverride = null, checkpoint = null } = {}) {
   const date = normalizeDateParam(dateOverride) || normalizeDateParam(getArg("date")) || yyyymmddUTC(new Date());
-  console.log(JSON.stringify({ job: "captureMarketSnapshots", requestedDate: date }, null, 2));
-  const leagues = String(getArg("leagues", "nba,ncaam,nhl"))
-    .split(",")
-    .map((s) => s.trim().toLowerCase())
+  console.log(JSON.stringify({ job: "captureMarketSnapshots", requestedDate: date, checkpoint }, null, 2));
+  const leagues = (Array.isArray(leaguesOverride) ? leaguesOverride : String(getArg("leagues", "nba,ncaam,nhl")).split(","))
+    .map((s) => String(s).trim().toLowerCase())
     .filter(Boolean);
 
   const captured_at = new Date().toISOString();
@@ -249,6 +263,8 @@ export async function runCaptureMarketSnapshots(dateOverride = null) {
       const oddsComparison = marketNode.oddsComparison;
       const books = Array.isArray(oddsComparison?.books) ? oddsComparison.books : [];
       const eventStart = getEventStart(g);
+      // only games actually at tip-off get a close, whatever the run was called
+      const rowCheckpoint = isCloseWindow(eventStart) ? "close" : checkpoint === "close" ? null : checkpoint;
 
       const matchedBooks = filterBooksForStoredPick(
         books,
@@ -299,8 +315,10 @@ export async function runCaptureMarketSnapshots(dateOverride = null) {
           book,
           event_start: eventStart,
           captured_at: realCapturedAt,
+          checkpoint: rowCheckpoint,
           meta: {
             source: "captureMarketSnapshots",
+            checkpoint: rowCheckpoint,
             bookKey,
             preferredBook: oddsComparison?.preferredBook ?? null,
             bestBook: oddsComparison?.bestBook ?? null,
@@ -315,11 +333,22 @@ export async function runCaptureMarketSnapshots(dateOverride = null) {
 
     const written = await upsertMarketSnapshotsBatch(rows, { chunkSize: 500 });
 
+    // fresh lines are what line-move / price-target rules wait for; alerts never fail the capture
+    let alerts = null;
+    try {
+      const a = await evaluateAlerts({ date, league, games, source: "snapshots" });
+      alerts = { rules: a.rules, fired: a.fired, delivered: a.delivered, failed: a.failed };
+    } catch (e) {
+      alerts = { error: String(e?.message || e) };
+    }
+
     summary.push({
       league,
       date,
       games: games.length,
       snapshotsWritten: written.written,
+      closes: rows.filter((r) => r.checkpoint === "close").length,
+      alerts,
     });
   }
 
@@ -101,7 +101,8 @@ import { supabase } from "../db/dailyLedger.js";
           odds,
           book,
           event_start,
-          captured_at
+          captured_at,
+          checkpoint
         `)
         .eq("snapshot_date", resolvedDate)
         .eq("league", league);
@@ -124,17 +125,25 @@ import { supabase } from "../db/dailyLedger.js";
         const publishBook = normBook(pickRow.publish_book);
         const sameBook = publishBook ? candidates.filter((s) => normBook(s.book) === publishBook) : [];
 
-        let chosen = chooseLatestSnapshot(sameBook);
+        const isClose = (s) => s.checkpoint === "close";
+
+        // frozen closing snapshot (cron/snapshotScheduler.js) first, latest sample otherwise
+        let chosen = null;
         let closeMethod = null;
-        let closeQuality = null;
+        let closeQuality = "unavailable";
 
-        if (chosen) {
+        if ((chosen = chooseLatestSnapshot(sameBook.filter(isClose)))) {
+          closeMethod = "explicit_close";
+          closeQuality = "exact";
+        } else if ((chosen = chooseLatestSnapshot(sameBook))) {
           closeMethod = "same_book_close";
           closeQuality = "exact";
-        } else {
-          chosen = chooseLatestSnapshot(candidates);
-          closeMethod = chosen ? "market_match_close" : null;
-          closeQuality = chosen ? "fallback" : "unavailable";
+        } else if ((chosen = chooseLatestSnapshot(candidates.filter(isClose)))) {
+          closeMethod = "explicit_close_market";
+          closeQuality = "fallback";
+        } else if ((chosen = chooseLatestSnapshot(candidates))) {
+          closeMethod = "market_match_close";
+          closeQuality = "fallback";
         }
 
         rows.push({
@@ -0,0 +1,169 @@
+// apps/api/src/jobs/fitCalibration.js
+import "dotenv/config";
+import { supabase } from "../db/dailyLedger.js";
+import { fitCalibrationCurve } from "../lib/calibration.js";
+import { curveKey, writeCalibrationArtifact } from "../lib/calibrationArtifacts.js";
+
+/**
+ * Fit per-league, per-market calibration curves from graded picks_daily rows.
+ *
+ * Input: raw_win_prob (model probability before calibration) vs WIN/LOSS.
+ * Output: a versioned artifact (lib/calibrationArtifacts.js) that
+ * premiumSelection.calibratedMetrics() picks up on the next request.
+ *
+ * CLI:
+ *   node src/jobs/fitCalibration.js --from=2025-11-01 --to=2026-03-31 \
+ *     [--leagues=nba,nhl,ncaam] [--method=auto|isotonic|platt] [--min=100] [--dry=1]
+ */
+
+const PAGE_SIZE = 1000;
+
+function getArg(name, fallback = null) {
+  const argv = process.argv.slice(2).map((x) => String(x));
+  for (const arg of argv) {
+    if (arg.startsWith(`--${name}=`)) return arg.slice(`--${name}=`.length);
+    if (arg.startsWith(`${name}=`)) return arg.slice(`${name}=`.length);
+  }
+  return fallback;
+}
+
+function normalizeDateParam(date) {
+  const d = String(date || "").trim();
+  return /^\d{4}-\d{2}-\d{2}$/.test(d) ? d : null;
+}
+
+function normMarket(x) {
+  const m = String(x || "").trim().toLowerCase();
+  if (m === "ml" || m === "money" || m === "h2h") return "moneyline";
+  if (m === "spread" || m === "spreads") return "spread";
+  if (m === "total" || m === "totals" || m === "ou") return "total";
+  return m;
+}
+
+function outcome(result) {
+  const r = String(result || "").trim().toUpperCase();
+  if (r === "WIN") return 1;
+  if (r === "LOSS") return 0;
+  return null;
+}
+
+function versionStamp(d = new Date()) {
+  return `cal-${d.toISOString().replace(/[-:]/g, "").replace("T", "-").slice(0, 15)}`;
+}
+
+async function fetchGradedPicks({ from, to, leagues }) {
+  const rows = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    let query = supabase
+      .from("picks_daily")
+      .select("date,league,market,pick,raw_win_prob,result")
+      .in("result", ["WIN", "LOSS"])
+      .not("raw_win_prob", "is", null)
+      .order("date", { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (from) query = query.gte("date", from);
+    if (to) query = query.lte("date", to);
+    if (leagues?.length) query = query.in("league", leagues);
+
+    const { data, error } = await query;
+    if (error) throw new Error(`picks_daily fetch failed: ${error.message}`);
+
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return rows;
+}
+
+export async function runFitCalibration({
+  from = null,
+  to = null,
+  leagues = ["nba", "nhl", "ncaam"],
+  method = "auto",
+  minSamples = 100,
+  bins = 10,
+  dryRun = false,
+} = {}) {
+  if (!["auto", "isotonic", "platt"].includes(method)) {
+    throw new Error(`Unknown calibration method: ${method} (use auto|isotonic|platt)`);
+  }
+
+  const rows = await fetchGradedPicks({ from, to, leagues });
+
+  // league:market -> chronological (p, y) pairs
+  const groups = new Map();
+  for (const r of rows) {
+    if (String(r.pick || "").toUpperCase() === "PASS") continue;
+    const y = outcome(r.result);
+    const p = Number(r.raw_win_prob);
+    if (y == null || !Number.isFinite(p)) continue;
+
+    const key = curveKey(r.league, normMarket(r.market));
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ p, y });
+  }
+
+  const version = versionStamp();
+  const curves = {};
+  const skipped = [];
+
+  for (const [key, pairs] of groups.entries()) {
+    const [league, market] = key.split(":");
+    if (pairs.length < minSamples) {
+      skipped.push({ league, market, n: pairs.length, reason: `fewer_than_${minSamples}` });
+      continue;
+    }
+    curves[key] = { league, market, ...fitCalibrationCurve(pairs, { method, bins }) };
+  }
+
+  const artifact = {
+    version,
+    createdAt: new Date().toISOString(),
+    source: { table: "picks_daily", from, to, leagues, method, minSamples, rows: rows.length },
+    curves,
+    skipped,
+  };
+
+  const file = dryRun || !Object.keys(curves).length ? null : writeCalibrationArtifact(artifact);
+
+  return {
+    ok: true,
+    version: file ? version : null,
+    file,
+    dryRun,
+    curves: Object.values(curves).map((c) => ({
+      league: c.league,
+      market: c.market,
+      method: c.method,
+      n: c.n,
+      metricsSample: c.metricsSample,
+      brierRaw: c.metrics.raw.brier,
+      brierCal: c.metrics.calibrated.brier,
+      eceRaw: c.metrics.raw.ece,
+      eceCal: c.metrics.calibrated.ece,
+    })),
+    skipped,
+  };
+}
+
+// CLI entry point
+if (process.argv[1]?.includes("fitCalibration")) {
+  runFitCalibration({
+    from: normalizeDateParam(getArg("from")),
+    to: normalizeDateParam(getArg("to")),
+    leagues: String(getArg("leagues", "nba,nhl,ncaam"))
+      .split(",")
+      .map((s) => s.trim().toLowerCase())
+      .filter(Boolean),
+    method: String(getArg("method", "auto")).toLowerCase(),
+    minSamples: Number(getArg("min", 100)) || 100,
+    dryRun: ["1", "true", "yes"].includes(String(getArg("dry", "")).toLowerCase()),
+  })
+    .then((r) => console.log(JSON.stringify(r, null, 2)))
+    .catch((err) => {
+      console.error(JSON.stringify({ ok: false, error: String(err?.message || err) }, null, 2));
+      process.exit(1);
+    });
+}
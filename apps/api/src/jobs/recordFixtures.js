@@ -0,0 +1,88 @@
+// apps/api/src/jobs/recordFixtures.js
+import "dotenv/config";
+import { buildLeaguePredictions } from "../routes/predict.js";
+import { fixturesDir } from "../lib/providers.js";
+
+/**
+ * Record a fixture set: build predictions for each league/date with
+ * PROVIDER_MODE=record so every upstream body lands under FIXTURES_DIR/FIXTURE_SET.
+ * Nothing is written to the ledger.
+ *
+ * Replay afterwards with PROVIDER_MODE=replay (same FIXTURE_SET) — no keys or
+ * network needed, and /api/predictions returns the same slate every time.
+ *
+ * CLI:
+ *   node src/jobs/recordFixtures.js --date=2026-01-15 [--to=2026-01-17] \
+ *     [--leagues=nba,nhl,ncaam] [--set=jan-slate]
+ */
+
+function getArg(name, fallback = null) {
+  const argv = process.argv.slice(2).map((x) => String(x));
+  for (const arg of argv) {
+    if (arg.startsWith(`--${name}=`)) return arg.slice(`--${name}=`.length);
+    if (arg.startsWith(`${name}=`)) return arg.slice(`${name}=`.length);
+  }
+  return fallback;
+}
+
+function normalizeDateParam(date) {
+  const d = String(date || "").trim();
+  return /^\d{4}-\d{2}-\d{2}$/.test(d) ? d : null;
+}
+
+function addDaysUTC(ymd, delta) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  dt.setUTCDate(dt.getUTCDate() + delta);
+  return dt.toISOString().slice(0, 10);
+}
+
+export async function runRecordFixtures({ from, to = null, leagues = ["nba", "nhl", "ncaam"], set = null } = {}) {
+  if (!from) throw new Error("--date=YYYY-MM-DD is required");
+
+  process.env.PROVIDER_MODE = "record";
+  if (set) process.env.FIXTURE_SET = set;
+
+  const results = [];
+  for (let date = from; date <= (to || from); date = addDaysUTC(date, 1)) {
+    for (const league of leagues) {
+      try {
+        const { out } = await buildLeaguePredictions(league, date);
+        results.push({
+          date,
+          league,
+          ok: true,
+          games: Array.isArray(out?.games) ? out.games.length : 0,
+          odds: out?.meta?.odds?.ok ?? null,
+        });
+      } catch (e) {
+        results.push({ date, league, ok: false, error: String(e?.message || e) });
+      }
+    }
+  }
+
+  return { ok: results.every((r) => r.ok), dir: fixturesDir(), results };
+}
+
+// CLI entry point
+if (process.argv[1]?.includes("recordFixtures")) {
+  const from = normalizeDateParam(getArg("date", getArg("from")));
+
+  runRecordFixtures({
+    from,
+    to: normalizeDateParam(getArg("to")),
+    leagues: String(getArg("leagues", "nba,nhl,ncaam"))
+      .split(",")
+      .map((s) => s.trim().toLowerCase())
+      .filter(Boolean),
+    set: getArg("set"),
+  })
+    .then((r) => {
+      console.log(JSON.stringify(r, null, 2));
+      process.exit(r.ok ? 0 : 1);
+    })
+    .catch((err) => {
+      console.error(JSON.stringify({ ok: false, error: String(err?.message || err) }, null, 2));
+      process.exit(1);
+    });
+}
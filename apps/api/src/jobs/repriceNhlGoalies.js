@@ -0,0 +1,183 @@
+// apps/api/src/jobs/repriceNhlGoalies.js
+import "dotenv/config";
+import { supabase, slateGameKey } from "../db/dailyLedger.js";
+import { sameStarter } from "../lib/nhlGoalies.js";
+import { goalDistribution, spreadOutcome, totalOutcome } from "../lib/nhlGoalModel.js";
+
+/**
+ * Re-price published NHL picks whose starting goalie changed after publish.
+ *
+ * picks_daily.meta.goalies holds the starters a pick was priced with. This job
+ * rebuilds the slate (fresh: the cached one predates the change), and for every
+ * ungraded pick where either starter differs it recomputes win prob / edge /
+ * EV / Kelly for the same side at the published line and odds: spreads and
+ * totals from the rebuilt goal distribution at publish_line (pushes included),
+ * moneylines from the rebuilt win probability. The side and line are never
+ * changed; the previous numbers and both starter sets are kept in
+ * meta.goalieReprice so the change is auditable.
+ *
+ * Runs after POST /api/nhl/goalies/starters and on the cron; also:
+ *   node src/jobs/repriceNhlGoalies.js [--date=YYYY-MM-DD] [--dry=1]
+ */
+
+function getArg(name, fallback = null) {
+  const argv = process.argv.slice(2).map((x) => String(x));
+  for (const arg of argv) {
+    if (arg.startsWith(`--${name}=`)) return arg.slice(`--${name}=`.length);
+    if (arg.startsWith(`${name}=`)) return arg.slice(`${name}=`.length);
+  }
+  return fallback;
+}
+
+function truthy(v) {
+  return ["1", "true", "yes"].includes(String(v ?? "").toLowerCase());
+}
+
+function normalizeDateParam(date) {
+  const d = String(date || "").trim();
+  return /^\d{4}-\d{2}-\d{2}$/.test(d) ? d : null;
+}
+
+function round(x, d = 4) {
+  if (!Number.isFinite(x)) return null;
+  const m = 10 ** d;
+  return Math.round(x * m) / m;
+}
+
+function decimalFromAmerican(odds) {
+  const o = Number(odds);
+  if (!Number.isFinite(o) || o === 0) return null;
+  return o > 0 ? 1 + o / 100 : 1 + 100 / -o;
+}
+
+// same math as computeMarketEV in routes/predict.js, at the published price:
+// probability / edge / Kelly over decided bets, EV over all outcomes (a push returns the stake)
+function priceAt(odds, { win, push = 0 }) {
+  const dec = decimalFromAmerican(odds);
+  if (dec == null || !Number.isFinite(win)) return { prob: null, edge: null, ev: null, kelly: null };
+  const pu = Math.max(0, Math.min(0.5, Number.isFinite(push) ? push : 0));
+  const p = Math.max(0.02, Math.min(0.98, win / (1 - pu)));
+  const implied = 1 / dec;
+  const b = dec - 1;
+  const kellyFull = Math.max(0, Math.min(Number(process.env.KELLY_CAP || 0.12), (b * p - (1 - p)) / b));
+  return {
+    prob: round(p, 5),
+    edge: round(p - implied, 5),
+    ev: round((1 - pu) * (p * 100 * b - (1 - p) * 100), 3),
+    kelly: round(kellyFull / 2, 5),
+  };
+}
+
+/**
+ * { win, push } for the pick in the rebuilt slate, at the line it was published at.
+ * The slate's own market nodes are priced at today's best-book line, so spreads and
+ * totals are re-derived from the goal distribution (scoreDist.goals) instead.
+ */
+function sideOutcome(game, market, side, line) {
+  if (market === "moneyline") {
+    const node = game?.markets?.moneyline?.[side];
+    const p = node?.calWinProb ?? node?.winProb ?? null;
+    if (Number.isFinite(p)) return { win: p, push: 0 };
+    const pHome = game?.model?.pHomeModel;
+    if (!Number.isFinite(pHome)) return null;
+    return side === "home" ? { win: pHome, push: 0 } : side === "away" ? { win: 1 - pHome, push: 0 } : null;
+  }
+
+  const goals = game?.scoreDist?.goals;
+  if (!(goals?.lambdaHome > 0) || !(goals?.lambdaAway > 0) || !Number.isFinite(line)) return null;
+  const dist = goalDistribution(goals.lambdaHome, goals.lambdaAway);
+  if (market === "spread") return spreadOutcome(dist, side, line);
+  if (market === "total") return totalOutcome(dist, side, line);
+  return null;
+}
+
+export async function runRepriceNhlGoalies({ date, dry = false, log = console.log } = {}) {
+  if (!date) throw new Error("date (YYYY-MM-DD) is required");
+
+  const { data: rows, error } = await supabase
+    .from("picks_daily")
+    .select("*")
+    .eq("date", date)
+    .eq("league", "nhl")
+    .is("result", null);
+  if (error) throw new Error(`picks_daily fetch failed: ${error.message}`);
+
+  const candidates = (rows || []).filter((r) => r?.meta?.goalies && String(r.pick || "PASS").toUpperCase() !== "PASS");
+  if (!candidates.length) return { ok: true, date, checked: 0, repriced: 0, changes: [] };
+
+  // loaded lazily so importing this job doesn't pull in the whole predict router
+  const { buildLeaguePredictions, invalidateSlateCache } = await import("../routes/predict.js");
+  invalidateSlateCache("nhl", date);
+  const { out: slate } = await buildLeaguePredictions("nhl", date, {});
+  const byKey = new Map((slate?.games || []).map((g) => [slateGameKey(g, date), g]));
+
+  const changes = [];
+  for (const row of candidates) {
+    const game = byKey.get(row.game_key);
+    const now = game?.model?.goalies?.starters;
+    if (!now) continue;
+
+    const was = row.meta.goalies;
+    if (sameStarter(was.home, now.home) && sameStarter(was.away, now.away)) continue;
+
+    const market = String(row.market || "").toLowerCase();
+    const side = String(row.pick || "").toLowerCase();
+    const line = Number(row.publish_line ?? row.market_line);
+    const outcome = sideOutcome(game, market, side, Number.isFinite(line) ? line : null);
+    if (!outcome) continue;
+
+    const priced = priceAt(row.publish_odds ?? row.market_odds ?? row.odds, outcome);
+    if (priced.prob == null) continue;
+    const change = {
+      id: row.id,
+      game_key: row.game_key,
+      market,
+      pick: side,
+      from: was,
+      to: now,
+      prev: { win_prob: row.win_prob, edge: row.edge, ev: row.ev, kelly: row.kelly },
+      next: { win_prob: priced.prob, push_prob: round(outcome.push, 5), edge: priced.edge, ev: priced.ev, kelly: priced.kelly },
+    };
+    changes.push(change);
+    log?.(`[goalies] ${row.game_key} ${market}:${side} win_prob ${row.win_prob} → ${change.next.win_prob}`);
+
+    if (dry) continue;
+
+    const { error: upErr } = await supabase
+      .from("picks_daily")
+      .update({
+        win_prob: change.next.win_prob,
+        cal_win_prob: change.next.win_prob,
+        edge: priced.edge,
+        ev: priced.ev,
+        kelly: priced.kelly,
+        meta: {
+          ...row.meta,
+          goalies: now,
+          goalieReprice: { at: new Date().toISOString(), from: was, to: now, prev: change.prev },
+        },
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", row.id)
+      .is("result", null);
+    if (upErr) throw new Error(`picks_daily reprice failed: ${upErr.message}`);
+  }
+
+  return { ok: true, date, dry, checked: candidates.length, repriced: changes.length, changes };
+}
+
+// CLI entry point
+if (process.argv[1]?.includes("repriceNhlGoalies")) {
+  runRepriceNhlGoalies({
+    date: normalizeDateParam(getArg("date")) || new Date().toISOString().slice(0, 10),
+    dry: truthy(getArg("dry")),
+  })
+    .then((r) => {
+      console.log(JSON.stringify(r, null, 2));
+      process.exit(0);
+    })
+    .catch((err) => {
+      console.error(JSON.stringify({ ok: false, error: String(err?.message || err) }, null, 2));
+      process.exit(1);
+    });
+}
@@ -0,0 +1,209 @@
+// apps/api/src/jobs/settleUserBets.js
+import "dotenv/config";
+import { supabaseAdmin } from "../lib/supabaseAdmin.js";
+import { getPickClosesForDate } from "../db/pickCloses.js";
+import { fetchFinalsForLeague } from "../services/scoring/settlementEngine.js";
+import {
+  clvFromClose,
+  findFinal,
+  normMarket,
+  resolveSide,
+  settleParlayBet,
+  settleStraightBet,
+} from "../services/scoring/userBetSettlement.js";
+
+/**
+ * Auto-settle pending My Bets rows.
+ *
+ * Straight bets are graded with the ledger's grade() against ESPN finals and get
+ * CLV from pick_closes when the same game/market/side was published. Parlays
+ * settle leg by leg (user_bets.legs); leg results are saved as they come in.
+ *
+ * Only rows still pending are touched — a manual settle always wins.
+ *
+ * CLI:
+ *   node src/jobs/settleUserBets.js [--date=YYYY-MM-DD | --from=... --to=...] [--days=14] [--dry=1]
+ */
+
+const TABLE = "user_bets";
+const PENDING_FILTER = "result.is.null,result.eq.pending";
+const LEAGUES = ["nba", "nhl", "ncaam"];
+
+function getArg(name, fallback = null) {
+  const argv = process.argv.slice(2).map((x) => String(x));
+  for (const arg of argv) {
+    if (arg.startsWith(`--${name}=`)) return arg.slice(`--${name}=`.length);
+    if (arg.startsWith(`${name}=`)) return arg.slice(`${name}=`.length);
+  }
+  return fallback;
+}
+
+function normalizeDateParam(date) {
+  const d = String(date || "").trim();
+  return /^\d{4}-\d{2}-\d{2}$/.test(d) ? d : null;
+}
+
+function addDaysUTC(ymd, delta) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  dt.setUTCDate(dt.getUTCDate() + delta);
+  return dt.toISOString().slice(0, 10);
+}
+
+function truthy(v) {
+  return ["1", "true", "yes"].includes(String(v ?? "").toLowerCase());
+}
+
+async function loadPendingBets({ from, to }) {
+  const { data, error } = await supabaseAdmin
+    .from(TABLE)
+    .select("*")
+    .or(PENDING_FILTER)
+    .gte("date", from)
+    .lte("date", to)
+    .order("date", { ascending: true });
+
+  if (error) throw new Error(`user_bets fetch failed: ${error.message}`);
+  return data || [];
+}
+
+// one scoreboard / pick_closes fetch per league+date, however many bets need it
+function memo(loader) {
+  const cache = new Map();
+  return async (league, date) => {
+    const key = `${league}__${date}`;
+    if (!cache.has(key)) {
+      cache.set(
+        key,
+        loader(league, date).catch((e) => {
+          console.warn(`[settleUserBets] ${key}: ${e?.message || e}`);
+          return null;
+        })
+      );
+    }
+    return cache.get(key);
+  };
+}
+
+function leaguesOf(bet) {
+  const own = String(bet?.league || "").toLowerCase();
+  const legs = Array.isArray(bet?.legs) ? bet.legs : [];
+  return legs.map((l) => ({ league: String(l?.league || own).toLowerCase(), date: l?.date || bet.date }));
+}
+
+export async function runSettleUserBets({ from, to, dry = false } = {}) {
+  const today = new Date().toISOString().slice(0, 10);
+  const end = to || today;
+  const start = from || addDaysUTC(end, -13);
+
+  const bets = await loadPendingBets({ from: start, to: end });
+
+  const getFinals = memo(async (league, date) =>
+    LEAGUES.includes(league) ? fetchFinalsForLeague(date, league) : null
+  );
+  const getCloses = memo((league, date) => getPickClosesForDate(date, league));
+
+  const summary = { checked: bets.length, settled: 0, legsUpdated: 0, pending: 0, errors: 0 };
+  const results = [];
+
+  for (const bet of bets) {
+    try {
+      const isParlay = String(bet?.bet_type || "").toLowerCase() === "parlay";
+      const league = String(bet?.league || "").toLowerCase();
+      const now = new Date().toISOString();
+      let update = null;
+
+      if (isParlay) {
+        // prefetch every leg's slate so settleParlayBet can stay synchronous
+        const slates = leaguesOf(bet);
+        const finals = new Map();
+        for (const s of slates) finals.set(`${s.league}__${s.date}`, await getFinals(s.league, s.date));
+
+        const out = settleParlayBet(bet, (lg, date) => finals.get(`${lg}__${date}`) || null);
+
+        if (out.pending) {
+          const changed = (out.legs || []).some((l, i) => l.result && l.result !== bet.legs?.[i]?.result);
+          if (changed) update = { legs: out.legs, updated_at: now };
+          results.push({ id: bet.id, status: "pending", reason: out.reason });
+        } else {
+          update = {
+            legs: out.legs,
+            result: out.result,
+            profit: out.profit,
+            settled_at: now,
+            settled_by: "auto",
+            ...(out.reduced ? { close_reason: `reduced_to_${out.settledOdds}` } : {}),
+            updated_at: now,
+          };
+          results.push({ id: bet.id, status: out.result });
+        }
+      } else {
+        const finals = await getFinals(league, bet.date);
+        const out = settleStraightBet(bet, finals);
+
+        if (!out) {
+          results.push({ id: bet.id, status: "pending", reason: "no_final" });
+        } else {
+          const final = findFinal(bet, finals);
+          const market = normMarket(bet.market);
+          const side = resolveSide(bet.pick, market, final);
+          const closes = (await getCloses(league, bet.date)) || [];
+          const closeRow = closes.find(
+            (c) => String(c.game_key) === String(bet.game_key) && normMarket(c.market) === market && String(c.pick).toLowerCase() === side
+          );
+          const clv = clvFromClose(bet, closeRow, side);
+
+          update = {
+            result: out.result,
+            profit: out.profit,
+            settled_at: now,
+            settled_by: "auto",
+            ...(clv || {}),
+            ...(clv ? {} : { close_reason: "no_pick_close" }),
+            updated_at: now,
+          };
+          results.push({ id: bet.id, status: out.result, clv: Boolean(clv) });
+        }
+      }
+
+      if (!update) {
+        summary.pending += 1;
+        continue;
+      }
+
+      if (update.result) summary.settled += 1;
+      else {
+        summary.legsUpdated += 1;
+        summary.pending += 1;
+      }
+
+      if (dry) continue;
+
+      const { error } = await supabaseAdmin.from(TABLE).update(update).eq("id", bet.id).or(PENDING_FILTER);
+      if (error) throw new Error(error.message);
+    } catch (e) {
+      summary.errors += 1;
+      results.push({ id: bet.id, status: "error", error: String(e?.message || e) });
+    }
+  }
+
+  return { ok: summary.errors === 0, from: start, to: end, dry, ...summary, results };
+}
+
+// CLI entry point
+if (process.argv[1]?.includes("settleUserBets")) {
+  const date = normalizeDateParam(getArg("date"));
+  const to = date || normalizeDateParam(getArg("to"));
+  const days = Math.max(1, Number(getArg("days", 14)) || 14);
+  const from = date || normalizeDateParam(getArg("from")) || (to ? addDaysUTC(to, -(days - 1)) : null);
+
+  runSettleUserBets({ from, to, dry: truthy(getArg("dry")) })
+    .then((r) => {
+      console.log(JSON.stringify(r, null, 2));
+      process.exit(r.ok ? 0 : 1);
+    })
+    .catch((err) => {
+      console.error(JSON.stringify({ ok: false, error: String(err?.message || err) }, null, 2));
+      process.exit(1);
+    });
+}
@@ -0,0 +1,503 @@
+// apps/api/src/lib/alerts.js
+import crypto from "node:crypto";
+import dns from "node:dns";
+import { lookup } from "node:dns/promises";
+import http from "node:http";
+import https from "node:https";
+import net from "node:net";
+import {
+  getEnabledAlertRules,
+  getPendingBetsForUsers,
+  insertAlerts,
+  saveAlertDeliveries,
+} from "../db/alertsStore.js";
+import { getUserById } from "../db/usersStore.js";
+import { extractEventId } from "../services/scoring/settlementEngine.js";
+import { findFinal, normMarket, resolveSide } from "../services/scoring/userBetSettlement.js";
+import { sendMail, smtpConfigFromEnv } from "./smtp.js";
+
+/**
+ * Alert rules → fired alerts → delivery channels.
+ *
+ * Rules (alert_rules) belong to a user and are checked against a freshly built
+ * slate after every captureMarketSnapshots run and every published
+ * /api/predictions build:
+ *
+ *   new_pick      recommended bet at tier ≥ params.minTier (optionally only params.markets)
+ *   line_move     a pending spread/total bet of the user's whose market line has moved
+ *                 ≥ params.minPoints from the line they took (fires again every further step)
+ *   price_target  a selection (params.betId, or params.gameKey + market + side) is available
+ *                 at odds ≥ params.odds and/or a line at least as good as params.line
+ *
+ * Every fired alert is stored once per (rule, dedupe key) in `alerts`, which is
+ * also the in-app inbox, then handed to the rule's other channels:
+ *
+ *   webhook   POST JSON to rule.webhook_url (ALERT_WEBHOOK_TIMEOUT_MS, default 5000;
+ *             ALERT_WEBHOOK_SECRET adds x-alert-signature: sha256=<hmac of the body>).
+ *             The host must resolve to public addresses only: checked on save, and the
+ *             POST connects only to addresses validated at connect time (no DNS rebinding
+ *             between check and send); redirects are not followed.
+ *   email     lib/smtp.js to the account's own address, once verified: by the confirmation
+ *             link mailed at registration or any emailed magic-link sign-in (routes/auth.js)
+ *
+ * registerAlertChannel(name, deliver) adds another channel. scripts/alertSink.js
+ * runs a local webhook + SMTP sink for trying it out (with ALERT_WEBHOOK_ALLOW_PRIVATE=1,
+ * which lifts the public-address check; local dev only).
+ */
+
+export const ALERT_KINDS = ["new_pick", "line_move", "price_target"];
+
+const TIER_RANK = { PASS: 0, LEAN: 1, EDGE: 2, STRONG: 3, ELITE: 4 };
+const DEFAULT_MIN_POINTS = 1.5;
+
+function toNum(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function norm(v) {
+  return String(v ?? "").trim().toLowerCase();
+}
+
+function fmtOdds(o) {
+  const n = toNum(o);
+  return n == null ? "" : n > 0 ? `+${n}` : String(n);
+}
+
+function fmtLine(l) {
+  const n = toNum(l);
+  return n == null ? "" : n > 0 ? `+${n}` : String(n);
+}
+
+function decimalFromAmerican(odds) {
+  const o = toNum(odds);
+  if (o == null || o === 0) return null;
+  return o > 0 ? 1 + o / 100 : 1 + 100 / Math.abs(o);
+}
+
+function matchup(g) {
+  return `${g?.away?.abbr || "AWAY"} @ ${g?.home?.abbr || "HOME"}`;
+}
+
+function describeSelection(g, market, side, line) {
+  if (market === "total") return `${side === "over" ? "Over" : "Under"} ${line ?? ""}`.trim();
+  const team = g?.[side]?.abbr || side.toUpperCase();
+  return market === "spread" ? `${team} ${fmtLine(line)}` : `${team} ML`;
+}
+
+// current { line, odds } for one side of a game's markets
+function currentQuote(g, market, side) {
+  const m = g?.markets;
+  if (market === "moneyline") {
+    const q = m?.moneyline?.[side];
+    return q ? { line: null, odds: toNum(q.odds) } : null;
+  }
+  if (market === "spread") {
+    const q = m?.spread?.[side];
+    return q ? { line: toNum(q.line), odds: toNum(q.odds) } : null;
+  }
+  if (market === "total") {
+    const q = m?.total?.[side];
+    return q ? { line: toNum(q.line ?? m.total.line), odds: toNum(q.odds) } : null;
+  }
+  return null;
+}
+
+// > 0 when line `a` is better than `b` for this side (more points / lower over / higher under)
+function lineAdvantage(market, side, a, b) {
+  if (market === "total" && side === "over") return b - a;
+  return a - b;
+}
+
+/* =============================
+   Rule evaluation
+============================= */
+
+function slateIndex(games) {
+  const byKey = new Map();
+  const finals = new Map();
+  for (const g of games || []) {
+    if (!g?.gameId) continue;
+    byKey.set(String(g.gameId), g);
+    const id = extractEventId(g.gameId);
+    if (id) {
+      finals.set(id, { game: g, homeAbbr: g.home?.abbr, awayAbbr: g.away?.abbr, homeName: g.home?.name, awayName: g.away?.name });
+    }
+  }
+
+  // a My Bets row → { game, market, side } on this slate
+  const locateBet = (bet) => {
+    const market = normMarket(bet?.market);
+    const byGameKey = byKey.get(String(bet?.game_key || ""));
+    const final = byGameKey
+      ? { game: byGameKey, homeAbbr: byGameKey.home?.abbr, awayAbbr: byGameKey.away?.abbr, homeName: byGameKey.home?.name, awayName: byGameKey.away?.name }
+      : findFinal(bet, finals);
+    if (!final) return null;
+    const side = resolveSide(bet.pick, market, final);
+    return side ? { game: final.game, market, side } : null;
+  };
+
+  return { byKey, locateBet };
+}
+
+function newPickAlerts(rule, { date, games }) {
+  const minRank = TIER_RANK[String(rule.params?.minTier || "STRONG").toUpperCase()] ?? TIER_RANK.STRONG;
+  const markets = Array.isArray(rule.params?.markets) ? rule.params.markets.map(normMarket) : null;
+  const out = [];
+
+  for (const g of games || []) {
+    const rb = g?.recommendedBet;
+    const tier = String(rb?.tier || "PASS").toUpperCase();
+    if (!rb || (TIER_RANK[tier] ?? 0) < minRank) continue;
+    const market = normMarket(rb.marketType);
+    if (markets && !markets.includes(market)) continue;
+
+    const selection = describeSelection(g, market, rb.side, rb.line);
+    out.push({
+      dedupe_key: `${date}|${g.gameId}|${market}|${rb.side}`,
+      title: `${tier} ${String(g.league || rule.league || "").toUpperCase()} pick: ${matchup(g)} — ${selection} ${fmtOdds(rb.odds)}`.trim(),
+      body: `Edge ${Number.isFinite(rb.edge) ? (rb.edge * 100).toFixed(1) : "?"}%, EV ${Number.isFinite(rb.evForStake100) ? rb.evForStake100.toFixed(1) : "?"} per 100.`,
+      payload: { gameId: g.gameId, matchup: matchup(g), eventStart: g.eventStart ?? null, pick: rb },
+    });
+  }
+  return out;
+}
+
+function lineMoveAlerts(rule, { bets, slate }) {
+  const minPoints = toNum(rule.params?.minPoints) ?? DEFAULT_MIN_POINTS;
+  const out = [];
+
+  for (const bet of bets) {
+    if (bet.user_key !== rule.user_key) continue;
+    const betLine = toNum(bet.line);
+    if (betLine == null) continue;
+    const loc = slate.locateBet(bet);
+    if (!loc || loc.market === "moneyline") continue;
+
+    const now = currentQuote(loc.game, loc.market, loc.side)?.line;
+    if (now == null) continue;
+    const moved = now - betLine;
+    if (Math.abs(moved) < minPoints) continue;
+
+    // one alert per further step of minPoints in the same direction
+    const step = Math.floor(Math.abs(moved) / minPoints);
+    const favourable = lineAdvantage(loc.market, loc.side, betLine, now) > 0;
+    const was = describeSelection(loc.game, loc.market, loc.side, betLine);
+    const is = describeSelection(loc.game, loc.market, loc.side, now);
+
+    out.push({
+      dedupe_key: `bet:${bet.id}|${moved > 0 ? "up" : "down"}${step}`,
+      title: `Line move on your bet: ${matchup(loc.game)} — ${was} → ${is}`,
+      body: `Moved ${Math.abs(moved)} points since your bet, ${favourable ? "in your favour" : "against you"}.`,
+      payload: { betId: bet.id, gameId: loc.game.gameId, market: loc.market, side: loc.side, betLine, line: now, moved },
+    });
+  }
+  return out;
+}
+
+function priceTargetAlerts(rule, { bets, slate }) {
+  const p = rule.params || {};
+  let loc = null;
+  if (p.betId != null) {
+    const bet = bets.find((b) => String(b.id) === String(p.betId) && b.user_key === rule.user_key);
+    loc = bet ? slate.locateBet(bet) : null;
+  } else if (p.gameKey) {
+    const game = slate.byKey.get(String(p.gameKey));
+    loc = game ? { game, market: normMarket(p.market), side: norm(p.side) } : null;
+  }
+  if (!loc) return [];
+
+  const quote = currentQuote(loc.game, loc.market, loc.side);
+  if (!quote) return [];
+
+  const targetOdds = toNum(p.odds);
+  const targetLine = toNum(p.line);
+  if (targetOdds == null && targetLine == null) return [];
+
+  if (targetOdds != null) {
+    const have = decimalFromAmerican(quote.odds);
+    if (have == null || have < decimalFromAmerican(targetOdds)) return [];
+  }
+  if (targetLine != null && loc.market !== "moneyline") {
+    if (quote.line == null || lineAdvantage(loc.market, loc.side, quote.line, targetLine) < 0) return [];
+  }
+
+  const selection = describeSelection(loc.game, loc.market, loc.side, quote.line);
+  return [
+    {
+      dedupe_key: `${loc.game.gameId}|${loc.market}|${loc.side}`,
+      title: `Price target hit: ${matchup(loc.game)} — ${selection} ${fmtOdds(quote.odds)}`.trim(),
+      body: `Target ${[targetLine != null ? (loc.market === "total" ? String(targetLine) : fmtLine(targetLine)) : null, targetOdds != null ? fmtOdds(targetOdds) : null].filter(Boolean).join(" at ")}.`,
+      payload: { gameId: loc.game.gameId, market: loc.market, side: loc.side, line: quote.line, odds: quote.odds, target: { line: targetLine, odds: targetOdds } },
+    },
+  ];
+}
+
+const EVALUATORS = {
+  new_pick: newPickAlerts,
+  line_move: lineMoveAlerts,
+  price_target: priceTargetAlerts,
+};
+
+/* =============================
+   Webhook targets
+============================= */
+
+// loopback, private, link-local, CGNAT, multicast and reserved ranges (incl. cloud metadata)
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [net4, bits] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+]) BLOCKED_ADDRESSES.addSubnet(net4, bits, "ipv4");
+for (const [net6, bits] of [["::", 127], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(net6, bits, "ipv6");
+}
+
+function isBlockedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], "ipv4");
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+/** null when webhook_url may be POSTed to, else the reason it may not. */
+export async function checkWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return "webhook_url is not a valid URL";
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) return "webhook_url must be http(s)";
+  if (process.env.ALERT_WEBHOOK_ALLOW_PRIVATE === "1") return null;
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await lookup(host, { all: true, verbatim: true });
+  } catch {
+    return `webhook_url host ${host} does not resolve`;
+  }
+  if (!addresses.length || addresses.some((a) => isBlockedAddress(a.address))) {
+    return "webhook_url must point at a public address";
+  }
+  return null;
+}
+
+// dns.lookup for http(s).request that refuses to hand a blocked address to the socket
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find((a) => isBlockedAddress(a.address));
+    if (blocked || !addresses.length) {
+      return callback(new Error(`webhook host ${hostname} resolves to a non-public address`));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// POST without following redirects; resolves the response status
+function postWebhook(url, headers, body, timeoutMs) {
+  const target = new URL(url);
+  const client = target.protocol === "https:" ? https : http;
+  const allowPrivate = process.env.ALERT_WEBHOOK_ALLOW_PRIVATE === "1";
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(
+      target,
+      {
+        method: "POST",
+        headers: { ...headers, "content-length": Buffer.byteLength(body) },
+        timeout: timeoutMs,
+        ...(allowPrivate ? {} : { lookup: publicOnlyLookup }),
+      },
+      (res) => {
+        res.resume();
+        res.on("end", () => resolve(res.statusCode));
+        res.on("error", reject);
+      }
+    );
+    req.on("timeout", () => req.destroy(new Error(`webhook timed out after ${timeoutMs}ms`)));
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+/* =============================
+   Channels
+============================= */
+
+const channels = new Map();
+
+export function registerAlertChannel(name, deliver) {
+  channels.set(String(name).toLowerCase(), deliver);
+}
+
+export function alertChannelNames() {
+  return [...channels.keys()];
+}
+
+// the row itself is the inbox entry
+registerAlertChannel("inbox", async () => ({ ok: true }));
+
+registerAlertChannel("webhook", async (alert, rule) => {
+  if (!rule.webhook_url) throw new Error("rule has no webhook_url");
+  // re-checked per POST (IP literals never reach the lookup below)
+  const blocked = await checkWebhookUrl(rule.webhook_url);
+  if (blocked) throw new Error(blocked);
+
+  const body = JSON.stringify({
+    id: alert.id,
+    kind: alert.kind,
+    league: alert.league,
+    date: alert.date,
+    title: alert.title,
+    body: alert.body,
+    payload: alert.payload,
+    created_at: alert.created_at,
+  });
+
+  const headers = { "content-type": "application/json" };
+  const secret = String(process.env.ALERT_WEBHOOK_SECRET || "");
+  if (secret) headers["x-alert-signature"] = `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+
+  const status = await postWebhook(rule.webhook_url, headers, body, Number(process.env.ALERT_WEBHOOK_TIMEOUT_MS) || 5000);
+  if (status < 200 || status >= 300) throw new Error(`webhook HTTP ${status}`);
+  return { ok: true, status };
+});
+
+registerAlertChannel("email", async (alert, rule) => {
+  if (!smtpConfigFromEnv()) throw new Error("SMTP_HOST is not configured");
+  const user = await getUserById(rule.user_key);
+  if (!user?.email) throw new Error("no email address for rule");
+  if (!user.email_verified_at) throw new Error("account email is not verified (open the confirmation or sign-in link mailed to it)");
+  const to = user.email;
+
+  const text = [alert.body, "", JSON.stringify(alert.payload, null, 2)].filter((x) => x != null).join("\n");
+  const sent = await sendMail({ to, subject: alert.title, text });
+  return { ok: true, response: sent.response };
+});
+
+async function deliver(alert, rule) {
+  const names = Array.isArray(rule.channels) && rule.channels.length ? rule.channels : ["inbox"];
+  const deliveries = [];
+
+  for (const name of names) {
+    if (name === "inbox") continue;
+    const fn = channels.get(String(name).toLowerCase());
+    const at = new Date().toISOString();
+    try {
+      if (!fn) throw new Error(`unknown channel ${name}`);
+      await fn(alert, rule);
+      deliveries.push({ channel: name, ok: true, at });
+    } catch (e) {
+      deliveries.push({ channel: name, ok: false, error: String(e?.message || e), at });
+    }
+  }
+
+  if (deliveries.length) await saveAlertDeliveries(alert.id, deliveries);
+  return deliveries;
+}
+
+/* =============================
+   Entry point
+============================= */
+
+/**
+ * Check every enabled rule for this league against a built slate; store and
+ * deliver whatever fires for the first time. source is informational
+ * ("snapshots" | "predictions"). Never throws for a single bad rule.
+ */
+export async function evaluateAlerts({ date, league, games, source = null }) {
+  const rules = await getEnabledAlertRules(league);
+  const summary = { league, date, source, rules: rules.length, fired: 0, delivered: 0, failed: 0, errors: [] };
+  if (!rules.length) return summary;
+
+  const needsBets = rules.filter((r) => r.kind === "line_move" || r.kind === "price_target");
+  const bets = await getPendingBetsForUsers([...new Set(needsBets.map((r) => r.user_key))], { date, league });
+  const slate = slateIndex(games);
+  // already-fired alerts are skipped by insertAlerts (unique rule_id + dedupe_key)
+  const seen = new Set();
+
+  const fresh = [];
+  for (const rule of rules) {
+    const evaluate = EVALUATORS[rule.kind];
+    if (!evaluate) continue;
+    try {
+      for (const a of evaluate(rule, { date, league, games, bets, slate })) {
+        if (seen.has(`${rule.id}|${a.dedupe_key}`)) continue;
+        seen.add(`${rule.id}|${a.dedupe_key}`);
+        fresh.push({ rule, row: { rule_id: rule.id, user_key: rule.user_key, kind: rule.kind, league, date, ...a } });
+      }
+    } catch (e) {
+      summary.errors.push({ ruleId: rule.id, error: String(e?.message || e) });
+    }
+  }
+  if (!fresh.length) return summary;
+
+  const inserted = await insertAlerts(fresh.map((x) => x.row));
+  const ruleById = new Map(rules.map((r) => [String(r.id), r]));
+  summary.fired = inserted.length;
+
+  for (const alert of inserted) {
+    const deliveries = await deliver(alert, ruleById.get(String(alert.rule_id)));
+    for (const d of deliveries) {
+      if (d.ok) summary.delivered += 1;
+      else summary.failed += 1;
+    }
+  }
+
+  return summary;
+}
+
+/* =============================
+   Rule validation (routes/alerts.js)
+============================= */
+
+/**
+ * Request body → alert_rules columns, or { error }.
+ * PATCH merges the body onto the stored rule first, so this always sees a whole rule.
+ */
+export function normalizeAlertRule(body) {
+  const b = body || {};
+
+  const kind = norm(b.kind);
+  if (!ALERT_KINDS.includes(kind)) return { error: `kind must be one of ${ALERT_KINDS.join("|")}` };
+
+  const params = b.params && typeof b.params === "object" && !Array.isArray(b.params) ? b.params : {};
+  if (kind === "new_pick" && params.minTier != null && !(String(params.minTier).toUpperCase() in TIER_RANK)) {
+    return { error: `params.minTier must be one of ${Object.keys(TIER_RANK).join("|")}` };
+  }
+  if (kind === "line_move" && params.minPoints != null && !(toNum(params.minPoints) > 0)) {
+    return { error: "params.minPoints must be a positive number" };
+  }
+  if (kind === "price_target") {
+    if (params.betId == null && !(params.gameKey && params.market && params.side)) {
+      return { error: "price_target needs params.betId or params.gameKey + market + side" };
+    }
+    if (toNum(params.odds) == null && toNum(params.line) == null) {
+      return { error: "price_target needs params.odds and/or params.line" };
+    }
+  }
+
+  const list = (Array.isArray(b.channels) ? b.channels : [b.channels ?? "inbox"]).map(norm).filter(Boolean);
+  const unknown = list.filter((c) => !channels.has(c));
+  if (unknown.length) return { error: `unknown channel(s): ${unknown.join(", ")} (use ${alertChannelNames().join("|")})` };
+
+  const webhookUrl = String(b.webhook_url ?? "").trim();
+  if (webhookUrl && !/^https?:\/\//i.test(webhookUrl)) return { error: "webhook_url must be http(s)" };
+  if (list.includes("webhook") && !webhookUrl) return { error: "webhook channel needs webhook_url" };
+
+  return {
+    rule: {
+      kind,
+      league: norm(b.league) || null,
+      params,
+      channels: list.length ? [...new Set(list)] : ["inbox"],
+      webhook_url: webhookUrl || null,
+      email: null, // email alerts only go to the account's own verified address
+      enabled: b.enabled === undefined ? true : Boolean(b.enabled),
+    },
+  };
+}
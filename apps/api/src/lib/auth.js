@@ -0,0 +1,197 @@
+// apps/api/src/lib/auth.js
+import crypto from "node:crypto";
+import { getUserById } from "../db/usersStore.js";
+
+/**
+ * Subscriber auth.
+ *
+ * Sessions are stateless signed tokens: base64url(JSON payload) + "." + HMAC-SHA256,
+ * sent as `Authorization: Bearer <token>`. The payload carries the user id and an
+ * expiry; plan/status are re-read from app_users on every request so a cancelled
+ * subscription takes effect immediately.
+ *
+ * Passwords are scrypt-hashed (`scrypt$<salt>$<hash>`). Magic-link tokens are
+ * random and only their sha256 is stored.
+ *
+ * Env:
+ *  - AUTH_SECRET           HMAC key (required; without it no session is issued or accepted)
+ *  - AUTH_DEV_MODE=1       local dev only: fall back to a fixed, forgeable secret
+ *  - AUTH_SESSION_DAYS     session lifetime (default 30)
+ *  - AUTH_MAGIC_LINK_MIN   magic-link lifetime in minutes (default 15)
+ *  - ADMIN_TOKEN           x-admin-token value for admin routes (requireAdmin; unset = locked)
+ */
+
+const DEV_SECRET = "sports-mvp-dev-secret";
+let warnedSecret = false;
+
+function devMode() {
+  return String(process.env.AUTH_DEV_MODE || "").trim() === "1";
+}
+
+/** HMAC key, or null when AUTH_SECRET is unset outside AUTH_DEV_MODE. */
+function authSecret() {
+  const s = String(process.env.AUTH_SECRET || "").trim();
+  if (s) return s;
+  if (!warnedSecret) {
+    console.warn(
+      devMode()
+        ? "[auth] AUTH_SECRET not set; AUTH_DEV_MODE=1 uses the dev secret (sessions are forgeable)"
+        : "[auth] AUTH_SECRET not set; sign-in is disabled (set it in apps/api/.env)"
+    );
+    warnedSecret = true;
+  }
+  return devMode() ? DEV_SECRET : null;
+}
+
+export function sessionTtlMs() {
+  const days = Number(process.env.AUTH_SESSION_DAYS);
+  return (Number.isFinite(days) && days > 0 ? days : 30) * 24 * 60 * 60 * 1000;
+}
+
+export function magicLinkTtlMs() {
+  const min = Number(process.env.AUTH_MAGIC_LINK_MIN);
+  return (Number.isFinite(min) && min > 0 ? min : 15) * 60 * 1000;
+}
+
+export function normalizeEmail(v) {
+  const s = String(v || "").trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s) ? s : null;
+}
+
+function b64url(buf) {
+  return Buffer.from(buf).toString("base64url");
+}
+
+/** Whether sessions can be issued at all (auth routes answer 503 otherwise). */
+export function authConfigured() {
+  return authSecret() != null;
+}
+
+function hmac(data, secret) {
+  return crypto.createHmac("sha256", secret).update(data).digest("base64url");
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+/* =========================================================
+   Session tokens
+   ========================================================= */
+
+export function signSession(user, { ttlMs = sessionTtlMs() } = {}) {
+  const secret = authSecret();
+  if (!secret) throw new Error("Missing AUTH_SECRET (set in apps/api/.env)");
+
+  const now = Date.now();
+  const payload = { sub: String(user.id), email: user.email ?? null, iat: now, exp: now + ttlMs };
+  const body = b64url(JSON.stringify(payload));
+  return { token: `${body}.${hmac(body, secret)}`, expiresAt: new Date(payload.exp).toISOString() };
+}
+
+/** Payload for a valid, unexpired token; null otherwise. */
+export function verifySession(token) {
+  const secret = authSecret();
+  if (!secret) return null;
+
+  const [body, sig, extra] = String(token || "").split(".");
+  if (!body || !sig || extra !== undefined) return null;
+  if (!safeEqual(sig, hmac(body, secret))) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+
+  if (!payload?.sub || !Number.isFinite(payload?.exp) || payload.exp <= Date.now()) return null;
+  return payload;
+}
+
+/* =========================================================
+   Passwords + magic links
+   ========================================================= */
+
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64);
+  return `scrypt$${b64url(salt)}$${b64url(hash)}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, "base64url"), 64);
+  return safeEqual(b64url(actual), hash);
+}
+
+export function createMagicToken() {
+  const token = b64url(crypto.randomBytes(32));
+  return { token, tokenHash: hashMagicToken(token) };
+}
+
+export function hashMagicToken(token) {
+  return crypto.createHash("sha256").update(String(token || "")).digest("hex");
+}
+
+/* =========================================================
+   Express middleware
+   ========================================================= */
+
+function bearerToken(req) {
+  const h = String(req.headers.authorization || "");
+  return h.toLowerCase().startsWith("bearer ") ? h.slice(7).trim() : null;
+}
+
+/** Public shape of a user (never the password hash). */
+export function publicUser(row) {
+  if (!row) return null;
+  return {
+    id: String(row.id),
+    email: row.email,
+    plan: row.plan ?? "free",
+    status: row.status ?? "active",
+    createdAt: row.created_at ?? null,
+  };
+}
+
+/**
+ * Resolve `req.user` from the bearer token. Never rejects — routes that need a
+ * user add requireUser. Unknown / disabled users resolve to null.
+ */
+export async function resolveUser(req, _res, next) {
+  req.user = null;
+  const token = bearerToken(req);
+  if (!token) return next();
+
+  try {
+    const payload = verifySession(token);
+    if (payload) {
+      const row = await getUserById(payload.sub);
+      if (row && row.status !== "disabled") req.user = publicUser(row);
+    }
+  } catch (e) {
+    console.warn(`[auth] session lookup failed: ${e?.message || e}`);
+  }
+  return next();
+}
+
+export function requireUser(req, res, next) {
+  if (!req.user) return res.status(401).json({ ok: false, error: "Not signed in" });
+  return next();
+}
+
+/** Operator routes (manual odds, goalie starters, grading runs): x-admin-token must equal ADMIN_TOKEN. */
+export function requireAdmin(req, res, next) {
+  const expected = String(process.env.ADMIN_TOKEN || "");
+  const got = String(req.header("x-admin-token") || "");
+
+  if (!expected || got !== expected) {
+    return res.status(401).json({ ok: false, error: "unauthorized" });
+  }
+
+  next();
+}
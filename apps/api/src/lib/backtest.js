@@ -0,0 +1,265 @@
+// apps/api/src/lib/backtest.js
+import { scoreCalibration } from "./calibration.js";
+
+/**
+ * Backtest bookkeeping: grading, CLV, equity curve and report aggregation.
+ * Pure functions only — the walk-forward loop lives in jobs/backtest.js.
+ *
+ * Every bet risks 1 unit. CLV is positive when we beat the close:
+ *  - clvImplied: close implied prob − bet implied prob
+ *  - clvLine:    points gained on our side (spread/total only)
+ */
+
+function num(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function round(x, d = 4) {
+  if (!Number.isFinite(x)) return null;
+  const m = 10 ** d;
+  return Math.round(x * m) / m;
+}
+
+export function impliedFromAmerican(odds) {
+  const o = num(odds);
+  if (o == null || o === 0) return null;
+  return o > 0 ? 100 / (o + 100) : -o / (-o + 100);
+}
+
+/** WIN / LOSS / PUSH, or null when the game or bet can't be graded. */
+export function gradeBet({ marketType, side, line }, { homeScore, awayScore }) {
+  const h = num(homeScore);
+  const a = num(awayScore);
+  if (h == null || a == null) return null;
+
+  const mt = String(marketType || "").toLowerCase();
+  const sd = String(side || "").toLowerCase();
+  const ln = num(line);
+  const cmp = (x) => (x > 0 ? "WIN" : x < 0 ? "LOSS" : "PUSH");
+
+  if (mt === "moneyline") {
+    if (sd === "home") return cmp(h - a);
+    if (sd === "away") return cmp(a - h);
+  }
+  if (mt === "spread" && ln != null) {
+    if (sd === "home") return cmp(h - a + ln);
+    if (sd === "away") return cmp(a - h + ln);
+  }
+  if (mt === "total" && ln != null) {
+    if (sd === "over") return cmp(h + a - ln);
+    if (sd === "under") return cmp(ln - (h + a));
+  }
+  return null;
+}
+
+/** Units won for a 1u stake. */
+export function profitUnits(odds, result) {
+  const o = num(odds);
+  if (result === "WIN") {
+    if (o == null || o === 0) return 0;
+    return o > 0 ? o / 100 : 100 / Math.abs(o);
+  }
+  if (result === "LOSS") return -1;
+  return 0;
+}
+
+/** { line, odds } for one side of a vegasRow (as built in routes/predict.js). */
+export function quoteForSide(vegasRow, marketType, side) {
+  if (!vegasRow) return null;
+  const mt = String(marketType || "").toLowerCase();
+  const sd = String(side || "").toLowerCase();
+
+  if (mt === "moneyline" && vegasRow.h2h) {
+    const odds = sd === "home" ? vegasRow.h2h.home : sd === "away" ? vegasRow.h2h.away : null;
+    return odds == null ? null : { line: null, odds: num(odds) };
+  }
+  if (mt === "spread" && vegasRow.spreads) {
+    const s = vegasRow.spreads;
+    const line = sd === "home" ? s.homeSpread : sd === "away" ? s.awaySpread : null;
+    const odds = sd === "home" ? s.homePrice : sd === "away" ? s.awayPrice : null;
+    return odds == null ? null : { line: num(line), odds: num(odds) };
+  }
+  if (mt === "total" && vegasRow.totals) {
+    const t = vegasRow.totals;
+    const odds = sd === "over" ? t.overPrice : sd === "under" ? t.underPrice : null;
+    return odds == null ? null : { line: num(t.total), odds: num(odds) };
+  }
+  return null;
+}
+
+export function clvForBet(bet, close) {
+  if (!close) return { clvImplied: null, clvLine: null };
+
+  const pBet = impliedFromAmerican(bet.odds);
+  const pClose = impliedFromAmerican(close.odds);
+  const clvImplied = pBet != null && pClose != null ? pClose - pBet : null;
+
+  let clvLine = null;
+  const bl = num(bet.line);
+  const cl = num(close.line);
+  if (bl != null && cl != null) {
+    const mt = String(bet.marketType || "").toLowerCase();
+    const sd = String(bet.side || "").toLowerCase();
+    if (mt === "spread") clvLine = bl - cl;
+    else if (mt === "total") clvLine = sd === "under" ? bl - cl : cl - bl;
+  }
+
+  return { clvImplied: round(clvImplied, 5), clvLine: round(clvLine, 2) };
+}
+
+function emptyBucket() {
+  return { bets: 0, wins: 0, losses: 0, pushes: 0, units: 0, clvSum: 0, clvN: 0, clvBeat: 0 };
+}
+
+function addToBucket(b, bet) {
+  b.bets += 1;
+  if (bet.result === "WIN") b.wins += 1;
+  else if (bet.result === "LOSS") b.losses += 1;
+  else b.pushes += 1;
+  b.units += bet.profit;
+  if (bet.clvImplied != null) {
+    b.clvSum += bet.clvImplied;
+    b.clvN += 1;
+    if (bet.clvImplied > 0) b.clvBeat += 1;
+  }
+}
+
+function finishBucket(b) {
+  const decided = b.wins + b.losses;
+  return {
+    bets: b.bets,
+    wins: b.wins,
+    losses: b.losses,
+    pushes: b.pushes,
+    hitRate: decided ? round(b.wins / decided, 4) : null,
+    units: round(b.units, 3),
+    roi: b.bets ? round(b.units / b.bets, 4) : null,
+    avgClvImplied: b.clvN ? round(b.clvSum / b.clvN, 5) : null,
+    beatCloseRate: b.clvN ? round(b.clvBeat / b.clvN, 4) : null,
+  };
+}
+
+function groupBy(bets, keyFn) {
+  const out = {};
+  for (const bet of bets) {
+    const k = keyFn(bet) ?? "unknown";
+    if (!out[k]) out[k] = emptyBucket();
+    addToBucket(out[k], bet);
+  }
+  return Object.fromEntries(Object.entries(out).map(([k, b]) => [k, finishBucket(b)]));
+}
+
+/** Cumulative units per bet (chronological) with running peak-to-trough drawdown. */
+export function equityCurve(bets, { startingUnits = 100 } = {}) {
+  let equity = startingUnits;
+  let peak = startingUnits;
+  let maxDd = 0;
+  let maxDdPct = 0;
+
+  const points = bets.map((b) => {
+    equity += b.profit;
+    peak = Math.max(peak, equity);
+    const dd = peak - equity;
+    if (dd > maxDd) maxDd = dd;
+    if (peak > 0 && dd / peak > maxDdPct) maxDdPct = dd / peak;
+    return { date: b.date, equity: round(equity, 3), drawdown: round(dd, 3) };
+  });
+
+  return {
+    points,
+    final: round(equity, 3),
+    maxDrawdownUnits: round(maxDd, 3),
+    maxDrawdownPct: round(maxDdPct, 4),
+  };
+}
+
+/** Full report from graded bets (each: date, league, marketType, tier, profit, result, clvImplied…). */
+export function summarizeBacktest(bets, { startingUnits = 100 } = {}) {
+  const ordered = bets.slice().sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  const total = emptyBucket();
+  for (const b of ordered) addToBucket(total, b);
+
+  const lineClv = ordered.map((b) => b.clvLine).filter((x) => x != null);
+  const curve = equityCurve(ordered, { startingUnits });
+
+  return {
+    overall: {
+      ...finishBucket(total),
+      avgClvLine: lineClv.length ? round(lineClv.reduce((s, x) => s + x, 0) / lineClv.length, 3) : null,
+      startingUnits,
+      endingUnits: curve.final,
+      maxDrawdownUnits: curve.maxDrawdownUnits,
+      maxDrawdownPct: curve.maxDrawdownPct,
+    },
+    byTier: groupBy(ordered, (b) => b.tier),
+    byLeague: groupBy(ordered, (b) => b.league),
+    byMarket: groupBy(ordered, (b) => `${b.league}:${b.marketType}`),
+    byMonth: groupBy(ordered, (b) => String(b.date).slice(0, 7)),
+    equity: curve.points,
+  };
+}
+
+/**
+ * Home-win probability quality for every final game, with and without the
+ * schedule (rest / travel) term. rows: { league, y, pHome, pHomeNoSchedule }.
+ * Negative logLossDelta = the schedule features help.
+ */
+export function summarizeScheduleFeatures(rows) {
+  const byLeague = {};
+  for (const r of rows) (byLeague[r.league] ||= []).push(r);
+
+  const score = (list) => {
+    const withS = scoreCalibration(list.map((r) => ({ p: r.pHome, y: r.y })));
+    const without = scoreCalibration(list.map((r) => ({ p: r.pHomeNoSchedule, y: r.y })));
+    return {
+      games: withS.n,
+      withSchedule: { logLoss: round(withS.logLoss, 5), brier: round(withS.brier, 5) },
+      withoutSchedule: { logLoss: round(without.logLoss, 5), brier: round(without.brier, 5) },
+      logLossDelta: withS.n ? round(withS.logLoss - without.logLoss, 5) : null,
+    };
+  };
+
+  return {
+    overall: score(rows),
+    byLeague: Object.fromEntries(Object.entries(byLeague).map(([k, list]) => [k, score(list)])),
+  };
+}
+
+export const BET_CSV_COLUMNS = [
+  "date",
+  "league",
+  "gameId",
+  "matchup",
+  "eventStart",
+  "oddsSnapshotAt",
+  "marketType",
+  "side",
+  "line",
+  "odds",
+  "tier",
+  "modelProb",
+  "edge",
+  "evForStake100",
+  "closeLine",
+  "closeOdds",
+  "clvImplied",
+  "clvLine",
+  "homeScore",
+  "awayScore",
+  "result",
+  "profit",
+];
+
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  const s = String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function betsToCsv(bets, columns = BET_CSV_COLUMNS) {
+  const lines = [columns.join(",")];
+  for (const b of bets) lines.push(columns.map((c) => csvCell(b[c])).join(","));
+  return `${lines.join("\n")}\n`;
+}
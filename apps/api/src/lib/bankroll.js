@@ -0,0 +1,201 @@
+// apps/api/src/lib/bankroll.js
+
+/**
+ * Bankroll + staking engine.
+ *
+ * Pure functions only — storage lives in db/bankrollStore.js.
+ *
+ * Policies:
+ *  - flat:       fixed `unit_size` per bet
+ *  - kelly:      `kelly_fraction` of full Kelly (kellyHalfFromProb * 2), capped at `max_pct`
+ *  - capped_pct: `unit_pct` of the current bankroll, capped at `max_pct`
+ */
+
+import { kellyHalfFromProb } from "./premiumSelection.js";
+
+export const STAKING_POLICIES = Object.freeze(["flat", "kelly", "capped_pct"]);
+
+export const DEFAULT_BANKROLL_SETTINGS = Object.freeze({
+  starting_bankroll: 1000,
+  policy: "flat",
+  unit_size: 10,
+  unit_pct: 0.01,
+  kelly_fraction: 0.5,
+  max_pct: 0.05,
+});
+
+function num(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function clamp(n, lo, hi) {
+  return Math.max(lo, Math.min(hi, n));
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function decimalFromAmerican(odds) {
+  const o = num(odds);
+  if (o == null || o === 0) return null;
+  return o > 0 ? 1 + o / 100 : 1 + 100 / Math.abs(o);
+}
+
+export function normalizePolicy(v) {
+  const s = String(v || "").trim().toLowerCase();
+  if (["kelly", "fractional_kelly", "fractional-kelly"].includes(s)) return "kelly";
+  if (["capped_pct", "capped-pct", "pct", "percent", "percentage"].includes(s)) return "capped_pct";
+  if (["flat", "units", "flat_units"].includes(s)) return "flat";
+  return null;
+}
+
+/** Fill defaults and clamp every knob into a sane range. */
+export function normalizeBankrollSettings(raw = {}) {
+  const d = DEFAULT_BANKROLL_SETTINGS;
+  const starting = num(raw.starting_bankroll);
+  const unitSize = num(raw.unit_size);
+  const unitPct = num(raw.unit_pct);
+  const kellyFraction = num(raw.kelly_fraction);
+  const maxPct = num(raw.max_pct);
+
+  return {
+    starting_bankroll: starting != null && starting > 0 ? starting : d.starting_bankroll,
+    policy: normalizePolicy(raw.policy) || d.policy,
+    unit_size: unitSize != null && unitSize > 0 ? unitSize : d.unit_size,
+    unit_pct: unitPct != null ? clamp(unitPct, 0.001, 0.25) : d.unit_pct,
+    kelly_fraction: kellyFraction != null ? clamp(kellyFraction, 0.05, 1) : d.kelly_fraction,
+    max_pct: maxPct != null ? clamp(maxPct, 0.005, 0.5) : d.max_pct,
+  };
+}
+
+/**
+ * Recommended stake for one bet.
+ * `prob` is the model win probability; `odds` American. `kellyHalf` may be passed
+ * when the caller already has it (predictions/parlays) to avoid recomputing.
+ */
+export function recommendStake(settingsRaw, bankroll, { prob = null, odds = null, kellyHalf = null } = {}) {
+  const settings = normalizeBankrollSettings(settingsRaw);
+  const br = num(bankroll);
+  const p = num(prob);
+  const dec = decimalFromAmerican(odds);
+
+  const base = { policy: settings.policy, bankroll: br, stake: 0, pctOfBankroll: 0, reason: null };
+
+  if (br == null || br <= 0) return { ...base, reason: "bankroll_depleted" };
+
+  // A known probability with no edge means no bet, whatever the policy
+  const evPerDollar = p != null && dec != null ? p * (dec - 1) - (1 - p) : null;
+  if (evPerDollar != null && evPerDollar <= 0) return { ...base, reason: "no_edge" };
+
+  let stake = 0;
+  let kellyFull = null;
+
+  if (settings.policy === "flat") {
+    stake = settings.unit_size;
+  } else if (settings.policy === "capped_pct") {
+    stake = br * Math.min(settings.unit_pct, settings.max_pct);
+  } else {
+    const kh = num(kellyHalf) ?? (p != null ? kellyHalfFromProb(p, odds) : null);
+    if (kh == null) return { ...base, reason: "missing_probability" };
+    kellyFull = kh * 2;
+    stake = br * Math.min(kellyFull * settings.kelly_fraction, settings.max_pct);
+  }
+
+  stake = round2(clamp(stake, 0, br));
+
+  return {
+    ...base,
+    stake,
+    pctOfBankroll: stake / br,
+    kellyFull,
+    reason: stake > 0 ? null : "below_minimum",
+  };
+}
+
+function betSortKey(b) {
+  return `${String(b?.settled_at || b?.date || "")}|${String(b?.created_at || "")}|${String(b?.id ?? "")}`;
+}
+
+/**
+ * Replay settled bets in settlement order.
+ * Returns the bankroll curve plus peak-to-trough drawdown stats.
+ */
+export function buildBankrollHistory(startingBankroll, bets = []) {
+  const start = num(startingBankroll) ?? DEFAULT_BANKROLL_SETTINGS.starting_bankroll;
+
+  const settled = (Array.isArray(bets) ? bets : [])
+    .filter((b) => ["win", "loss", "push", "void"].includes(String(b?.result || "").toLowerCase()))
+    .filter((b) => num(b?.profit) != null)
+    .sort((a, b) => betSortKey(a).localeCompare(betSortKey(b)));
+
+  let bankroll = start;
+  let peak = start;
+  let maxDrawdown = 0;
+  let maxDrawdownPct = 0;
+
+  const points = [];
+  for (const b of settled) {
+    bankroll += num(b.profit);
+    peak = Math.max(peak, bankroll);
+
+    const dd = peak - bankroll;
+    const ddPct = peak > 0 ? dd / peak : 0;
+    if (dd > maxDrawdown) maxDrawdown = dd;
+    if (ddPct > maxDrawdownPct) maxDrawdownPct = ddPct;
+
+    points.push({
+      id: b.id ?? null,
+      date: String(b.settled_at || b.date || "").slice(0, 10) || null,
+      profit: num(b.profit),
+      bankroll: round2(bankroll),
+      peak: round2(peak),
+      drawdown: round2(dd),
+    });
+  }
+
+  return {
+    starting: start,
+    current: round2(bankroll),
+    peak: round2(peak),
+    maxDrawdown: round2(maxDrawdown),
+    maxDrawdownPct,
+    currentDrawdown: round2(peak - bankroll),
+    currentDrawdownPct: peak > 0 ? (peak - bankroll) / peak : 0,
+    settledBets: settled.length,
+    points,
+  };
+}
+
+/**
+ * Risk of ruin from the realised per-bet P&L (diffusion approximation):
+ *   RoR ≈ exp(-2 · μ · B / σ²)
+ * μ/σ² are the mean/variance of profit per bet, B the current bankroll.
+ * Needs a handful of settled bets to mean anything; returns null below `minBets`.
+ */
+export function riskOfRuin(bets = [], bankroll, { minBets = 20 } = {}) {
+  const br = num(bankroll);
+  const profits = (Array.isArray(bets) ? bets : [])
+    .filter((b) => ["win", "loss"].includes(String(b?.result || "").toLowerCase()))
+    .map((b) => num(b?.profit))
+    .filter((x) => x != null);
+
+  if (br == null || profits.length < minBets) return { value: null, sample: profits.length, reason: "insufficient_sample" };
+  if (br <= 0) return { value: 1, sample: profits.length, reason: "bankroll_depleted" };
+
+  const mean = profits.reduce((a, x) => a + x, 0) / profits.length;
+  const variance = profits.reduce((a, x) => a + (x - mean) ** 2, 0) / (profits.length - 1);
+
+  if (!(variance > 0)) return { value: mean >= 0 ? 0 : 1, sample: profits.length, reason: null };
+  if (mean <= 0) return { value: 1, sample: profits.length, reason: "negative_expectation" };
+
+  return {
+    value: clamp(Math.exp((-2 * mean * br) / variance), 0, 1),
+    sample: profits.length,
+    meanProfit: mean,
+    sdProfit: Math.sqrt(variance),
+    reason: null,
+  };
+}
@@ -0,0 +1,214 @@
+// apps/api/src/lib/calibration.js
+
+/**
+ * Probability calibration: fitting, applying and scoring curves.
+ *
+ * Curves map a raw model win probability to an observed win rate.
+ *  - isotonic: pool-adjacent-violators step function, linearly interpolated
+ *  - platt:    logistic regression on logit(p) → sigmoid(a · logit(p) + b)
+ *
+ * Pure math only; artifacts are read/written by lib/calibrationArtifacts.js.
+ */
+
+const EPS = 1e-6;
+
+function clampProb(p) {
+  return Math.min(1 - EPS, Math.max(EPS, p));
+}
+
+function logit(p) {
+  const q = clampProb(p);
+  return Math.log(q / (1 - q));
+}
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+/** Keep only usable (p, y) pairs: p in [0,1], y in {0,1}. */
+export function cleanPairs(pairs = []) {
+  return (Array.isArray(pairs) ? pairs : []).filter(
+    (x) => Number.isFinite(x?.p) && x.p >= 0 && x.p <= 1 && (x.y === 0 || x.y === 1)
+  );
+}
+
+/**
+ * Platt scaling by Newton's method on the log-likelihood.
+ * Starts from the identity (a=1, b=0) so a tiny sample can't run away.
+ */
+export function fitPlatt(pairs, { iterations = 50, l2 = 1e-3 } = {}) {
+  const data = cleanPairs(pairs).map((x) => ({ z: logit(x.p), y: x.y }));
+  let a = 1;
+  let b = 0;
+
+  for (let it = 0; it < iterations; it++) {
+    let gA = l2 * (a - 1);
+    let gB = 0;
+    let hAA = l2;
+    let hAB = 0;
+    let hBB = EPS;
+
+    for (const { z, y } of data) {
+      const q = sigmoid(a * z + b);
+      const r = q - y;
+      const w = q * (1 - q);
+      gA += r * z;
+      gB += r;
+      hAA += w * z * z;
+      hAB += w * z;
+      hBB += w;
+    }
+
+    const det = hAA * hBB - hAB * hAB;
+    if (!(Math.abs(det) > 1e-12)) break;
+
+    const dA = (hBB * gA - hAB * gB) / det;
+    const dB = (hAA * gB - hAB * gA) / det;
+    a -= dA;
+    b -= dB;
+
+    if (Math.abs(dA) < 1e-8 && Math.abs(dB) < 1e-8) break;
+  }
+
+  return { a, b };
+}
+
+/**
+ * Isotonic regression (pool adjacent violators).
+ * Returns knots { x, y } — block mean predictions and block win rates.
+ */
+export function fitIsotonic(pairs) {
+  const data = cleanPairs(pairs).slice().sort((u, v) => u.p - v.p);
+
+  const blocks = [];
+  for (const { p, y } of data) {
+    blocks.push({ sumP: p, sumY: y, n: 1 });
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const prev = blocks[blocks.length - 2];
+      if (prev.sumY / prev.n <= last.sumY / last.n) break;
+      blocks.splice(blocks.length - 2, 2, {
+        sumP: prev.sumP + last.sumP,
+        sumY: prev.sumY + last.sumY,
+        n: prev.n + last.n,
+      });
+    }
+  }
+
+  return {
+    x: blocks.map((blk) => blk.sumP / blk.n),
+    y: blocks.map((blk) => blk.sumY / blk.n),
+  };
+}
+
+/** Apply a fitted curve ({ method, params }) to a raw probability. */
+export function applyCalibrationCurve(curve, p) {
+  if (!curve || !Number.isFinite(p)) return p;
+
+  if (curve.method === "platt") {
+    const a = Number(curve.params?.a);
+    const b = Number(curve.params?.b);
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return p;
+    return sigmoid(a * logit(p) + b);
+  }
+
+  if (curve.method === "isotonic") {
+    const xs = curve.params?.x || [];
+    const ys = curve.params?.y || [];
+    if (!xs.length || xs.length !== ys.length) return p;
+    if (p <= xs[0]) return ys[0];
+    if (p >= xs[xs.length - 1]) return ys[ys.length - 1];
+
+    for (let i = 1; i < xs.length; i++) {
+      if (p <= xs[i]) {
+        const span = xs[i] - xs[i - 1];
+        const t = span > 0 ? (p - xs[i - 1]) / span : 0;
+        return ys[i - 1] + t * (ys[i] - ys[i - 1]);
+      }
+    }
+  }
+
+  return p;
+}
+
+/** Equal-width reliability bins: mean prediction vs observed rate per bin. */
+export function reliabilityBins(pairs, { bins = 10 } = {}) {
+  const out = Array.from({ length: bins }, (_, i) => ({
+    lo: i / bins,
+    hi: (i + 1) / bins,
+    n: 0,
+    sumP: 0,
+    sumY: 0,
+  }));
+
+  for (const { p, y } of cleanPairs(pairs)) {
+    const i = Math.min(bins - 1, Math.floor(p * bins));
+    out[i].n += 1;
+    out[i].sumP += p;
+    out[i].sumY += y;
+  }
+
+  return out.map((b) => ({
+    lo: b.lo,
+    hi: b.hi,
+    n: b.n,
+    meanPred: b.n ? b.sumP / b.n : null,
+    observed: b.n ? b.sumY / b.n : null,
+  }));
+}
+
+export function scoreCalibration(pairs, { bins = 10 } = {}) {
+  const data = cleanPairs(pairs);
+  const n = data.length;
+  if (!n) return { n: 0, brier: null, ece: null, logLoss: null, reliability: reliabilityBins([], { bins }) };
+
+  let brier = 0;
+  let logLoss = 0;
+  for (const { p, y } of data) {
+    brier += (p - y) ** 2;
+    const q = clampProb(p);
+    logLoss += -(y * Math.log(q) + (1 - y) * Math.log(1 - q));
+  }
+
+  const reliability = reliabilityBins(data, { bins });
+  const ece = reliability.reduce((acc, b) => (b.n ? acc + (b.n / n) * Math.abs(b.meanPred - b.observed) : acc), 0);
+
+  return { n, brier: brier / n, ece, logLoss: logLoss / n, reliability };
+}
+
+function fitParams(method, data) {
+  return method === "isotonic" ? fitIsotonic(data) : fitPlatt(data);
+}
+
+/**
+ * Fit one curve and score it against the raw probabilities.
+ * method "auto" picks isotonic once there is enough data for the steps to be stable.
+ *
+ * Pairs are expected in chronological order: metrics come from a curve fitted on
+ * the older part and scored on the newest `holdoutFrac` (in-sample when that tail
+ * is too small). The shipped params are always refit on everything.
+ */
+export function fitCalibrationCurve(pairs, { method = "auto", isotonicMin = 300, bins = 10, holdoutFrac = 0.2, holdoutMin = 50 } = {}) {
+  const data = cleanPairs(pairs);
+  const chosen = method === "auto" ? (data.length >= isotonicMin ? "isotonic" : "platt") : method;
+
+  const nHold = Math.floor(data.length * holdoutFrac);
+  const useHoldout = nHold >= holdoutMin && data.length - nHold >= holdoutMin;
+  const train = useHoldout ? data.slice(0, data.length - nHold) : data;
+  const test = useHoldout ? data.slice(data.length - nHold) : data;
+
+  const evalCurve = { method: chosen, params: fitParams(chosen, train) };
+  const calibrated = test.map(({ p, y }) => ({ p: applyCalibrationCurve(evalCurve, p), y }));
+
+  return {
+    method: chosen,
+    params: useHoldout ? fitParams(chosen, data) : evalCurve.params,
+    n: data.length,
+    baseRate: data.length ? data.reduce((a, x) => a + x.y, 0) / data.length : null,
+    metricsSample: useHoldout ? "holdout" : "in_sample",
+    metrics: {
+      raw: scoreCalibration(test, { bins }),
+      calibrated: scoreCalibration(calibrated, { bins }),
+    },
+  };
+}
@@ -0,0 +1,117 @@
+// apps/api/src/lib/calibrationArtifacts.js
+
+/**
+ * Versioned calibration artifacts.
+ *
+ * Each fit writes `<dir>/<version>.json` holding every league/market curve, then
+ * points `<dir>/latest.json` at it. Runtime reads are synchronous (selection runs
+ * inside sync code) and re-read only when the file's mtime changes.
+ *
+ * Env:
+ *  - CALIBRATION_DIR      artifact directory (default apps/api/calibration)
+ *  - CALIBRATION_VERSION  pin a version instead of following latest.json
+ *  - CALIBRATION_DISABLED "true" to fall back to CALIBRATION_FACTOR everywhere
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_DIR = path.resolve(__dirname, "../../calibration");
+const LATEST_FILE = "latest.json";
+
+const cache = new Map(); // file -> { mtimeMs, data }
+
+export function calibrationDir() {
+  return process.env.CALIBRATION_DIR ? path.resolve(process.env.CALIBRATION_DIR) : DEFAULT_DIR;
+}
+
+function readJsonCached(file) {
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch {
+    cache.delete(file);
+    return null;
+  }
+
+  const hit = cache.get(file);
+  if (hit && hit.mtimeMs === stat.mtimeMs) return hit.data;
+
+  try {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    cache.set(file, { mtimeMs: stat.mtimeMs, data });
+    return data;
+  } catch (e) {
+    console.warn(`[calibration] unreadable artifact ${file}: ${e?.message || e}`);
+    cache.set(file, { mtimeMs: stat.mtimeMs, data: null });
+    return null;
+  }
+}
+
+function safeVersion(v) {
+  const s = String(v || "").trim();
+  return /^[A-Za-z0-9._-]+$/.test(s) ? s : null;
+}
+
+export function curveKey(league, market) {
+  return `${String(league || "").toLowerCase()}:${String(market || "").toLowerCase()}`;
+}
+
+export function listCalibrationVersions() {
+  try {
+    return fs
+      .readdirSync(calibrationDir())
+      .filter((f) => f.endsWith(".json") && f !== LATEST_FILE)
+      .map((f) => f.slice(0, -5))
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+/** Load an artifact by version; no version = pinned env version, else latest.json. */
+export function loadCalibrationArtifact(version = null) {
+  if (String(process.env.CALIBRATION_DISABLED || "").toLowerCase() === "true") return null;
+
+  const dir = calibrationDir();
+  let v = safeVersion(version) || safeVersion(process.env.CALIBRATION_VERSION);
+
+  if (!v) {
+    const latest = readJsonCached(path.join(dir, LATEST_FILE));
+    v = safeVersion(latest?.version);
+  }
+  if (!v) return null;
+
+  return readJsonCached(path.join(dir, `${v}.json`));
+}
+
+/** Curve for league+market from the active artifact (null = no fitted curve). */
+export function getCalibrationCurve(league, market, version = null) {
+  const artifact = loadCalibrationArtifact(version);
+  const curve = artifact?.curves?.[curveKey(league, market)] || null;
+  if (!curve) return null;
+  return { ...curve, version: artifact.version };
+}
+
+export function writeCalibrationArtifact(artifact, { makeLatest = true } = {}) {
+  const v = safeVersion(artifact?.version);
+  if (!v) throw new Error("writeCalibrationArtifact: invalid version");
+
+  const dir = calibrationDir();
+  fs.mkdirSync(dir, { recursive: true });
+
+  const file = path.join(dir, `${v}.json`);
+  fs.writeFileSync(file, JSON.stringify(artifact, null, 2));
+
+  if (makeLatest) {
+    fs.writeFileSync(
+      path.join(dir, LATEST_FILE),
+      JSON.stringify({ version: v, updatedAt: new Date().toISOString() }, null, 2)
+    );
+  }
+
+  return file;
+}
@@ -0,0 +1,134 @@
+// apps/api/src/lib/leagueModels.js
+
+/**
+ * League-model registry.
+ *
+ * Each league registers one or more model versions. A model describes how a
+ * slate is predicted: where games and history come from, how team stats are
+ * built, how two teams become an edge, and how that edge maps to a home win
+ * probability. `/api/predictions` and every job that needs a slate resolve the
+ * league through here instead of carrying their own `if (league === ...)` chain.
+ *
+ * Versions live side by side: `resolveLeagueModel("nba", "v1")` returns the v1
+ * model while the default version keeps serving the live slate.
+ */
+
+const models = new Map(); // league -> Map(version -> model)
+const defaults = new Map(); // league -> version
+
+const REQUIRED_FNS = ["fetchSlate", "fetchHistory", "buildTeamStats", "edge", "probFromEdge"];
+
+function normLeague(x) {
+  return String(x || "").trim().toLowerCase();
+}
+
+function normVersion(x) {
+  return String(x || "").trim().toLowerCase();
+}
+
+function normWindow(window) {
+  const def = Number(window?.def);
+  const min = Number(window?.min);
+  const max = Number(window?.max);
+  const lo = Number.isFinite(min) ? min : 1;
+  const hi = Number.isFinite(max) ? max : 120;
+  return {
+    def: Number.isFinite(def) ? Math.max(lo, Math.min(hi, def)) : lo,
+    min: lo,
+    max: hi,
+  };
+}
+
+/**
+ * Register a league model version.
+ *
+ * Required: league, version, fetchSlate, fetchHistory, buildTeamStats, edge, probFromEdge.
+ * Optional:
+ *  - label:        human-readable model name surfaced in meta.model
+ *  - isDefault:    serve this version when the caller does not ask for one
+ *  - window:       { def, min, max } history window in days
+ *  - oddsSportKey: The Odds API sport key used for market lines
+ *  - cal:          { marginSd, totalSd, baseTotal, marginScale } market calibration
+ *  - build:        (date, windowDays, opts) => slate; opts.model is this model, so a
+ *                  hand-tuned builder still takes its slate, stats, edge and probability
+ *                  mapping from the hooks above. When omitted the generic builder in
+ *                  routes/predict.js composes the pieces itself.
+ *
+ * Only the default version of a league writes to the ledger; other versions are
+ * served read-only side by side.
+ */
+export function registerLeagueModel(spec) {
+  const league = normLeague(spec?.league);
+  const version = normVersion(spec?.version);
+  if (!league) throw new Error("registerLeagueModel: missing league");
+  if (!version) throw new Error(`registerLeagueModel(${league}): missing version`);
+
+  for (const fn of REQUIRED_FNS) {
+    if (typeof spec[fn] !== "function") {
+      throw new Error(`registerLeagueModel(${league}:${version}): ${fn} must be a function`);
+    }
+  }
+  if (spec.build != null && typeof spec.build !== "function") {
+    throw new Error(`registerLeagueModel(${league}:${version}): build must be a function`);
+  }
+
+  const model = Object.freeze({
+    ...spec,
+    league,
+    version,
+    label: spec.label || `${league.toUpperCase()} ${version}`,
+    window: Object.freeze(normWindow(spec.window)),
+    oddsSportKey: spec.oddsSportKey || null,
+    cal: spec.cal ? Object.freeze({ ...spec.cal }) : null,
+    build: spec.build || null,
+  });
+
+  if (!models.has(league)) models.set(league, new Map());
+  models.get(league).set(version, model);
+
+  if (spec.isDefault || !defaults.has(league)) defaults.set(league, version);
+
+  return model;
+}
+
+export function getLeagueModel(league, version = null) {
+  const byVersion = models.get(normLeague(league));
+  if (!byVersion) return null;
+  const v = normVersion(version) || defaults.get(normLeague(league));
+  return byVersion.get(v) || null;
+}
+
+/**
+ * Same as getLeagueModel, but an unknown version falls back to the league default
+ * (older clients send model=v2 for every league).
+ */
+export function resolveLeagueModel(league, version = null) {
+  return getLeagueModel(league, version) || getLeagueModel(league);
+}
+
+export function isDefaultLeagueModel(model) {
+  if (!model) return false;
+  return defaults.get(model.league) === model.version;
+}
+
+export function listLeagues() {
+  return [...models.keys()];
+}
+
+export function listLeagueModels() {
+  const out = [];
+  for (const [league, byVersion] of models.entries()) {
+    for (const model of byVersion.values()) {
+      out.push({
+        league,
+        version: model.version,
+        label: model.label,
+        isDefault: defaults.get(league) === model.version,
+        window: model.window,
+        oddsSportKey: model.oddsSportKey,
+        customBuild: Boolean(model.build),
+      });
+    }
+  }
+  return out;
+}
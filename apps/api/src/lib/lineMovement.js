@@ -0,0 +1,307 @@
+// apps/api/src/lib/lineMovement.js
+
+/**
+ * Line-movement analysis over market_snapshots rows for one game.
+ *
+ * Every move is measured as "support" for the side being tracked, so a positive
+ * delta always means the market moved toward that side:
+ *  - spread:    -line (favourite -3.5 → -4.5 is +1 toward the favourite)
+ *  - total:     +line for over, -line for under
+ *  - moneyline: implied probability
+ *
+ * Steam = several books moving the same way inside a short window.
+ * RLM   = consensus moving against the side the public is on.
+ */
+
+const STEAM_THRESHOLD = { spread: 0.5, total: 0.5, moneyline: 0.02 };
+const RLM_THRESHOLD = { spread: 0.5, total: 0.5, moneyline: 0.015 };
+
+const STEAM_WINDOW_MS = 15 * 60 * 1000;
+const CONSENSUS_BUCKET_MS = 10 * 60 * 1000;
+
+function toNum(x) {
+  if (x === null || x === undefined || x === "") return null;
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+function toMillis(x) {
+  const t = new Date(x || "").getTime();
+  return Number.isFinite(t) ? t : null;
+}
+
+function round(x, d = 4) {
+  if (!Number.isFinite(x)) return null;
+  const m = 10 ** d;
+  return Math.round(x * m) / m;
+}
+
+function median(xs) {
+  const v = xs.filter(Number.isFinite).sort((a, b) => a - b);
+  if (!v.length) return null;
+  const mid = Math.floor(v.length / 2);
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+}
+
+export function impliedFromAmerican(odds) {
+  const o = toNum(odds);
+  if (o == null || o === 0) return null;
+  return o > 0 ? 100 / (o + 100) : -o / (-o + 100);
+}
+
+export function normalizeMovementMarket(x) {
+  const m = String(x || "").trim().toLowerCase();
+  if (m === "ml" || m === "h2h" || m === "money") return "moneyline";
+  if (m === "spreads") return "spread";
+  if (m === "totals" || m === "ou") return "total";
+  return m;
+}
+
+function sideOf(row) {
+  return String(row?.side || row?.pick || "").trim().toLowerCase() || "unknown";
+}
+
+/** Support value for a point on `side` in `market` (see module comment). */
+export function supportValue(market, side, { line, implied }) {
+  if (market === "moneyline") return implied;
+  if (line == null) return null;
+  if (market === "spread") return -line;
+  if (market === "total") return side === "under" ? -line : line;
+  return null;
+}
+
+/**
+ * Same line but different price still counts as a move: when the line is
+ * unchanged, fall back to the implied probability shift scaled into points
+ * (roughly 0.02 implied ≈ 0.5 pts for spreads/totals).
+ */
+function moveBetween(market, side, a, b) {
+  const sa = supportValue(market, side, a);
+  const sb = supportValue(market, side, b);
+  if (sa == null || sb == null) return 0;
+
+  const d = sb - sa;
+  if (market !== "moneyline" && d === 0 && a.implied != null && b.implied != null) {
+    return (b.implied - a.implied) * 25;
+  }
+  return d;
+}
+
+/** Group raw snapshot rows → market → side → book → chronological points. */
+export function groupSnapshotSeries(rows = []) {
+  const out = new Map();
+
+  for (const r of Array.isArray(rows) ? rows : []) {
+    const t = toMillis(r?.captured_at);
+    if (t == null) continue;
+
+    const market = normalizeMovementMarket(r.market_type || r.market);
+    const side = sideOf(r);
+    const book = String(r.book || "unknown").trim() || "unknown";
+    const key = `${market}|${side}`;
+
+    if (!out.has(key)) out.set(key, { market, side, books: new Map() });
+    const books = out.get(key).books;
+    if (!books.has(book)) books.set(book, []);
+
+    const odds = toNum(r.odds);
+    books.get(book).push({
+      t,
+      capturedAt: new Date(t).toISOString(),
+      line: toNum(r.line),
+      odds,
+      implied: impliedFromAmerican(odds),
+    });
+  }
+
+  for (const g of out.values()) {
+    for (const [book, pts] of g.books.entries()) {
+      pts.sort((a, b) => a.t - b.t);
+      // drop consecutive duplicates so the series only holds real changes
+      g.books.set(
+        book,
+        pts.filter((p, i) => i === 0 || p.line !== pts[i - 1].line || p.odds !== pts[i - 1].odds)
+      );
+    }
+  }
+
+  return out;
+}
+
+/** Median across books, carrying each book's latest point forward per bucket. */
+export function buildConsensusSeries(books, { bucketMs = CONSENSUS_BUCKET_MS } = {}) {
+  const all = [];
+  for (const [book, pts] of books.entries()) for (const p of pts) all.push({ book, ...p });
+  if (!all.length) return [];
+
+  all.sort((a, b) => a.t - b.t);
+
+  const latest = new Map();
+  const out = [];
+  let i = 0;
+  const start = Math.floor(all[0].t / bucketMs) * bucketMs;
+  const end = all[all.length - 1].t;
+
+  for (let bucket = start; bucket <= end; bucket += bucketMs) {
+    const bucketEnd = bucket + bucketMs;
+    let changed = false;
+    while (i < all.length && all[i].t < bucketEnd) {
+      latest.set(all[i].book, all[i]);
+      changed = true;
+      i++;
+    }
+    if (!changed) continue;
+
+    const cur = Array.from(latest.values());
+    out.push({
+      t: Math.min(bucketEnd - 1, end),
+      capturedAt: new Date(Math.min(bucketEnd - 1, end)).toISOString(),
+      line: median(cur.map((p) => p.line)),
+      odds: median(cur.map((p) => p.odds)),
+      implied: median(cur.map((p) => p.implied)),
+      books: cur.length,
+    });
+  }
+
+  return out;
+}
+
+/**
+ * Steam: at least `minBooks` books each move ≥ threshold in the same direction
+ * within `windowMs`. Overlapping detections are merged into one event.
+ */
+export function detectSteamMoves(market, side, books, { windowMs = STEAM_WINDOW_MS, threshold = null, minBooks = null } = {}) {
+  const th = threshold ?? STEAM_THRESHOLD[market] ?? 0.5;
+  const nBooks = books.size;
+  const need = minBooks ?? Math.min(3, Math.max(2, Math.ceil(nBooks / 2)));
+  if (nBooks < need) return [];
+
+  const moves = [];
+  for (const [book, pts] of books.entries()) {
+    for (let k = 1; k < pts.length; k++) {
+      const d = moveBetween(market, side, pts[k - 1], pts[k]);
+      if (Math.abs(d) >= th) moves.push({ book, t: pts[k].t, d, dir: Math.sign(d) });
+    }
+  }
+  moves.sort((a, b) => a.t - b.t);
+
+  const events = [];
+  for (let a = 0; a < moves.length; a++) {
+    const dir = moves[a].dir;
+    const inWindow = [];
+    for (let b = a; b < moves.length && moves[b].t - moves[a].t <= windowMs; b++) {
+      if (moves[b].dir === dir) inWindow.push(moves[b]);
+    }
+
+    const booksHit = new Set(inWindow.map((m) => m.book));
+    if (booksHit.size < need) continue;
+
+    const startT = inWindow[0].t;
+    const endT = inWindow[inWindow.length - 1].t;
+    const prev = events[events.length - 1];
+
+    if (prev && prev.dir === dir && startT <= prev.endT) {
+      prev.endT = Math.max(prev.endT, endT);
+      for (const m of inWindow) {
+        prev.bookSet.add(m.book);
+        prev.deltas.push(m.d);
+      }
+      continue;
+    }
+
+    events.push({ dir, startT, endT, bookSet: new Set(booksHit), deltas: inWindow.map((m) => m.d) });
+  }
+
+  return events.map((e) => ({
+    start: new Date(e.startT).toISOString(),
+    end: new Date(e.endT).toISOString(),
+    direction: e.dir > 0 ? "toward" : "against",
+    books: Array.from(e.bookSet).sort(),
+    avgMove: round(e.deltas.reduce((s, x) => s + x, 0) / e.deltas.length, 3),
+  }));
+}
+
+/**
+ * Reverse line movement for the tracked side.
+ * Without ticket data the public is assumed to be on the opening favourite
+ * (spread/moneyline) or the over (totals). `publicPct` is the share of tickets
+ * on the tracked side when known.
+ */
+export function detectReverseLineMovement(market, side, consensus, { publicPct = null, threshold = null } = {}) {
+  const th = threshold ?? RLM_THRESHOLD[market] ?? 0.5;
+  const open = consensus[0];
+  const latest = consensus[consensus.length - 1];
+
+  if (!open || !latest || open === latest) {
+    return { flagged: false, publicSide: null, assumed: publicPct == null, delta: 0 };
+  }
+
+  let publicOnSide;
+  const pct = toNum(publicPct);
+  if (pct != null) {
+    publicOnSide = (pct > 1 ? pct / 100 : pct) > 0.5;
+  } else if (market === "total") {
+    publicOnSide = side === "over";
+  } else if (market === "spread") {
+    publicOnSide = open.line != null ? open.line < 0 : null;
+  } else {
+    publicOnSide = open.implied != null ? open.implied > 0.5 : null;
+  }
+
+  const delta = moveBetween(market, side, open, latest);
+  if (publicOnSide == null) {
+    return { flagged: false, publicSide: null, assumed: pct == null, delta: round(delta, 3) };
+  }
+
+  // movement toward the side the public is NOT on
+  const againstPublic = publicOnSide ? delta <= -th : delta >= th;
+
+  return {
+    flagged: againstPublic,
+    publicSide: publicOnSide ? side : "opposite",
+    assumed: pct == null,
+    delta: round(delta, 3),
+  };
+}
+
+function stripT(p) {
+  const { t: _t, ...rest } = p;
+  return rest;
+}
+
+/**
+ * Full history payload for one game.
+ * opts: { market, side, publicPct } narrow the output / feed RLM.
+ */
+export function buildLineHistory(rows = [], { market = null, side = null, publicPct = null } = {}) {
+  const wantMarket = market ? normalizeMovementMarket(market) : null;
+  const wantSide = side ? String(side).trim().toLowerCase() : null;
+
+  const out = [];
+  for (const g of groupSnapshotSeries(rows).values()) {
+    if (wantMarket && g.market !== wantMarket) continue;
+    if (wantSide && g.side !== wantSide) continue;
+
+    const consensus = buildConsensusSeries(g.books);
+    const open = consensus[0] || null;
+    const latest = consensus[consensus.length - 1] || null;
+
+    out.push({
+      market: g.market,
+      side: g.side,
+      books: Array.from(g.books.entries())
+        .map(([book, pts]) => ({ book, points: pts.map(stripT) }))
+        .sort((a, b) => a.book.localeCompare(b.book)),
+      consensus: consensus.map(stripT),
+      steam: detectSteamMoves(g.market, g.side, g.books),
+      rlm: detectReverseLineMovement(g.market, g.side, consensus, { publicPct }),
+      movement: {
+        open: open ? stripT(open) : null,
+        latest: latest ? stripT(latest) : null,
+        delta: open && latest ? round(moveBetween(g.market, g.side, open, latest), 3) : 0,
+      },
+    });
+  }
+
+  return out.sort((a, b) => a.market.localeCompare(b.market) || a.side.localeCompare(b.side));
+}
@@ -0,0 +1,255 @@
+// apps/api/src/lib/lineShopping.js
+
+/**
+ * Best-line shopping and cross-book arbitrage / middles.
+ *
+ * Works on the Odds API vegasRow built in routes/predict.js, whose `books`
+ * node carries every bookmaker's quote (ODDS_COMPARISON_ALL_BOOKS):
+ *
+ *   ODDS_LINE_SHOPPING=false   price picks at ODDS_BOOKMAKER only (default: shop every book)
+ *   ODDS_SHOP_BOOKS            comma list of book keys you can actually bet (default: all)
+ *   ODDS_SHOP_MAX_STALE_MIN    drop quotes this many minutes older than the freshest feed book (default 30;
+ *                              hand-entered books are aged by their last edit, see lib/odds.js)
+ *
+ * Arbitrage / middles pair one side at one book with the other side at another
+ * and settle the pair over every integer final margin (spreads) or total
+ * (totals), pushes included. Stakes are split so each side returns the same
+ * amount when it wins alone. An arb's worst outcome is a profit; a middle has
+ * a window of results where both sides win, bought for a small worst case.
+ */
+
+const SIDES = {
+  moneyline: ["home", "away"],
+  spread: ["home", "away"],
+  total: ["over", "under"],
+};
+
+function toNum(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function round(x, d = 4) {
+  if (!Number.isFinite(x)) return null;
+  const m = 10 ** d;
+  return Math.round(x * m) / m;
+}
+
+export function decimalFromAmerican(odds) {
+  const o = toNum(odds);
+  if (o == null || o === 0) return null;
+  return o > 0 ? 1 + o / 100 : 1 + 100 / Math.abs(o);
+}
+
+export function lineShoppingEnabled() {
+  return String(process.env.ODDS_LINE_SHOPPING ?? "true").toLowerCase() !== "false";
+}
+
+function shopBooks() {
+  const list = String(process.env.ODDS_SHOP_BOOKS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  return list.length ? new Set(list) : null;
+}
+
+function maxStaleMs() {
+  const m = Number(process.env.ODDS_SHOP_MAX_STALE_MIN);
+  return (Number.isFinite(m) && m > 0 ? m : 30) * 60_000;
+}
+
+// one book's quote for a side → { line, odds } (line null for moneyline)
+function quoteFrom(marketType, side, row) {
+  if (!row) return null;
+  if (marketType === "moneyline") return { line: null, odds: toNum(row[side]) };
+  if (marketType === "spread") {
+    return side === "home"
+      ? { line: toNum(row.homeSpread), odds: toNum(row.homePrice) }
+      : { line: toNum(row.awaySpread), odds: toNum(row.awayPrice) };
+  }
+  return { line: toNum(row.total), odds: toNum(side === "over" ? row.overPrice : row.underPrice) };
+}
+
+const BOOK_NODE = { moneyline: "h2h", spread: "spreads", total: "totals" };
+
+/**
+ * Every usable quote for one side, preferred book first:
+ * [{ bookKey, bookTitle, lastUpdate, line, odds, preferred, manual }]
+ * With shopping off (or no per-book data) only the preferred book's quote.
+ * restrict=false ignores ODDS_SHOP_BOOKS (market consensus reads every book).
+ */
+export function sideQuotes(vegasRow, marketType, side, { shop = lineShoppingEnabled(), restrict = true } = {}) {
+  if (!vegasRow) return [];
+  const mt = String(marketType || "").toLowerCase();
+  const node = BOOK_NODE[mt];
+  if (!node) return [];
+
+  const usable = (q) => q && q.odds != null && (mt === "moneyline" || q.line != null);
+  const preferredKey = String(vegasRow.bookmaker || "").toLowerCase() || null;
+  const out = [];
+
+  const rows = Array.isArray(vegasRow.books?.[node]) ? vegasRow.books[node] : [];
+  const pref = quoteFrom(mt, side, vegasRow[node]);
+  if (usable(pref)) {
+    const title = rows.find((r) => String(r?.bookmaker || "").toLowerCase() === preferredKey)?.bookTitle;
+    const manual = rows.some((r) => r?.manual && String(r.bookmaker || "").toLowerCase() === preferredKey);
+    out.push({ bookKey: preferredKey, bookTitle: title || preferredKey, lastUpdate: vegasRow.lastUpdate ?? null, ...pref, preferred: true, manual });
+  }
+  if (!shop) return out;
+
+  const allow = restrict ? shopBooks() : null;
+  for (const r of rows) {
+    const key = String(r?.bookmaker || "").toLowerCase() || null;
+    if (!key || key === preferredKey) continue;
+    if (allow && !allow.has(key)) continue;
+    const q = quoteFrom(mt, side, r);
+    if (usable(q)) out.push({ bookKey: key, bookTitle: r.bookTitle || key, lastUpdate: r.lastUpdate ?? null, ...q, preferred: false, manual: !!r.manual });
+  }
+
+  // a book that stopped updating (or a hand-entered price nobody refreshed) can show a
+  // line the rest of the market left behind; only feed books set the freshest time
+  const times = out.filter((q) => !q.manual).map((q) => Date.parse(q.lastUpdate || "")).filter(Number.isFinite);
+  if (times.length) {
+    const freshest = Math.max(...times);
+    const limit = maxStaleMs();
+    return out.filter((q) => {
+      const t = Date.parse(q.lastUpdate || "");
+      if (q.manual) return Number.isFinite(t) && freshest - t <= limit;
+      return q.preferred || !Number.isFinite(t) || freshest - t <= limit;
+    });
+  }
+  return out;
+}
+
+// > 0 when line a is better than line b for this side (more points / lower over / higher under)
+export function lineAdvantage(marketType, side, a, b) {
+  if (marketType === "total" && side === "over") return b - a;
+  return a - b;
+}
+
+/** Model-free ordering: better line first, then better price, then the preferred book. */
+export function rankQuotes(marketType, side, quotes) {
+  return [...quotes].sort((x, y) => {
+    if (marketType !== "moneyline") {
+      const adv = lineAdvantage(marketType, side, x.line, y.line);
+      if (adv !== 0) return -adv;
+    }
+    const dx = decimalFromAmerican(x.odds) ?? 0;
+    const dy = decimalFromAmerican(y.odds) ?? 0;
+    if (dx !== dy) return dy - dx;
+    return Number(y.preferred) - Number(x.preferred);
+  });
+}
+
+/* =============================
+   Arbitrage / middles
+============================= */
+
+// leg result for a final margin (home − away) or total
+function legResult(marketType, side, line, value) {
+  let diff;
+  if (marketType === "moneyline") diff = side === "home" ? value : -value;
+  else if (marketType === "spread") diff = (side === "home" ? value : -value) + line;
+  else diff = side === "over" ? value - line : line - value;
+  return diff > 0 ? "win" : diff < 0 ? "loss" : "push";
+}
+
+function outcomeRange(marketType, a, b) {
+  if (marketType === "moneyline") return [-1, 1]; // OT/SO means no draws
+  if (marketType === "spread") {
+    const lo = Math.floor(Math.min(-a.line, b.line)) - 2;
+    const hi = Math.ceil(Math.max(-a.line, b.line)) + 2;
+    return [lo, hi];
+  }
+  return [Math.floor(Math.min(a.line, b.line)) - 2, Math.ceil(Math.max(a.line, b.line)) + 2];
+}
+
+/**
+ * Settle a two-book pair over every relevant integer result.
+ * a, b: { side, line, odds, ... } for opposite sides. Stakes per 1 unit total.
+ */
+function evaluatePair(marketType, a, b) {
+  const da = decimalFromAmerican(a.odds);
+  const db = decimalFromAmerican(b.odds);
+  if (!da || !db) return null;
+
+  const sa = (1 / da) / (1 / da + 1 / db);
+  const sb = 1 - sa;
+
+  const [lo, hi] = outcomeRange(marketType, a, b);
+  let worst = Infinity;
+  let best = -Infinity;
+  const both = [];
+  for (let v = lo; v <= hi; v++) {
+    if (marketType === "moneyline" && v === 0) continue;
+    const ra = legResult(marketType, a.side, a.line, v);
+    const rb = legResult(marketType, b.side, b.line, v);
+    const pay = (r, s, d) => (r === "win" ? s * d : r === "push" ? s : 0);
+    const ret = pay(ra, sa, da) + pay(rb, sb, db) - 1;
+    worst = Math.min(worst, ret);
+    best = Math.max(best, ret);
+    if (ra === "win" && rb === "win") both.push(v);
+  }
+
+  return { sa, sb, worst, best, middle: both };
+}
+
+/**
+ * Arbs and middles for one game's vegasRow.
+ * opts: { stake = 100, minReturn = 0, maxMiddleCost = 0.05, markets = ["moneyline","spread","total"] }
+ */
+export function scanGameForArbitrage(vegasRow, { stake = 100, minReturn = 0, maxMiddleCost = 0.05, markets = ["moneyline", "spread", "total"] } = {}) {
+  const found = [];
+
+  for (const mt of markets) {
+    const [sideA, sideB] = SIDES[mt] || [];
+    if (!sideA) continue;
+    const qa = sideQuotes(vegasRow, mt, sideA, { shop: true }).map((q) => ({ ...q, side: sideA }));
+    const qb = sideQuotes(vegasRow, mt, sideB, { shop: true }).map((q) => ({ ...q, side: sideB }));
+
+    for (const a of qa) {
+      for (const b of qb) {
+        if (a.bookKey === b.bookKey) continue;
+        const r = evaluatePair(mt, a, b);
+        if (!r) continue;
+
+        const isArb = r.worst > 0 && r.worst >= minReturn;
+        const isMiddle = mt !== "moneyline" && r.middle.length > 0 && r.worst >= -maxMiddleCost;
+        if (!isArb && !isMiddle) continue;
+
+        const leg = (q, share) => ({
+          side: q.side,
+          book: q.bookTitle,
+          bookKey: q.bookKey,
+          line: q.line,
+          odds: q.odds,
+          stake: round(stake * share, 2),
+          lastUpdate: q.lastUpdate,
+        });
+
+        found.push({
+          type: isArb ? "arbitrage" : "middle",
+          market: mt,
+          guaranteedReturn: round(r.worst),
+          guaranteedProfit: round(stake * r.worst, 2),
+          bestReturn: round(r.best),
+          middle: r.middle.length ? { results: r.middle, profit: round(stake * r.best, 2) } : null,
+          legs: [leg(a, r.sa), leg(b, r.sb)],
+        });
+      }
+    }
+  }
+
+  // one entry per market/type/line pair: keep its best-paying book combination
+  const bestByShape = new Map();
+  for (const f of found) {
+    const k = `${f.type}|${f.market}|${f.legs.map((l) => `${l.side}${l.line ?? ""}`).join("|")}`;
+    const cur = bestByShape.get(k);
+    if (!cur || f.guaranteedReturn > cur.guaranteedReturn) bestByShape.set(k, f);
+  }
+
+  return [...bestByShape.values()].sort(
+    (x, y) => (x.type === y.type ? y.guaranteedReturn - x.guaranteedReturn : x.type === "arbitrage" ? -1 : 1)
+  );
+}
@@ -0,0 +1,200 @@
+// apps/api/src/lib/liveWinProb.js
+import { goalDistribution } from "./nhlGoalModel.js";
+
+/**
+ * In-game probabilities from the pre-game score distribution and the clock.
+ *
+ * The rest of the game is treated as a scaled copy of the whole game: with a
+ * fraction `frac` of regulation left, the remaining margin/total have mean
+ * pre-game mean · frac and variance pre-game variance · frac (basketball,
+ * normal), or the goal model's distribution for expected goals λ · frac from the
+ * current score (NHL: lib/nhlGoalModel.js, with its tie, empty-net and OT/SO handling).
+ *
+ * Everything is conditioned on the current score, so a final game returns
+ * 0/1 (or a push) and a game that hasn't started returns the pre-game numbers.
+ */
+
+const CLOCK = {
+  nba: { periods: 4, periodMin: 12, otMin: 5 },
+  ncaam: { periods: 2, periodMin: 20, otMin: 5 },
+  nhl: { periods: 3, periodMin: 20, otMin: 5 },
+};
+
+function erf(x) {
+  // Abramowitz–Stegun 7.1.26
+  const sign = x < 0 ? -1 : 1;
+  const ax = Math.abs(x);
+  const t = 1 / (1 + 0.3275911 * ax);
+  const y = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-ax * ax);
+  return sign * y;
+}
+
+// P(X > x) for X ~ N(mean, sd)
+function normalAbove(x, mean, sd) {
+  if (!(sd > 0)) return mean > x ? 1 : 0;
+  return 1 - 0.5 * (1 + erf((x - mean) / (sd * Math.SQRT2)));
+}
+
+/** "5:32" → 5.53 minutes; "32.4" (final-minute tenths) → 0.54. */
+export function clockMinutes(displayClock) {
+  const s = String(displayClock ?? "").trim();
+  if (!s) return 0;
+  if (s.includes(":")) {
+    const [m, sec] = s.split(":").map(Number);
+    return (Number.isFinite(m) ? m : 0) + (Number.isFinite(sec) ? sec : 0) / 60;
+  }
+  const secs = Number(s);
+  return Number.isFinite(secs) ? secs / 60 : 0;
+}
+
+/**
+ * Share of regulation still to play.
+ * state: ESPN "pre" | "in" | "post". Overtime time left counts against a
+ * full regulation, so an OT period is a short, low-variance stretch.
+ */
+export function remainingFraction(league, { state, period, clock }) {
+  const c = CLOCK[league] || CLOCK.nba;
+  const regulation = c.periods * c.periodMin;
+
+  if (state === "pre") return { frac: 1, overtime: false, minutesLeft: regulation };
+  if (state === "post") return { frac: 0, overtime: false, minutesLeft: 0 };
+
+  const p = Math.max(1, Number(period) || 1);
+  const left = Math.min(p > c.periods ? c.otMin : c.periodMin, clockMinutes(clock));
+  if (p > c.periods) return { frac: left / regulation, overtime: true, minutesLeft: left };
+
+  const minutesLeft = (c.periods - p) * c.periodMin + left;
+  return { frac: minutesLeft / regulation, overtime: false, minutesLeft };
+}
+
+/**
+ * Basketball: normal remaining margin/total.
+ * dist: { meanMargin, meanTotal, marginSd, totalSd } (the game's scoreDist).
+ */
+function liveNormal({ homeScore, awayScore, frac }, dist) {
+  const margin = homeScore - awayScore;
+  const total = homeScore + awayScore;
+  const mMean = margin + (dist.meanMargin ?? 0) * frac;
+  const mSd = (dist.marginSd ?? 0) * Math.sqrt(frac);
+  const tMean = total + (dist.meanTotal ?? 0) * frac;
+  const tSd = (dist.totalSd ?? 0) * Math.sqrt(frac);
+
+  const final = frac <= 0;
+  const side = (threshold, mean, sd) => {
+    if (!final) return { win: normalAbove(threshold, mean, sd), push: 0 };
+    return { win: mean > threshold ? 1 : 0, push: mean === threshold ? 1 : 0 };
+  };
+
+  return {
+    pHomeWin: final ? (margin > 0 ? 1 : margin < 0 ? 0 : 0.5) : normalAbove(0, mMean, mSd),
+    cover: (homeLine) => side(-homeLine, mMean, mSd),
+    over: (line) => side(line, tMean, tSd),
+    projected: { margin: mMean, total: tMean },
+  };
+}
+
+/**
+ * NHL: the pre-game goal model over the regulation time left, from the current score.
+ * goals: { lambdaHome, lambdaAway } from the pre-game goal model.
+ */
+function liveGoals({ homeScore, awayScore, frac, overtime }, goals) {
+  const lh = goals.lambdaHome;
+  const la = goals.lambdaAway;
+
+  const margin = homeScore - awayScore;
+  const total = homeScore + awayScore;
+  let outcomes;
+  if (overtime && margin === 0) {
+    // in OT the next goal ends it, split as the goal model splits OT/SO
+    const ot = goalDistribution(lh, la).overtime;
+    const pOtHome = ot.home + ot.away > 0 ? ot.home / (ot.home + ot.away) : 0.5;
+    outcomes = [
+      { margin: 1, total: total + 1, p: pOtHome },
+      { margin: -1, total: total + 1, p: 1 - pOtHome },
+    ];
+  } else if (overtime || frac <= 0) {
+    // a finished game's score already includes the decider
+    outcomes = [{ margin, total, p: 1 }];
+  } else {
+    outcomes = goalDistribution(lh * frac, la * frac, { homeGoals: homeScore, awayGoals: awayScore }).outcomes;
+  }
+
+  const sum = (pred) => outcomes.reduce((s, o) => s + (pred(o) ? o.p : 0), 0);
+  const side = (value, threshold) => ({
+    win: sum((o) => value(o) > threshold),
+    push: sum((o) => value(o) === threshold),
+  });
+
+  return {
+    pHomeWin: sum((o) => o.margin > 0),
+    cover: (homeLine) => side((o) => o.margin, -homeLine),
+    over: (line) => side((o) => o.total, line),
+    projected: {
+      margin: outcomes.reduce((s, o) => s + o.margin * o.p, 0),
+      total: outcomes.reduce((s, o) => s + o.total * o.p, 0),
+    },
+  };
+}
+
+function round(x, d = 4) {
+  if (!Number.isFinite(x)) return null;
+  const m = 10 ** d;
+  return Math.round(x * m) / m;
+}
+
+/**
+ * Live numbers for one game.
+ * state: { state, period, clock, homeScore, awayScore }
+ * dist: { meanMargin, meanTotal, marginSd, totalSd }; goals: NHL goal model (optional)
+ * lines: { spread: home line, total } from the game's markets; bet: recommendedBet (optional)
+ */
+export function liveProbabilities(league, state, { dist, goals = null, lines = {}, bet = null }) {
+  const homeScore = Number(state.homeScore) || 0;
+  const awayScore = Number(state.awayScore) || 0;
+  const { frac, overtime, minutesLeft } = remainingFraction(league, state);
+
+  const useGoals = league === "nhl" && Number.isFinite(goals?.lambdaHome) && Number.isFinite(goals?.lambdaAway);
+  if (!useGoals && !dist) return null;
+
+  const m = useGoals
+    ? liveGoals({ homeScore, awayScore, frac, overtime }, goals)
+    : liveNormal({ homeScore, awayScore, frac }, dist);
+
+  const spreadLine = Number.isFinite(lines.spread) ? lines.spread : null;
+  const totalLine = Number.isFinite(lines.total) ? lines.total : null;
+  const homeCover = spreadLine != null ? m.cover(spreadLine) : null;
+  const over = totalLine != null ? m.over(totalLine) : null;
+
+  let pick = null;
+  const mt = String(bet?.marketType || "").toLowerCase();
+  const betSide = String(bet?.side || "").toLowerCase();
+  const betLine = bet?.line == null ? NaN : Number(bet.line);
+  if (mt === "moneyline") {
+    pick = { win: betSide === "home" ? m.pHomeWin : 1 - m.pHomeWin, push: 0 };
+  } else if (mt === "spread" && Number.isFinite(betLine)) {
+    const c = m.cover(betSide === "home" ? betLine : -betLine);
+    pick = betSide === "home" ? c : { win: 1 - c.win - c.push, push: c.push };
+  } else if (mt === "total" && Number.isFinite(betLine)) {
+    const o = m.over(betLine);
+    pick = betSide === "over" ? o : { win: 1 - o.win - o.push, push: o.push };
+  }
+
+  return {
+    remainingFrac: round(frac),
+    minutesLeft: round(minutesLeft, 2),
+    overtime,
+    model: useGoals ? "goals" : "normal",
+    pHomeWin: round(m.pHomeWin),
+    projected: { margin: round(m.projected.margin, 2), total: round(m.projected.total, 2) },
+    spread: homeCover
+      ? {
+          line: spreadLine,
+          homeCover: round(homeCover.win),
+          awayCover: round(1 - homeCover.win - homeCover.push),
+          push: round(homeCover.push),
+        }
+      : null,
+    total: over ? { line: totalLine, over: round(over.win), under: round(1 - over.win - over.push), push: round(over.push) } : null,
+    pick: pick ? { marketType: mt, side: betSide, line: Number.isFinite(betLine) ? betLine : null, win: round(pick.win), push: round(pick.push) } : null,
+  };
+}
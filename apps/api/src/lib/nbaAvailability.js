@@ -0,0 +1,282 @@
+// apps/api/src/lib/nbaAvailability.js
+import fs from "node:fs";
+import path from "node:path";
+
+/**
+ * NBA availability (injuries / lineup status) → team rating adjustments.
+ *
+ * 1. A source returns status reports: who is out / doubtful / questionable.
+ *    Sources are pluggable (NBA_AVAILABILITY_SOURCE):
+ *      balldontlie  (default) GET /player_injuries
+ *      file         JSON at NBA_AVAILABILITY_FILE — hand-entered or exported from another feed
+ *      none         availability off
+ *    registerAvailabilitySource(name, loader) adds another provider adapter.
+ *
+ * 2. Each listed player's impact comes from his balldontlie season averages:
+ *    Game Score per game above a replacement player in the same minutes,
+ *    scaled to points of margin and weighted by how likely he is to sit.
+ *
+ * 3. predict.js turns the per-team missing points into a rating shift before
+ *    nbaProbFromEdge (and the matching Elo shift) and lists the players in `why`.
+ *
+ * Fetching goes through the caller's fetchJson so caching and fixture
+ * record/replay apply. Only the current report exists upstream, so walk-forward
+ * runs (sim) skip this entirely.
+ */
+
+// probability the player sits, by reported status
+export const STATUS_WEIGHTS = {
+  out: 1,
+  "out for season": 1,
+  suspended: 1,
+  doubtful: 0.75,
+  questionable: 0.4,
+  "day-to-day": 0.3,
+  probable: 0.1,
+};
+
+const REPLACEMENT_GMSC_PER_36 = 6; // a min-salary call-up
+const MARGIN_PER_GMSC = 0.3; // Game Score above replacement → points of team margin
+const DEFAULT_IMPACT_PTS = 1.2; // listed player with no stats (rookie, two-way, lookup failed)
+const MAX_TEAM_IMPACT_PTS = 10;
+export const ELO_PER_POINT = 28;
+
+const sources = new Map();
+
+export function registerAvailabilitySource(name, loader) {
+  sources.set(String(name).toLowerCase(), loader);
+}
+
+export function availabilitySourceName() {
+  return String(process.env.NBA_AVAILABILITY_SOURCE || "balldontlie").trim().toLowerCase();
+}
+
+function normStatus(s) {
+  return String(s || "").trim().toLowerCase();
+}
+
+function toNum(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// "34:12" or 34.2 → minutes
+function minutesOf(v) {
+  if (typeof v === "string" && v.includes(":")) {
+    const [m, s] = v.split(":").map(Number);
+    return Number.isFinite(m) ? m + (Number(s) || 0) / 60 : null;
+  }
+  return toNum(v);
+}
+
+/** Season label balldontlie uses: the year the season started (Oct–Jun). */
+export function nbaSeasonForDate(ymd) {
+  const [y, m] = String(ymd).split("-").map(Number);
+  return m >= 9 ? y : y - 1;
+}
+
+function report({ team, playerId = null, name, status, note = null }) {
+  const st = normStatus(status);
+  const weight = STATUS_WEIGHTS[st] ?? 0;
+  if (!team || weight <= 0) return null;
+  return { team: String(team).toUpperCase(), playerId: toNum(playerId), name: name || "Unknown", status: st, weight, note };
+}
+
+/* ---------------- sources ---------------- */
+
+registerAvailabilitySource("none", async () => []);
+
+registerAvailabilitySource("balldontlie", async ({ fetchJson, apiBase, apiKey, teamAbbrById }) => {
+  const out = [];
+  let cursor = null;
+
+  // paginated; a full league report is 1–3 pages
+  for (let page = 0; page < 5; page++) {
+    const qs = new URLSearchParams({ per_page: "100" });
+    if (cursor != null) qs.set("cursor", String(cursor));
+    const data = await fetchJson(
+      `${apiBase}/player_injuries?${qs.toString()}`,
+      { headers: { Authorization: apiKey } },
+      { cacheTtlMs: 30 * 60_000, hostConcurrency: 1, retries: 1, timeoutMs: 8_000 }
+    );
+
+    for (const row of Array.isArray(data?.data) ? data.data : []) {
+      const p = row?.player || {};
+      const team = row?.team?.abbreviation || p?.team?.abbreviation || teamAbbrById?.get(Number(p?.team_id)) || null;
+      out.push(
+        report({
+          team,
+          playerId: p?.id,
+          name: [p?.first_name, p?.last_name].filter(Boolean).join(" "),
+          status: row?.status,
+          note: row?.description || null,
+        })
+      );
+    }
+
+    cursor = data?.meta?.next_cursor ?? null;
+    if (cursor == null) break;
+  }
+
+  return out.filter(Boolean);
+});
+
+/**
+ * File format — either an array or { reports: [...] }:
+ *   { "team": "BOS", "player": "Jayson Tatum", "player_id": 434, "status": "Out", "date": "2026-03-10" }
+ * Rows with a `date` only apply to that slate. player_id is optional (looked up by name).
+ */
+registerAvailabilitySource("file", async ({ date }) => {
+  const file = process.env.NBA_AVAILABILITY_FILE;
+  if (!file) throw new Error("NBA_AVAILABILITY_FILE is not set");
+
+  const parsed = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+  const rows = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.reports) ? parsed.reports : [];
+
+  return rows
+    .filter((r) => !r?.date || String(r.date).slice(0, 10) === date)
+    .map((r) => report({ team: r?.team, playerId: r?.player_id, name: r?.player || r?.name, status: r?.status, note: r?.note }))
+    .filter(Boolean);
+});
+
+/* ---------------- impact ---------------- */
+
+// Hollinger Game Score from per-game season averages
+function gameScore(a) {
+  const v = (k) => toNum(a?.[k]) ?? 0;
+  return (
+    v("pts") +
+    0.4 * v("fgm") -
+    0.7 * v("fga") -
+    0.4 * (v("fta") - v("ftm")) +
+    0.7 * v("oreb") +
+    0.3 * v("dreb") +
+    v("stl") +
+    0.7 * v("ast") +
+    0.7 * v("blk") -
+    0.4 * v("pf") -
+    v("turnover")
+  );
+}
+
+export function impactFromAverages(avg) {
+  const minutes = minutesOf(avg?.min);
+  if (!minutes || minutes <= 0) return null;
+
+  const gmsc = gameScore(avg);
+  const replacement = (REPLACEMENT_GMSC_PER_36 * minutes) / 36;
+  const impactPts = Math.max(0, (gmsc - replacement) * MARGIN_PER_GMSC);
+
+  return { minutes, gameScore: gmsc, impactPts };
+}
+
+// hand-entered reports often carry only a name; balldontlie search is by first or last name
+async function resolvePlayerIds(reports, { fetchJson, apiBase, apiKey }) {
+  for (const r of reports) {
+    if (r.playerId != null || !r.name || r.name === "Unknown") continue;
+    const last = r.name.trim().split(/\s+/).pop();
+    const data = await fetchJson(
+      `${apiBase}/players?${new URLSearchParams({ search: last, per_page: "25" }).toString()}`,
+      { headers: { Authorization: apiKey } },
+      { cacheTtlMs: 24 * 60 * 60_000, hostConcurrency: 1, retries: 1, timeoutMs: 8_000 }
+    );
+    const want = r.name.trim().toLowerCase();
+    const hit = (Array.isArray(data?.data) ? data.data : []).find(
+      (p) => [p?.first_name, p?.last_name].filter(Boolean).join(" ").toLowerCase() === want
+    );
+    if (hit?.id != null) r.playerId = Number(hit.id);
+  }
+}
+
+async function loadSeasonAverages({ playerIds, season, fetchJson, apiBase, apiKey }) {
+  const byId = new Map();
+  const ids = Array.from(new Set(playerIds.filter((id) => id != null)));
+
+  for (let i = 0; i < ids.length; i += 25) {
+    const qs = new URLSearchParams({ season: String(season) });
+    for (const id of ids.slice(i, i + 25)) qs.append("player_ids[]", String(id));
+
+    const data = await fetchJson(
+      `${apiBase}/season_averages?${qs.toString()}`,
+      { headers: { Authorization: apiKey } },
+      { cacheTtlMs: 6 * 60 * 60_000, hostConcurrency: 1, retries: 1, timeoutMs: 8_000 }
+    );
+    for (const row of Array.isArray(data?.data) ? data.data : []) {
+      if (row?.player_id != null) byId.set(Number(row.player_id), row);
+    }
+  }
+
+  return byId;
+}
+
+/**
+ * Availability for a slate → Map<TEAM_ABBR, { missingPts, players[] }>.
+ * Never throws: a failed source means no adjustment, reported in `error`.
+ */
+export async function loadNbaAvailability({ date, fetchJson, apiBase, apiKey, teamAbbrById = null }) {
+  const sourceName = availabilitySourceName();
+  const loader = sources.get(sourceName);
+  const teams = new Map();
+
+  if (!loader) return { ok: false, source: sourceName, error: `unknown availability source "${sourceName}"`, teams };
+
+  let reports = [];
+  try {
+    reports = await loader({ date, fetchJson, apiBase, apiKey, teamAbbrById });
+  } catch (err) {
+    return { ok: false, source: sourceName, error: String(err?.message || err), teams };
+  }
+
+  let averages = new Map();
+  let statsError = null;
+  try {
+    await resolvePlayerIds(reports, { fetchJson, apiBase, apiKey });
+    averages = await loadSeasonAverages({
+      playerIds: reports.map((r) => r.playerId),
+      season: nbaSeasonForDate(date),
+      fetchJson,
+      apiBase,
+      apiKey,
+    });
+  } catch (err) {
+    statsError = String(err?.message || err); // fall back to the flat per-player impact
+  }
+
+  for (const r of reports) {
+    const impact = r.playerId != null ? impactFromAverages(averages.get(r.playerId)) : null;
+    const basePts = impact ? impact.impactPts : DEFAULT_IMPACT_PTS;
+    const expectedPts = basePts * r.weight;
+    if (expectedPts <= 0.05) continue;
+
+    const t = teams.get(r.team) || { missingPts: 0, players: [] };
+    t.players.push({
+      name: r.name,
+      status: r.status,
+      minutes: impact?.minutes ?? null,
+      impactPts: Math.round(basePts * 100) / 100,
+      expectedPts: Math.round(expectedPts * 100) / 100,
+      estimated: !impact,
+    });
+    t.missingPts = Math.min(MAX_TEAM_IMPACT_PTS, t.missingPts + expectedPts);
+    teams.set(r.team, t);
+  }
+
+  for (const t of teams.values()) {
+    t.players.sort((a, b) => b.expectedPts - a.expectedPts);
+    t.missingPts = Math.round(t.missingPts * 100) / 100;
+  }
+
+  return { ok: true, source: sourceName, reports: reports.length, statsError, teams };
+}
+
+/** "BOS −3.1 pts: J. Tatum (out, 4.2), …" — top players only. */
+export function describeTeamAvailability(abbr, team, max = 2) {
+  if (!team?.players?.length) return null;
+  const names = team.players
+    .slice(0, max)
+    .map((p) => `${p.name} (${p.status}, ${p.expectedPts.toFixed(1)})`)
+    .join(", ");
+  const more = team.players.length > max ? ` +${team.players.length - max} more` : "";
+  return `${abbr} missing ≈${team.missingPts.toFixed(1)} pts: ${names}${more}`;
+}
@@ -0,0 +1,202 @@
+// apps/api/src/lib/ncaamTempo.js
+
+/**
+ * NCAAM tempo-and-efficiency ratings for totals.
+ *
+ * Every finished game in the history window gives possessions (from the ESPN
+ * box score on the scoreboard) and points per possession for both sides.
+ * Ratings are opponent-adjusted by iterating (KenPom-style multiplicative):
+ *
+ *   adjO  points per 100 possessions vs an average defense
+ *   adjD  points allowed per 100 vs an average offense
+ *   adjT  possessions per 40 vs an average-tempo opponent
+ *
+ * A matchup projects possessions = adjT_h · adjT_a / avgT and
+ * PPP = adjO · adjD_opp / avgO (home court applied unless neutral), giving a
+ * projected total and margin. The total's SD is the residual SD of the fitted
+ * games, scaled by projected pace and widened for thin samples.
+ */
+
+const ITERATIONS = 12;
+const PRIOR_GAMES = 4; // shrink young ratings toward average
+const HOME_PPP_EDGE = 0.014; // home offense ≈ +1.4% PPP, visitor −1.4%, vs neutral
+// possessions ≈ FGA − ORB + TOV + 0.475·FTA; scoreboards often omit ORB/TOV, whose D1 difference runs ≈ +2
+const TOV_MINUS_ORB_DEFAULT = 2;
+const MIN_SD = 9;
+const MAX_SD = 18;
+
+function toNum(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function round(x, d = 2) {
+  if (!Number.isFinite(x)) return null;
+  const m = 10 ** d;
+  return Math.round(x * m) / m;
+}
+
+/**
+ * Box-score counts from an ESPN competitor (scoreboard `statistics`, or the
+ * summary's `boxscore.teams[].statistics` with "made-attempted" display values).
+ */
+export function boxFromEspnStatistics(statistics) {
+  const byName = new Map();
+  for (const s of Array.isArray(statistics) ? statistics : []) {
+    const name = String(s?.name || s?.abbreviation || "");
+    if (name) byName.set(name, s?.displayValue ?? s?.value ?? null);
+  }
+
+  const made = (combined) => {
+    const v = String(byName.get(combined) ?? "");
+    const [m, a] = v.split("-").map(toNum);
+    return { m: m ?? null, a: a ?? null };
+  };
+
+  const fg = made("fieldGoalsMade-fieldGoalsAttempted");
+  const ft = made("freeThrowsMade-freeThrowsAttempted");
+  const box = {
+    fga: toNum(byName.get("fieldGoalsAttempted")) ?? fg.a,
+    fgm: toNum(byName.get("fieldGoalsMade")) ?? fg.m,
+    fta: toNum(byName.get("freeThrowsAttempted")) ?? ft.a,
+    orb: toNum(byName.get("offensiveRebounds")),
+    tov: toNum(byName.get("turnovers")) ?? toNum(byName.get("totalTurnovers")),
+  };
+  return box.fga != null && box.fta != null ? box : null;
+}
+
+function teamPossessions(box) {
+  const swing = box.orb != null && box.tov != null ? box.tov - box.orb : TOV_MINUS_ORB_DEFAULT;
+  return box.fga + 0.475 * box.fta + swing;
+}
+
+/** Game possessions: the two sides' estimates averaged (they should match). */
+export function gamePossessions(homeBox, awayBox) {
+  if (!homeBox || !awayBox) return null;
+  const p = (teamPossessions(homeBox) + teamPossessions(awayBox)) / 2;
+  return p > 40 && p < 110 ? p : null;
+}
+
+function shrinkToward(value, prior, n) {
+  return (n * value + PRIOR_GAMES * prior) / (n + PRIOR_GAMES);
+}
+
+/**
+ * history: scoreboard rows ({ date, homeTeamId, awayTeamId, homeScore, awayScore, neutralSite, homeBox, awayBox }).
+ * Only games before endDate count.
+ */
+export function buildTempoRatings(history, endDateYYYYMMDD) {
+  const cutoff = Date.parse(`${endDateYYYYMMDD}T00:00:00Z`);
+  const games = [];
+
+  for (const g of history || []) {
+    const t = g?.date ? Date.parse(g.date) : null;
+    if (!t || t >= cutoff) continue;
+    if (!Number.isFinite(g.homeScore) || !Number.isFinite(g.awayScore) || g.homeScore + g.awayScore <= 0) continue;
+    const poss = gamePossessions(g.homeBox, g.awayBox);
+    if (poss == null) continue;
+
+    // strip home court so every observation is on a neutral-floor basis
+    const ha = g.neutralSite ? 0 : HOME_PPP_EDGE;
+    games.push({
+      home: String(g.homeTeamId),
+      away: String(g.awayTeamId),
+      poss,
+      homePpp: g.homeScore / poss / (1 + ha),
+      awayPpp: g.awayScore / poss / (1 - ha),
+      total: g.homeScore + g.awayScore,
+      neutral: Boolean(g.neutralSite),
+    });
+  }
+
+  if (!games.length) return { ok: false, games: 0, teams: new Map() };
+
+  const avgT = games.reduce((s, g) => s + g.poss, 0) / games.length;
+  const avgPpp = games.reduce((s, g) => s + g.homePpp + g.awayPpp, 0) / (2 * games.length);
+
+  const byTeam = new Map();
+  const entry = (id) => {
+    if (!byTeam.has(id)) byTeam.set(id, []);
+    return byTeam.get(id);
+  };
+  for (const g of games) {
+    entry(g.home).push({ opp: g.away, poss: g.poss, oPpp: g.homePpp, dPpp: g.awayPpp });
+    entry(g.away).push({ opp: g.home, poss: g.poss, oPpp: g.awayPpp, dPpp: g.homePpp });
+  }
+
+  const teams = new Map();
+  for (const id of byTeam.keys()) teams.set(id, { o: avgPpp, d: avgPpp, t: avgT, games: byTeam.get(id).length });
+
+  for (let it = 0; it < ITERATIONS; it++) {
+    const next = new Map();
+    for (const [id, list] of byTeam) {
+      let o = 0, d = 0, t = 0;
+      for (const x of list) {
+        const opp = teams.get(x.opp);
+        o += (x.oPpp * avgPpp) / opp.d;
+        d += (x.dPpp * avgPpp) / opp.o;
+        t += (x.poss * avgT) / opp.t;
+      }
+      const n = list.length;
+      next.set(id, {
+        o: shrinkToward(o / n, avgPpp, n),
+        d: shrinkToward(d / n, avgPpp, n),
+        t: shrinkToward(t / n, avgT, n),
+        games: n,
+      });
+    }
+    for (const [id, r] of next) teams.set(id, r);
+  }
+
+  const ratings = { ok: true, games: games.length, avgT, avgPpp, teams, residualSd: null };
+
+  // in-sample residual SD of totals, per average-pace game
+  let ss = 0;
+  for (const g of games) {
+    const p = projectRaw(ratings, g.home, g.away, g.neutral);
+    ss += ((g.total - p.total) * Math.sqrt(avgT / p.poss)) ** 2;
+  }
+  ratings.residualSd = Math.sqrt(ss / games.length);
+
+  return ratings;
+}
+
+function projectRaw(ratings, homeId, awayId, neutral) {
+  const h = ratings.teams.get(String(homeId));
+  const a = ratings.teams.get(String(awayId));
+  const ha = neutral ? 0 : HOME_PPP_EDGE;
+
+  const poss = (h.t * a.t) / ratings.avgT;
+  const homePpp = ((h.o * a.d) / ratings.avgPpp) * (1 + ha);
+  const awayPpp = ((a.o * h.d) / ratings.avgPpp) * (1 - ha);
+  return { poss, homePts: poss * homePpp, awayPts: poss * awayPpp, total: poss * (homePpp + awayPpp) };
+}
+
+/**
+ * Projected total / margin and the total's SD for one matchup,
+ * or null when either team has no rated games.
+ */
+export function projectNcaamGame(ratings, { homeTeamId, awayTeamId, neutral = false }) {
+  if (!ratings?.ok) return null;
+  const h = ratings.teams.get(String(homeTeamId));
+  const a = ratings.teams.get(String(awayTeamId));
+  if (!h || !a) return null;
+
+  const p = projectRaw(ratings, homeTeamId, awayTeamId, neutral);
+
+  // pace scales the noise; few games means the ratings themselves are uncertain
+  const thin = 1 + 1.5 / Math.max(1, Math.min(h.games, a.games));
+  const sd = Math.max(MIN_SD, Math.min(MAX_SD, ratings.residualSd * Math.sqrt(p.poss / ratings.avgT) * Math.sqrt(thin)));
+
+  return {
+    possessions: round(p.poss, 1),
+    homePts: round(p.homePts, 1),
+    awayPts: round(p.awayPts, 1),
+    total: round(p.total, 1),
+    margin: round(p.homePts - p.awayPts, 1),
+    totalSd: round(sd, 2),
+    home: { adjO: round(h.o * 100, 1), adjD: round(h.d * 100, 1), adjT: round(h.t, 1), games: h.games },
+    away: { adjO: round(a.o * 100, 1), adjD: round(a.d * 100, 1), adjT: round(a.t, 1), games: a.games },
+  };
+}
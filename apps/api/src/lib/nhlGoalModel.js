@@ -0,0 +1,254 @@
+// apps/api/src/lib/nhlGoalModel.js
+
+/**
+ * NHL goal model: discrete score distribution for puck lines and totals.
+ *
+ * Attack/defense ratings are fit from the history window's goals for/against
+ * (multiplicative and opponent-adjusted, with the league's home-ice factor),
+ * giving expected goals per side. Regulation goals are independent Poisson,
+ * with two hockey corrections:
+ *
+ *   - regulation ties are under-predicted by independent Poisson (≈17% vs
+ *     ≈22% observed), so the diagonal is inflated and the grid renormalised;
+ *   - a trailing team pulls its goalie, so part of every one-goal regulation
+ *     result becomes a two-goal result (empty-net goal).
+ *
+ * Regulation ties go to OT/SO, which adds one goal to the winner. The split of
+ * expected goals is then tuned so P(home wins) matches the team model's pHome
+ * (schedule, goalies and Elo stay in charge of the moneyline) while the
+ * expected total comes from the ratings.
+ */
+
+const MAX_GOALS = 12;
+const PRIOR_GAMES = 8; // hockey scores are noisy — shrink harder than basketball
+const DRAW_INFLATION = 1.3;
+const EMPTY_NET_SHIFT = 0.18; // share of one-goal regulation games that end two-goal
+const OT_SKILL = 0.5; // OT/SO is closer to a coin flip than regulation
+const MIN_LAMBDA = 1.2;
+const FIT_ITERATIONS = 10;
+
+function round(x, d = 4) {
+  if (!Number.isFinite(x)) return null;
+  const m = 10 ** d;
+  return Math.round(x * m) / m;
+}
+
+function poissonPmf(lambda) {
+  const out = new Array(MAX_GOALS + 1);
+  out[0] = Math.exp(-lambda);
+  for (let k = 1; k <= MAX_GOALS; k++) out[k] = (out[k - 1] * lambda) / k;
+  return out;
+}
+
+function shrinkToward(value, prior, n) {
+  return (n * value + PRIOR_GAMES * prior) / (n + PRIOR_GAMES);
+}
+
+/**
+ * history: scoreboard rows ({ date, homeTeamId, awayTeamId, homeScore, awayScore }).
+ * Only games before endDate count.
+ */
+export function buildGoalRatings(history, endDateYYYYMMDD) {
+  const cutoff = Date.parse(`${endDateYYYYMMDD}T00:00:00Z`);
+  const games = [];
+
+  for (const g of history || []) {
+    const t = g?.date ? Date.parse(g.date) : null;
+    if (!t || t >= cutoff) continue;
+    if (!Number.isFinite(g.homeScore) || !Number.isFinite(g.awayScore)) continue;
+    if (g.status && g.status !== "Final") continue;
+    games.push({ home: String(g.homeTeamId), away: String(g.awayTeamId), hg: g.homeScore, ag: g.awayScore });
+  }
+
+  if (!games.length) return { ok: false, games: 0, teams: new Map() };
+
+  const homeAvg = games.reduce((s, g) => s + g.hg, 0) / games.length;
+  const awayAvg = games.reduce((s, g) => s + g.ag, 0) / games.length;
+  const mu = (homeAvg + awayAvg) / 2;
+  // per-side home-ice multiplier; clamped so a thin early-season window can't produce a silly one
+  const homeIce = Math.min(1.12, Math.max(0.97, Math.sqrt(homeAvg / Math.max(awayAvg, 0.1))));
+
+  const byTeam = new Map();
+  const entry = (id) => {
+    if (!byTeam.has(id)) byTeam.set(id, []);
+    return byTeam.get(id);
+  };
+  for (const g of games) {
+    entry(g.home).push({ opp: g.away, gf: g.hg, ga: g.ag, ice: homeIce });
+    entry(g.away).push({ opp: g.home, gf: g.ag, ga: g.hg, ice: 1 / homeIce });
+  }
+
+  const teams = new Map();
+  for (const [id, list] of byTeam) teams.set(id, { att: 1, def: 1, games: list.length });
+
+  for (let it = 0; it < FIT_ITERATIONS; it++) {
+    const next = new Map();
+    for (const [id, list] of byTeam) {
+      let att = 0, def = 0;
+      for (const x of list) {
+        const opp = teams.get(x.opp);
+        att += x.gf / (mu * opp.def * x.ice);
+        def += x.ga / (mu * opp.att / x.ice);
+      }
+      const n = list.length;
+      next.set(id, { att: shrinkToward(att / n, 1, n), def: shrinkToward(def / n, 1, n), games: n });
+    }
+    for (const [id, r] of next) teams.set(id, r);
+  }
+
+  return { ok: true, games: games.length, mu, homeIce, teams };
+}
+
+/**
+ * Expected goals for both sides. Goalie deltas are goals saved per start vs the
+ * team's usual mix (lib/nhlGoalies.js) and come off the opponent's expectation.
+ */
+export function expectedGoals(ratings, { homeTeamId, awayTeamId, homeGoalieDelta = 0, awayGoalieDelta = 0 }) {
+  if (!ratings?.ok) return null;
+  const h = ratings.teams.get(String(homeTeamId));
+  const a = ratings.teams.get(String(awayTeamId));
+  if (!h || !a) return null;
+
+  return {
+    lambdaHome: Math.max(MIN_LAMBDA, ratings.mu * h.att * a.def * ratings.homeIce - (awayGoalieDelta || 0)),
+    lambdaAway: Math.max(MIN_LAMBDA, (ratings.mu * a.att * h.def) / ratings.homeIce - (homeGoalieDelta || 0)),
+  };
+}
+
+/**
+ * Final-score outcome distribution for expected goals (lambdaHome, lambdaAway).
+ * score: goals already on the board, with the lambdas covering only the
+ * regulation time left (lib/liveWinProb.js); the tie and empty-net corrections
+ * apply to the final regulation score.
+ * → { outcomes: [{ margin, total, p }], regulation: { home, draw, away }, overtime: { home, away }, pHomeWin, meanMargin, meanTotal }
+ */
+export function goalDistribution(lambdaHome, lambdaAway, { homeGoals = 0, awayGoals = 0 } = {}) {
+  const ph = poissonPmf(lambdaHome);
+  const pa = poissonPmf(lambdaAway);
+
+  const grid = [];
+  let mass = 0;
+  for (let i = 0; i <= MAX_GOALS; i++) {
+    grid.push([]);
+    for (let j = 0; j <= MAX_GOALS; j++) {
+      const p = ph[i] * pa[j] * (homeGoals + i === awayGoals + j ? DRAW_INFLATION : 1);
+      grid[i].push(p);
+      mass += p;
+    }
+  }
+
+  const pOtHome = 0.5 + OT_SKILL * (lambdaHome / (lambdaHome + lambdaAway) - 0.5);
+  const byKey = new Map();
+  const add = (margin, total, p) => {
+    const k = `${margin}:${total}`;
+    const cur = byKey.get(k);
+    if (cur) cur.p += p;
+    else byKey.set(k, { margin, total, p });
+  };
+
+  let regHome = 0, regDraw = 0, regAway = 0;
+  for (let i = 0; i <= MAX_GOALS; i++) {
+    for (let j = 0; j <= MAX_GOALS; j++) {
+      const p = grid[i][j] / mass;
+      const margin = homeGoals + i - (awayGoals + j);
+      const total = homeGoals + awayGoals + i + j;
+
+      if (margin === 0) {
+        regDraw += p;
+        add(1, total + 1, p * pOtHome);
+        add(-1, total + 1, p * (1 - pOtHome));
+        continue;
+      }
+
+      if (margin > 0) regHome += p;
+      else regAway += p;
+
+      if (Math.abs(margin) === 1) {
+        add(margin, total, p * (1 - EMPTY_NET_SHIFT));
+        add(margin * 2, total + 1, p * EMPTY_NET_SHIFT);
+      } else {
+        add(margin, total, p);
+      }
+    }
+  }
+
+  const outcomes = [...byKey.values()];
+  let pHomeWin = 0, meanMargin = 0, meanTotal = 0;
+  for (const o of outcomes) {
+    if (o.margin > 0) pHomeWin += o.p;
+    meanMargin += o.margin * o.p;
+    meanTotal += o.total * o.p;
+  }
+
+  return {
+    lambdaHome,
+    lambdaAway,
+    outcomes,
+    regulation: { home: regHome, draw: regDraw, away: regAway },
+    overtime: { home: regDraw * pOtHome, away: regDraw * (1 - pOtHome) },
+    pHomeWin,
+    meanMargin,
+    meanTotal,
+  };
+}
+
+/**
+ * Keep the expected total, move the home/away split until P(home wins) = pHome.
+ * P(home wins) rises monotonically with the home share, so bisection converges.
+ */
+export function fitGoalDistribution({ lambdaHome, lambdaAway }, pHome) {
+  const total = lambdaHome + lambdaAway;
+  if (!Number.isFinite(pHome)) return goalDistribution(lambdaHome, lambdaAway);
+
+  let lo = 0.2, hi = 0.8;
+  let dist = null;
+  for (let i = 0; i < 30; i++) {
+    const share = (lo + hi) / 2;
+    dist = goalDistribution(total * share, total * (1 - share));
+    if (Math.abs(dist.pHomeWin - pHome) < 1e-4) break;
+    if (dist.pHomeWin < pHome) lo = share;
+    else hi = share;
+  }
+  return dist;
+}
+
+/**
+ * Spread outcome for one side at its own line (home −1.5 / away +1.5 …).
+ * Whole-number lines can push. → { win, push }
+ */
+export function spreadOutcome(dist, side, line) {
+  if (!dist || !Number.isFinite(line)) return null;
+  let win = 0, push = 0;
+  for (const o of dist.outcomes) {
+    const m = (side === "home" ? o.margin : -o.margin) + line;
+    if (m > 0) win += o.p;
+    else if (m === 0) push += o.p;
+  }
+  return { win, push };
+}
+
+/** Total outcome for "over" / "under" at a line; whole-number lines can push. → { win, push } */
+export function totalOutcome(dist, side, line) {
+  if (!dist || !Number.isFinite(line)) return null;
+  let over = 0, push = 0;
+  for (const o of dist.outcomes) {
+    if (o.total > line) over += o.p;
+    else if (o.total === line) push += o.p;
+  }
+  return { win: side === "over" ? over : 1 - over - push, push };
+}
+
+/** Compact summary for the game's model node. */
+export function describeGoalDistribution(dist) {
+  if (!dist) return null;
+  return {
+    lambdaHome: round(dist.lambdaHome, 3),
+    lambdaAway: round(dist.lambdaAway, 3),
+    meanTotal: round(dist.meanTotal, 3),
+    regulation: { home: round(dist.regulation.home), draw: round(dist.regulation.draw), away: round(dist.regulation.away) },
+    overtime: { home: round(dist.overtime.home), away: round(dist.overtime.away) },
+    pHomeWin: round(dist.pHomeWin),
+    homeMinus15: round(spreadOutcome(dist, "home", -1.5).win),
+    awayPlus15: round(spreadOutcome(dist, "away", 1.5).win),
+  };
+}
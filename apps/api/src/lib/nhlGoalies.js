@@ -0,0 +1,239 @@
+// apps/api/src/lib/nhlGoalies.js
+
+/**
+ * NHL goalie layer: per-goalie ratings from ESPN boxscores, tonight's starter
+ * per team, and the win-probability shift for the starter vs the team's usual
+ * goalie mix.
+ *
+ * Rating ≈ goals saved above average per start (GSAA — ESPN has no shot
+ * quality, so this is the "GSAx-style" number we can build): save% shrunk
+ * toward league average by RATING_PRIOR_SHOTS, minus league average, times a
+ * typical shot volume.
+ *
+ * The team stat model already contains whoever played in the history window,
+ * so only the difference between tonight's starter and that start-weighted
+ * baseline moves the probability.
+ *
+ * Starter precedence: a manual entry (POST /api/nhl/goalies/starters, either
+ * confirmed or projected) → ESPN probables on the scoreboard → projection
+ * (last starter; on a back-to-back, the goalie with the next-most starts).
+ */
+
+const RATING_PRIOR_SHOTS = 600; // ≈ 20 starts of league-average goaltending
+const SHOTS_PER_START = 29;
+export const WIN_PROB_PER_GOAL = 0.12; // one goal saved per game, home-minus-away
+const MAX_GOALIE_ADJ = 0.08;
+const MIN_BACKUP_STARTS = 3;
+
+function toNum(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function normName(s) {
+  return String(s || "").trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+// "58:31" → minutes
+function toiMinutes(v) {
+  const s = String(v ?? "");
+  if (!s.includes(":")) return toNum(s) ?? 0;
+  const [m, sec] = s.split(":").map(Number);
+  return (Number.isFinite(m) ? m : 0) + (Number(sec) || 0) / 60;
+}
+
+/* ---------------- boxscore parsing ---------------- */
+
+function statLookup(group) {
+  const keys = (group?.keys || []).map((k) => String(k).toLowerCase());
+  const labels = (group?.labels || []).map((k) => String(k).toUpperCase());
+  return (stats, key, label) => {
+    let i = keys.indexOf(key.toLowerCase());
+    if (i < 0) i = labels.indexOf(label);
+    return i >= 0 ? stats?.[i] : null;
+  };
+}
+
+/**
+ * Goalie lines from an ESPN NHL `summary` payload.
+ * → [{ teamId, teamAbbr, goalieId, name, started, shots, saves, toi }]
+ */
+export function parseGoalieLines(summary) {
+  const out = [];
+  for (const teamBlock of summary?.boxscore?.players || []) {
+    const teamId = teamBlock?.team?.id != null ? String(teamBlock.team.id) : null;
+    const teamAbbr = teamBlock?.team?.abbreviation || null;
+
+    const group = (teamBlock?.statistics || []).find((s) => {
+      const tag = `${s?.name || ""} ${s?.type || ""} ${s?.text || ""}`.toLowerCase();
+      return tag.includes("goalie") || (s?.keys || []).includes("saves");
+    });
+    if (!group) continue;
+
+    const stat = statLookup(group);
+    const lines = (group?.athletes || [])
+      .map((a) => {
+        const st = a?.stats || [];
+        const saves = toNum(stat(st, "saves", "SV"));
+        const shots = toNum(stat(st, "shotsAgainst", "SA")) ?? (saves != null ? saves + (toNum(stat(st, "goalsAgainst", "GA")) ?? 0) : null);
+        return {
+          teamId,
+          teamAbbr,
+          goalieId: a?.athlete?.id != null ? String(a.athlete.id) : null,
+          name: a?.athlete?.displayName || a?.athlete?.shortName || null,
+          starter: a?.starter === true,
+          shots: shots ?? 0,
+          saves: saves ?? 0,
+          toi: toiMinutes(stat(st, "timeOnIce", "TOI")),
+        };
+      })
+      .filter((l) => l.goalieId || l.name);
+
+    // the flagged starter, else whoever logged the most ice time
+    const starter = lines.find((l) => l.starter) || lines.slice().sort((a, b) => b.toi - a.toi)[0];
+    for (const l of lines) out.push({ ...l, started: l === starter });
+  }
+  return out;
+}
+
+/** ESPN scoreboard probables (when published) → Map<teamId, { goalieId, name }>. */
+export function parseEspnProbables(scoreboard) {
+  const out = new Map();
+  for (const ev of scoreboard?.events || []) {
+    for (const c of ev?.competitions?.[0]?.competitors || []) {
+      const teamId = c?.team?.id != null ? String(c.team.id) : null;
+      const probable = (c?.probables || []).find((p) =>
+        `${p?.name || ""} ${p?.displayName || ""} ${p?.abbreviation || ""}`.toLowerCase().includes("goalie")
+      );
+      const athlete = probable?.athlete;
+      if (!teamId || !athlete) continue;
+      out.set(teamId, { goalieId: athlete.id != null ? String(athlete.id) : null, name: athlete.displayName || athlete.fullName || null });
+    }
+  }
+  return out;
+}
+
+/* ---------------- ratings ---------------- */
+
+/**
+ * games: [{ date, lines: parseGoalieLines(...) }] from before the slate date.
+ * → { leagueSvPct, goalies: Map<goalieId|name, rating>, byTeam: Map<teamId, { baseline, starts: [...] }> }
+ */
+export function buildGoalieRatings(games) {
+  const goalies = new Map();
+  let leagueShots = 0;
+  let leagueSaves = 0;
+  const teamStarts = new Map(); // teamId -> [{ date, key }]
+
+  for (const g of games) {
+    for (const l of g.lines) {
+      const key = l.goalieId || normName(l.name);
+      const cur = goalies.get(key) || { key, goalieId: l.goalieId, name: l.name, teamId: l.teamId, teamAbbr: l.teamAbbr, shots: 0, saves: 0, starts: 0, lastStart: null };
+      cur.shots += l.shots;
+      cur.saves += l.saves;
+      cur.teamId = l.teamId || cur.teamId; // traded goalies follow their latest team
+      cur.teamAbbr = l.teamAbbr || cur.teamAbbr;
+      if (l.started) {
+        cur.starts += 1;
+        if (!cur.lastStart || g.date > cur.lastStart) cur.lastStart = g.date;
+        if (!teamStarts.has(l.teamId)) teamStarts.set(l.teamId, []);
+        teamStarts.get(l.teamId).push({ date: g.date, key });
+      }
+      goalies.set(key, cur);
+      leagueShots += l.shots;
+      leagueSaves += l.saves;
+    }
+  }
+
+  const leagueSvPct = leagueShots > 0 ? leagueSaves / leagueShots : 0.9;
+
+  for (const r of goalies.values()) {
+    const shrunk = (r.saves + RATING_PRIOR_SHOTS * leagueSvPct) / (r.shots + RATING_PRIOR_SHOTS);
+    r.svPct = r.shots > 0 ? r.saves / r.shots : null;
+    r.gsaa = r.saves - leagueSvPct * r.shots;
+    r.rating = (shrunk - leagueSvPct) * SHOTS_PER_START; // goals saved above average per start
+  }
+
+  // what the team stats already "contain": start-weighted rating of who played
+  const byTeam = new Map();
+  for (const [teamId, starts] of teamStarts) {
+    starts.sort((a, b) => String(b.date).localeCompare(String(a.date)));
+    const baseline = starts.reduce((s, x) => s + (goalies.get(x.key)?.rating ?? 0), 0) / starts.length;
+    byTeam.set(teamId, { baseline, starts });
+  }
+
+  return { leagueSvPct, goalies, byTeam };
+}
+
+function findGoalie(ratings, { goalieId, name }) {
+  if (goalieId && ratings.goalies.has(String(goalieId))) return ratings.goalies.get(String(goalieId));
+  const want = normName(name);
+  if (!want) return null;
+  for (const r of ratings.goalies.values()) if (normName(r.name) === want) return r;
+  return null;
+}
+
+// last starter; on the second night of a back-to-back, the other regular
+function projectStarter(ratings, teamId, date) {
+  const team = ratings.byTeam.get(String(teamId));
+  const last = team?.starts?.[0];
+  if (!last) return null;
+
+  const yesterday = new Date(Date.parse(`${date}T00:00:00Z`) - 86_400_000).toISOString().slice(0, 10);
+  if (last.date === yesterday) {
+    const counts = new Map();
+    for (const s of team.starts) if (s.key !== last.key) counts.set(s.key, (counts.get(s.key) || 0) + 1);
+    const backup = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+    if (backup && backup[1] >= MIN_BACKUP_STARTS) return ratings.goalies.get(backup[0]);
+  }
+  return ratings.goalies.get(last.key) || null;
+}
+
+/**
+ * Tonight's starter for one team.
+ * manual: { goalie_id, goalie_name, status } from the starters table; espn: parseEspnProbables entry.
+ */
+export function resolveStarter(ratings, { teamId, date, manual = null, espn = null }) {
+  const fromEntry = (entry, source, status) => {
+    const r = findGoalie(ratings, entry);
+    return {
+      goalieId: r?.goalieId ?? (entry.goalieId ? String(entry.goalieId) : null),
+      name: r?.name ?? entry.name ?? null,
+      status,
+      source,
+      rated: Boolean(r),
+      rating: r?.rating ?? 0, // unknown goalie (call-up) = league average
+      starts: r?.starts ?? 0,
+    };
+  };
+
+  if (manual) {
+    return fromEntry({ goalieId: manual.goalie_id, name: manual.goalie_name }, "manual", manual.status === "confirmed" ? "confirmed" : "projected");
+  }
+  if (espn) return fromEntry(espn, "espn", "projected");
+
+  const r = projectStarter(ratings, teamId, date);
+  if (!r) return null;
+  return { goalieId: r.goalieId, name: r.name, status: "projected", source: "model", rated: true, rating: r.rating, starts: r.starts };
+}
+
+/** Starter minus team baseline, home vs away → win-prob shift for the home side. */
+export function goalieAdjustment(ratings, { homeTeamId, awayTeamId, homeStarter, awayStarter }) {
+  const delta = (teamId, s) => (s ? s.rating - (ratings.byTeam.get(String(teamId))?.baseline ?? 0) : 0);
+  const homeDelta = delta(homeTeamId, homeStarter);
+  const awayDelta = delta(awayTeamId, awayStarter);
+  const adj = Math.max(-MAX_GOALIE_ADJ, Math.min(MAX_GOALIE_ADJ, WIN_PROB_PER_GOAL * (homeDelta - awayDelta)));
+  return { homeDelta, awayDelta, adj };
+}
+
+/** Compact identity stored with published picks, compared by the re-pricer. */
+export function starterKey(s) {
+  return s ? { goalieId: s.goalieId ?? null, name: s.name ?? null, status: s.status ?? null } : null;
+}
+
+export function sameStarter(a, b) {
+  if (!a || !b) return !a && !b;
+  if (a.goalieId && b.goalieId) return String(a.goalieId) === String(b.goalieId);
+  return normName(a.name) === normName(b.name);
+}
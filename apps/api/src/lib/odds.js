@@ -0,0 +1,138 @@
+// apps/api/src/lib/odds.js
+
+/**
+ * Hand-entered odds for books or markets the feeds don't carry (local shops,
+ * offshore prices). POST /api/odds/manual stores them in manual_odds; routes/predict.js
+ * merges them into the slate's odds as extra books, so they are priced, shopped,
+ * snapshotted and graded for CLV like feed odds.
+ *
+ * Entry:
+ *   { date, league, home, away, book, bookTitle?, expiresAt?, note?,
+ *     moneyline?: { home, away },
+ *     spread?:    { line, home, away },      // line = home spread
+ *     total?:     { line, over, under } }
+ */
+
+export const MANUAL_LEAGUES = ["nba", "ncaam", "nhl"];
+
+function text(v, fallback = null) {
+  const s = String(v ?? "").trim();
+  return s ? s : fallback;
+}
+
+function toNum(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// American odds: |odds| >= 100
+function toAmerican(v) {
+  const n = toNum(v);
+  return n != null && Math.abs(n) >= 100 ? Math.round(n) : null;
+}
+
+export function americanToImpliedProb(ml) {
+  const x = Number(ml);
+  if (!Number.isFinite(x) || x === 0) return null;
+  if (x < 0) return Math.abs(x) / (Math.abs(x) + 100);
+  return 100 / (x + 100);
+}
+
+/** Validate one entry → { rows, error } with one manual_odds row per market given. */
+export function normalizeManualOddsEntry(body = {}) {
+  const date = text(body.date);
+  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return { error: "date (YYYY-MM-DD) is required" };
+
+  const league = text(body.league)?.toLowerCase() ?? null;
+  if (!MANUAL_LEAGUES.includes(league)) return { error: `league must be one of ${MANUAL_LEAGUES.join(", ")}` };
+
+  const home = text(body.home ?? body.homeTeam);
+  const away = text(body.away ?? body.awayTeam);
+  if (!home || !away) return { error: "home and away team names are required" };
+
+  const bookTitle = text(body.bookTitle ?? body.book);
+  const book = text(body.book)?.toLowerCase().replace(/[^a-z0-9_]+/g, "") || null;
+  if (!book) return { error: "book is required" };
+
+  let expiresAt = null;
+  if (body.expiresAt != null && body.expiresAt !== "") {
+    const t = Date.parse(body.expiresAt);
+    if (!Number.isFinite(t)) return { error: "expiresAt must be an ISO timestamp" };
+    expiresAt = new Date(t).toISOString();
+  }
+
+  const base = {
+    date,
+    league,
+    home_team: home,
+    away_team: away,
+    book,
+    book_title: bookTitle,
+    note: text(body.note),
+    expires_at: expiresAt,
+    line: null,
+    home_odds: null,
+    away_odds: null,
+    over_odds: null,
+    under_odds: null,
+  };
+  const rows = [];
+
+  if (body.moneyline != null) {
+    const h = toAmerican(body.moneyline.home);
+    const a = toAmerican(body.moneyline.away);
+    if (h == null || a == null) return { error: "moneyline needs home and away American odds" };
+    rows.push({ ...base, market: "moneyline", home_odds: h, away_odds: a });
+  }
+
+  if (body.spread != null) {
+    const line = toNum(body.spread.line);
+    const h = toAmerican(body.spread.home);
+    const a = toAmerican(body.spread.away);
+    if (line == null || h == null || a == null) return { error: "spread needs line (home spread) plus home and away odds" };
+    rows.push({ ...base, market: "spread", line, home_odds: h, away_odds: a });
+  }
+
+  if (body.total != null) {
+    const line = toNum(body.total.line);
+    const o = toAmerican(body.total.over);
+    const u = toAmerican(body.total.under);
+    if (line == null || line <= 0 || o == null || u == null) return { error: "total needs line plus over and under odds" };
+    rows.push({ ...base, market: "total", line, over_odds: o, under_odds: u });
+  }
+
+  if (!rows.length) return { error: "at least one of moneyline, spread, total is required" };
+  return { rows, error: null };
+}
+
+/**
+ * manual_odds rows → one entry per game with vegasRow-shaped book rows:
+ * [{ homeTeam, awayTeam, books: { h2h: [], spreads: [], totals: [] } }]
+ * Expired rows are left out. A row without expires_at lapses at its game's start
+ * (routes/predict.js mergeManualOdds), and like any book it is dropped from shopping
+ * once it is ODDS_SHOP_MAX_STALE_MIN older than the freshest feed book (lib/lineShopping.js).
+ */
+export function manualOddsByGame(rows = [], now = Date.now()) {
+  const games = new Map();
+
+  for (const r of rows) {
+    if (r.expires_at && Date.parse(r.expires_at) <= now) continue;
+
+    const key = `${r.home_team}|${r.away_team}`;
+    if (!games.has(key)) games.set(key, { homeTeam: r.home_team, awayTeam: r.away_team, books: { h2h: [], spreads: [], totals: [] } });
+    const g = games.get(key);
+
+    const book = { bookmaker: r.book, bookTitle: r.book_title || r.book, lastUpdate: r.updated_at ?? null, expiresAt: r.expires_at ?? null, manual: true };
+    const line = toNum(r.line);
+    if (r.market === "moneyline") {
+      g.books.h2h.push({ ...book, home: toNum(r.home_odds), away: toNum(r.away_odds) });
+    } else if (r.market === "spread") {
+      g.books.spreads.push({ ...book, homeSpread: line, awaySpread: line == null ? null : -line, homePrice: toNum(r.home_odds), awayPrice: toNum(r.away_odds) });
+    } else if (r.market === "total") {
+      g.books.totals.push({ ...book, total: line, overPrice: toNum(r.over_odds), underPrice: toNum(r.under_odds) });
+    }
+  }
+
+  return [...games.values()];
+}
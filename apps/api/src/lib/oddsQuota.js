@@ -0,0 +1,224 @@
+// apps/api/src/lib/oddsQuota.js
+import { getOddsUsageForDay, saveOddsUsage } from "../db/oddsUsageStore.js";
+
+/**
+ * Odds API credit manager.
+ *
+ * Every Odds API response carries x-requests-remaining / -used / -last; fetchJson in
+ * routes/predict.js hands them to recordOddsApiResponse, and fetchVegasForLeagueDate
+ * asks planOddsFetch before spending credits on a slate.
+ *
+ *   ODDS_DAILY_CREDIT_BUDGET    credits per UTC day (default: remaining at day start ÷ days left in the month)
+ *   ODDS_CREDIT_RESERVE         credits only urgent slates may spend (default 25)
+ *   ODDS_URGENT_WINDOW_MIN      a slate whose next game starts this soon is urgent (default 45)
+ *   ODDS_EXHAUSTED_RETRY_MIN    after an out-of-credits reply, probe again this often (default 60)
+ *
+ * Refresh cadence follows the slate's next start: 5 min when urgent, 15 min inside
+ * three hours (or when starts are unknown), 60 min otherwise. Once the day's budget
+ * is spent only urgent slates fetch; the rest fail over (see ODDS_FALLBACK_PROVIDERS).
+ * Usage persists per day in odds_api_usage so a restart doesn't reset the count.
+ */
+
+const URGENT_TTL_MS = 5 * 60_000;
+const SOON_TTL_MS = 15 * 60_000;
+const IDLE_TTL_MS = 60 * 60_000;
+const SOON_WINDOW_MIN = 180;
+
+function toInt(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.round(n) : null;
+}
+
+function envNum(name, fallback) {
+  const n = Number(process.env[name]);
+  return process.env[name] != null && process.env[name] !== "" && Number.isFinite(n) ? n : fallback;
+}
+
+function utcDay(ms = Date.now()) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function daysLeftInMonth(ms = Date.now()) {
+  const d = new Date(ms);
+  const last = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  return last - d.getUTCDate() + 1;
+}
+
+/* =============================
+   Per-day state
+============================= */
+
+let state = null; // { day, requests, creditsUsed, remaining, used, dayStartRemaining, exhaustedAt }
+let loading = null;
+
+function fromRow(row) {
+  return {
+    day: String(row.day).slice(0, 10),
+    requests: toInt(row.requests) ?? 0,
+    creditsUsed: toInt(row.credits_used) ?? 0,
+    remaining: toInt(row.remaining),
+    used: toInt(row.used),
+    dayStartRemaining: toInt(row.day_start_remaining),
+    exhaustedAt: row.exhausted_at ?? null,
+  };
+}
+
+function toRow(s) {
+  return {
+    day: s.day,
+    requests: s.requests,
+    credits_used: s.creditsUsed,
+    remaining: s.remaining,
+    used: s.used,
+    day_start_remaining: s.dayStartRemaining,
+    exhausted_at: s.exhaustedAt,
+  };
+}
+
+// yesterday's last reading opens the new day
+function freshState(day, prev) {
+  return {
+    day,
+    requests: 0,
+    creditsUsed: 0,
+    remaining: prev?.remaining ?? null,
+    used: prev?.used ?? null,
+    dayStartRemaining: prev?.remaining ?? null,
+    exhaustedAt: prev?.exhaustedAt ?? null,
+  };
+}
+
+function currentState() {
+  const day = utcDay();
+  if (state?.day === day) return Promise.resolve(state);
+  if (!loading) {
+    const prev = state;
+    loading = getOddsUsageForDay(day)
+      .catch((e) => {
+        console.warn(`[oddsQuota] ${e?.message || e}`);
+        return null;
+      })
+      .then((row) => (state = row ? fromRow(row) : freshState(day, prev)))
+      .finally(() => {
+        loading = null;
+      });
+  }
+  return loading;
+}
+
+function persist(s) {
+  saveOddsUsage(toRow(s)).catch((e) => console.warn(`[oddsQuota] ${e?.message || e}`));
+}
+
+/**
+ * Account one Odds API response (any status). bodyText lets an out-of-credits
+ * 401/429 mark the key exhausted. Never throws.
+ */
+export async function recordOddsApiResponse(res, bodyText = "") {
+  try {
+    const header = (k) => toInt(res?.headers?.get?.(k));
+    const remaining = header("x-requests-remaining");
+    const used = header("x-requests-used");
+    const last = header("x-requests-last");
+
+    const s = await currentState();
+    s.requests += 1;
+    s.creditsUsed += last ?? 0;
+    if (used != null) s.used = used;
+    if (remaining != null) {
+      if (s.dayStartRemaining == null) s.dayStartRemaining = remaining + (last ?? 0);
+      s.remaining = remaining;
+    }
+
+    const outOfCredits =
+      (remaining != null && remaining <= 0) ||
+      ([401, 429].includes(res?.status) && /OUT_OF_USAGE_CREDITS|usage quota/i.test(String(bodyText || "")));
+    if (outOfCredits) s.exhaustedAt = new Date().toISOString();
+    else if (res?.ok && remaining != null) s.exhaustedAt = null;
+
+    persist(s);
+  } catch (e) {
+    console.warn(`[oddsQuota] failed to record usage: ${e?.message || e}`);
+  }
+}
+
+export function dailyCreditBudget(s = state) {
+  const fixed = envNum("ODDS_DAILY_CREDIT_BUDGET", null);
+  if (fixed != null) return Math.max(0, fixed);
+  if (s?.dayStartRemaining == null) return null; // unknown until the first response
+  return Math.max(1, Math.floor(s.dayStartRemaining / daysLeftInMonth()));
+}
+
+/* =============================
+   Slate priority
+============================= */
+
+const slateStarts = new Map(); // "league|ymd" → [start ms]
+
+/** Start times from the last successful fetch, so later fetches know how close the slate is. */
+export function rememberSlateStarts(league, ymd, starts = []) {
+  const ms = starts.map((t) => Date.parse(t || "")).filter(Number.isFinite);
+  if (!ms.length) return;
+  slateStarts.set(`${league}|${ymd}`, ms.sort((a, b) => a - b));
+  if (slateStarts.size > 60) slateStarts.delete(slateStarts.keys().next().value);
+}
+
+function nextStart(league, ymd, now) {
+  const starts = slateStarts.get(`${league}|${ymd}`);
+  if (!starts) return { known: false, ms: null };
+  return { known: true, ms: starts.find((t) => t > now) ?? null };
+}
+
+/**
+ * Whether to spend credits on a league/date now, and how long the result may be cached.
+ * → { allow, reason, urgent, minutesToStart, cacheTtlMs, budget, spentToday, remaining }
+ */
+export async function planOddsFetch(league, ymd, now = Date.now()) {
+  const s = await currentState();
+  const next = nextStart(league, ymd, now);
+  const minutesToStart = next.ms == null ? null : Math.round((next.ms - now) / 60_000);
+  const urgent = minutesToStart != null && minutesToStart <= envNum("ODDS_URGENT_WINDOW_MIN", 45);
+
+  const cacheTtlMs = urgent
+    ? URGENT_TTL_MS
+    : !next.known || (minutesToStart != null && minutesToStart <= SOON_WINDOW_MIN)
+      ? SOON_TTL_MS
+      : IDLE_TTL_MS;
+
+  const budget = dailyCreditBudget(s);
+  const plan = { allow: true, reason: null, urgent, minutesToStart, cacheTtlMs, budget, spentToday: s.creditsUsed, remaining: s.remaining };
+
+  const retryMs = envNum("ODDS_EXHAUSTED_RETRY_MIN", 60) * 60_000;
+  if (s.exhaustedAt && now - Date.parse(s.exhaustedAt) < retryMs) {
+    return { ...plan, allow: false, reason: "odds_credits_exhausted" };
+  }
+  if (!urgent && s.remaining != null && s.remaining <= envNum("ODDS_CREDIT_RESERVE", 25)) {
+    return { ...plan, allow: false, reason: "odds_credit_reserve" };
+  }
+  if (!urgent && budget != null && s.creditsUsed >= budget) {
+    return { ...plan, allow: false, reason: "odds_daily_budget_spent" };
+  }
+  return plan;
+}
+
+/** Snapshot for the admin endpoint and response meta. */
+export async function oddsQuotaStatus() {
+  const s = await currentState();
+  const now = Date.now();
+  return {
+    day: s.day,
+    requests: s.requests,
+    creditsUsed: s.creditsUsed,
+    remaining: s.remaining,
+    used: s.used,
+    dayStartRemaining: s.dayStartRemaining,
+    budget: dailyCreditBudget(s),
+    reserve: envNum("ODDS_CREDIT_RESERVE", 25),
+    exhaustedAt: s.exhaustedAt,
+    slates: [...slateStarts.entries()].map(([key, starts]) => {
+      const next = starts.find((t) => t > now) ?? null;
+      return { key, games: starts.length, nextStart: next == null ? null : new Date(next).toISOString() };
+    }),
+  };
+}
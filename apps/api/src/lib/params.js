@@ -0,0 +1,18 @@
+// apps/api/src/lib/params.js
+
+/** Request-input helpers shared by the admin routers (routes/manualOdds.js, routes/nhlGoalies.js). */
+
+/** Trimmed string, or fallback when empty. */
+export function text(v, fallback = null) {
+  const s = String(v ?? "").trim();
+  return s ? s : fallback;
+}
+
+export function normalizeDateParam(date) {
+  const d = String(date || "").trim();
+  return /^\d{4}-\d{2}-\d{2}$/.test(d) ? d : null;
+}
+
+export function todayYmd() {
+  return new Date().toISOString().slice(0, 10);
+}
@@ -1,13 +1,15 @@
-import {
-    MARKET_GATING,
-    MARKET_RULES,
-    THRESHOLDS,
-    RANKING_WEIGHTS,
-    CALIBRATION_FACTOR,
-    MAX_PICKS,
-    MIN_SCORE,
-    TIER_RANK,
-  } from "../config/premiumStrategy.js";
+import * as premiumStrategy from "../config/premiumStrategy.js";
+  import { applyCalibrationCurve } from "./calibration.js";
+  import { getCalibrationCurve } from "./calibrationArtifacts.js";
+  import { getLiveStrategy } from "./strategyRegistry.js";
+
+  // Any premiumStrategy-shaped object can stand in for the live config
+  // (backtests, A/B variants); missing keys fall back to config/premiumStrategy.js.
+  // No strategy → the registry's live version (STRATEGY_LIVE).
+  export function resolveStrategy(strategy = null) {
+    const s = strategy || getLiveStrategy().config;
+    return s === premiumStrategy ? premiumStrategy : { ...premiumStrategy, ...s };
+  }
 
   function num(v) {
     const n = Number(v);
@@ -24,7 +26,7 @@ import {
 
   // Compress model probability toward 0.5 to reduce overconfidence.
   // Factor comes from config (CALIBRATION_FACTOR = 0.4).
-  function compressProb(p, factor = CALIBRATION_FACTOR) {
+  function compressProb(p, factor = premiumStrategy.CALIBRATION_FACTOR) {
     const n = normalizeProb(p);
     return normalizeProb(0.5 + (n - 0.5) * factor);
   }
@@ -44,7 +46,7 @@ import {
     return p * winProfit - (1 - p) * 100;
   }
 
-  function kellyHalfFromProb(prob, odds) {
+  export function kellyHalfFromProb(prob, odds) {
     const p = normalizeProb(prob);
     const o = num(odds);
     if (o == null || o === 0) return null;
@@ -54,16 +56,16 @@ import {
     return Math.max(0, fullKelly / 2);
   }
 
-  function marketAllowed(league, marketType) {
-    return !!MARKET_GATING?.[league]?.[marketType];
+  function marketAllowed(league, marketType, cfg = premiumStrategy) {
+    return !!cfg.MARKET_GATING?.[league]?.[marketType];
   }
 
-  function marketRule(league, marketType) {
-    return MARKET_RULES?.[league]?.[marketType] || null;
+  function marketRule(league, marketType, cfg = premiumStrategy) {
+    return cfg.MARKET_RULES?.[league]?.[marketType] || null;
   }
 
-  function oddsWithinRange(league, marketType, odds) {
-    const rule = marketRule(league, marketType);
+  function oddsWithinRange(league, marketType, odds, cfg = premiumStrategy) {
+    const rule = marketRule(league, marketType, cfg);
     const o = num(odds);
     if (o == null) return false;
     const minOdds = num(rule?.minOdds);
@@ -76,14 +78,35 @@ import {
   /**
    * Canonical calibrated metrics — single source of truth for EV, Kelly, edge, probability.
    * All scoring and filtering uses these values, not raw candidate fields.
+   *
+   * When a fitted curve exists for league+market (jobs/fitCalibration.js) it replaces
+   * CALIBRATION_FACTOR, and edge/EV/Kelly are recomputed from the fitted probability.
    */
-  function calibratedMetrics(candidate) {
+  function calibratedMetrics(candidate, league = candidate?.league, cfg = premiumStrategy) {
       const odds = num(candidate?.odds);
       // rawWinProb is stored by computeMarketEV before market anchoring; fall back to modelProb
       const rawModelProb = normalizeProb(candidate?.rawWinProb ?? candidate?.modelProb);
-      const modelProb = compressProb(rawModelProb);
       const impliedProb = impliedProbFromAmericanOdds(odds);
 
+      const curve = getCalibrationCurve(league, String(candidate?.marketType || "").toLowerCase());
+      if (curve) {
+        const modelProb = normalizeProb(applyCalibrationCurve(curve, rawModelProb));
+        return {
+          rawModelProb,
+          modelProb,
+          calWinProb: modelProb,
+          impliedProb,
+          edge: impliedProb == null ? 0 : modelProb - impliedProb,
+          evForStake100: evFor100(modelProb, odds) ?? 0,
+          kellyHalf: kellyHalfFromProb(modelProb, odds) ?? 0,
+          calibrationFactor: null,
+          calibrationMethod: curve.method,
+          calibrationVersion: curve.version,
+        };
+      }
+
+      const modelProb = compressProb(rawModelProb, cfg.CALIBRATION_FACTOR);
+
       // Candidates from buildMarketBundle already have edge/evForStake100/kellyHalf computed
       // by computeMarketEV with market anchoring (single calibration). Recomputing from a
       // further compressProb() call causes double-calibration: a legitimate +6% NBA edge
@@ -112,18 +135,60 @@ import {
         edge,
         evForStake100,
         kellyHalf,
-        calibrationFactor: CALIBRATION_FACTOR,
+        calibrationFactor: cfg.CALIBRATION_FACTOR,
+      };
+    }
+
+  // Second benchmark: the same price judged against the market's fair probability.
+  function consensusMetrics(candidate, metrics) {
+    const fair = num(candidate?.marketFairProb);
+    if (fair == null) return { marketFairProb: null, marketEvForStake100: null, disagreement: null };
+    return {
+      marketFairProb: fair,
+      marketEvForStake100: evFor100(fair, candidate?.odds),
+      disagreement: metrics.modelProb - fair,
+    };
+  }
+
+  // MARKET_CONSENSUS gate; per-market MARKET_RULES values win. null when it passes.
+  function checkConsensus(rule, metrics, cfg = premiumStrategy) {
+    const base = cfg.MARKET_CONSENSUS || {};
+    const requireConsensus = rule?.requireConsensus ?? base.requireConsensus ?? false;
+    const requireAgreement = rule?.requireAgreement ?? base.requireAgreement ?? false;
+    const minMarketEv = num(rule?.minMarketEvForStake100) ?? num(base.minMarketEvForStake100) ?? 0;
+    const maxDisagreement = num(rule?.maxDisagreement) ?? num(base.maxDisagreement);
+    const { marketEvForStake100, disagreement } = metrics;
+
+    // without a consensus line only requireConsensus rejects
+    if (disagreement == null) {
+      return requireConsensus ? { passed: false, rejectionReason: "no_market_consensus", rejectionDetail: null } : null;
+    }
+    if (requireAgreement && marketEvForStake100 < minMarketEv) {
+      return {
+        passed: false,
+        rejectionReason: "market_disagrees",
+        rejectionDetail: { actual: Number(marketEvForStake100.toFixed(4)), required: minMarketEv },
       };
     }
+    if (maxDisagreement != null && Math.abs(disagreement) > maxDisagreement) {
+      return {
+        passed: false,
+        rejectionReason: "disagreement_above_max",
+        rejectionDetail: { actual: Number(disagreement.toFixed(4)), maxAllowed: maxDisagreement },
+      };
+    }
+    return null;
+  }
 
   /**
    * Single threshold gate. Does NOT depend on upstream tier assignment.
    * Returns a structured result with pass/fail and rejection reason for audit.
    */
-  function checkThresholds(league, candidate, metrics) {
+  function checkThresholds(league, candidate, metrics, cfg = premiumStrategy) {
     const marketType = String(candidate?.marketType || "").toLowerCase();
     const odds = num(candidate?.odds);
-    const rule = marketRule(league, marketType);
+    const rule = marketRule(league, marketType, cfg);
+    const THRESHOLDS = cfg.THRESHOLDS;
     const { modelProb, edge, evForStake100, kellyHalf } = metrics;
 
     const minEvForStake100 = num(rule?.minEvForStake100) ?? THRESHOLDS.minEvForStake100;
@@ -131,13 +196,13 @@ import {
     const minEdge = num(rule?.minEdge) ?? THRESHOLDS.minEdge;
     const maxEdge = num(rule?.maxEdge) ?? null;
 
-    if (!marketAllowed(league, marketType)) {
+    if (!marketAllowed(league, marketType, cfg)) {
       return { passed: false, rejectionReason: "market_disabled", rejectionDetail: null };
     }
     if (odds == null || odds === 0) {
       return { passed: false, rejectionReason: "missing_odds", rejectionDetail: null };
     }
-    if (!oddsWithinRange(league, marketType, odds)) {
+    if (!oddsWithinRange(league, marketType, odds, cfg)) {
       return {
         passed: false,
         rejectionReason: "odds_out_of_range",
@@ -180,6 +245,9 @@ import {
       };
     }
 
+    const consensus = checkConsensus(rule, metrics, cfg);
+    if (consensus) return consensus;
+
     return { passed: true, rejectionReason: null, rejectionDetail: null };
   }
 
@@ -187,7 +255,8 @@ import {
    * Weighted score. Weights are read from config (RANKING_WEIGHTS) — must stay in sync.
    * Formula: edge * 100 * 0.45 + ev * 0.35 + kelly * 100 * 0.20 - penalties
    */
-  function weightedScore(metrics, odds) {
+  function weightedScore(metrics, odds, cfg = premiumStrategy) {
+    const RANKING_WEIGHTS = cfg.RANKING_WEIGHTS;
     const { edge, evForStake100, kellyHalf, modelProb } = metrics;
     const o = num(odds) ?? 0;
 
@@ -223,10 +292,15 @@ import {
    *  5. Assign tiers by rank position
    *  6. Cap to MAX_PICKS
    *  7. Select recommended if top score >= MIN_SCORE
+   *
+   * `strategy` overrides the live config (see resolveStrategy).
+   * `shadows` ([{ id, config }] from lib/strategyRegistry.js) are run on the same
+   * candidates and returned under `shadows`; they never change the live result.
    */
-  export function applyPremiumSelection(league, candidates = []) {
-    const maxPicks = MAX_PICKS[league] ?? 5;
-    const minScore = MIN_SCORE[league] ?? 3.0;
+  export function applyPremiumSelection(league, candidates = [], strategy = null, { shadows = [] } = {}) {
+    const cfg = resolveStrategy(strategy);
+    const maxPicks = cfg.MAX_PICKS?.[league] ?? 5;
+    const minScore = cfg.MIN_SCORE?.[league] ?? 3.0;
 
     const rejected = [];
     const passing = [];
@@ -234,7 +308,7 @@ import {
     for (const c of candidates) {
       const marketType = String(c?.marketType || "").toLowerCase();
 
-      if (!marketAllowed(league, marketType)) {
+      if (!marketAllowed(league, marketType, cfg)) {
         rejected.push({
           ...c,
           passed: false,
@@ -244,9 +318,10 @@ import {
         continue;
       }
 
-      const metrics = calibratedMetrics(c);
-      const thresholdResult = checkThresholds(league, c, metrics);
-      const score = weightedScore(metrics, c?.odds);
+      const calibrated = calibratedMetrics(c, league, cfg);
+      const metrics = { ...calibrated, ...consensusMetrics(c, calibrated) };
+      const thresholdResult = checkThresholds(league, c, metrics, cfg);
+      const score = weightedScore(metrics, c?.odds, cfg);
 
       const enriched = {
         ...c,
@@ -271,7 +346,7 @@ import {
       return {
         ...c,
         tier,
-        tierRank: TIER_RANK[tier] ?? 0,
+        tierRank: cfg.TIER_RANK?.[tier] ?? 0,
       };
     });
 
@@ -279,10 +354,19 @@ import {
     const best = capped[0] || null;
     const recommended = best && (best.premiumScore ?? 0) >= minScore ? best : null;
 
-    return {
+    const out = {
       candidates: capped,
       rejected,
       recommended,
     };
+
+    if (shadows.length) {
+      out.shadows = shadows.map((s) => ({
+        strategyId: s.id,
+        ...applyPremiumSelection(league, candidates, s.config),
+      }));
+    }
+
+    return out;
   }
   
\ No newline at end of file
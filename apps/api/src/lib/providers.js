@@ -0,0 +1,183 @@
+// apps/api/src/lib/providers.js
+
+/**
+ * Upstream providers + fixture record/replay.
+ *
+ * Every upstream GET in routes/predict.js goes through fetchJson, which asks this
+ * module what to do with the URL:
+ *  - live   (default) hit the network
+ *  - record hit the network and save the raw JSON body under the fixture set
+ *  - replay never touch the network; serve the saved body or fail loudly
+ *
+ * Fixtures live at `<FIXTURES_DIR>/<FIXTURE_SET>/<provider>/<slug>-<hash>.json`.
+ * The key is the URL with credentials stripped, so a set recorded with one
+ * API key replays without any keys at all.
+ *
+ * Env:
+ *  - PROVIDER_MODE  live | record | replay
+ *  - FIXTURES_DIR   fixture root (default apps/api/fixtures)
+ *  - FIXTURE_SET    sub-directory per scenario (default "default")
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_DIR = path.resolve(__dirname, "../../fixtures");
+export const PROVIDER_MODES = ["live", "record", "replay"];
+
+// host match → provider name (used as the fixture sub-directory)
+const PROVIDERS = [
+  { name: "balldontlie", hosts: ["api.balldontlie.io"] },
+  { name: "espn", hosts: ["site.api.espn.com", "site.web.api.espn.com"] },
+  { name: "oddsapi", hosts: ["api.the-odds-api.com"] },
+];
+
+// query params that carry credentials and must never reach disk or the key
+const SECRET_PARAMS = ["apikey", "api_key", "key", "token"];
+
+export class FixtureMissingError extends Error {
+  constructor(url, file) {
+    super(`No fixture for ${url} (expected ${file})`);
+    this.name = "FixtureMissingError";
+    this.code = "FIXTURE_MISSING";
+    this.url = url;
+    this.file = file;
+  }
+}
+
+export function providerMode() {
+  const m = String(process.env.PROVIDER_MODE || "live").trim().toLowerCase();
+  return PROVIDER_MODES.includes(m) ? m : "live";
+}
+
+export function isReplayMode() {
+  return providerMode() === "replay";
+}
+
+export function isRecordMode() {
+  return providerMode() === "record";
+}
+
+export function fixtureSet() {
+  const s = String(process.env.FIXTURE_SET || "default").trim();
+  return /^[A-Za-z0-9._-]+$/.test(s) ? s : "default";
+}
+
+export function fixturesDir() {
+  const root = process.env.FIXTURES_DIR ? path.resolve(process.env.FIXTURES_DIR) : DEFAULT_DIR;
+  return path.join(root, fixtureSet());
+}
+
+export function providerForUrl(url) {
+  let host = "";
+  try {
+    host = new URL(url).host.toLowerCase();
+  } catch {
+    return "other";
+  }
+
+  const hit = PROVIDERS.find((p) => p.hosts.includes(host));
+  if (hit) return hit.name;
+
+  // self-hosted / proxied Odds API base
+  const oddsBase = process.env.ODDS_API_BASE;
+  if (oddsBase) {
+    try {
+      if (new URL(oddsBase).host.toLowerCase() === host) return "oddsapi";
+    } catch {
+      // ignore malformed base
+    }
+  }
+  return "other";
+}
+
+/** URL with credential params dropped and the rest sorted, so equal requests share a key. */
+export function canonicalFixtureUrl(url) {
+  try {
+    const u = new URL(url);
+    const params = [...u.searchParams.entries()]
+      .filter(([k]) => !SECRET_PARAMS.includes(k.toLowerCase()))
+      .sort(([a, av], [b, bv]) => a.localeCompare(b) || av.localeCompare(bv));
+
+    u.search = "";
+    for (const [k, v] of params) u.searchParams.append(k, v);
+    return u.toString();
+  } catch {
+    return String(url || "").replace(/([?&])(apiKey|api_key|key|token)=[^&]*/gi, "$1");
+  }
+}
+
+function slugFor(canonical) {
+  let p = canonical;
+  try {
+    p = new URL(canonical).pathname;
+  } catch {
+    // keep raw
+  }
+  return (
+    p
+      .replace(/^\/+|\/+$/g, "")
+      .replace(/[^A-Za-z0-9]+/g, "_")
+      .slice(-60) || "root"
+  );
+}
+
+export function fixturePathForUrl(url) {
+  const canonical = canonicalFixtureUrl(url);
+  const hash = crypto.createHash("sha1").update(canonical).digest("hex").slice(0, 16);
+  return path.join(fixturesDir(), providerForUrl(url), `${slugFor(canonical)}-${hash}.json`);
+}
+
+export function hasFixture(url) {
+  return fs.existsSync(fixturePathForUrl(url));
+}
+
+/** Replay: raw upstream body for `url`, or FixtureMissingError. */
+export function readFixture(url) {
+  const file = fixturePathForUrl(url);
+
+  let raw;
+  try {
+    raw = fs.readFileSync(file, "utf8");
+  } catch {
+    throw new FixtureMissingError(canonicalFixtureUrl(url), file);
+  }
+
+  const parsed = JSON.parse(raw);
+  return parsed?.body ?? null;
+}
+
+/** Record: save the raw upstream body for `url`. Never throws — recording is best-effort. */
+export function writeFixture(url, body) {
+  const file = fixturePathForUrl(url);
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(
+      file,
+      JSON.stringify(
+        {
+          provider: providerForUrl(url),
+          url: canonicalFixtureUrl(url),
+          recordedAt: new Date().toISOString(),
+          body,
+        },
+        null,
+        2
+      )
+    );
+    return file;
+  } catch (e) {
+    console.warn(`[providers] failed to record fixture ${file}: ${e?.message || e}`);
+    return null;
+  }
+}
+
+/** Small summary for response meta. */
+export function providerMeta() {
+  const mode = providerMode();
+  return mode === "live" ? { mode } : { mode, fixtureSet: fixtureSet() };
+}
@@ -0,0 +1,141 @@
+// apps/api/src/lib/scheduleFeatures.js
+import { MAX_REST_ADVANTAGE, MAX_REST_DAYS, SCHEDULE_WEIGHTS } from "../config/scheduleWeights.js";
+
+/**
+ * Schedule context for NBA / NHL edges: days of rest, back-to-back, 3-in-4,
+ * road-trip length and travel distance from the previous game's arena.
+ *
+ * Inputs are the per-team game lists the stat builders already keep
+ * (`teamStats.get(id).schedule`: newest first, { date, home, venue }), so
+ * everything is computed from games before the slate date — walk-forward safe.
+ * Venue is the home team's abbreviation, located through the arena table below.
+ */
+
+// [lat, lon] of each home arena, keyed by the abbreviation the league feed uses
+const ARENAS = {
+  nba: {
+    ATL: [33.757, -84.396], BOS: [42.366, -71.062], BKN: [40.683, -73.976], CHA: [35.225, -80.839],
+    CHI: [41.881, -87.674], CLE: [41.496, -81.688], DAL: [32.790, -96.810], DEN: [39.749, -105.008],
+    DET: [42.341, -83.055], GSW: [37.768, -122.388], HOU: [29.751, -95.362], IND: [39.764, -86.155],
+    LAC: [33.945, -118.343], LAL: [34.043, -118.267], MEM: [35.138, -90.051], MIA: [25.781, -80.188],
+    MIL: [43.045, -87.917], MIN: [44.979, -93.276], NOP: [29.949, -90.082], NYK: [40.751, -73.993],
+    OKC: [35.463, -97.515], ORL: [28.539, -81.384], PHI: [39.901, -75.172], PHX: [33.446, -112.071],
+    POR: [45.532, -122.667], SAC: [38.580, -121.500], SAS: [29.427, -98.438], TOR: [43.643, -79.379],
+    UTA: [40.768, -111.901], WAS: [38.898, -77.021],
+  },
+  nhl: {
+    ANA: [33.808, -117.877], BOS: [42.366, -71.062], BUF: [42.875, -78.876], CGY: [51.037, -114.052],
+    CAR: [35.803, -78.722], CHI: [41.881, -87.674], COL: [39.749, -105.008], CBJ: [39.969, -83.006],
+    DAL: [32.790, -96.810], DET: [42.341, -83.055], EDM: [53.547, -113.498], FLA: [26.158, -80.326],
+    LA: [34.043, -118.267], MIN: [44.945, -93.101], MTL: [45.496, -73.569], NSH: [36.159, -86.778],
+    NJ: [40.734, -74.171], NYI: [40.712, -73.726], NYR: [40.751, -73.993], OTT: [45.297, -75.927],
+    PHI: [39.901, -75.172], PIT: [40.439, -79.989], SJ: [37.333, -121.901], SEA: [47.622, -122.354],
+    STL: [38.627, -90.203], TB: [27.943, -82.452], TOR: [43.643, -79.379], UTAH: [40.768, -111.901],
+    VAN: [49.278, -123.109], VGK: [36.103, -115.178], WSH: [38.898, -77.021], WPG: [49.893, -97.144],
+    ARI: [33.425, -111.933],
+  },
+};
+
+// alternate abbreviations seen across ESPN / balldontlie / Odds API feeds
+const ALIASES = {
+  nba: { BRK: "BKN", GS: "GSW", NO: "NOP", NY: "NYK", SA: "SAS", PHO: "PHX", UTAH: "UTA", WSH: "WAS", CHO: "CHA" },
+  nhl: { LAK: "LA", NJD: "NJ", SJS: "SJ", TBL: "TB", VEG: "VGK", WAS: "WSH", UTA: "UTAH", MON: "MTL" },
+};
+
+export function scheduleFeaturesEnabled() {
+  return !["0", "off", "false", "no"].includes(String(process.env.SCHEDULE_FEATURES ?? "").trim().toLowerCase());
+}
+
+/** The arena table's abbreviation for any feed's spelling (GS → GSW, LAK → LA …). */
+export function canonicalAbbr(league, abbr) {
+  const key = String(abbr || "").trim().toUpperCase();
+  return ALIASES[league]?.[key] || key;
+}
+
+export function arenaFor(league, abbr) {
+  return ARENAS[league]?.[canonicalAbbr(league, abbr)] || null;
+}
+
+// great-circle distance
+export function distanceKm(a, b) {
+  if (!a || !b) return null;
+  const rad = (d) => (d * Math.PI) / 180;
+  const dLat = rad(b[0] - a[0]);
+  const dLon = rad(b[1] - a[1]);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a[0])) * Math.cos(rad(b[0])) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+function daysBetween(laterYmd, earlierYmd) {
+  const a = Date.parse(`${laterYmd}T00:00:00Z`);
+  const b = Date.parse(`${earlierYmd}T00:00:00Z`);
+  return Number.isFinite(a) && Number.isFinite(b) ? Math.round((a - b) / 86_400_000) : null;
+}
+
+/**
+ * One team's context for tonight.
+ * `schedule`: prior games, newest first: { date, home, venue }.
+ */
+export function scheduleContext(league, schedule, { date, isHome, venue }) {
+  const prior = (Array.isArray(schedule) ? schedule : []).filter((g) => g?.date && g.date < date);
+  const last = prior[0] || null;
+
+  const gap = last ? daysBetween(date, last.date) : null;
+  const restDays = gap == null ? null : Math.max(0, gap - 1);
+
+  // tonight is the third game if two of the previous three nights were game nights
+  const recentNights = prior.filter((g) => {
+    const d = daysBetween(date, g.date);
+    return d != null && d >= 1 && d <= 3;
+  }).length;
+
+  let roadTrip = 0;
+  if (!isHome) {
+    roadTrip = 1;
+    for (const g of prior) {
+      if (g.home) break;
+      roadTrip += 1;
+    }
+  }
+
+  const km = last ? distanceKm(arenaFor(league, last.venue), arenaFor(league, venue)) : null;
+
+  return {
+    restDays,
+    b2b: restDays === 0,
+    threeInFour: recentNights >= 2,
+    roadTrip,
+    travelKm: km == null ? null : Math.round(km),
+  };
+}
+
+function teamTerm(ctx, w) {
+  if (!ctx) return 0;
+  return (
+    (ctx.b2b ? w.b2b : 0) +
+    (ctx.threeInFour ? w.threeInFour : 0) +
+    w.roadTripGame * Math.max(0, ctx.roadTrip - 1) +
+    w.travelPer1000Km * ((ctx.travelKm ?? 0) / 1000)
+  );
+}
+
+/**
+ * Home-minus-away schedule edge, in the league's edge units.
+ * Returns { edge, home, away } with the per-team contexts for the model node.
+ */
+export function scheduleEdgeForGame(league, { date, homeSchedule, awaySchedule, homeVenue }) {
+  const w = SCHEDULE_WEIGHTS[league];
+  if (!w || !scheduleFeaturesEnabled()) return { edge: 0, home: null, away: null };
+
+  const home = scheduleContext(league, homeSchedule, { date, isHome: true, venue: homeVenue });
+  const away = scheduleContext(league, awaySchedule, { date, isHome: false, venue: homeVenue });
+
+  let restAdv = 0;
+  if (home.restDays != null && away.restDays != null) {
+    const diff = Math.min(home.restDays, MAX_REST_DAYS) - Math.min(away.restDays, MAX_REST_DAYS);
+    restAdv = Math.max(-MAX_REST_ADVANTAGE, Math.min(MAX_REST_ADVANTAGE, diff));
+  }
+
+  const edge = teamTerm(home, w) - teamTerm(away, w) + w.restDay * restAdv;
+  return { edge: Math.round(edge * 10000) / 10000, home, away };
+}
@@ -0,0 +1,183 @@
+// apps/api/src/lib/smtp.js
+import net from "node:net";
+import tls from "node:tls";
+import os from "node:os";
+
+/**
+ * Minimal SMTP submission client: one plain-text message per connection.
+ *
+ *   SMTP_HOST / SMTP_PORT (587)    server
+ *   SMTP_SECURE=1                  implicit TLS (port 465); otherwise STARTTLS when offered
+ *   SMTP_USER / SMTP_PASS          AUTH PLAIN (only sent over TLS unless SMTP_ALLOW_PLAIN_AUTH=1)
+ *   SMTP_FROM                      envelope + From: address
+ *
+ * Enough for alert mail through a relay or a local sink (scripts/alertSink.js).
+ */
+
+const TIMEOUT_MS = 15_000;
+
+function truthy(v) {
+  return ["1", "true", "yes"].includes(String(v ?? "").toLowerCase());
+}
+
+export function smtpConfigFromEnv() {
+  const host = String(process.env.SMTP_HOST || "").trim();
+  if (!host) return null;
+  const secure = truthy(process.env.SMTP_SECURE);
+  return {
+    host,
+    port: Number(process.env.SMTP_PORT) || (secure ? 465 : 587),
+    secure,
+    user: String(process.env.SMTP_USER || "").trim() || null,
+    pass: String(process.env.SMTP_PASS || ""),
+    from: String(process.env.SMTP_FROM || process.env.ALERTS_FROM || "alerts@localhost").trim(),
+    allowPlainAuth: truthy(process.env.SMTP_ALLOW_PLAIN_AUTH),
+  };
+}
+
+// Reads multi-line replies ("250-…" continues, "250 …" ends) off a socket.
+function replyReader(socket) {
+  let buf = "";
+  let lines = [];
+  const queue = [];
+  const waiting = [];
+
+  const onData = (chunk) => {
+    buf += chunk.toString("utf8");
+    let i;
+    while ((i = buf.indexOf("\r\n")) >= 0) {
+      const line = buf.slice(0, i);
+      buf = buf.slice(i + 2);
+      lines.push(line);
+      if (/^\d{3} /.test(line) || /^\d{3}$/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), lines: lines.map((l) => l.slice(4)) };
+        lines = [];
+        if (waiting.length) waiting.shift().resolve(reply);
+        else queue.push(reply);
+      }
+    }
+  };
+
+  let dead = null;
+  const fail = (err) => {
+    dead = dead || err;
+    while (waiting.length) waiting.shift().reject(err);
+  };
+
+  socket.on("data", onData);
+  socket.on("error", fail);
+  socket.on("close", () => fail(new Error("smtp connection closed")));
+
+  return {
+    next() {
+      if (queue.length) return Promise.resolve(queue.shift());
+      if (dead) return Promise.reject(dead);
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+    detach() {
+      socket.off("data", onData);
+    },
+  };
+}
+
+function connect({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.once("error", reject);
+    socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error("smtp timeout")));
+  });
+}
+
+function upgrade(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+    secured.once("error", reject);
+    secured.setTimeout(TIMEOUT_MS, () => secured.destroy(new Error("smtp timeout")));
+  });
+}
+
+// RFC 2047 for non-ASCII subjects
+function encodeHeader(s) {
+  const v = String(s ?? "").replace(/[\r\n]+/g, " ");
+  return /^[\x20-\x7e]*$/.test(v) ? v : `=?UTF-8?B?${Buffer.from(v, "utf8").toString("base64")}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const body = String(text ?? "")
+    .replace(/\r?\n/g, "\r\n")
+    .split("\r\n")
+    .map((l) => (l.startsWith(".") ? `.${l}` : l)) // dot-stuffing
+    .join("\r\n");
+
+  return [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${Date.now()}.${Math.random().toString(36).slice(2)}@${os.hostname()}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit",
+    "",
+    body,
+  ].join("\r\n");
+}
+
+/**
+ * Send one message. to: address or array. Resolves { accepted, response },
+ * throws with the server's reply on any non-2xx/3xx step.
+ */
+export async function sendMail({ to, subject, text }, config = smtpConfigFromEnv()) {
+  if (!config) throw new Error("SMTP_HOST is not configured");
+  const rcpts = (Array.isArray(to) ? to : [to]).map((x) => String(x || "").trim()).filter(Boolean);
+  if (!rcpts.length) throw new Error("no recipient");
+
+  let socket = await connect(config);
+  let reader = replyReader(socket);
+  let secure = config.secure;
+
+  const expect = async (ok) => {
+    const reply = await reader.next();
+    if (!ok.includes(Math.floor(reply.code / 100))) {
+      throw new Error(`smtp ${reply.code} ${reply.lines.join(" ")}`.trim());
+    }
+    return reply;
+  };
+  const command = async (line, ok = [2]) => {
+    socket.write(`${line}\r\n`);
+    return expect(ok);
+  };
+
+  try {
+    await expect([2]);
+    const helo = os.hostname() || "localhost";
+    const ehlo = await command(`EHLO ${helo}`);
+
+    if (!secure && ehlo.lines.some((l) => /^STARTTLS\b/i.test(l))) {
+      await command("STARTTLS");
+      reader.detach();
+      socket = await upgrade(socket, config.host);
+      reader = replyReader(socket);
+      secure = true;
+      await command(`EHLO ${helo}`);
+    }
+
+    if (config.user) {
+      if (!secure && !config.allowPlainAuth) throw new Error("refusing AUTH without TLS (set SMTP_ALLOW_PLAIN_AUTH=1 to allow)");
+      const token = Buffer.from(`\0${config.user}\0${config.pass}`, "utf8").toString("base64");
+      await command(`AUTH PLAIN ${token}`);
+    }
+
+    await command(`MAIL FROM:<${config.from}>`);
+    for (const r of rcpts) await command(`RCPT TO:<${r}>`);
+    await command("DATA", [3]);
+    const done = await command(`${buildMessage({ from: config.from, to: rcpts, subject, text })}\r\n.`);
+    await command("QUIT").catch(() => null);
+
+    return { accepted: rcpts, response: done.lines.join(" ") };
+  } finally {
+    socket.destroy();
+  }
+}
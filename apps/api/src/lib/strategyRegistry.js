@@ -0,0 +1,90 @@
+// apps/api/src/lib/strategyRegistry.js
+import * as current from "../config/premiumStrategy.js";
+import * as nbaFrozen20260325 from "../config/premiumStrategy.nba_frozen_20260325.js";
+import * as preNcaamCalibration20260325 from "../config/premiumStrategy.pre_ncaam_calibration_20260325_105932.js";
+
+/**
+ * Strategy-version registry.
+ *
+ * Every premiumStrategy-shaped config gets a stable id. One version is live —
+ * it decides the published pick — and any number of others run in shadow on the
+ * same candidates, so their picks can be ledgered and compared head-to-head
+ * without ever being shown to users.
+ *
+ * Promoting or rolling back is an env change, not a file swap:
+ *  - STRATEGY_LIVE     id of the live version (default "current")
+ *  - STRATEGY_SHADOWS  comma list of shadow ids, or "all" for every other version
+ *
+ * New versions: freeze a copy of config/premiumStrategy.js next to it and add
+ * an entry below. Never edit a frozen file once it has ledgered picks.
+ */
+
+const VERSIONS = [
+  {
+    id: "current",
+    label: "Working premiumStrategy.js",
+    file: "config/premiumStrategy.js",
+    config: current,
+  },
+  {
+    id: "nba_frozen_20260325",
+    label: "NBA frozen 2026-03-25",
+    file: "config/premiumStrategy.nba_frozen_20260325.js",
+    config: nbaFrozen20260325,
+  },
+  {
+    id: "pre_ncaam_calibration_20260325",
+    label: "Before NCAAM calibration (2026-03-25)",
+    file: "config/premiumStrategy.pre_ncaam_calibration_20260325_105932.js",
+    config: preNcaamCalibration20260325,
+  },
+];
+
+const byId = new Map(VERSIONS.map((v) => [v.id, Object.freeze({ ...v })]));
+
+function normId(x) {
+  return String(x || "").trim().toLowerCase();
+}
+
+export function getStrategyVersion(id) {
+  return byId.get(normId(id)) || null;
+}
+
+/** Live version; an unknown STRATEGY_LIVE falls back to "current" rather than serving nothing. */
+export function getLiveStrategy() {
+  const id = normId(process.env.STRATEGY_LIVE) || "current";
+  const hit = byId.get(id);
+  if (!hit && process.env.STRATEGY_LIVE) {
+    console.warn(`[strategy] unknown STRATEGY_LIVE=${process.env.STRATEGY_LIVE}; using "current"`);
+  }
+  return hit || byId.get("current");
+}
+
+/** Shadow versions (never includes the live one). */
+export function getShadowStrategies() {
+  const raw = normId(process.env.STRATEGY_SHADOWS);
+  if (!raw) return [];
+
+  const liveId = getLiveStrategy().id;
+  const ids = raw === "all" ? [...byId.keys()] : raw.split(",").map(normId).filter(Boolean);
+
+  const out = [];
+  for (const id of new Set(ids)) {
+    if (id === liveId) continue;
+    const hit = byId.get(id);
+    if (hit) out.push(hit);
+    else console.warn(`[strategy] unknown shadow strategy "${id}" ignored`);
+  }
+  return out;
+}
+
+export function listStrategyVersions() {
+  const liveId = getLiveStrategy().id;
+  const shadowIds = new Set(getShadowStrategies().map((s) => s.id));
+  return VERSIONS.map((v) => ({
+    id: v.id,
+    label: v.label,
+    file: v.file,
+    role: v.id === liveId ? "live" : shadowIds.has(v.id) ? "shadow" : "inactive",
+  }));
+}
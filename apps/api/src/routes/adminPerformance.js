@@ -1,19 +1,9 @@
 import express from "express";
 import { runScoringForLeague } from "../services/scoring/scoringIndex.js";
+import { requireAdmin } from "../lib/auth.js";
 
 const router = express.Router();
 
-function requireAdmin(req, res, next) {
-  const expected = String(process.env.ADMIN_TOKEN || "");
-  const got = String(req.header("x-admin-token") || "");
-
-  if (!expected || got !== expected) {
-    return res.status(401).json({ ok: false, error: "unauthorized" });
-  }
-
-  next();
-}
-
 /**
  * GET /api/admin/performance/ping
  */
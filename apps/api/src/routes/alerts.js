@@ -0,0 +1,111 @@
+// apps/api/src/routes/alerts.js
+import express from "express";
+import {
+  deleteAlertRule,
+  insertAlertRule,
+  listAlertRules,
+  listAlerts,
+  markAlertsRead,
+  updateAlertRule,
+} from "../db/alertsStore.js";
+import { ALERT_KINDS, alertChannelNames, checkWebhookUrl, normalizeAlertRule } from "../lib/alerts.js";
+import { requireUser } from "../lib/auth.js";
+
+const router = express.Router();
+
+// Rules and the inbox belong to the signed-in user (see lib/auth.js)
+router.use("/alerts", requireUser);
+
+function getUserKey(req) {
+  return req.user.id;
+}
+
+function truthy(v) {
+  return ["1", "true", "yes"].includes(String(v ?? "").toLowerCase());
+}
+
+// GET /api/alerts?unread=1&limit=50 — the in-app inbox, newest first
+router.get("/alerts", async (req, res) => {
+  try {
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+    const alerts = await listAlerts(getUserKey(req), { unreadOnly: truthy(req.query.unread), limit });
+    return res.json({ ok: true, data: alerts, unread: alerts.filter((a) => !a.read_at).length });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+// POST /api/alerts/read — { ids: [1, 2] } or {} for everything unread
+router.post("/alerts/read", async (req, res) => {
+  try {
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids.map(Number).filter(Number.isFinite) : null;
+    const updated = await markAlertsRead(getUserKey(req), ids);
+    return res.json({ ok: true, updated });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+// GET /api/alerts/rules
+router.get("/alerts/rules", async (req, res) => {
+  try {
+    const rules = await listAlertRules(getUserKey(req));
+    return res.json({ ok: true, data: rules, kinds: ALERT_KINDS, channels: alertChannelNames() });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+/**
+ * POST /api/alerts/rules
+ * { kind, league?, params, channels: ["inbox","webhook","email"], webhook_url?, enabled? }
+ * webhook_url must resolve to a public address; email goes to the account's verified address.
+ *   { kind: "new_pick", league: "nhl", params: { minTier: "STRONG" } }
+ *   { kind: "line_move", params: { minPoints: 1.5 }, channels: ["inbox", "email"] }
+ *   { kind: "price_target", params: { betId: 42, odds: -105 }, channels: ["webhook"], webhook_url }
+ */
+router.post("/alerts/rules", async (req, res) => {
+  try {
+    const { rule, error } = normalizeAlertRule(req.body);
+    if (error) return res.status(400).json({ ok: false, error });
+    const blocked = rule.webhook_url ? await checkWebhookUrl(rule.webhook_url) : null;
+    if (blocked) return res.status(400).json({ ok: false, error: blocked });
+
+    const saved = await insertAlertRule({ user_key: getUserKey(req), ...rule });
+    return res.status(201).json({ ok: true, data: saved });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+// PATCH /api/alerts/rules/:id — any of the POST fields
+router.patch("/alerts/rules/:id", async (req, res) => {
+  try {
+    const userKey = getUserKey(req);
+    const existing = (await listAlertRules(userKey)).find((r) => String(r.id) === String(req.params.id));
+    if (!existing) return res.status(404).json({ ok: false, error: "rule not found" });
+
+    const { rule, error } = normalizeAlertRule({ ...existing, ...(req.body || {}) });
+    if (error) return res.status(400).json({ ok: false, error });
+    const blocked = rule.webhook_url ? await checkWebhookUrl(rule.webhook_url) : null;
+    if (blocked) return res.status(400).json({ ok: false, error: blocked });
+
+    const saved = await updateAlertRule(userKey, existing.id, rule);
+    return res.json({ ok: true, data: saved });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+// DELETE /api/alerts/rules/:id
+router.delete("/alerts/rules/:id", async (req, res) => {
+  try {
+    const deleted = await deleteAlertRule(getUserKey(req), req.params.id);
+    if (!deleted) return res.status(404).json({ ok: false, error: "rule not found" });
+    return res.json({ ok: true, deleted });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+export default router;
@@ -0,0 +1,207 @@
+// apps/api/src/routes/auth.js
+import express from "express";
+import {
+  authConfigured,
+  createMagicToken,
+  hashMagicToken,
+  hashPassword,
+  magicLinkTtlMs,
+  normalizeEmail,
+  publicUser,
+  requireUser,
+  signSession,
+  verifyPassword,
+} from "../lib/auth.js";
+import { consumeMagicLink, createUser, getUserByEmail, insertMagicLink, markEmailVerified, touchLogin } from "../db/usersStore.js";
+import { sendMail, smtpConfigFromEnv } from "../lib/smtp.js";
+
+const router = express.Router();
+
+const MIN_PASSWORD = 8;
+
+// AUTH_DEV_LINKS=1 returns the magic link in the response (local dev only: it signs in as anyone)
+const devLinks = String(process.env.AUTH_DEV_LINKS || "").trim() === "1";
+
+function requireAuthConfigured(_req, res, next) {
+  if (!authConfigured()) return res.status(503).json({ ok: false, error: "Sign-in is not configured on this server" });
+  return next();
+}
+
+/**
+ * In-memory fixed-window limiter per client IP and per email.
+ *   AUTH_RATE_LIMIT         attempts per window on /auth/register, /auth/login and /auth/magic-link (default 10)
+ *   AUTH_RATE_WINDOW_MIN    window length in minutes (default 15)
+ */
+const attempts = new Map(); // "route|kind|key" → { start, count }
+
+function rateLimit(name) {
+  return (req, res, next) => {
+    const max = Number(process.env.AUTH_RATE_LIMIT) > 0 ? Number(process.env.AUTH_RATE_LIMIT) : 10;
+    const windowMs = (Number(process.env.AUTH_RATE_WINDOW_MIN) > 0 ? Number(process.env.AUTH_RATE_WINDOW_MIN) : 15) * 60_000;
+    const now = Date.now();
+
+    for (const [key, hit] of attempts) {
+      if (now - hit.start >= windowMs) attempts.delete(key);
+    }
+
+    const email = normalizeEmail(req.body?.email);
+    const keys = [`${name}|ip|${req.ip}`, ...(email ? [`${name}|email|${email}`] : [])];
+    for (const key of keys) {
+      const hit = attempts.get(key) || { start: now, count: 0 };
+      hit.count += 1;
+      attempts.set(key, hit);
+      if (hit.count > max) {
+        res.set("Retry-After", String(Math.ceil((hit.start + windowMs - now) / 1000)));
+        return res.status(429).json({ ok: false, error: "Too many attempts; try again later" });
+      }
+    }
+    return next();
+  };
+}
+
+function sessionResponse(row) {
+  const user = publicUser(row);
+  const { token, expiresAt } = signSession(user);
+  return { ok: true, token, expiresAt, user };
+}
+
+function magicLinkUrl(token) {
+  const base = String(process.env.APP_BASE_URL || "http://localhost:5173").replace(/\/+$/, "");
+  return `${base}/login?token=${encodeURIComponent(token)}`;
+}
+
+/** Store a fresh magic link for email; mails it when smtp is given. Resolves { link, expiresAt }. */
+async function issueMagicLink(email, smtp, { subject = "Your sign-in link", intro = "Use this link to sign in" } = {}) {
+  const { token, tokenHash } = createMagicToken();
+  const expiresAt = new Date(Date.now() + magicLinkTtlMs()).toISOString();
+  await insertMagicLink({ email, tokenHash, expiresAt });
+
+  const link = magicLinkUrl(token);
+  if (smtp) {
+    const minutes = Math.round(magicLinkTtlMs() / 60_000);
+    await sendMail(
+      {
+        to: email,
+        subject,
+        text: `${intro} (expires in ${minutes} minutes):\n\n${link}\n\nIf you didn't ask for it, ignore this email.`,
+      },
+      smtp
+    );
+  }
+  return { link, expiresAt };
+}
+
+// POST /api/auth/register — { email, password }
+router.post("/auth/register", requireAuthConfigured, rateLimit("register"), async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body?.email);
+    const password = String(req.body?.password || "");
+    if (!email) return res.status(400).json({ ok: false, error: "Enter a valid email address" });
+    if (password.length < MIN_PASSWORD) {
+      return res.status(400).json({ ok: false, error: `Password must be at least ${MIN_PASSWORD} characters` });
+    }
+
+    if (await getUserByEmail(email)) {
+      return res.status(409).json({ ok: false, error: "An account with that email already exists" });
+    }
+
+    const row = await createUser({ email, passwordHash: hashPassword(password) });
+
+    // opening the mailed link verifies the address (email alerts need that)
+    const smtp = smtpConfigFromEnv();
+    let verificationSent = false;
+    if (smtp) {
+      try {
+        await issueMagicLink(email, smtp, { subject: "Confirm your email", intro: "Open this link to confirm your email address" });
+        verificationSent = true;
+      } catch (e) {
+        console.warn(`[auth] verification mail to ${email} failed: ${e?.message || e}`);
+      }
+    }
+
+    return res.status(201).json({ ...sessionResponse(row), verificationSent });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+// POST /api/auth/login — { email, password }
+router.post("/auth/login", requireAuthConfigured, rateLimit("login"), async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body?.email);
+    const row = email ? await getUserByEmail(email) : null;
+
+    // same answer for unknown email / wrong password / magic-link-only accounts
+    if (!row || !row.password_hash || !verifyPassword(req.body?.password, row.password_hash)) {
+      return res.status(401).json({ ok: false, error: "Invalid email or password" });
+    }
+    if (row.status === "disabled") {
+      return res.status(403).json({ ok: false, error: "Account disabled" });
+    }
+
+    await touchLogin(row.id);
+    return res.json(sessionResponse(row));
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+// POST /api/auth/magic-link — { email }; the link signs in (and signs up) that email.
+// Mailed through lib/smtp.js (SMTP_* env); 501 when no mailer is configured, unless
+// AUTH_DEV_LINKS=1 hands the link back instead.
+router.post("/auth/magic-link", requireAuthConfigured, rateLimit("magic-link"), async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body?.email);
+    if (!email) return res.status(400).json({ ok: false, error: "Enter a valid email address" });
+
+    const smtp = smtpConfigFromEnv();
+    if (!smtp && !devLinks) {
+      return res.status(501).json({ ok: false, error: "Email sign-in links are not available on this server" });
+    }
+
+    let issued;
+    try {
+      issued = await issueMagicLink(email, smtp);
+    } catch (e) {
+      console.warn(`[auth] magic link mail to ${email} failed: ${e?.message || e}`);
+      return res.status(502).json({ ok: false, error: "Could not send the sign-in email; try again later" });
+    }
+    const { link, expiresAt } = issued;
+
+    return res.json({ ok: true, sent: Boolean(smtp), expiresAt, ...(devLinks ? { devLink: link } : {}) });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+// POST /api/auth/magic-link/verify — { token }
+router.post("/auth/magic-link/verify", requireAuthConfigured, async (req, res) => {
+  try {
+    const token = String(req.body?.token || "").trim();
+    const email = token ? await consumeMagicLink(hashMagicToken(token)) : null;
+    if (!email) return res.status(401).json({ ok: false, error: "This sign-in link is invalid or has expired" });
+
+    const row = (await getUserByEmail(email)) || (await createUser({ email }));
+    if (row.status === "disabled") {
+      return res.status(403).json({ ok: false, error: "Account disabled" });
+    }
+
+    await touchLogin(row.id);
+    await markEmailVerified(row.id);
+    return res.json(sessionResponse(row));
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+// GET /api/auth/session — who the bearer token belongs to (ProtectedRoute checks this)
+router.get("/auth/session", requireUser, (req, res) => {
+  return res.json({ ok: true, user: req.user });
+});
+
+// POST /api/auth/logout — tokens are stateless; the client drops it
+router.post("/auth/logout", (_req, res) => {
+  return res.json({ ok: true });
+});
+
+export default router;
@@ -0,0 +1,75 @@
+// apps/api/src/routes/bankroll.js
+import express from "express";
+import { getBankrollState, upsertBankrollSettings } from "../db/bankrollStore.js";
+import { normalizePolicy, recommendStake, riskOfRuin, STAKING_POLICIES } from "../lib/bankroll.js";
+import { requireUser } from "../lib/auth.js";
+
+const router = express.Router();
+
+// Bankrolls belong to the signed-in user (see lib/auth.js)
+router.use("/bankroll", requireUser);
+
+function getUserKey(req) {
+  return req.user.id;
+}
+
+// GET /api/bankroll — settings, bankroll curve, drawdown and risk of ruin
+router.get("/bankroll", async (req, res) => {
+  try {
+    const user_key = getUserKey(req);
+    const { configured, settings, history, bets } = await getBankrollState(user_key);
+    const { points, ...bankroll } = history;
+
+    return res.json({
+      ok: true,
+      data: {
+        user_key,
+        configured,
+        settings,
+        policies: STAKING_POLICIES,
+        bankroll,
+        riskOfRuin: riskOfRuin(bets, bankroll.current),
+        history: points,
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+// PUT /api/bankroll — { starting_bankroll, policy, unit_size, unit_pct, kelly_fraction, max_pct }
+router.put("/bankroll", async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (body.policy !== undefined && !normalizePolicy(body.policy)) {
+      return res.status(400).json({ ok: false, error: `policy must be one of ${STAKING_POLICIES.join("|")}` });
+    }
+
+    const settings = await upsertBankrollSettings(getUserKey(req), body);
+    return res.json({ ok: true, data: settings });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+// GET /api/bankroll/stake?odds=-110&prob=0.56
+router.get("/bankroll/stake", async (req, res) => {
+  try {
+    const odds = Number(req.query.odds);
+    if (!Number.isFinite(odds) || odds === 0) {
+      return res.status(400).json({ ok: false, error: "odds (American) is required" });
+    }
+
+    const prob = req.query.prob != null && req.query.prob !== "" ? Number(req.query.prob) : null;
+    const { settings, history } = await getBankrollState(getUserKey(req));
+
+    return res.json({
+      ok: true,
+      data: recommendStake(settings, history.current, { prob: Number.isFinite(prob) ? prob : null, odds }),
+    });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+export default router;
@@ -1,10 +1,13 @@
 import express from "express";
 import { supabaseAdmin } from "../lib/supabaseAdmin.js";
+import { requireUser } from "../lib/auth.js";
 
 const router = express.Router();
 
 const TABLE = "user_bets";
-const DEFAULT_USER_KEY = "local-dev";
+
+// Every bet route is scoped to the signed-in user; client-sent user keys are ignored.
+router.use("/bets", requireUser);
 
 function num(v) {
   if (v === null || v === undefined || v === "") return null;
@@ -54,6 +57,25 @@ function normalizeParlayType(v) {
   return s;
 }
 
+// Structured parlay legs — what the auto-settler grades leg by leg
+function normalizeLegs(v) {
+  if (!Array.isArray(v)) return null;
+  const legs = v
+    .map((leg) => ({
+      league: text(leg?.league, null)?.toLowerCase() ?? null,
+      date: text(leg?.date, null),
+      game_key: text(leg?.game_key, null),
+      game_label: text(leg?.game_label, null),
+      market: normalizeMarket(leg?.market),
+      pick: text(leg?.pick, null),
+      line: num(leg?.line),
+      odds: num(leg?.odds),
+      result: normalizeResult(leg?.result),
+    }))
+    .filter((leg) => leg.pick && (leg.game_key || leg.game_label));
+  return legs.length ? legs : null;
+}
+
 function calcToWin(stake, odds) {
   const s = num(stake);
   const o = num(odds);
@@ -103,7 +125,7 @@ function calcClvImplied(publishOdds, closeOdds) {
 }
 
 function getUserKey(req) {
-  return text(req.headers["x-user-key"], DEFAULT_USER_KEY);
+  return req.user.id;
 }
 
 function buildPayload(body, { partial = false } = {}) {
@@ -126,6 +148,7 @@ function buildPayload(body, { partial = false } = {}) {
   assign("legs_count", body.legs_count !== undefined ? intNum(body.legs_count) : undefined);
   assign("parlay_type", body.parlay_type !== undefined ? normalizeParlayType(body.parlay_type) : undefined);
   assign("legs_summary", body.legs_summary !== undefined ? text(body.legs_summary, null) : undefined);
+  assign("legs", body.legs !== undefined ? normalizeLegs(body.legs) : undefined);
 
   assign("game_key", text(body.game_key, undefined));
   assign("game_label", text(body.game_label, undefined));
@@ -173,7 +196,7 @@ function buildPayload(body, { partial = false } = {}) {
 
 router.get("/bets", async (req, res) => {
   try {
-    const user_key = text(req.query.user_key, getUserKey(req));
+    const user_key = getUserKey(req);
     const league = text(req.query.league, null)?.toLowerCase();
     const result = normalizeResult(req.query.result);
     const bet_type = text(req.query.bet_type, null)?.toLowerCase();
@@ -202,7 +225,7 @@ router.get("/bets", async (req, res) => {
 
 router.get("/bets/summary", async (req, res) => {
   try {
-    const user_key = text(req.query.user_key, getUserKey(req));
+    const user_key = getUserKey(req);
 
     const { data, error } = await supabaseAdmin
       .from(TABLE)
@@ -260,7 +283,7 @@ router.get("/bets/summary", async (req, res) => {
 router.post("/bets", async (req, res) => {
   try {
     const payload = buildPayload(
-      { ...req.body, user_key: req.body?.user_key ?? getUserKey(req) },
+      { ...req.body, user_key: getUserKey(req) },
       { partial: false }
     );
 
@@ -294,6 +317,7 @@ router.post("/bets", async (req, res) => {
     }
 
     if (betType === "parlay") {
+      if (payload.legs_count == null && payload.legs) payload.legs_count = payload.legs.length;
       if (payload.legs_count == null || payload.legs_count < 2) {
         return res.status(400).json({ ok: false, error: "Parlays require legs_count of at least 2" });
       }
@@ -328,9 +352,13 @@ router.patch("/bets/:id", async (req, res) => {
       .from(TABLE)
       .select("*")
       .eq("id", id)
-      .single();
+      .eq("user_key", getUserKey(req))
+      .maybeSingle();
 
     if (existingError) throw existingError;
+    if (!existing) {
+      return res.status(404).json({ ok: false, error: "Bet not found" });
+    }
 
     const updatePayload = {};
 
@@ -342,6 +370,10 @@ router.patch("/bets/:id", async (req, res) => {
     if (body.legs_count !== undefined) updatePayload.legs_count = intNum(body.legs_count);
     if (body.parlay_type !== undefined) updatePayload.parlay_type = normalizeParlayType(body.parlay_type);
     if (body.legs_summary !== undefined) updatePayload.legs_summary = text(body.legs_summary, null);
+    if (body.legs !== undefined) {
+      updatePayload.legs = normalizeLegs(body.legs);
+      if (body.legs_count === undefined && updatePayload.legs) updatePayload.legs_count = updatePayload.legs.length;
+    }
 
     if (body.game_key !== undefined) updatePayload.game_key = text(body.game_key, null);
     if (body.game_label !== undefined) updatePayload.game_label = text(body.game_label, null);
@@ -366,7 +398,10 @@ router.patch("/bets/:id", async (req, res) => {
     if (body.close_odds !== undefined) updatePayload.close_odds = num(body.close_odds);
     if (body.close_reason !== undefined) updatePayload.close_reason = text(body.close_reason, null);
 
-    if (body.result !== undefined) updatePayload.result = normalizeResult(body.result);
+    if (body.result !== undefined) {
+      updatePayload.result = normalizeResult(body.result);
+      updatePayload.settled_by = ["win", "loss", "push", "void"].includes(updatePayload.result) ? "manual" : null;
+    }
     if (body.settled_at !== undefined) updatePayload.settled_at = body.settled_at;
 
     if (!Object.keys(updatePayload).length) {
@@ -405,6 +440,7 @@ router.patch("/bets/:id", async (req, res) => {
       .from(TABLE)
       .update(updatePayload)
       .eq("id", id)
+      .eq("user_key", getUserKey(req))
       .select("*")
       .single();
 
@@ -0,0 +1,68 @@
+// apps/api/src/routes/calibration.js
+import express from "express";
+import { listCalibrationVersions, loadCalibrationArtifact, curveKey } from "../lib/calibrationArtifacts.js";
+
+const router = express.Router();
+
+function curveSummary(c) {
+  return {
+    league: c.league,
+    market: c.market,
+    method: c.method,
+    n: c.n,
+    baseRate: c.baseRate ?? null,
+    metricsSample: c.metricsSample ?? null,
+    raw: { brier: c.metrics?.raw?.brier ?? null, ece: c.metrics?.raw?.ece ?? null, logLoss: c.metrics?.raw?.logLoss ?? null },
+    calibrated: {
+      brier: c.metrics?.calibrated?.brier ?? null,
+      ece: c.metrics?.calibrated?.ece ?? null,
+      logLoss: c.metrics?.calibrated?.logLoss ?? null,
+    },
+  };
+}
+
+// GET /api/calibration[?version=cal-...] — active artifact, one summary row per curve
+router.get("/calibration", (req, res) => {
+  const artifact = loadCalibrationArtifact(req.query.version || null);
+
+  return res.json({
+    ok: true,
+    versions: listCalibrationVersions(),
+    active: artifact
+      ? {
+          version: artifact.version,
+          createdAt: artifact.createdAt ?? null,
+          source: artifact.source ?? null,
+          curves: Object.values(artifact.curves || {}).map(curveSummary),
+          skipped: artifact.skipped || [],
+        }
+      : null,
+  });
+});
+
+// GET /api/calibration/:league/:market — full curve incl. reliability diagram bins
+router.get("/calibration/:league/:market", (req, res) => {
+  const artifact = loadCalibrationArtifact(req.query.version || null);
+  const curve = artifact?.curves?.[curveKey(req.params.league, req.params.market)] || null;
+
+  if (!curve) {
+    return res.status(404).json({
+      ok: false,
+      error: `No calibration curve for ${req.params.league}/${req.params.market}`,
+      version: artifact?.version ?? null,
+    });
+  }
+
+  return res.json({
+    ok: true,
+    version: artifact.version,
+    ...curveSummary(curve),
+    params: curve.params,
+    reliability: {
+      raw: curve.metrics?.raw?.reliability || [],
+      calibrated: curve.metrics?.calibrated?.reliability || [],
+    },
+  });
+});
+
+export default router;
@@ -0,0 +1,99 @@
+// apps/api/src/routes/live.js
+import express from "express";
+import { liveProbabilities } from "../lib/liveWinProb.js";
+import { canonicalAbbr } from "../lib/scheduleFeatures.js";
+import { buildLeaguePredictions, getLiveScoreboard, pregameScoreDist } from "./predict.js";
+
+const router = express.Router();
+
+const LIVE_LEAGUES = ["nba", "ncaam", "nhl"];
+
+function normalizeDateParam(date) {
+  const d = String(date || "").trim();
+  return /^\d{4}-\d{2}-\d{2}$/.test(d) ? d : null;
+}
+
+// NHL / NCAAM slates are built from the same ESPN events; NBA comes from balldontlie, so match on teams
+function slateIndex(league, games) {
+  const byKey = new Map();
+  for (const g of games || []) {
+    if (league === "nba") {
+      byKey.set(`${canonicalAbbr("nba", g.away?.abbr)}@${canonicalAbbr("nba", g.home?.abbr)}`, g);
+    } else {
+      byKey.set(String(g.gameId), g);
+    }
+  }
+  return (ev) =>
+    league === "nba"
+      ? byKey.get(`${canonicalAbbr("nba", ev.awayAbbr)}@${canonicalAbbr("nba", ev.homeAbbr)}`)
+      : byKey.get(`${league}-${ev.eventId}`);
+}
+
+async function liveForLeague(league, date) {
+  const [board, { out }] = await Promise.all([getLiveScoreboard(league, date), buildLeaguePredictions(league, date, {})]);
+  const findGame = slateIndex(league, out?.games);
+
+  return board.map((ev) => {
+    const g = findGame(ev);
+    const dist = g ? pregameScoreDist(league, g) : null;
+    const live = g
+      ? liveProbabilities(league, ev, {
+          dist,
+          goals: g.model?.goalModel ?? null,
+          lines: { spread: g.markets?.spread?.home?.line ?? null, total: g.markets?.total?.line ?? null },
+          bet: g.recommendedBet ?? null,
+        })
+      : null;
+
+    return {
+      league,
+      gameId: g?.gameId ?? null,
+      eventId: ev.eventId,
+      state: ev.state,
+      period: ev.period,
+      clock: ev.clock,
+      detail: ev.detail,
+      matchup: `${ev.awayAbbr || "AWAY"} @ ${ev.homeAbbr || "HOME"}`,
+      score: { home: ev.homeScore, away: ev.awayScore },
+      pregame: g
+        ? {
+            pHome: g.model?.pHomeModel ?? null,
+            meanMargin: dist?.meanMargin ?? null,
+            meanTotal: dist?.meanTotal ?? null,
+          }
+        : null,
+      live,
+    };
+  });
+}
+
+/**
+ * GET /api/live?league=nba|ncaam|nhl|all&date=YYYY-MM-DD
+ * Score, period and clock from ESPN plus in-game win / cover / over probability
+ * from each game's pre-game score distribution and the time left.
+ */
+router.get("/", async (req, res) => {
+  const league = String(req.query.league || "all").toLowerCase();
+  const leagues = league === "all" ? LIVE_LEAGUES : [league];
+  if (!leagues.every((l) => LIVE_LEAGUES.includes(l))) {
+    return res.status(400).json({ ok: false, error: `Unsupported league. Use league=${[...LIVE_LEAGUES, "all"].join("|")}` });
+  }
+
+  const date = normalizeDateParam(req.query.date) || new Date().toISOString().slice(0, 10);
+
+  const games = [];
+  const errors = [];
+  for (const l of leagues) {
+    try {
+      games.push(...(await liveForLeague(l, date)));
+    } catch (e) {
+      // one feed down shouldn't blank the others
+      errors.push({ league: l, error: String(e?.message || e) });
+    }
+  }
+
+  if (errors.length === leagues.length) return res.status(502).json({ ok: false, error: errors[0].error, errors });
+  return res.json({ ok: true, date, updatedAt: new Date().toISOString(), games, errors });
+});
+
+export default router;
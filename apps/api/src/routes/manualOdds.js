@@ -0,0 +1,79 @@
+// apps/api/src/routes/manualOdds.js
+import express from "express";
+import { deleteManualOdds, listManualOdds, upsertManualOdds } from "../db/manualOddsStore.js";
+import { MANUAL_LEAGUES, normalizeManualOddsEntry } from "../lib/odds.js";
+import { requireAdmin } from "../lib/auth.js";
+import { normalizeDateParam, text, todayYmd } from "../lib/params.js";
+import { invalidateSlateCache } from "./predict.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/odds/manual?date=YYYY-MM-DD&league=nba
+ * Hand-entered odds for a slate (expired entries included, flagged).
+ */
+router.get("/manual", async (req, res) => {
+  try {
+    const date = normalizeDateParam(req.query.date) || todayYmd();
+    const league = text(req.query.league)?.toLowerCase() ?? null;
+    if (league && !MANUAL_LEAGUES.includes(league)) {
+      return res.status(400).json({ ok: false, error: `league must be one of ${MANUAL_LEAGUES.join(", ")}` });
+    }
+
+    const now = Date.now();
+    const rows = (await listManualOdds({ date, league })).map((r) => ({
+      ...r,
+      expired: !!r.expires_at && Date.parse(r.expires_at) <= now,
+    }));
+    return res.json({ ok: true, date, league, data: rows });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+/**
+ * POST /api/odds/manual   (x-admin-token)
+ * One entry or { entries: [...] } (see lib/odds.js):
+ *   { date, league: "nba", home: "Boston Celtics", away: "New York Knicks", book: "circa",
+ *     moneyline: { home: -150, away: 130 }, spread: { line: -3.5, home: -108, away: -112 },
+ *     total: { line: 221.5, over: -110, under: -110 }, expiresAt? }
+ * Saves every market given (replacing that book's earlier entry) and drops the cached slates.
+ */
+router.post("/manual", requireAdmin, async (req, res) => {
+  try {
+    const entries = Array.isArray(req.body?.entries) ? req.body.entries : [req.body || {}];
+    if (!entries.length) return res.status(400).json({ ok: false, error: "entries must not be empty" });
+
+    const rows = [];
+    for (const [i, entry] of entries.entries()) {
+      const { rows: r, error } = normalizeManualOddsEntry(entry);
+      if (error) return res.status(400).json({ ok: false, error: entries.length > 1 ? `entries[${i}]: ${error}` : error });
+      rows.push(...r);
+    }
+
+    const saved = await upsertManualOdds(rows);
+    for (const slate of new Set(rows.map((r) => `${r.league}|${r.date}`))) {
+      const [league, date] = slate.split("|");
+      invalidateSlateCache(league, date);
+    }
+
+    return res.status(201).json({ ok: true, data: saved });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// DELETE /api/odds/manual/:id   (x-admin-token)
+router.delete("/manual/:id", requireAdmin, async (req, res) => {
+  try {
+    const deleted = await deleteManualOdds(req.params.id);
+    if (!deleted) return res.status(404).json({ ok: false, error: "manual odds not found" });
+
+    invalidateSlateCache(deleted.league, String(deleted.date).slice(0, 10));
+    return res.json({ ok: true, deleted });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+export default router;
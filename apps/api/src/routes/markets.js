@@ -0,0 +1,189 @@
+// apps/api/src/routes/markets.js
+import express from "express";
+import { getMarketSnapshotsForGame } from "../db/marketSnapshots.js";
+import { listOddsUsage } from "../db/oddsUsageStore.js";
+import { getPickClosesForDate } from "../db/pickCloses.js";
+import { buildLineHistory, normalizeMovementMarket } from "../lib/lineMovement.js";
+import { scanGameForArbitrage } from "../lib/lineShopping.js";
+import { oddsQuotaStatus } from "../lib/oddsQuota.js";
+import { fetchVegasForLeagueDate } from "./predict.js";
+
+const router = express.Router();
+
+const SCAN_LEAGUES = ["nba", "ncaam", "nhl"];
+const SCAN_MARKETS = ["moneyline", "spread", "total"];
+
+function text(v, fallback = null) {
+  const s = String(v ?? "").trim();
+  return s ? s : fallback;
+}
+
+function normalizeDateParam(date) {
+  const d = String(date || "").trim();
+  return /^\d{4}-\d{2}-\d{2}$/.test(d) ? d : null;
+}
+
+function closeMarker(row) {
+  if (!row) return null;
+  return {
+    market: normalizeMovementMarket(row.market),
+    pick: row.pick ?? null,
+    publish: {
+      book: row.publish_book ?? null,
+      line: row.publish_line ?? null,
+      odds: row.publish_odds ?? null,
+      capturedAt: row.publish_captured_at ?? null,
+    },
+    close: {
+      book: row.close_book ?? null,
+      line: row.close_line ?? null,
+      odds: row.close_odds ?? null,
+      capturedAt: row.close_captured_at ?? null,
+    },
+  };
+}
+
+function numParam(v, fallback) {
+  const n = Number(v);
+  return v != null && v !== "" && Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * GET /api/markets/arbitrage?league=nba|ncaam|nhl|all&date=YYYY-MM-DD
+ *   &market=spread,total&type=arbitrage|middle|all&stake=100&minReturn=0&maxMiddleCost=0.05
+ * Cross-book arbs (profit on every result) and middles (both sides can win)
+ * from every bookmaker's current quote, with the stake split per leg.
+ */
+router.get("/arbitrage", async (req, res) => {
+  const league = String(req.query.league || "all").toLowerCase();
+  const leagues = league === "all" ? SCAN_LEAGUES : [league];
+  if (!leagues.every((l) => SCAN_LEAGUES.includes(l))) {
+    return res.status(400).json({ ok: false, error: `Unsupported league. Use league=${[...SCAN_LEAGUES, "all"].join("|")}` });
+  }
+
+  const markets = String(req.query.market || "spread,total")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  if (!markets.length || !markets.every((m) => SCAN_MARKETS.includes(m))) {
+    return res.status(400).json({ ok: false, error: `market must be a comma list of ${SCAN_MARKETS.join("|")}` });
+  }
+
+  const type = String(req.query.type || "all").toLowerCase();
+  if (!["arbitrage", "middle", "all"].includes(type)) {
+    return res.status(400).json({ ok: false, error: "type must be arbitrage|middle|all" });
+  }
+
+  const date = normalizeDateParam(req.query.date) || new Date().toISOString().slice(0, 10);
+  const opts = {
+    stake: Math.max(1, numParam(req.query.stake, 100)),
+    minReturn: numParam(req.query.minReturn, 0),
+    maxMiddleCost: Math.max(0, numParam(req.query.maxMiddleCost, 0.05)),
+    markets,
+  };
+
+  const opportunities = [];
+  const errors = [];
+  let gamesScanned = 0;
+
+  for (const l of leagues) {
+    try {
+      const vegas = await fetchVegasForLeagueDate(l, date);
+      if (!vegas?.ok) {
+        errors.push({ league: l, error: vegas?.reason || "odds_unavailable" });
+        continue;
+      }
+
+      for (const row of vegas.map.values()) {
+        gamesScanned += 1;
+        for (const o of scanGameForArbitrage(row, opts)) {
+          if (type !== "all" && o.type !== type) continue;
+          opportunities.push({
+            league: l,
+            matchup: `${row.awayTeam || "AWAY"} @ ${row.homeTeam || "HOME"}`,
+            eventStart: row.eventStart ?? null,
+            ...o,
+          });
+        }
+      }
+    } catch (e) {
+      errors.push({ league: l, error: String(e?.message || e) });
+    }
+  }
+
+  if (errors.length === leagues.length) return res.status(502).json({ ok: false, error: errors[0].error, errors });
+
+  return res.json({
+    ok: true,
+    date,
+    params: opts,
+    gamesScanned,
+    counts: {
+      arbitrage: opportunities.filter((o) => o.type === "arbitrage").length,
+      middle: opportunities.filter((o) => o.type === "middle").length,
+    },
+    opportunities,
+    errors,
+  });
+});
+
+// GET /api/markets/odds-quota?days=14 — Odds API credits: today's plan plus recent daily usage
+router.get("/odds-quota", async (req, res) => {
+  try {
+    const days = Math.min(90, Math.max(1, numParam(req.query.days, 14)));
+    const [today, history] = await Promise.all([oddsQuotaStatus(), listOddsUsage({ limit: days })]);
+    return res.json({ ok: true, today, history });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// GET /api/markets/:gameKey/history?date=YYYY-MM-DD&league=nba&market=spread&side=home&publicPct=0.7
+router.get("/:gameKey/history", async (req, res) => {
+  try {
+    const gameKey = text(req.params.gameKey);
+    if (!gameKey) return res.status(400).json({ ok: false, error: "gameKey is required" });
+
+    const date = normalizeDateParam(req.query.date);
+    const league = text(req.query.league)?.toLowerCase() ?? null;
+    const market = text(req.query.market);
+
+    const rows = await getMarketSnapshotsForGame({ gameKey, date, league, market });
+
+    const snapshotDate = date ?? rows[0]?.snapshot_date ?? null;
+    const snapshotLeague = league ?? rows[0]?.league ?? null;
+
+    // publish/close markers come from the graded pick, when there is one
+    let picks = [];
+    if (snapshotDate && snapshotLeague) {
+      try {
+        picks = (await getPickClosesForDate(snapshotDate, snapshotLeague))
+          .filter((r) => r.game_key === gameKey)
+          .map(closeMarker);
+      } catch (e) {
+        console.warn("[markets/history] pick_closes lookup failed:", e?.message || e);
+      }
+    }
+
+    const eventStart = rows.find((r) => r.event_start)?.event_start ?? null;
+
+    return res.json({
+      ok: true,
+      gameKey,
+      date: snapshotDate,
+      league: snapshotLeague,
+      eventStart,
+      snapshots: rows.length,
+      picks,
+      markets: buildLineHistory(rows, {
+        market,
+        side: text(req.query.side),
+        publicPct: text(req.query.publicPct),
+      }),
+    });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: String(err?.message || err) });
+  }
+});
+
+export default router;
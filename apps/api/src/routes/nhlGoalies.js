@@ -0,0 +1,86 @@
+// apps/api/src/routes/nhlGoalies.js
+import express from "express";
+import { deleteGoalieStarter, getGoalieStartersForDate, upsertGoalieStarter } from "../db/nhlGoalieStarters.js";
+import { runRepriceNhlGoalies } from "../jobs/repriceNhlGoalies.js";
+import { requireAdmin } from "../lib/auth.js";
+import { normalizeDateParam, text, todayYmd } from "../lib/params.js";
+import { buildLeaguePredictions, invalidateSlateCache } from "./predict.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/nhl/goalies/starters?date=YYYY-MM-DD
+ * Hand-entered starters plus the starter each slate game is actually priced with
+ * (manual → ESPN probable → projection).
+ */
+router.get("/starters", async (req, res) => {
+  try {
+    const date = normalizeDateParam(req.query.date) || todayYmd();
+    const manual = await getGoalieStartersForDate(date);
+    const { out } = await buildLeaguePredictions("nhl", date, {});
+
+    const games = (out?.games || []).map((g) => ({
+      gameId: g.gameId,
+      matchup: `${g.away?.abbr || "AWAY"} @ ${g.home?.abbr || "HOME"}`,
+      home: g.model?.goalies?.home ?? null,
+      away: g.model?.goalies?.away ?? null,
+      adj: g.model?.goalies?.adj ?? null,
+    }));
+
+    return res.json({ ok: true, date, manual, games });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+/**
+ * POST /api/nhl/goalies/starters   (x-admin-token)
+ * { date?, team: "BOS", goalie: "Jeremy Swayman" | goalieId: "4712", status: "confirmed"|"projected", note? }
+ * Saves the starter, drops the cached slate and re-prices already-published picks.
+ */
+router.post("/starters", requireAdmin, async (req, res) => {
+  try {
+    const b = req.body || {};
+    const date = normalizeDateParam(b.date) || todayYmd();
+    const team = text(b.team)?.toUpperCase() ?? null;
+    const goalieName = text(b.goalie ?? b.goalieName);
+    const goalieId = text(b.goalieId);
+    const status = text(b.status, "projected").toLowerCase();
+
+    if (!team) return res.status(400).json({ ok: false, error: "team (abbreviation) is required" });
+    if (!goalieName && !goalieId) return res.status(400).json({ ok: false, error: "goalie or goalieId is required" });
+    if (!["confirmed", "projected"].includes(status)) {
+      return res.status(400).json({ ok: false, error: "status must be confirmed or projected" });
+    }
+
+    const starter = await upsertGoalieStarter({ date, teamAbbr: team, goalieId, goalieName, status, note: text(b.note) });
+    invalidateSlateCache("nhl", date);
+    const reprice = await runRepriceNhlGoalies({ date, log: null });
+
+    return res.json({ ok: true, starter, reprice });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+/**
+ * DELETE /api/nhl/goalies/starters?date=YYYY-MM-DD&team=BOS   (x-admin-token)
+ * Back to ESPN / projected starters.
+ */
+router.delete("/starters", requireAdmin, async (req, res) => {
+  try {
+    const date = normalizeDateParam(req.query.date) || todayYmd();
+    const team = text(req.query.team)?.toUpperCase() ?? null;
+    if (!team) return res.status(400).json({ ok: false, error: "team is required" });
+
+    const deleted = await deleteGoalieStarter({ date, teamAbbr: team });
+    invalidateSlateCache("nhl", date);
+    const reprice = await runRepriceNhlGoalies({ date, log: null });
+
+    return res.json({ ok: true, deleted, reprice });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+export default router;
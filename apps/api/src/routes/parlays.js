@@ -1,10 +1,14 @@
 // apps/api/src/routes/parlays.js
 import express from "express";
-import { buildNbaPredictions, buildNhlPredictions, buildNcaamPredictions } from "./predict.js";
+import { buildLeaguePredictions } from "./predict.js";
+import { getLeagueModel } from "../lib/leagueModels.js";
+import { getBankrollState } from "../db/bankrollStore.js";
+import { recommendStake } from "../lib/bankroll.js";
+import { goalDistribution } from "../lib/nhlGoalModel.js";
 
 const router = express.Router();
 
-const VERSION = "parlays-v1";
+const VERSION = "parlays-v2";
 
 function toDecimalOdds(american) {
   const a = Number(american);
@@ -44,15 +48,10 @@ function kellyFromProbAndDecimal(p, dec) {
 }
 
 async function buildPredictions(league, date, windowDays) {
-  if (league === "nba") return await buildNbaPredictions(date, windowDays ?? 14);
-  if (league === "nhl") return await buildNhlPredictions(date, windowDays ?? 60);
-  if (league === "ncaam") {
-    return await buildNcaamPredictions(date, windowDays ?? 45, {
-      tournamentMode: false,
-      modeLabel: "regular",
-    });
-  }
-  return { meta: { league, date, error: "unsupported league" }, games: [] };
+  if (!getLeagueModel(league)) return { meta: { league, date, error: "unsupported league" }, games: [] };
+  // same window as the published /api/predictions slate unless the caller asks otherwise
+  const { out } = await buildLeaguePredictions(league, date, { windowDays: windowDays ?? null });
+  return out;
 }
 
 function normalizeDateParam(date) {
@@ -60,55 +59,71 @@ function normalizeDateParam(date) {
   return /^\d{4}-\d{2}-\d{2}$/.test(d) ? d : null;
 }
 
-function pickLegCandidates(games, league) {
-  const legs = [];
+function legFromBet(g, league, bet, opts) {
+  const tier = String(bet.tier ?? g?.market?.tier ?? "").toUpperCase();
+  if (!tier || tier === "PASS") return null;
+
+  // Allow LEAN legs only if caller opted in AND they clear basic thresholds
+  if (tier === "LEAN") {
+    if (!opts.includeLean) return null;
+    const e = Number(bet.edge ?? g?.market?.edgeVsMarket ?? NaN);
+    const ev = Number(bet.evForStake100 ?? g?.market?.evForStake100 ?? NaN);
+    if (!Number.isFinite(e) || e < opts.minEdgeLean) return null;
+    if (!Number.isFinite(ev) || ev < opts.minEvLean) return null;
+  }
 
-  for (const g of games) {
-    const rb = g?.recommendedBet || null;
-    if (!rb) continue;
+  const odds = bet.odds ?? g?.market?.marketOdds ?? null;
+  const dec = toDecimalOdds(odds);
+  if (!dec) return null;
 
-    const tier = String(rb.tier ?? g?.market?.tier ?? "").toUpperCase();
-    if (!tier || tier === "PASS") continue;
+  const p = bet.modelProb ?? null;
+  if (!Number.isFinite(Number(p))) return null;
 
-    // Allow LEAN legs only if caller opted in AND they clear basic thresholds
-    if (tier === "LEAN") {
-      if (!includeLean) continue;
-      const e = Number(rb.edge ?? g?.market?.edgeVsMarket ?? NaN);
-      const ev = Number(rb.evForStake100 ?? g?.market?.evForStake100 ?? NaN);
-      if (!Number.isFinite(e) || e < minEdgeLean) continue;
-      if (!Number.isFinite(ev) || ev < minEvLean) continue;
-    }
+  const ev100 = bet.evForStake100 ?? g?.market?.evForStake100 ?? null;
+  const kHalf = bet.kellyHalf ?? g?.market?.kellyHalf ?? null;
+
+  const away = g?.away?.abbr || g?.away?.name || "AWAY";
+  const home = g?.home?.abbr || g?.home?.name || "HOME";
+  const gameKey = g?.gameId || `${league}:${away}@${home}`;
+
+  return {
+    league,
+    gameId: gameKey,
+    matchup: `${away} @ ${home}`,
+    marketType: bet.marketType,
+    side: bet.side,
+    line: bet.line ?? null,
+    odds,
+    decimalOdds: dec,
+    tier,
+    tierRank: tierRank(tier),
+    modelProb: Number(p),
+    edge: Number(bet.edge ?? g?.market?.edgeVsMarket ?? NaN),
+    evForStake100: Number(ev100 ?? NaN),
+    kellyHalf: Number(kHalf ?? NaN),
+    scoreDist: g?.scoreDist || null,
+  };
+}
 
-    const odds = rb.odds ?? g?.market?.marketOdds ?? null;
-    const dec = toDecimalOdds(odds);
-    if (!dec) continue;
+function pickLegCandidates(games, league, opts) {
+  const legs = [];
 
-    const p = rb.modelProb ?? null;
-    if (!Number.isFinite(Number(p))) continue;
+  for (const g of games) {
+    const rb = g?.recommendedBet || null;
+    if (!rb) continue;
 
-    const ev100 = rb.evForStake100 ?? g?.market?.evForStake100 ?? null;
-    const kHalf = rb.kellyHalf ?? g?.market?.kellyHalf ?? null;
+    // Same-game mode also offers the other premium markets of the game as legs
+    const bets = opts.sameGame ? [rb, ...(Array.isArray(g?.premiumCandidates) ? g.premiumCandidates : [])] : [rb];
+    const seen = new Set();
 
-    const away = g?.away?.abbr || g?.away?.name || "AWAY";
-    const home = g?.home?.abbr || g?.home?.name || "HOME";
-    const gameKey = g?.gameId || `${league}:${away}@${home}`;
+    for (const bet of bets) {
+      const key = `${String(bet?.marketType || "").toLowerCase()}:${String(bet?.side || "").toLowerCase()}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
 
-    legs.push({
-      league,
-      gameId: gameKey,
-      matchup: `${away} @ ${home}`,
-      marketType: rb.marketType,
-      side: rb.side,
-      line: rb.line ?? null,
-      odds,
-      decimalOdds: dec,
-      tier,
-      tierRank: tierRank(tier),
-      modelProb: Number(p),
-      edge: Number(rb.edge ?? g?.market?.edgeVsMarket ?? NaN),
-      evForStake100: Number(ev100 ?? NaN),
-      kellyHalf: Number(kHalf ?? NaN),
-    });
+      const leg = legFromBet(g, league, bet, opts);
+      if (leg) legs.push(leg);
+    }
   }
 
   // Strongest first: tier, EV, edge, prob
@@ -142,32 +157,232 @@ function* combinations(arr, k, start = 0, prefix = []) {
   }
 }
 
-function scoreParlay(legs) {
-  // NOTE: This assumes independence between legs.
-  // (We can add correlation guards next once this endpoint is stable.)
+/* =========================================================
+   Same-game correlation
+   Each leg is an event on the game's (home margin, total) pair, which
+   buildMarketBundle models as normals (scoreDist). Same-game legs are priced
+   jointly with a bivariate normal; the ratio joint / product-of-marginals
+   ("lift") rescales the product of the legs' model probabilities, so single-leg
+   calibration is untouched and only the dependence is added. NHL games carry
+   expected goals (scoreDist.goals) and are priced on the same discrete goal
+   distribution as their single legs instead.
+   ========================================================= */
+
+function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const ax = Math.abs(x);
+  const t = 1 / (1 + 0.3275911 * ax);
+  const y =
+    1 -
+    (((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t) *
+      Math.exp(-ax * ax);
+  return sign * y;
+}
+
+function stdNormalCdf(z) {
+  if (z === Infinity) return 1;
+  if (z === -Infinity) return 0;
+  return 0.5 * (1 + erf(z / Math.SQRT2));
+}
+
+function stdNormalPdf(z) {
+  return Math.exp(-0.5 * z * z) / Math.sqrt(2 * Math.PI);
+}
+
+// P(a < X < b, c < Y < d) for standard normals with correlation rho.
+function bivariateNormalRect(a, b, c, d, rho) {
+  const lo = Math.max(a, -8);
+  const hi = Math.min(b, 8);
+  if (!(hi > lo) || !(d > c)) return 0;
+
+  if (Math.abs(rho) < 1e-9) {
+    return (stdNormalCdf(hi) - stdNormalCdf(lo)) * (stdNormalCdf(d) - stdNormalCdf(c));
+  }
+
+  const s = Math.sqrt(1 - rho * rho);
+  const f = (x) => stdNormalPdf(x) * (stdNormalCdf((d - rho * x) / s) - stdNormalCdf((c - rho * x) / s));
+
+  // Simpson's rule; the integrand is smooth so 120 panels is plenty
+  const n = 120;
+  const h = (hi - lo) / n;
+  let sum = f(lo) + f(hi);
+  for (let i = 1; i < n; i++) sum += f(lo + i * h) * (i % 2 ? 4 : 2);
+  return clamp((sum * h) / 3, 0, 1);
+}
+
+// Map a leg to an interval on the home margin or the game total (raw units).
+function legEvent(leg) {
+  const mt = String(leg.marketType || "").toLowerCase();
+  const side = String(leg.side || "").toLowerCase();
+  const line = Number(leg.line);
+
+  if (mt === "moneyline") {
+    if (side === "home") return { axis: "margin", lo: 0, hi: Infinity };
+    if (side === "away") return { axis: "margin", lo: -Infinity, hi: 0 };
+  }
+  if (mt === "spread" && Number.isFinite(line)) {
+    // home -4.5 covers when margin > 4.5; away +4.5 covers when margin < 4.5
+    if (side === "home") return { axis: "margin", lo: -line, hi: Infinity };
+    if (side === "away") return { axis: "margin", lo: -Infinity, hi: line };
+  }
+  if (mt === "total" && Number.isFinite(line)) {
+    if (side === "over") return { axis: "total", lo: line, hi: Infinity };
+    if (side === "under") return { axis: "total", lo: -Infinity, hi: line };
+  }
+  return null;
+}
+
+function axisProb(ev, mean, sd) {
+  return stdNormalCdf((ev.hi - mean) / sd) - stdNormalCdf((ev.lo - mean) / sd);
+}
+
+// Discrete version: exact probabilities over the goal distribution's final scores.
+function goalLift(goals, legs) {
+  const lh = Number(goals?.lambdaHome);
+  const la = Number(goals?.lambdaAway);
+  if (!(lh > 0) || !(la > 0)) return null;
+
+  const events = legs.map(legEvent);
+  if (events.some((ev) => !ev)) return null;
+
+  const { outcomes } = goalDistribution(lh, la);
+  const wins = (ev, o) => {
+    const x = ev.axis === "margin" ? o.margin : o.total;
+    return x > ev.lo && x < ev.hi; // a whole-number push is not a win
+  };
+
+  let joint = 0;
+  const marginals = events.map(() => 0);
+  for (const o of outcomes) {
+    let all = true;
+    events.forEach((ev, i) => {
+      if (wins(ev, o)) marginals[i] += o.p;
+      else all = false;
+    });
+    if (all) joint += o.p;
+  }
+
+  const independent = marginals.reduce((acc, p) => acc * p, 1);
+  if (!(independent > 0)) return { joint, independent, lift: 0 };
+  return { joint, independent, lift: joint / independent };
+}
+
+/**
+ * Correlation lift for legs from one game.
+ * Returns null when the legs can't be modelled (missing scoreDist / unknown market).
+ */
+function sameGameLift(legs) {
+  const dist = legs.find((l) => l.scoreDist)?.scoreDist || null;
+  if (dist?.goals) return goalLift(dist.goals, legs);
+  const mM = Number(dist?.meanMargin);
+  const mT = Number(dist?.meanTotal);
+  const sdM = Number(dist?.marginSd);
+  const sdT = Number(dist?.totalSd);
+  if (![mM, mT, sdM, sdT].every(Number.isFinite) || sdM <= 0 || sdT <= 0) return null;
+
+  const margin = { lo: -Infinity, hi: Infinity };
+  const total = { lo: -Infinity, hi: Infinity };
+  let independent = 1;
+
+  for (const leg of legs) {
+    const ev = legEvent(leg);
+    if (!ev) return null;
+    const box = ev.axis === "margin" ? margin : total;
+    box.lo = Math.max(box.lo, ev.lo);
+    box.hi = Math.min(box.hi, ev.hi);
+    independent *= ev.axis === "margin" ? axisProb(ev, mM, sdM) : axisProb(ev, mT, sdT);
+  }
+
+  // Favourite's margin runs with the total, so the signed home margin does when home is favoured
+  const rhoFav = Number.isFinite(Number(dist.favTotalRho)) ? Number(dist.favTotalRho) : 0;
+  const rho = mM >= 0 ? rhoFav : -rhoFav;
+
+  const joint = bivariateNormalRect(
+    (margin.lo - mM) / sdM,
+    (margin.hi - mM) / sdM,
+    (total.lo - mT) / sdT,
+    (total.hi - mT) / sdT,
+    rho
+  );
+
+  if (!(independent > 0)) return { joint, independent, lift: 0 };
+  return { joint, independent, lift: joint / independent };
+}
+
+function evAndKelly(p, dec) {
+  const payout = dec - 1;
+  const evPerDollar = p * payout - (1 - p);
+  const kellyFull = kellyFromProbAndDecimal(p, dec);
+  return {
+    evForStake100: evPerDollar * 100,
+    kellyFull,
+    kellyHalf: kellyFull == null ? null : kellyFull / 2,
+  };
+}
+
+function scoreParlay(legs, { maxLift }) {
   let dec = 1;
-  let p = 1;
+  let pIndependent = 1;
 
   for (const l of legs) {
     dec *= l.decimalOdds;
-    p *= l.modelProb;
+    pIndependent *= l.modelProb;
   }
 
-  const payout = dec - 1;
-  const evPerDollar = p * payout - (1 - p);
-  const evForStake100 = evPerDollar * 100;
+  const byGame = new Map();
+  for (const l of legs) {
+    if (!byGame.has(l.gameId)) byGame.set(l.gameId, []);
+    byGame.get(l.gameId).push(l);
+  }
 
-  const kellyFull = kellyFromProbAndDecimal(p, dec);
-  const kellyHalf = kellyFull == null ? null : kellyFull / 2;
+  let p = pIndependent;
+  const sameGame = [];
+  let rejectionReason = null;
+
+  for (const [gameId, gameLegs] of byGame.entries()) {
+    if (gameLegs.length < 2) continue;
+
+    const r = sameGameLift(gameLegs);
+    if (!r) {
+      rejectionReason = "same_game_unpriced";
+      sameGame.push({ gameId, legs: gameLegs.length, lift: null });
+      continue;
+    }
+
+    // Never claim the joint beats the weakest leg
+    const pLegs = gameLegs.reduce((acc, l) => acc * l.modelProb, 1);
+    const minLeg = Math.min(...gameLegs.map((l) => l.modelProb));
+    const pGame = clamp(pLegs * r.lift, 0, minLeg);
+    p = pLegs > 0 ? (p / pLegs) * pGame : 0;
+
+    sameGame.push({ gameId, legs: gameLegs.length, lift: r.lift, jointNormal: r.joint, independentNormal: r.independent });
+
+    if (r.joint <= 1e-6) rejectionReason = rejectionReason || "conflicting_legs";
+    else if (Math.abs(r.lift - 1) > maxLift) rejectionReason = rejectionReason || "strongly_correlated";
+  }
+
+  const adjusted = evAndKelly(p, dec);
+  const independent = evAndKelly(pIndependent, dec);
 
   return {
     legs,
     combinedDecimalOdds: dec,
     combinedAmericanOdds: toAmericanOdds(dec),
     modelProb: p,
-    evForStake100,
-    kellyFull,
-    kellyHalf,
+    evForStake100: adjusted.evForStake100,
+    kellyFull: adjusted.kellyFull,
+    kellyHalf: adjusted.kellyHalf,
+    independent: {
+      modelProb: pIndependent,
+      evForStake100: independent.evForStake100,
+      kellyHalf: independent.kellyHalf,
+    },
+    correlation: {
+      adjusted: sameGame.length > 0,
+      lift: pIndependent > 0 ? p / pIndependent : null,
+      sameGame,
+    },
+    rejectionReason,
   };
 }
 
@@ -175,7 +390,7 @@ router.get("/ping", (_req, res) => {
   res.json({ ok: true, route: "parlays", version: VERSION });
 });
 
-// GET /api/parlays?league=ncaam&date=YYYY-MM-DD&legs=3
+// GET /api/parlays?league=ncaam&date=YYYY-MM-DD&legs=3[&sameGame=1][&maxCorrelation=0.35]
 router.get("/", async (req, res) => {
   try {
     const league = String(req.query.league || "ncaam").trim().toLowerCase();
@@ -185,7 +400,13 @@ router.get("/", async (req, res) => {
     const includeLean = String(req.query.includeLean ?? "1") !== "0";
     const minEdgeLean = Number(req.query.minEdge ?? 0.02);
     const minEvLean = Number(req.query.minEV ?? 1);
+    // opt-in: adds each game's other premium markets as legs and allows same-game combos
+    const sameGame = String(req.query.sameGame ?? "0") === "1";
+    // Same-game combos whose joint differs from independence by more than this are refused
+    const maxLift = clamp(Number(req.query.maxCorrelation ?? 0.35) || 0.35, 0.05, 2);
 
+    // stakes only for the signed-in user's bankroll (lib/auth.js)
+    const userKey = req.user?.id || null;
     const topK = clamp(parseInt(String(req.query.limit || "5"), 10) || 5, 1, 20);
 
     if (!date) {
@@ -195,18 +416,26 @@ router.get("/", async (req, res) => {
     const out = await buildPredictions(league, date);
     const games = Array.isArray(out?.games) ? out.games : [];
 
-    const candidates = pickLegCandidates(games, league);
+    const candidates = pickLegCandidates(games, league, { includeLean, minEdgeLean, minEvLean, sameGame });
 
     // Bound compute: only evaluate combos among top 14–18 legs
     const TOP = clamp(parseInt(String(req.query.top || "16"), 10) || 16, 8, 24);
     const pool = candidates.slice(0, TOP);
 
     const results = [];
+    const rejected = {};
     for (const combo of combinations(pool, legsN)) {
-      const ids = new Set(combo.map((x) => x.gameId));
-      if (ids.size !== combo.length) continue;
-
-      const scored = scoreParlay(combo);
+      if (!sameGame) {
+        const ids = new Set(combo.map((x) => x.gameId));
+        if (ids.size !== combo.length) continue;
+      }
+
+      const scored = scoreParlay(combo, { maxLift });
+      if (scored.rejectionReason) {
+        rejected[scored.rejectionReason] = (rejected[scored.rejectionReason] || 0) + 1;
+        continue;
+      }
+      delete scored.rejectionReason;
       results.push(scored);
     }
 
@@ -218,6 +447,25 @@ router.get("/", async (req, res) => {
       return b.modelProb - a.modelProb;
     });
 
+    let top = results.slice(0, topK);
+    let bankroll = { ok: false, error: "not_signed_in" };
+    if (userKey) {
+      try {
+        const { configured, settings, history } = await getBankrollState(userKey);
+        top = top.map((x) => ({
+          ...x,
+          stake: recommendStake(settings, history.current, {
+            prob: x.modelProb,
+            odds: x.combinedAmericanOdds,
+            kellyHalf: x.kellyHalf,
+          }),
+        }));
+        bankroll = { ok: true, configured, policy: settings.policy, current: history.current };
+      } catch (e) {
+        bankroll = { ok: false, error: String(e?.message || e) };
+      }
+    }
+
     return res.json({
       ok: true,
       league,
@@ -226,11 +474,15 @@ router.get("/", async (req, res) => {
       poolSize: pool.length,
       candidates: candidates.length,
       count: results.length,
-      parlays: results.slice(0, topK),
+      parlays: top,
       meta: {
         version: VERSION,
         topPoolUsed: TOP,
-        note: "Parlay probability assumes independence; add correlation guards next.",
+        sameGame,
+        maxCorrelation: maxLift,
+        rejected,
+        bankroll,
+        note: "Same-game legs are priced jointly from the margin/total model (NHL: the goal distribution); cross-game legs are independent.",
       },
     });
   } catch (e) {
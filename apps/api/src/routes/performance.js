@@ -1,5 +1,6 @@
 import express from "express";
   import { supabase } from "../db/dailyLedger.js";
+  import { getLiveStrategy, listStrategyVersions } from "../lib/strategyRegistry.js";
 
   const router = express.Router();
 
@@ -368,6 +369,173 @@ import express from "express";
     }
   });
 
+  /* =========================================================
+     STRATEGY A/B (strategy_picks, live vs shadow versions)
+     ========================================================= */
+
+  async function loadStrategyPickRows({ leagues, days }) {
+    const start = startDateFromDays(days);
+    const end = ymdUTC(new Date());
+
+    const { data, error } = await supabase
+      .from("strategy_picks")
+      .select("date,league,game_key,strategy_id,pick,market,odds,tier,result")
+      .gte("date", start)
+      .lte("date", end)
+      .in("league", leagues);
+
+    if (error) throw error;
+    return { start, end, rows: Array.isArray(data) ? data : [] };
+  }
+
+  function slateKey(row) {
+    return `${String(row?.league || "").toLowerCase()}__${String(row?.date || "")}`;
+  }
+
+  function strategyRecord(rows) {
+    let picks = 0;
+    let wins = 0;
+    let losses = 0;
+    let pushes = 0;
+    let units = 0;
+    const byLeague = {};
+
+    for (const r of rows) {
+      if (String(r?.pick || "PASS").toUpperCase() === "PASS") continue;
+      picks += 1;
+
+      const lg = String(r?.league || "").toLowerCase();
+      if (!byLeague[lg]) byLeague[lg] = { picks: 0, wins: 0, losses: 0, pushes: 0, units: 0 };
+      byLeague[lg].picks += 1;
+
+      const res = String(r?.result || "").toUpperCase();
+      if (res === "WIN") {
+        const p = unitProfit(r?.odds) ?? 0;
+        wins += 1;
+        units += p;
+        byLeague[lg].wins += 1;
+        byLeague[lg].units += p;
+      } else if (res === "LOSS") {
+        losses += 1;
+        units -= 1;
+        byLeague[lg].losses += 1;
+        byLeague[lg].units -= 1;
+      } else if (res === "PUSH") {
+        pushes += 1;
+        byLeague[lg].pushes += 1;
+      }
+    }
+
+    const finish = (d) => {
+      const settled = d.wins + d.losses + d.pushes;
+      return {
+        ...d,
+        settled,
+        units: Number(d.units.toFixed(3)),
+        hit_rate: d.wins + d.losses > 0 ? d.wins / (d.wins + d.losses) : null,
+        roi: settled > 0 ? Number((d.units / settled).toFixed(4)) : null,
+      };
+    };
+
+    return {
+      ...finish({ picks, wins, losses, pushes, units }),
+      by_league: Object.fromEntries(Object.entries(byLeague).map(([lg, d]) => [lg, finish(d)])),
+    };
+  }
+
+  // Game-level overlap between one version and the baseline on the shared slates
+  function compareToBaseline(rows, baseRows) {
+    const sig = (r) =>
+      String(r?.pick || "PASS").toUpperCase() === "PASS" ? null : `${r?.market || ""}:${String(r.pick).toLowerCase()}`;
+    const base = new Map(baseRows.map((r) => [`${slateKey(r)}__${r.game_key}`, sig(r)]));
+
+    let same = 0;
+    let different = 0;
+    let onlyThis = 0;
+    let onlyBaseline = 0;
+
+    for (const r of rows) {
+      const key = `${slateKey(r)}__${r.game_key}`;
+      if (!base.has(key)) continue;
+      const a = sig(r);
+      const b = base.get(key);
+      if (a && b && a === b) same += 1;
+      else if (a && b) different += 1;
+      else if (a) onlyThis += 1;
+      else if (b) onlyBaseline += 1;
+    }
+
+    return { same, different, only_this: onlyThis, only_baseline: onlyBaseline };
+  }
+
+  /**
+   * Head-to-head: only slates (date+league) that every compared version was run
+   * on count, so a version added last week isn't judged against a month of the
+   * live strategy's history.
+   */
+  router.get("/performance/strategies", async (req, res) => {
+    try {
+      const leagues = parseLeagues(req.query.leagues);
+      const days = Number(req.query.days) || 30;
+      const { start, end, rows } = await loadStrategyPickRows({ leagues, days });
+
+      const requested = String(req.query.strategies || "")
+        .split(",")
+        .map((s) => s.trim().toLowerCase())
+        .filter(Boolean);
+
+      const rowsById = new Map();
+      for (const r of rows) {
+        const id = String(r?.strategy_id || "");
+        if (!id) continue;
+        if (!rowsById.has(id)) rowsById.set(id, []);
+        rowsById.get(id).push(r);
+      }
+
+      const ids = requested.length ? requested.filter((id) => rowsById.has(id)) : [...rowsById.keys()].sort();
+      const liveId = getLiveStrategy().id;
+      const baselineId = ids.includes(liveId) ? liveId : ids[0] || null;
+
+      // slates evaluated by every compared version
+      let shared = null;
+      for (const id of ids) {
+        const slates = new Set(rowsById.get(id).map(slateKey));
+        shared = shared == null ? slates : new Set([...shared].filter((k) => slates.has(k)));
+      }
+      shared = shared || new Set();
+
+      const sharedRows = (id) => (rowsById.get(id) || []).filter((r) => shared.has(slateKey(r)));
+      const baseRows = baselineId ? sharedRows(baselineId) : [];
+
+      const strategies = ids.map((id) => {
+        const own = sharedRows(id);
+        return {
+          strategy_id: id,
+          role: id === liveId ? "live" : "shadow",
+          ...strategyRecord(own),
+          vs_baseline: id === baselineId ? null : compareToBaseline(own, baseRows),
+        };
+      });
+
+      return res.json({
+        ok: true,
+        source: "strategy_picks",
+        start,
+        end,
+        leagues,
+        baseline: baselineId,
+        slates: [...shared].sort().map((k) => {
+          const [league, date] = k.split("__");
+          return { league, date };
+        }),
+        strategies,
+        versions: listStrategyVersions(),
+      });
+    } catch (error) {
+      return res.status(500).json({ ok: false, error: String(error?.message || error) });
+    }
+  });
+
   /* =========================================================
      MODEL SUMMARY (used by Predict.jsx)
      ========================================================= */
@@ -1,8 +1,53 @@
 // apps/api/src/routes/predict.js
 import "dotenv/config";
 import express from "express";
-import { writeSlatePicksToLedger } from "../db/dailyLedger.js";
+import { writeSlatePicksToLedger, writeStrategyPicksToLedger } from "../db/dailyLedger.js";
+import { evaluateAlerts } from "../lib/alerts.js";
+import { rankQuotes, sideQuotes } from "../lib/lineShopping.js";
+import { manualOddsByGame } from "../lib/odds.js";
+import { listManualOdds } from "../db/manualOddsStore.js";
+import { planOddsFetch, recordOddsApiResponse, rememberSlateStarts } from "../lib/oddsQuota.js";
 import { applyPremiumSelection } from "../lib/premiumSelection.js";
+import { getLiveStrategy, getShadowStrategies } from "../lib/strategyRegistry.js";
+import { getBankrollState } from "../db/bankrollStore.js";
+import { recommendStake } from "../lib/bankroll.js";
+import { describeTeamAvailability, ELO_PER_POINT, loadNbaAvailability } from "../lib/nbaAvailability.js";
+import { scheduleEdgeForGame } from "../lib/scheduleFeatures.js";
+import {
+  buildGoalieRatings,
+  goalieAdjustment,
+  parseEspnProbables,
+  parseGoalieLines,
+  resolveStarter,
+  starterKey,
+} from "../lib/nhlGoalies.js";
+import { getGoalieStartersForDate } from "../db/nhlGoalieStarters.js";
+import { boxFromEspnStatistics, buildTempoRatings, projectNcaamGame } from "../lib/ncaamTempo.js";
+import {
+  buildGoalRatings,
+  describeGoalDistribution,
+  expectedGoals,
+  fitGoalDistribution,
+  spreadOutcome,
+  totalOutcome,
+} from "../lib/nhlGoalModel.js";
+import {
+  registerLeagueModel,
+  getLeagueModel,
+  resolveLeagueModel,
+  isDefaultLeagueModel,
+  listLeagues,
+  listLeagueModels,
+} from "../lib/leagueModels.js";
+import {
+  isReplayMode,
+  isRecordMode,
+  hasFixture,
+  readFixture,
+  writeFixture,
+  providerMeta,
+  providerForUrl,
+} from "../lib/providers.js";
 
 const router = express.Router();
 
@@ -27,11 +72,16 @@ const router = express.Router();
 ---------------------------- */
 const NBA_API_BASE = "https://api.balldontlie.io/v1";
 const NBA_API_KEY = process.env.NBA_API_KEY || "";
+// ~3% win probability per point of margin at a pick'em (slope of nbaProbFromEdge at 0.5 is 0.25 / 0.11)
+const NBA_EDGE_PER_POINT = 0.0132;
 
 // ESPN
 const ESPN_SITE_V2 = "https://site.api.espn.com/apis/site/v2/sports";
 const ESPN_NCAAM_PATH = "basketball/mens-college-basketball";
 const ESPN_NHL_PATH = "hockey/nhl";
+const ESPN_NBA_PATH = "basketball/nba";
+const ESPN_LIVE_PATHS = { nba: ESPN_NBA_PATH, ncaam: ESPN_NCAAM_PATH, nhl: ESPN_NHL_PATH };
+const LIVE_CACHE_TTL_MS = 15_000;
 
 // Odds API
 const ODDS_API_BASE = (process.env.ODDS_API_BASE || "https://api.the-odds-api.com/v4").replace(/\/$/, "");
@@ -46,6 +96,17 @@ const ODDS_ALLOW_HISTORICAL =
 const ODDS_COMPARISON_ALL_BOOKS =
   String(process.env.ODDS_COMPARISON_ALL_BOOKS || "true").toLowerCase() !== "false";
 
+// Market-consensus fair odds (second EV benchmark): median no-vig probability across books,
+// or one sharp book when ODDS_SHARP_BOOK is set and quoting (pinnacle needs ODDS_REGIONS to include eu).
+const ODDS_SHARP_BOOK = String(process.env.ODDS_SHARP_BOOK || "").trim().toLowerCase() || null;
+const ODDS_CONSENSUS_MIN_BOOKS = Math.max(1, Number(process.env.ODDS_CONSENSUS_MIN_BOOKS) || 2);
+
+// Fallback feeds when the Odds API is out of credits, over today's budget or down (comma list, "" = none)
+const ODDS_FALLBACK_PROVIDERS = String(process.env.ODDS_FALLBACK_PROVIDERS ?? "espn")
+  .split(",")
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
+
 const ODDS_SPORT_NBA = String(process.env.ODDS_SPORT_NBA || "basketball_nba");
 const ODDS_SPORT_NCAAM = String(process.env.ODDS_SPORT_NCAAM || "basketball_ncaab");
 const ODDS_SPORT_NHL = String(process.env.ODDS_SPORT_NHL || "icehockey_nhl");
@@ -115,6 +176,33 @@ function setCache(key, value, ttl = CACHE_TTL_MS) {
   cache.set(key, { time: Date.now(), ttl, value });
   pruneCacheIfNeeded();
 }
+/** Drop cached slates for a league/date (e.g. after a starting goalie is entered). */
+function invalidateSlateCache(league, dateYYYYMMDD) {
+  const prefix = `PREDV24:${String(league).toLowerCase()}:`;
+  let dropped = 0;
+  for (const key of cache.keys()) {
+    if (key.startsWith(prefix) && key.includes(`:${dateYYYYMMDD}:`)) {
+      cache.delete(key);
+      dropped += 1;
+    }
+  }
+  return dropped;
+}
+
+/** Drop cached Odds API responses for a league so the next read is live (closing snapshots). */
+function dropOddsCache(league) {
+  const sportKey = oddsSportKeyForLeague(league);
+  if (!sportKey) return 0;
+  const needle = `/sports/${sportKey}/odds?`;
+  let dropped = 0;
+  for (const key of cache.keys()) {
+    if (key.includes(needle)) {
+      cache.delete(key);
+      dropped += 1;
+    }
+  }
+  return dropped;
+}
 
 /* ----------------------------
    Small utils
@@ -181,6 +269,7 @@ async function withHostGate(url, limit, fn, { queueCap = DEFAULT_HOST_QUEUE_CAP
 
 /* ----------------------------
    fetchJson (cache + retry + timeout)
+   PROVIDER_MODE=replay serves from fixtures, =record saves every body (lib/providers.js)
 ---------------------------- */
 async function fetchJson(
   url,
@@ -203,6 +292,12 @@ async function fetchJson(
   if (existing) return existing;
 
   const p = (async () => {
+    if (isReplayMode()) {
+      const data = readFixture(url);
+      if (cacheTtlMs > 0) setCache(cacheKey, data, cacheTtlMs);
+      return data;
+    }
+
     for (let attempt = 0; attempt <= retries; attempt++) {
       try {
         const res = await withHostGate(
@@ -228,6 +323,8 @@ async function fetchJson(
 
         const contentType = String(res.headers?.get?.("content-type") || "").toLowerCase();
         const bodyText = await res.text().catch(() => "");
+        // metered: every Odds API reply reports the credits left (lib/oddsQuota.js)
+        if (providerForUrl(url) === "oddsapi") await recordOddsApiResponse(res, bodyText);
 
         if (res.status === 429) {
           const retryAfter = parseRetryAfterSeconds(res);
@@ -277,7 +374,9 @@ async function fetchJson(
           }
         }
 
-        setCache(cacheKey, data, cacheTtlMs);
+        // cacheTtlMs: 0 leaves the payload out of the shared cache (the caller keeps what it needs)
+        if (cacheTtlMs > 0) setCache(cacheKey, data, cacheTtlMs);
+        if (isRecordMode()) writeFixture(url, data);
         return data;
       } catch (e) {
         const msg = String(e?.message || e);
@@ -305,6 +404,17 @@ async function fetchJson(
   }
 }
 
+/**
+ * Walk-forward simulation options (jobs/backtest.js); null for live requests.
+ *  - strategy:          premiumStrategy-shaped config for applyPremiumSelection
+ *  - strategyId:        label for cache keys / reports
+ *  - oddsMinutesBefore: price each game from the snapshot this long before tip
+ */
+function simCacheKey(sim) {
+  if (!sim) return "";
+  return `:sim:${sim.strategyId || "default"}:o${sim.oddsMinutesBefore ?? "std"}`;
+}
+
 async function computeCached(key, ttlMs, fn) {
   const hit = getCache(key);
   if (hit) return hit;
@@ -390,10 +500,14 @@ function readModeFromReq(req) {
   const isTournament = mode === "tournament" || t === "1" || t === "true" || t === "yes";
   return { mode: isTournament ? "tournament" : "regular", tournament: isTournament };
 }
-function readModelFromReq(req, def = "v2") {
-  const raw = String(req.query.model || req.query.modelVersion || def).toLowerCase();
-  if (raw === "v1" || raw === "1") return "v1";
-  return "v2";
+function readModelFromReq(req) {
+  const raw = String(req.query.model || req.query.modelVersion || "").trim().toLowerCase();
+  if (/^\d+$/.test(raw)) return `v${raw}`;
+  return raw || null;
+}
+// Signed-in user (lib/auth.js resolveUser); anonymous requests get no stakes.
+function readUserKeyFromReq(req) {
+  return req.user?.id || null;
 }
 function toEspnYYYYMMDD(dateYYYYMMDD) {
   return dateYYYYMMDD.replaceAll("-", "");
@@ -496,10 +610,12 @@ function kellyFraction(p, decimalOdds) {
   const q = 1 - p;
   return (b * p - q) / b;
 }
-function computeMarketEV({ oddsAmerican, winProb, stake = 100 }) {
+function computeMarketEV({ oddsAmerican, winProb, pushProb = 0, stake = 100 }) {
   const odds = Number(oddsAmerican);
   const pRaw = Number(winProb);
   const stakeAmt = Number(stake);
+  // whole-number lines can push (stake returned): probability/edge/Kelly are over decided bets, EV over all outcomes
+  const push = Number.isFinite(Number(pushProb)) ? clampNum(Number(pushProb), 0, 0.5) : 0;
 
   if (!Number.isFinite(odds) || !Number.isFinite(pRaw) || !Number.isFinite(stakeAmt)) return {};
   if (odds === 0) return {};
@@ -508,14 +624,14 @@ function computeMarketEV({ oddsAmerican, winProb, stake = 100 }) {
   const impliedProb = americanToImpliedProbSafe(odds);
   if (decimalOdds == null || impliedProb == null) return {};
 
-  const pModel = clampNum(pRaw, 0.02, 0.98);
+  const pModel = clampNum(pRaw / (1 - push), 0.02, 0.98);
   // Second market anchor removed — buildNbaPredictions already anchors toward market once.
   // A second anchor compounds compression, crushing genuine 8-12% edge signals to <3%.
   const p = clampNum(pModel, 0.02, 0.98);
 
   const edge = p - impliedProb;
   const profitIfWin = stakeAmt * (decimalOdds - 1);
-  const evStake = (p * profitIfWin) - ((1 - p) * stakeAmt);
+  const evStake = (1 - push) * ((p * profitIfWin) - ((1 - p) * stakeAmt));
   const k = kellyFraction(p, decimalOdds);
   const kClamped = k == null ? null : clampNum(k, 0, Number(process.env.KELLY_CAP || 0.12));
 
@@ -535,6 +651,7 @@ function computeMarketEV({ oddsAmerican, winProb, stake = 100 }) {
     evForStake100: evStake,
     kellyFull: kClamped,
     kellyHalf: kClamped == null ? null : kClamped / 2,
+    ...(push > 0 ? { pushProb: push } : {}),
   };
 }
 function normalizeNoVig(pA, pB) {
@@ -559,7 +676,7 @@ function redactOddsUrl(url) {
     return String(url || "").replace(/apiKey=([^&]+)/gi, "apiKey=REDACTED");
   }
 }
-function buildOddsUrlForDate(ymd, { sportKey, historical = false } = {}) {
+function buildOddsUrlForDate(ymd, { sportKey, historical = false, snapshotIso = null } = {}) {
   const sport = String(sportKey || "").trim();
   if (!sport) throw new Error("Missing Odds API sportKey");
   // Historical: T18:00:00Z = 6pm UTC (≈1pm ET). Pre-game for ALL leagues: noon NCAA tips, 7:30pm NBA/NHL.
@@ -577,7 +694,8 @@ function buildOddsUrlForDate(ymd, { sportKey, historical = false } = {}) {
     bookmakerParam;
 
   if (historical) {
-    const snap = `${ymd}T18:00:00Z`; // 6pm UTC (≈1pm ET) — pre-game for all US sports incl. noon NCAA tip-offs
+    // default 6pm UTC (≈1pm ET) — pre-game for all US sports incl. noon NCAA tip-offs
+    const snap = snapshotIso || `${ymd}T18:00:00Z`;
     return `${ODDS_API_BASE}/historical/sports/${sport}/odds?date=${encodeURIComponent(snap)}&${common}`;
   }
 
@@ -590,69 +708,8 @@ function buildOddsUrlForDate(ymd, { sportKey, historical = false } = {}) {
   );
 }
 
-async function fetchVegasForLeagueDate(league, ymd) {
-  if (!ODDS_API_KEY) {
-    return { ok: false, reason: "missing_odds_key", map: new Map(), meta: { league, url: null, events: null } };
-  }
-
-  const sportKey =
-    league === "nba" ? ODDS_SPORT_NBA : league === "ncaam" ? ODDS_SPORT_NCAAM : league === "nhl" ? ODDS_SPORT_NHL : "";
-
-  if (!sportKey) {
-    return {
-      ok: false,
-      reason: "unsupported_league_for_odds",
-      map: new Map(),
-      meta: { league, url: null, events: null },
-    };
-  }
-
-  const isPast = isPastDateUTC(ymd);
-  if (isPast && !ODDS_ALLOW_HISTORICAL) {
-    const urlWouldBe = buildOddsUrlForDate(ymd, { sportKey, historical: true });
-    return {
-      ok: false,
-      reason: "historical_disabled_for_past_dates",
-      map: new Map(),
-      meta: { league, url: redactOddsUrl(urlWouldBe), events: null, bookmaker: ODDS_BOOKMAKER, shape: "historical" },
-    };
-  }
-
-  const url = buildOddsUrlForDate(ymd, { sportKey, historical: isPast });
-
-  const data = await fetchJson(
-    url,
-    {},
-    { cacheTtlMs: HEAVY_CACHE_TTL_MS, retries: 1, timeoutMs: 7_000, hostConcurrency: 1 }
-  ).catch((e) => ({ __error: String(e?.message || e) }));
-
-  const errMsg = String(data?.__error || "");
-  if (errMsg.includes("HISTORICAL_UNAVAILABLE_ON_FREE_USAGE_PLAN")) {
-    return {
-      ok: false,
-      reason: "historical_unavailable_on_free_plan",
-      map: new Map(),
-      meta: { league, url: redactOddsUrl(url), events: null, bookmaker: ODDS_BOOKMAKER, shape: "historical" },
-    };
-  }
-  if (errMsg.includes("INVALID_COMMENCE_TIME_FROM")) {
-    return {
-      ok: false,
-      reason: "invalid_commence_time_from",
-      map: new Map(),
-      meta: { league, url: redactOddsUrl(url), events: null, bookmaker: ODDS_BOOKMAKER },
-    };
-  }
-  if (!data || data.__error) {
-    return {
-      ok: false,
-      reason: data?.__error || "odds_fetch_failed",
-      map: new Map(),
-      meta: { league, url: redactOddsUrl(url), events: null, bookmaker: ODDS_BOOKMAKER },
-    };
-  }
-
-  const eventsArray = Array.isArray(data) ? data : Array.isArray(data?.data) ? data.data : [];
+// Odds API events → Map("home|away" → vegasRow) for the preferred bookmaker plus every book.
+function buildVegasMapFromEvents(eventsArray) {
   const map = new Map();
   const sampleKeys = [];
 
@@ -669,6 +726,8 @@ async function fetchVegasForLeagueDate(league, ymd) {
       bookmaker: bk?.key || ODDS_BOOKMAKER,
       lastUpdate: bk?.last_update || null,
       eventStart: ev?.commence_time || null,
+      homeTeam: ev?.home_team || null,
+      awayTeam: ev?.away_team || null,
       h2h: null,
       spreads: null,
       totals: null,
@@ -799,12 +858,94 @@ async function fetchVegasForLeagueDate(league, ymd) {
     if (sampleKeys.length < 6) sampleKeys.push(k);
   }
 
+  return { map, sampleKeys };
+}
+
+function oddsSportKeyForLeague(league) {
+  return league === "nba"
+    ? ODDS_SPORT_NBA
+    : league === "ncaam"
+      ? ODDS_SPORT_NCAAM
+      : league === "nhl"
+        ? ODDS_SPORT_NHL
+        : getLeagueModel(league)?.oddsSportKey || "";
+}
+
+async function fetchVegasFromOddsApi(league, ymd, { cacheTtlMs = HEAVY_CACHE_TTL_MS } = {}) {
+  if (!ODDS_API_KEY && !isReplayMode()) {
+    return { ok: false, reason: "missing_odds_key", map: new Map(), meta: { league, url: null, events: null } };
+  }
+
+  const sportKey = oddsSportKeyForLeague(league);
+
+  if (!sportKey) {
+    return {
+      ok: false,
+      reason: "unsupported_league_for_odds",
+      map: new Map(),
+      meta: { league, url: null, events: null },
+    };
+  }
+
+  // Replay follows whichever shape was recorded, so a set stays valid after the date passes.
+  const isPast = isReplayMode()
+    ? !hasFixture(buildOddsUrlForDate(ymd, { sportKey, historical: false }))
+    : isPastDateUTC(ymd);
+  if (isPast && !ODDS_ALLOW_HISTORICAL) {
+    const urlWouldBe = buildOddsUrlForDate(ymd, { sportKey, historical: true });
+    return {
+      ok: false,
+      reason: "historical_disabled_for_past_dates",
+      map: new Map(),
+      meta: { league, url: redactOddsUrl(urlWouldBe), events: null, bookmaker: ODDS_BOOKMAKER, shape: "historical" },
+    };
+  }
+
+  const url = buildOddsUrlForDate(ymd, { sportKey, historical: isPast });
+
+  const data = await fetchJson(
+    url,
+    {},
+    { cacheTtlMs, retries: 1, timeoutMs: 7_000, hostConcurrency: 1 }
+  ).catch((e) => ({ __error: String(e?.message || e) }));
+
+  const errMsg = String(data?.__error || "");
+  if (errMsg.includes("HISTORICAL_UNAVAILABLE_ON_FREE_USAGE_PLAN")) {
+    return {
+      ok: false,
+      reason: "historical_unavailable_on_free_plan",
+      map: new Map(),
+      meta: { league, url: redactOddsUrl(url), events: null, bookmaker: ODDS_BOOKMAKER, shape: "historical" },
+    };
+  }
+  if (errMsg.includes("INVALID_COMMENCE_TIME_FROM")) {
+    return {
+      ok: false,
+      reason: "invalid_commence_time_from",
+      map: new Map(),
+      meta: { league, url: redactOddsUrl(url), events: null, bookmaker: ODDS_BOOKMAKER },
+    };
+  }
+  if (!data || data.__error) {
+    return {
+      ok: false,
+      reason: data?.__error || "odds_fetch_failed",
+      map: new Map(),
+      meta: { league, url: redactOddsUrl(url), events: null, bookmaker: ODDS_BOOKMAKER },
+    };
+  }
+
+  const eventsArray = Array.isArray(data) ? data : Array.isArray(data?.data) ? data.data : [];
+  const { map, sampleKeys } = buildVegasMapFromEvents(eventsArray);
+  rememberSlateStarts(league, ymd, eventsArray.map((ev) => ev?.commence_time));
+
   return {
     ok: true,
     reason: null,
     map,
     meta: {
       league,
+      provider: "oddsapi",
       url: redactOddsUrl(url),
       events: map.size,
       bookmaker: ODDS_BOOKMAKER,
@@ -814,11 +955,371 @@ async function fetchVegasForLeagueDate(league, ymd) {
   };
 }
 
+/* ----------------------------
+   ESPN scoreboard odds — the free fallback feed (one book per game,
+   whichever ESPN carries). Same vegasRow shape as the Odds API map.
+---------------------------- */
+function espnPrice(v) {
+  const s = String(v ?? "").trim();
+  if (/^even$/i.test(s)) return 100;
+  const n = Number(s);
+  return s && Number.isFinite(n) && n !== 0 ? n : null;
+}
+function espnLine(v) {
+  const s = String(v ?? "").trim().replace(/^[ou]/i, "");
+  const n = Number(s);
+  return s && Number.isFinite(n) ? n : null;
+}
+
+function vegasRowFromEspnEvent(event, fetchedAt) {
+  const comp = event?.competitions?.[0];
+  const home = comp?.competitors?.find((c) => c?.homeAway === "home")?.team;
+  const away = comp?.competitors?.find((c) => c?.homeAway === "away")?.team;
+  const o = Array.isArray(comp?.odds) ? comp.odds[0] : null;
+  if (!o || !home?.displayName || !away?.displayName) return null;
+
+  const bookTitle = String(o.provider?.name || "ESPN");
+  const bookmaker = bookTitle.toLowerCase().replace(/[^a-z0-9]+/g, "") || "espn";
+
+  // flat fields on older payloads, { close: { line, odds } } nodes on newer ones
+  const homeMl = espnPrice(o.homeTeamOdds?.moneyLine ?? o.moneyline?.home?.close?.odds);
+  const awayMl = espnPrice(o.awayTeamOdds?.moneyLine ?? o.moneyline?.away?.close?.odds);
+  const homeSpread = espnLine(o.spread ?? o.pointSpread?.home?.close?.line);
+  const awaySpread = espnLine(o.pointSpread?.away?.close?.line) ?? (homeSpread == null ? null : -homeSpread);
+  const homeSpreadPrice = espnPrice(o.homeTeamOdds?.spreadOdds ?? o.pointSpread?.home?.close?.odds);
+  const awaySpreadPrice = espnPrice(o.awayTeamOdds?.spreadOdds ?? o.pointSpread?.away?.close?.odds);
+  const total = espnLine(o.overUnder ?? o.total?.over?.close?.line);
+  const overPrice = espnPrice(o.overOdds ?? o.total?.over?.close?.odds);
+  const underPrice = espnPrice(o.underOdds ?? o.total?.under?.close?.odds);
+
+  const nv = normalizeNoVig(americanToImpliedProb(homeMl), americanToImpliedProb(awayMl));
+  const h2h = homeMl != null && awayMl != null ? { home: homeMl, away: awayMl, pHome: nv.pA, pAway: nv.pB, vig: nv.vig } : null;
+  const spreads =
+    homeSpread != null && homeSpreadPrice != null && awaySpreadPrice != null
+      ? { homeSpread, awaySpread, homePrice: homeSpreadPrice, awayPrice: awaySpreadPrice }
+      : null;
+  const totals = total != null && overPrice != null && underPrice != null ? { total, overPrice, underPrice } : null;
+  if (!h2h && !spreads && !totals) return null;
+
+  const book = { bookmaker, bookTitle, lastUpdate: fetchedAt };
+  return {
+    bookmaker,
+    lastUpdate: fetchedAt,
+    eventStart: event?.date || null,
+    homeTeam: home.displayName,
+    awayTeam: away.displayName,
+    h2h,
+    spreads,
+    totals,
+    books: {
+      h2h: h2h ? [{ ...book, ...h2h }] : [],
+      spreads: spreads ? [{ ...book, ...spreads }] : [],
+      totals: totals ? [{ ...book, ...totals }] : [],
+    },
+  };
+}
+
+async function fetchVegasFromEspn(league, ymd) {
+  const path = ESPN_LIVE_PATHS[league];
+  if (!path) {
+    return { ok: false, reason: "unsupported_league_for_odds", map: new Map(), meta: { league, provider: "espn", url: null, events: null } };
+  }
+
+  const url = `${ESPN_SITE_V2}/${path}/scoreboard?dates=${encodeURIComponent(toEspnYYYYMMDD(ymd))}`;
+  let json;
+  try {
+    json = await fetchJson(url, {}, { cacheTtlMs: CACHE_TTL_MS * 5, retries: 2, hostConcurrency: 3, timeoutMs: 15_000 });
+  } catch (e) {
+    return { ok: false, reason: String(e?.message || e), map: new Map(), meta: { league, provider: "espn", url, events: null } };
+  }
+
+  const fetchedAt = new Date().toISOString();
+  const events = Array.isArray(json?.events) ? json.events : [];
+  const map = new Map();
+  for (const event of events) {
+    const row = vegasRowFromEspnEvent(event, fetchedAt);
+    if (row) map.set(`${normTeamName(row.homeTeam)}|${normTeamName(row.awayTeam)}`, row);
+  }
+  // keeps the credit planner's start times current while the Odds API is skipped
+  rememberSlateStarts(league, ymd, events.map((ev) => ev?.date));
+
+  const first = map.values().next().value;
+  return {
+    ok: map.size > 0,
+    reason: map.size ? null : "espn_no_odds",
+    map,
+    meta: {
+      league,
+      provider: "espn",
+      url,
+      events: map.size,
+      bookmaker: first?.bookmaker ?? null,
+      sampleKeys: [...map.keys()].slice(0, 6),
+      shape: "espn_scoreboard",
+    },
+  };
+}
+
+const ODDS_PROVIDERS = {
+  oddsapi: fetchVegasFromOddsApi,
+  espn: fetchVegasFromEspn,
+};
+
+/* ----------------------------
+   Manual odds (POST /api/odds/manual, lib/odds.js): extra books on the
+   feed's row for that game, or a manual-only row when the feed lacks it.
+   A manual quote under a feed book's key replaces that book's quote.
+---------------------------- */
+const VEGAS_NODES = ["h2h", "spreads", "totals"];
+
+function withNoVig(node, b) {
+  if (node !== "h2h") return b;
+  const nv = normalizeNoVig(americanToImpliedProb(b.home), americanToImpliedProb(b.away));
+  return { ...b, pHome: nv.pA, pAway: nv.pB, vig: nv.vig };
+}
+
+function topLevelFromBook(node, b) {
+  if (node === "h2h") return { home: b.home, away: b.away, pHome: b.pHome, pAway: b.pAway, vig: b.vig };
+  if (node === "spreads") return { homeSpread: b.homeSpread, awaySpread: b.awaySpread, homePrice: b.homePrice, awayPrice: b.awayPrice };
+  return { total: b.total, overPrice: b.overPrice, underPrice: b.underPrice };
+}
+
+function mergeManualOdds(map, games, now = Date.now()) {
+  let merged = 0;
+  for (const g of games) {
+    const h = normTeamName(g.homeTeam);
+    const a = normTeamName(g.awayTeam);
+    let books = g.books;
+    let row = map.get(`${h}|${a}`) || null;
+    if (!row && map.has(`${a}|${h}`)) {
+      row = map.get(`${a}|${h}`);
+      books = invertVegasRow({ books }).books;
+    }
+    if (!row) {
+      // fuzzy nickname hit on a feed row (lookupVegas hands back the stored object)
+      const hit = lookupVegas(map, g.homeTeam, g.awayTeam);
+      if (hit && [...map.values()].includes(hit)) row = hit;
+    }
+    if (!row) {
+      const first = VEGAS_NODES.map((n) => books[n][0]).find(Boolean);
+      row = {
+        bookmaker: first?.bookmaker ?? "manual",
+        lastUpdate: first?.lastUpdate ?? null,
+        eventStart: null,
+        homeTeam: g.homeTeam,
+        awayTeam: g.awayTeam,
+        h2h: null,
+        spreads: null,
+        totals: null,
+        books: { h2h: [], spreads: [], totals: [] },
+      };
+      map.set(`${h}|${a}`, row);
+    }
+
+    // an entry without its own expiry lapses when the game starts
+    const startMs = Date.parse(row.eventStart || "");
+    const started = Number.isFinite(startMs) && now >= startMs;
+
+    for (const node of VEGAS_NODES) {
+      for (const raw of books[node]) {
+        if (started && !raw.expiresAt) continue;
+        const b = withNoVig(node, raw);
+        row.books[node] = [...(row.books[node] || []).filter((x) => x?.bookmaker !== b.bookmaker), b];
+        // the row's own book (manual-only rows take the first manual book) prices the top-level node
+        if (b.bookmaker === row.bookmaker) {
+          row[node] = topLevelFromBook(node, b);
+        }
+      }
+    }
+    merged += 1;
+  }
+  return merged;
+}
+
+/**
+ * The day's odds for a league: the Odds API when the credit plan allows it
+ * (lib/oddsQuota.js), else — or when it fails — each ODDS_FALLBACK_PROVIDERS
+ * feed in turn. Past dates never fail over: fallback feeds only carry current lines.
+ */
+async function fetchVegasForLeagueDate(league, ymd) {
+  const plan = isReplayMode() ? null : await planOddsFetch(league, ymd);
+  const quota = plan && {
+    remaining: plan.remaining,
+    spentToday: plan.spentToday,
+    budget: plan.budget,
+    urgent: plan.urgent,
+    minutesToStart: plan.minutesToStart,
+  };
+
+  const primary =
+    !plan || plan.allow
+      ? await fetchVegasFromOddsApi(league, ymd, { cacheTtlMs: plan?.cacheTtlMs })
+      : { ok: false, reason: plan.reason, map: new Map(), meta: { league, provider: "oddsapi", url: null, events: null, bookmaker: ODDS_BOOKMAKER } };
+
+  let result = { ...primary, meta: { ...primary.meta, quota } };
+  if (!primary.ok && !isPastDateUTC(ymd)) {
+    for (const name of ODDS_FALLBACK_PROVIDERS) {
+      const fetcher = ODDS_PROVIDERS[name];
+      if (!fetcher || name === "oddsapi") continue;
+      const alt = await fetcher(league, ymd);
+      if (alt.ok) {
+        result = { ...alt, meta: { ...alt.meta, quota, failover: { from: "oddsapi", reason: primary.reason } } };
+        break;
+      }
+    }
+  }
+
+  return withManualOdds(league, ymd, result);
+}
+
+// Hand-entered odds ride on whatever feed answered; with no feed they are the odds.
+async function withManualOdds(league, ymd, result) {
+  if (isReplayMode()) return result;
+
+  let games = [];
+  try {
+    games = manualOddsByGame(await listManualOdds({ date: ymd, league }));
+  } catch (e) {
+    console.warn(`[manualOdds] ${league} ${ymd}: ${e?.message || e}`);
+  }
+  if (!games.length) return result;
+
+  const manual = mergeManualOdds(result.map, games);
+  const meta = { ...result.meta, events: result.map.size, manual };
+  if (result.ok) return { ...result, meta };
+  return {
+    ...result,
+    ok: true,
+    reason: null,
+    meta: { ...meta, provider: "manual", failover: { from: result.meta?.provider || "oddsapi", reason: result.reason } },
+  };
+}
+
+/* ----------------------------
+   As-of odds (walk-forward backtests)
+   Each event is priced from the historical snapshot `minutesBefore` its own
+   commence time, rounded DOWN to the Odds API's 5-minute grid, so no row can
+   carry information from after that point. minutesBefore = 0 is the close.
+---------------------------- */
+const ODDS_SNAPSHOT_GRID_MS = 5 * 60_000;
+
+function toOddsIso(ms) {
+  return new Date(ms).toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+async function fetchOddsSnapshot(ymd, sportKey, snapshotIso) {
+  const url = buildOddsUrlForDate(ymd, { sportKey, historical: true, snapshotIso });
+  try {
+    const data = await fetchJson(
+      url,
+      {},
+      { cacheTtlMs: HEAVY_CACHE_TTL_MS, retries: 1, timeoutMs: 10_000, hostConcurrency: 1 }
+    );
+    return { url, events: Array.isArray(data?.data) ? data.data : [], error: null };
+  } catch (e) {
+    return { url, events: [], error: String(e?.message || e) };
+  }
+}
+
+async function fetchVegasForLeagueAsOf(league, ymd, minutesBefore = 60) {
+  if (!ODDS_API_KEY && !isReplayMode()) {
+    return { ok: false, reason: "missing_odds_key", map: new Map(), meta: { league, url: null, events: null } };
+  }
+
+  const sportKey = oddsSportKeyForLeague(league);
+  if (!sportKey) {
+    return { ok: false, reason: "unsupported_league_for_odds", map: new Map(), meta: { league, url: null, events: null } };
+  }
+
+  // Discovery: an early snapshot lists the day's events and commence times.
+  const discoveryIso = `${ymd}T12:00:00Z`;
+  const discoveryMs = Date.parse(discoveryIso);
+  const discovery = await fetchOddsSnapshot(ymd, sportKey, discoveryIso);
+  if (discovery.error) {
+    return {
+      ok: false,
+      reason: discovery.error.includes("HISTORICAL_UNAVAILABLE_ON_FREE_USAGE_PLAN")
+        ? "historical_unavailable_on_free_plan"
+        : discovery.error,
+      map: new Map(),
+      meta: { league, url: redactOddsUrl(discovery.url), events: null, bookmaker: ODDS_BOOKMAKER, shape: "historical_asof" },
+    };
+  }
+
+  const { endIso } = ymdToOddsIsoRange(ymd);
+  const endMs = Date.parse(endIso);
+  const offsetMs = Math.max(0, Number(minutesBefore) || 0) * 60_000;
+
+  const chosen = new Map(); // event id -> { ev, snapshotAt }
+  const byTarget = new Map(); // snapshot ms -> Set(event id)
+
+  for (const ev of discovery.events) {
+    const t = Date.parse(ev?.commence_time || "");
+    if (!ev?.id || !Number.isFinite(t) || t <= discoveryMs || t > endMs) continue;
+
+    // discovery itself predates every target, so it is always a safe fallback
+    chosen.set(ev.id, { ev, snapshotAt: discoveryIso });
+
+    const target = Math.floor((t - offsetMs) / ODDS_SNAPSHOT_GRID_MS) * ODDS_SNAPSHOT_GRID_MS;
+    if (target <= discoveryMs) continue;
+    if (!byTarget.has(target)) byTarget.set(target, new Set());
+    byTarget.get(target).add(ev.id);
+  }
+
+  const warnings = [];
+  for (const target of [...byTarget.keys()].sort((a, b) => a - b)) {
+    const iso = toOddsIso(target);
+    const snap = await fetchOddsSnapshot(ymd, sportKey, iso);
+    if (snap.error) {
+      warnings.push(`snapshot ${iso}: ${trimUpstreamText(snap.error, 160)}`);
+      continue;
+    }
+    const ids = byTarget.get(target);
+    for (const ev of snap.events) {
+      if (ids.has(ev?.id)) chosen.set(ev.id, { ev, snapshotAt: iso });
+    }
+  }
+
+  const picked = [...chosen.values()];
+  const { map, sampleKeys } = buildVegasMapFromEvents(picked.map((x) => x.ev));
+  for (const { ev, snapshotAt } of picked) {
+    const row = map.get(`${normTeamName(ev?.home_team)}|${normTeamName(ev?.away_team)}`);
+    if (row) row.snapshotAt = snapshotAt;
+  }
+
+  return {
+    ok: true,
+    reason: null,
+    map,
+    meta: {
+      league,
+      url: redactOddsUrl(discovery.url),
+      events: map.size,
+      bookmaker: ODDS_BOOKMAKER,
+      sampleKeys,
+      shape: "historical_asof",
+      minutesBefore: Math.max(0, Number(minutesBefore) || 0),
+      snapshots: byTarget.size + 1,
+      warnings,
+    },
+  };
+}
+
+// Builders call this; `sim.oddsMinutesBefore` switches to the as-of snapshots.
+function loadVegasForSlate(league, ymd, sim = null) {
+  return sim?.oddsMinutesBefore != null
+    ? fetchVegasForLeagueAsOf(league, ymd, sim.oddsMinutesBefore)
+    : fetchVegasForLeagueDate(league, ymd);
+}
+
 function invertVegasRow(row) {
   if (!row) return null;
   const out = {
     bookmaker: row.bookmaker ?? null,
     lastUpdate: row.lastUpdate ?? null,
+    snapshotAt: row.snapshotAt ?? null,
+    homeTeam: row.awayTeam ?? null,
+    awayTeam: row.homeTeam ?? null,
     h2h: null,
     spreads: null,
     totals: row.totals ? { ...row.totals } : null,
@@ -1005,11 +1506,16 @@ function overProb(meanTotal, totalLine, sdTotal) {
   return clampNum(1 - cdf, 0, 1);
 }
 
+// favTotalRho: correlation between the favourite's margin and the game total
+// (blowouts run the score up). Used for same-game parlay pricing.
 const CAL = {
-  nba: { marginSd: 11.5, totalSd: 14.0, baseTotal: 222.0, marginScale: 26.0 },
-  ncaam: { marginSd: 10.5, totalSd: 13.0, baseTotal: 142.0, marginScale: 24.0 },
-  nhl: { marginSd: 1.9, totalSd: 1.9, baseTotal: 6.1, marginScale: 4.2 },
+  nba: { marginSd: 11.5, totalSd: 14.0, baseTotal: 222.0, marginScale: 26.0, favTotalRho: 0.12 },
+  ncaam: { marginSd: 10.5, totalSd: 13.0, baseTotal: 142.0, marginScale: 24.0, favTotalRho: 0.15 },
+  nhl: { marginSd: 1.9, totalSd: 1.9, baseTotal: 6.1, marginScale: 4.2, favTotalRho: 0.2 },
 };
+function calForLeague(league) {
+  return CAL[league] || getLeagueModel(league)?.cal || CAL.nba;
+}
 
 function recommendedTierFromCandidate(c) {
   const e = Number.isFinite(c?.edge) ? c.edge : null;
@@ -1057,90 +1563,88 @@ function americanOddsSortValue(odds) {
   return n;
 }
 
-function buildOddsComparisonForMarketType(marketType, vegasRow) {
-  if (!marketType || !vegasRow) return null;
+const OPPOSITE_SIDE = { home: "away", away: "home", over: "under", under: "over" };
+
+function median(xs) {
+  const v = [...xs].sort((a, b) => a - b);
+  const mid = Math.floor(v.length / 2);
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+}
 
+/**
+ * Market fair probability for one side at one line: each book quoting both
+ * sides at that number is de-vigged (normalizeNoVig), then the sharp book's
+ * value or the median. Books on a different number don't count — a half
+ * point is worth too much to mix lines. → { prob, method, books } | null
+ */
+function marketFairProb(vegasRow, marketType, side, line) {
   const mt = String(marketType || "").toLowerCase();
-  const rows = [];
+  const other = OPPOSITE_SIDE[side];
+  if (!vegasRow || !other) return null;
 
-  if (mt === "moneyline") {
-    const homeOdds = Number(vegasRow?.h2h?.home);
-    const awayOdds = Number(vegasRow?.h2h?.away);
-
-    if (Number.isFinite(homeOdds)) {
-      rows.push({
-        bookKey: vegasRow?.bookmaker ?? null,
-        book: vegasRow?.bookmaker ?? "market",
-        lastUpdate: vegasRow?.lastUpdate ?? null,
-        side: "home",
-        odds: homeOdds,
-        line: null,
-      });
-    }
+  const theirs = new Map(sideQuotes(vegasRow, mt, other, { shop: true, restrict: false }).map((q) => [q.bookKey, q]));
+  const byBook = new Map();
 
-    if (Number.isFinite(awayOdds)) {
-      rows.push({
-        bookKey: vegasRow?.bookmaker ?? null,
-        book: vegasRow?.bookmaker ?? "market",
-        lastUpdate: vegasRow?.lastUpdate ?? null,
-        side: "away",
-        odds: awayOdds,
-        line: null,
-      });
-    }
-  } else if (mt === "spread") {
-    const homeLine = Number(vegasRow?.spreads?.homeSpread);
-    const awayLine = Number(vegasRow?.spreads?.awaySpread);
-    const homeOdds = Number(vegasRow?.spreads?.homePrice);
-    const awayOdds = Number(vegasRow?.spreads?.awayPrice);
-
-    if (Number.isFinite(homeLine) && Number.isFinite(homeOdds)) {
-      rows.push({
-        bookKey: vegasRow?.bookmaker ?? null,
-        book: vegasRow?.bookmaker ?? "market",
-        lastUpdate: vegasRow?.lastUpdate ?? null,
-        side: "home",
-        odds: homeOdds,
-        line: homeLine,
-      });
-    }
+  for (const q of sideQuotes(vegasRow, mt, side, { shop: true, restrict: false })) {
+    if (mt !== "moneyline" && q.line !== line) continue;
+    const o = theirs.get(q.bookKey);
+    if (!o) continue;
+    if (mt === "spread" && o.line !== -q.line) continue;
+    if (mt === "total" && o.line !== q.line) continue;
 
-    if (Number.isFinite(awayLine) && Number.isFinite(awayOdds)) {
-      rows.push({
-        bookKey: vegasRow?.bookmaker ?? null,
-        book: vegasRow?.bookmaker ?? "market",
-        lastUpdate: vegasRow?.lastUpdate ?? null,
-        side: "away",
-        odds: awayOdds,
-        line: awayLine,
-      });
-    }
-  } else if (mt === "total") {
-    const totalLine = Number(vegasRow?.totals?.total);
-    const overOdds = Number(vegasRow?.totals?.overPrice);
-    const underOdds = Number(vegasRow?.totals?.underPrice);
-
-    if (Number.isFinite(totalLine) && Number.isFinite(overOdds)) {
-      rows.push({
-        bookKey: vegasRow?.bookmaker ?? null,
-        book: vegasRow?.bookmaker ?? "market",
-        lastUpdate: vegasRow?.lastUpdate ?? null,
-        side: "over",
-        odds: overOdds,
-        line: totalLine,
-      });
-    }
+    const nv = normalizeNoVig(americanToImpliedProbSafe(q.odds), americanToImpliedProbSafe(o.odds));
+    if (nv.pA != null) byBook.set(q.bookKey, nv.pA);
+  }
 
-    if (Number.isFinite(totalLine) && Number.isFinite(underOdds)) {
-      rows.push({
-        bookKey: vegasRow?.bookmaker ?? null,
-        book: vegasRow?.bookmaker ?? "market",
-        lastUpdate: vegasRow?.lastUpdate ?? null,
-        side: "under",
-        odds: underOdds,
-        line: totalLine,
-      });
-    }
+  if (ODDS_SHARP_BOOK && byBook.has(ODDS_SHARP_BOOK)) {
+    return { prob: byBook.get(ODDS_SHARP_BOOK), method: `sharp:${ODDS_SHARP_BOOK}`, books: 1 };
+  }
+  if (byBook.size < ODDS_CONSENSUS_MIN_BOOKS) return null;
+  return { prob: median([...byBook.values()]), method: "median", books: byBook.size };
+}
+
+// Market EV beside the model's: the same price judged against the consensus fair probability.
+function marketBenchmark(vegasRow, marketType, side, line, odds, modelProb) {
+  const fair = marketFairProb(vegasRow, marketType, side, line);
+  if (!fair) return { marketFairProb: null, marketEdge: null, marketEvForStake100: null, disagreement: null, consensus: null };
+
+  const dec = americanToDecimalOdds(odds);
+  const implied = americanToImpliedProbSafe(odds);
+  return {
+    marketFairProb: fair.prob,
+    marketEdge: implied == null ? null : fair.prob - implied,
+    marketEvForStake100: dec == null ? null : fair.prob * (dec - 1) * 100 - (1 - fair.prob) * 100,
+    // + when the model likes this side more than the market does (both exclude pushes)
+    disagreement: Number.isFinite(modelProb) ? modelProb - fair.prob : null,
+    consensus: { method: fair.method, books: fair.books },
+  };
+}
+
+function oddsComparisonRow(q, side) {
+  return {
+    bookKey: q.bookKey ?? null,
+    book: q.bookKey ?? "market",
+    bookTitle: q.bookTitle ?? null,
+    lastUpdate: q.lastUpdate ?? null,
+    side,
+    odds: q.odds,
+    line: q.line ?? null,
+  };
+}
+
+// Every book's quote for both sides of a market (best first per side), plus each side's best.
+function buildOddsComparisonForMarketType(marketType, vegasRow) {
+  if (!marketType || !vegasRow) return null;
+
+  const mt = String(marketType || "").toLowerCase();
+  const sides = mt === "total" ? ["over", "under"] : mt === "moneyline" || mt === "spread" ? ["home", "away"] : [];
+  const rows = [];
+  const best = {};
+
+  for (const side of sides) {
+    const ranked = rankQuotes(mt, side, sideQuotes(vegasRow, mt, side, { shop: ODDS_COMPARISON_ALL_BOOKS }));
+    rows.push(...ranked.map((q) => oddsComparisonRow(q, side)));
+    best[side] = ranked[0] ? { book: ranked[0].bookKey, bookTitle: ranked[0].bookTitle, odds: ranked[0].odds, line: ranked[0].line ?? null } : null;
   }
 
   if (!rows.length) return null;
@@ -1151,6 +1655,7 @@ function buildOddsComparisonForMarketType(marketType, vegasRow) {
     bestBookKey: null,
     bestOdds: null,
     bestLine: null,
+    best,
     booksLastUpdate: vegasRow?.lastUpdate ?? null,
     books: rows,
   };
@@ -1197,66 +1702,57 @@ function buildExplicitMarketNodesFromVegas(markets, vegasRow) {
   };
 }
 
+// The recommended side across books; best = the book the pick was priced at (highest model EV).
 function buildOddsComparisonForCompatMarket(recommendedBet, vegasRow) {
   if (!recommendedBet?.marketType || !recommendedBet?.side || !vegasRow) return null;
 
   const marketType = String(recommendedBet.marketType || "").toLowerCase();
   const side = String(recommendedBet.side || "").toLowerCase();
 
-  let books = [];
-
-  if (marketType === "moneyline") {
-    const odds = side === "home" ? Number(vegasRow?.h2h?.home) : side === "away" ? Number(vegasRow?.h2h?.away) : NaN;
-    if (Number.isFinite(odds)) {
-      books = [{
-        bookKey: vegasRow?.bookmaker ?? null,
-        book: vegasRow?.bookmaker ?? "market",
-        lastUpdate: vegasRow?.lastUpdate ?? null,
-        odds,
-        line: null,
-      }];
-    }
-  } else if (marketType === "spread") {
-    const odds = side === "home" ? Number(vegasRow?.spreads?.homePrice) : side === "away" ? Number(vegasRow?.spreads?.awayPrice) : NaN;
-    const line = side === "home" ? Number(vegasRow?.spreads?.homeSpread) : side === "away" ? Number(vegasRow?.spreads?.awaySpread) : NaN;
-    if (Number.isFinite(odds) && Number.isFinite(line)) {
-      books = [{
-        bookKey: vegasRow?.bookmaker ?? null,
-        book: vegasRow?.bookmaker ?? "market",
-        lastUpdate: vegasRow?.lastUpdate ?? null,
-        odds,
-        line,
-      }];
-    }
-  } else if (marketType === "total") {
-    const odds = side === "over" ? Number(vegasRow?.totals?.overPrice) : side === "under" ? Number(vegasRow?.totals?.underPrice) : NaN;
-    const line = Number(vegasRow?.totals?.total);
-    if (Number.isFinite(odds) && Number.isFinite(line)) {
-      books = [{
-        bookKey: vegasRow?.bookmaker ?? null,
-        book: vegasRow?.bookmaker ?? "market",
-        lastUpdate: vegasRow?.lastUpdate ?? null,
-        odds,
-        line,
-      }];
-    }
-  }
+  const ranked = rankQuotes(marketType, side, sideQuotes(vegasRow, marketType, side, { shop: ODDS_COMPARISON_ALL_BOOKS }));
+  if (!ranked.length) return null;
 
-  if (!books.length) return null;
+  const priced = ranked.find((q) => recommendedBet.book && q.bookKey === recommendedBet.book) || ranked[0];
 
   return {
     preferredBook: vegasRow?.bookmaker ?? null,
-    bestBook: null,
-    bestBookKey: null,
-    bestOdds: null,
-    bestLine: null,
+    bestBook: priced.bookKey ?? null,
+    bestBookKey: priced.bookKey ?? null,
+    bestBookTitle: priced.bookTitle ?? null,
+    bestOdds: priced.odds ?? null,
+    bestLine: priced.line ?? null,
     booksLastUpdate: vegasRow?.lastUpdate ?? null,
-    books,
+    books: ranked.map((q) => oddsComparisonRow(q, side)),
+  };
+}
+
+// Compact per-strategy pick (ledgered to strategy_picks); null = PASS.
+function strategyPickFromCandidate(c) {
+  if (!c) return null;
+  return {
+    marketType: c.marketType,
+    side: c.side,
+    line: c.line ?? null,
+    odds: c.odds ?? null,
+    tier: c.tier ?? null,
+    modelProb: c.modelProb ?? null,
+    edge: c.edge ?? null,
+    evForStake100: c.evForStake100 ?? null,
+    kellyHalf: c.kellyHalf ?? null,
+    premiumScore: c.premiumScore ?? null,
   };
 }
 
-function buildMarketBundle({ league, pHomeWin, meanMargin, meanTotal, vegasRow, isTournamentContext = false }) {
-  const cal = CAL[league] || CAL.nba;
+/** Shadow picks plus the live version's row, built from the bet the builder actually publishes. */
+function withLiveStrategyPick(strategyPicks, liveStrategyId, recommendedBet) {
+  if (!strategyPicks) return null;
+  return { [liveStrategyId]: strategyPickFromCandidate(recommendedBet), ...strategyPicks };
+}
+
+function buildMarketBundle({ league, pHomeWin, meanMargin, meanTotal, totalSd = null, goalDist = null, vegasRow, isTournamentContext = false, strategy = undefined, shadows = [] }) {
+  const cal = calForLeague(league);
+  // a league model with its own per-game total distribution (NCAAM tempo) overrides the flat CAL SD
+  const sdTotal = Number.isFinite(totalSd) && totalSd > 0 ? totalSd : cal.totalSd;
 
   const markets = {
     moneyline: { home: null, away: null },
@@ -1264,65 +1760,59 @@ function buildMarketBundle({ league, pHomeWin, meanMargin, meanTotal, vegasRow,
     total: { over: null, under: null, line: null },
   };
 
-  if (vegasRow?.h2h) {
-    const pHome = Number.isFinite(pHomeWin) ? clampNum(pHomeWin, 0, 1) : null;
-    const pAway = pHome != null ? 1 - pHome : null;
-
-    const homeOdds = vegasRow.h2h.home ?? null;
-    const awayOdds = vegasRow.h2h.away ?? null;
-
-    markets.moneyline.home =
-      homeOdds != null && pHome != null
-        ? { odds: homeOdds, ...computeMarketEV({ oddsAmerican: homeOdds, winProb: pHome }) }
-        : null;
-
-    markets.moneyline.away =
-      awayOdds != null && pAway != null
-        ? { odds: awayOdds, ...computeMarketEV({ oddsAmerican: awayOdds, winProb: pAway }) }
-        : null;
+  // every book's quote for a side priced with the model; the pick is priced (and named) at the best EV
+  function priceAtBestBook(marketType, side, outcomeAt) {
+    let best = null;
+    for (const q of sideQuotes(vegasRow, marketType, side)) {
+      const o = outcomeAt(q.line);
+      if (!o || !Number.isFinite(o.win)) continue;
+      const ev = computeMarketEV({ oddsAmerican: q.odds, winProb: o.win, pushProb: o.push });
+      if (!Number.isFinite(ev.evForStake100)) continue;
+      // preferred book comes first and keeps ties
+      if (best && ev.evForStake100 <= best.evForStake100) continue;
+      best = {
+        ...(marketType === "moneyline" ? {} : { line: q.line }),
+        odds: q.odds,
+        book: q.bookKey,
+        bookTitle: q.bookTitle,
+        shopped: !q.preferred,
+        ...ev,
+        ...marketBenchmark(vegasRow, marketType, side, q.line, q.odds, o.push ? o.win / (1 - o.push) : o.win),
+      };
+    }
+    return best;
   }
 
-  if (vegasRow?.spreads) {
-    const homeLine = Number.isFinite(Number(vegasRow.spreads.homeSpread)) ? Number(vegasRow.spreads.homeSpread) : null;
-    const awayLine = Number.isFinite(Number(vegasRow.spreads.awaySpread)) ? Number(vegasRow.spreads.awaySpread) : null;
-
-    const homeOdds = vegasRow.spreads.homePrice ?? null;
-    const awayOdds = vegasRow.spreads.awayPrice ?? null;
-
-    const pHomeCover = homeLine != null ? coverProbHome(meanMargin, homeLine, cal.marginSd) : null;
-    const pAwayCover = pHomeCover != null ? 1 - pHomeCover : null;
-
-    markets.spread.home =
-      homeOdds != null && pHomeCover != null
-        ? { line: homeLine, odds: homeOdds, ...computeMarketEV({ oddsAmerican: homeOdds, winProb: pHomeCover }) }
-        : null;
-
-    markets.spread.away =
-      awayOdds != null && pAwayCover != null
-        ? { line: awayLine, odds: awayOdds, ...computeMarketEV({ oddsAmerican: awayOdds, winProb: pAwayCover }) }
-        : null;
+  const pHome = Number.isFinite(pHomeWin) ? clampNum(pHomeWin, 0, 1) : null;
+  if (pHome != null) {
+    markets.moneyline.home = priceAtBestBook("moneyline", "home", () => ({ win: pHome, push: 0 }));
+    markets.moneyline.away = priceAtBestBook("moneyline", "away", () => ({ win: 1 - pHome, push: 0 }));
   }
 
-  if (vegasRow?.totals) {
-    const line = Number.isFinite(Number(vegasRow.totals.total)) ? Number(vegasRow.totals.total) : null;
-    const overOdds = vegasRow.totals.overPrice ?? null;
-    const underOdds = vegasRow.totals.underPrice ?? null;
-
-    const pOver = line != null ? overProb(meanTotal, line, cal.totalSd) : null;
-    const pUnder = pOver != null ? 1 - pOver : null;
-
-    markets.total.line = line;
-
-    markets.total.over =
-      overOdds != null && pOver != null
-        ? { odds: overOdds, ...computeMarketEV({ oddsAmerican: overOdds, winProb: pOver }) }
-        : null;
-
-    markets.total.under =
-      underOdds != null && pUnder != null
-        ? { odds: underOdds, ...computeMarketEV({ oddsAmerican: underOdds, winProb: pUnder }) }
-        : null;
-  }
+  // NHL prices off its discrete goal distribution (exact ±1.5, pushes on whole lines)
+  const coverAt = (side) => (line) => {
+    if (goalDist) return spreadOutcome(goalDist, side, line);
+    // side's own line: home covers when margin > −line, away when margin < line
+    const pHomeCover = coverProbHome(meanMargin, side === "home" ? line : -line, cal.marginSd);
+    if (pHomeCover == null) return null;
+    return { win: side === "home" ? pHomeCover : 1 - pHomeCover, push: 0 };
+  };
+  markets.spread.home = priceAtBestBook("spread", "home", coverAt("home"));
+  markets.spread.away = priceAtBestBook("spread", "away", coverAt("away"));
+
+  const totalAt = (side) => (line) => {
+    if (goalDist) return totalOutcome(goalDist, side, line);
+    const pOver = overProb(meanTotal, line, sdTotal);
+    if (pOver == null) return null;
+    return { win: side === "over" ? pOver : 1 - pOver, push: 0 };
+  };
+  markets.total.over = priceAtBestBook("total", "over", totalAt("over"));
+  markets.total.under = priceAtBestBook("total", "under", totalAt("under"));
+  // headline line stays the preferred book's; each side carries the line it was priced at
+  const preferredTotal = Number(vegasRow?.totals?.total);
+  markets.total.line = Number.isFinite(preferredTotal)
+    ? preferredTotal
+    : markets.total.over?.line ?? markets.total.under?.line ?? null;
 
   const candidates = [];
   let bestRejectedCandidate = null;
@@ -1340,6 +1830,11 @@ function buildMarketBundle({ league, pHomeWin, meanMargin, meanTotal, vegasRow,
       side,
       line: payload.line ?? (marketType === "total" ? markets.total.line : null),
       odds: payload.odds ?? null,
+      book: payload.book ?? null,
+      bookTitle: payload.bookTitle ?? null,
+      marketFairProb: payload.marketFairProb ?? null,
+      marketEvForStake100: payload.marketEvForStake100 ?? null,
+      consensus: payload.consensus ?? null,
       modelProb: payload.calWinProb ?? payload.winProb ?? payload.modelProb ?? null,
       rawWinProb: payload.rawWinProb ?? null,
       calWinProb: payload.calWinProb ?? payload.winProb ?? payload.modelProb ?? null,
@@ -1381,105 +1876,121 @@ function buildMarketBundle({ league, pHomeWin, meanMargin, meanTotal, vegasRow,
     candidates.push(bestRejectedCandidate);
   }
 
-  const premiumSelection = applyPremiumSelection(league, candidates);
-  let recommended = premiumSelection.recommended ?? null;
-
-  // Premium quality gate
-  if (recommended) {
-    const e = Number.isFinite(recommended.edge) ? recommended.edge : null;
-    const ev = Number.isFinite(recommended.evForStake100) ? recommended.evForStake100 : null;
-    const kh = Number.isFinite(recommended.kellyHalf) ? recommended.kellyHalf : null;
-    const odds = Number.isFinite(recommended.odds) ? recommended.odds : null;
-    const line = Number.isFinite(recommended.line) ? recommended.line : null;
-    const pModel = Number.isFinite(recommended.modelProb) ? recommended.modelProb : null;
-    const mt = String(recommended.marketType || "").toLowerCase();
-
-    let minEdge = 0.06;
-    let minEv = 5;
-    let minKellyHalf = 0.02;
-
-    if (mt === "moneyline") {
-      
-  if (league === "ncaam") {
-    const wp = num(winProb);
-
-    // NHL calibration (reduce overconfidence)
-    if (lg === "nhl" && wp != null) {
-      wp = 0.5 + (wp - 0.5) * 0.55;
-    }
-    const edge = num(edgeVsMarket);
-
-    // Moneyline (stable base)
-    if (
-      market === "moneyline" &&
-      wp != null && wp >= 0.60
-    ) return true;
-
-    // Totals (broad + proven)
-    if (
-      market === "total" &&
-      wp != null && wp >= 0.58 &&
-      edge != null && edge >= 0.07
-    ) return true;
-
-    return false;
-  }
- else
-      if (league === "nba") {
-        minEdge = 0.03;
-        minEv = 4;
-        minKellyHalf = 0.01;
-      } else {
-        minEdge = 0.04;
-        minEv = 3;
-        minKellyHalf = 0.01;
-      }
-    } else if (mt === "spread") {
-      if (league === "nba") {
+  const premiumSelection = applyPremiumSelection(league, candidates, strategy, { shadows });
+
+  // Premium quality gate (shared by the live pick and every shadow strategy)
+  function qualityGate(recommended) {
+    if (recommended) {
+      const e = Number.isFinite(recommended.edge) ? recommended.edge : null;
+      const ev = Number.isFinite(recommended.evForStake100) ? recommended.evForStake100 : null;
+      const kh = Number.isFinite(recommended.kellyHalf) ? recommended.kellyHalf : null;
+      const odds = Number.isFinite(recommended.odds) ? recommended.odds : null;
+      const line = Number.isFinite(recommended.line) ? recommended.line : null;
+      const pModel = Number.isFinite(recommended.modelProb) ? recommended.modelProb : null;
+      const mt = String(recommended.marketType || "").toLowerCase();
+
+      let minEdge = 0.06;
+      let minEv = 5;
+      let minKellyHalf = 0.02;
+
+      if (mt === "moneyline") {
+        if (league === "ncaam") {
+          const wp = num(winProb);
+
+          // NHL calibration (reduce overconfidence)
+          if (lg === "nhl" && wp != null) {
+            wp = 0.5 + (wp - 0.5) * 0.55;
+          }
+          const edge = num(edgeVsMarket);
+
+          // Moneyline (stable base)
+          if (
+            market === "moneyline" &&
+            wp != null && wp >= 0.60
+          ) return true;
+
+          // Totals (broad + proven)
+          if (
+            market === "total" &&
+            wp != null && wp >= 0.58 &&
+            edge != null && edge >= 0.07
+          ) return true;
+
+          return false;
+        } else if (league === "nba") {
+          minEdge = 0.03;
+          minEv = 4;
+          minKellyHalf = 0.01;
+        } else {
+          minEdge = 0.04;
+          minEv = 3;
+          minKellyHalf = 0.01;
+        }
+      } else if (mt === "spread") {
+        if (league === "nba") {
+          minEdge = 0.055;
+          minEv = 5;
+          minKellyHalf = 0.02;
+        } else {
+          minEdge = 0.045;
+          minEv = 3.5;
+          minKellyHalf = 0.015;
+        }
+      } else if (mt === "total") {
         minEdge = 0.055;
-        minEv = 5;
+        minEv = 4.5;
         minKellyHalf = 0.02;
-      } else {
-        minEdge = 0.045;
-        minEv = 3.5;
-        minKellyHalf = 0.015;
       }
-    } else if (mt === "total") {
-      minEdge = 0.055;
-      minEv = 4.5;
-      minKellyHalf = 0.02;
-    }
 
-    // Tournament totals need stronger discipline
-    if (league === "ncaam" && mt === "total" && isTournamentContext) {
-      minEdge = 0.08;
-      minEv = 8;
-      minKellyHalf = 0.02;
-    }
+      // Tournament totals need stronger discipline
+      if (league === "ncaam" && mt === "total" && isTournamentContext) {
+        minEdge = 0.08;
+        minEv = 8;
+        minKellyHalf = 0.02;
+      }
 
-    if (
-      e == null ||
-      ev == null ||
-      kh == null ||
-      pModel == null ||
-      e < minEdge ||
-      ev < minEv ||
-      kh < minKellyHalf
-    ) {
-      recommended = null;
-    }
+      if (
+        e == null ||
+        ev == null ||
+        kh == null ||
+        pModel == null ||
+        e < minEdge ||
+        ev < minEv ||
+        kh < minKellyHalf
+      ) {
+        recommended = null;
+      }
 
-    // Market sanity filters
-    if (recommended && league === "nba" && mt === "spread" && line != null && Math.abs(line) > 17.5) {
-      recommended = null;
-    }
+      // Market sanity filters
+      if (recommended && league === "nba" && mt === "spread" && line != null && Math.abs(line) > 17.5) {
+        recommended = null;
+      }
+
+      if (recommended && league === "nba" && mt === "moneyline" && odds != null && odds > 700) {
+        recommended = null;
+      }
 
-    if (recommended && league === "nba" && mt === "moneyline" && odds != null && odds > 700) {
-      recommended = null;
+      if (recommended && league === "nhl" && odds != null && odds < -200) {
+        recommended = null;
+      }
     }
+    return recommended;
+  }
+
+  const recommended = qualityGate(premiumSelection.recommended ?? null);
 
-    if (recommended && league === "nhl" && odds != null && odds < -200) {
-      recommended = null;
+  // A/B: each shadow, picked from the same candidates through the same gate. The
+  // live version's row is the published recommendedBet (withLiveStrategyPick).
+  let strategyPicks = null;
+  if (shadows.length) {
+    strategyPicks = {};
+    for (const sh of premiumSelection.shadows || []) {
+      try {
+        strategyPicks[sh.strategyId] = strategyPickFromCandidate(qualityGate(sh.recommended ?? null));
+      } catch (e) {
+        // a shadow must never break the live pick
+        strategyPicks[sh.strategyId] = { error: String(e?.message || e) };
+      }
     }
   }
 
@@ -1488,11 +1999,22 @@ function buildMarketBundle({ league, pHomeWin, meanMargin, meanTotal, vegasRow,
     recommended,
     premiumCandidates: premiumSelection.candidates || [],
     rejectedCandidates: premiumSelection.rejected || [],
+    strategyPicks,
+    // Normal margin/total model behind the spread & total probabilities (parlays price joints off this).
+    // NHL singles use the discrete goal distribution; its expected goals let parlays rebuild it.
+    scoreDist: {
+      meanMargin: Number.isFinite(meanMargin) ? meanMargin : null,
+      meanTotal: Number.isFinite(meanTotal) ? meanTotal : null,
+      marginSd: cal.marginSd,
+      totalSd: sdTotal,
+      favTotalRho: Number.isFinite(cal.favTotalRho) ? cal.favTotalRho : 0,
+      goals: goalDist ? { lambdaHome: goalDist.lambdaHome, lambdaAway: goalDist.lambdaAway } : null,
+    },
   };
 }
 
 function deriveMeansFromStats(league, pHome, homeStats, awayStats) {
-  const cal = CAL[league] || CAL.nba;
+  const cal = calForLeague(league);
 
   const p = Number.isFinite(pHome) ? clampNum(pHome, 0, 1) : 0.5;
   const meanMargin = (p - 0.5) * cal.marginScale;
@@ -1620,7 +2142,7 @@ function buildNbaDisplayName(teamObj, abbrFallback) {
 }
 
 async function getNbaGamesByDate(dateYYYYMMDD) {
-  if (!NBA_API_KEY) throw new Error("Missing NBA_API_KEY (set in apps/api/.env)");
+  if (!NBA_API_KEY && !isReplayMode()) throw new Error("Missing NBA_API_KEY (set in apps/api/.env)");
 
   const url = `${NBA_API_BASE}/games?per_page=100&dates[]=${encodeURIComponent(dateYYYYMMDD)}`;
   const json = await fetchJson(
@@ -1686,7 +2208,7 @@ async function getNbaGamesByDate(dateYYYYMMDD) {
   // so all existing histRows parsing works unchanged.
   // Returns null on failure → caller falls back to Ball Don't Lie.
   async function getOddsApiNbaScores(daysBack) {
-    if (!ODDS_API_KEY) return null;
+    if (!ODDS_API_KEY && !isReplayMode()) return null;
     const cacheKey = `ODDS_NBA_SCORES:d${daysBack}`;
     const cached = getCache(cacheKey);
     if (cached) return cached;
@@ -1721,7 +2243,7 @@ async function getNbaGamesByDate(dateYYYYMMDD) {
 
   
 async function getNbaGamesInRange(startYYYYMMDD, endYYYYMMDD) {
-  if (!NBA_API_KEY) throw new Error("Missing NBA_API_KEY");
+  if (!NBA_API_KEY && !isReplayMode()) throw new Error("Missing NBA_API_KEY");
 
   const cacheKey = `NBA_DATES_RANGE:${startYYYYMMDD}:${endYYYYMMDD}`;
   const cached = getCache(cacheKey);
@@ -1765,6 +2287,58 @@ async function getNbaGamesInRange(startYYYYMMDD, endYYYYMMDD) {
   return all;
 }
 
+// Completed NBA games in the stat window ending the day before `dateYYYYMMDD`.
+// Try The Odds API first (fast, no rate limit) — falls back to Ball Don't Lie
+// for historical backtest dates that are outside the Odds API rolling window.
+async function getNbaHistory(dateYYYYMMDD, windowDays) {
+  const end = addDaysUTC(dateYYYYMMDD, -1);
+  const start = addDaysUTC(end, -(windowDays - 1));
+
+  // Dynamic: calculate how far back Odds API /scores must reach for this date's stat window.
+  // Live picks ≈ 16 days; 30-day backtest up to ≈ 46 days back.
+  const endDaysAgo = Math.round((Date.now() - new Date(end + "T00:00:00Z").getTime()) / 86_400_000);
+  const neededDaysFrom = endDaysAgo + windowDays + 2;
+  const maxOddsScoresDays = Number(process.env.ODDS_SCORES_MAX_DAYS || 60);
+
+  // Use the max allowed window for every call so all backtest dates share one cache entry.
+  // Replay ignores the wall clock: whatever was recorded for this window is served.
+  const callDays = isReplayMode() || neededDaysFrom <= maxOddsScoresDays ? maxOddsScoresDays : null;
+  const oddsRows = (ODDS_API_KEY || isReplayMode()) && callDays ? await getOddsApiNbaScores(callDays) : null;
+  if (oddsRows !== null) {
+    const ranged = oddsRows.filter((g) => g.date >= start && g.date <= end);
+    if (ranged.length > 0) return ranged; // Odds API covers this window — use it
+  }
+
+  try {
+    return await getNbaGamesInRange(start, end);
+  } catch (_) {
+    return [];
+  }
+}
+
+function buildNbaTeamStatsFromHistory(histRows) {
+  return buildTeamStatsFromHistory_Generic(histRows, {
+    recent5: 5,
+    recent10: 10,
+    scoreFn: (g) => {
+      const hs = g?.home_team_score;
+      const as = g?.visitor_team_score;
+      if (typeof hs !== "number" || typeof as !== "number") return null;
+      const homeAbbr = g?.home_team?.abbreviation;
+      const awayAbbr = g?.visitor_team?.abbreviation;
+      if (!homeAbbr || !awayAbbr) return null;
+      return {
+        date: String(g?.date || "").slice(0, 10),
+        homeId: toNbaTeamId(homeAbbr),
+        awayId: toNbaTeamId(awayAbbr),
+        homeScore: hs,
+        awayScore: as,
+        venue: homeAbbr,
+      };
+    },
+  });
+}
+
 function buildTeamStatsFromHistory_Generic(histRows, { recent5 = 5, recent10 = 10, scoreFn }) {
   const byTeamGames = new Map();
   function add(teamId, game) {
@@ -1776,13 +2350,13 @@ function buildTeamStatsFromHistory_Generic(histRows, { recent5 = 5, recent10 = 1
     const parsed = scoreFn(g);
     if (!parsed) continue;
 
-    const { date, homeId, awayId, homeScore, awayScore } = parsed;
+    const { date, homeId, awayId, homeScore, awayScore, venue = null } = parsed;
     if (!homeId || !awayId) continue;
     if (!Number.isFinite(homeScore) || !Number.isFinite(awayScore)) continue;
     if (homeScore === 0 && awayScore === 0) continue;
 
-    add(homeId, { date, my: homeScore, opp: awayScore });
-    add(awayId, { date, my: awayScore, opp: homeScore });
+    add(homeId, { date, my: homeScore, opp: awayScore, home: true, venue });
+    add(awayId, { date, my: awayScore, opp: homeScore, home: false, venue });
   }
 
   const out = new Map();
@@ -1822,6 +2396,8 @@ function buildTeamStatsFromHistory_Generic(histRows, { recent5 = 5, recent10 = 1
       recent10: recentN(recent10),
       pointsForPerGame: pf / played,
       pointsAgainstPerGame: pa / played,
+      // newest first; rest / travel features (lib/scheduleFeatures.js)
+      schedule: games.slice(0, 10).map(({ date, home, venue }) => ({ date, home, venue })),
     });
   }
 
@@ -1838,7 +2414,8 @@ function pickThresholdFromUncertainty(homePlayed, awayPlayed, base = 0.03) {
   const unc = n > 0 ? 1 / Math.sqrt(n) : 1;
   return clampNum(base + 0.06 * unc, 0.03, 0.12);
 }
-function nbaEdge(home, away, mode = "v2") {
+// scheduleEdge: home-minus-away rest/travel term from lib/scheduleFeatures.js
+function nbaEdge(home, away, mode = "v2", scheduleEdge = 0) {
   if (!home?.ok || !away?.ok) return NaN;
 
   if (mode === "v1") {
@@ -1851,7 +2428,7 @@ function nbaEdge(home, away, mode = "v2") {
     const r10Diff = (safeNum(home.recent10?.winPct) ?? 0.5) - (safeNum(away.recent10?.winPct) ?? 0.5);
     const r5MarginScaled = clampNum(((safeNum(home.recent5?.margin) ?? 0) - (safeNum(away.recent5?.margin) ?? 0)) / 14, -1, 1);
     const homeAdv = 0.018;
-    return wWin * winDiff + wMargin * marginScaled + wR10 * r10Diff + wR5 * r5MarginScaled + homeAdv;
+    return wWin * winDiff + wMargin * marginScaled + wR10 * r10Diff + wR5 * r5MarginScaled + homeAdv + scheduleEdge;
   }
 
   const nH = home.played ?? 0;
@@ -1883,7 +2460,7 @@ function nbaEdge(home, away, mode = "v2") {
   const wR5m = 0.12;
   const homeAdv = 0.012;
 
-  return wWin * winDiff + wMargin * marginDiff + wR10 * r10Diff + wR5m * r5MarginDiff + homeAdv;
+  return wWin * winDiff + wMargin * marginDiff + wR10 * r10Diff + wR5m * r5MarginDiff + homeAdv + scheduleEdge;
 }
 function nbaProbFromEdge(edge, edgeScale = 0.11) {
   if (!Number.isFinite(edge)) return 0.5;
@@ -1896,7 +2473,7 @@ function normalizeValueEdge(homeValueEdgeSigned) {
   return clampNum(shrunk, -0.20, 0.20);
 }
 
-function buildWhy({ marketPick, notes = [], deltas = [] }) {
+function buildWhy({ marketPick, notes = [], deltas = [], availability = [] }) {
   const bullets = [];
   if (!marketPick) bullets.push("PASS: no qualifying market met EV/Kelly gates.");
   else
@@ -1906,12 +2483,16 @@ function buildWhy({ marketPick, notes = [], deltas = [] }) {
 
   for (const n of notes.slice(0, 2)) bullets.push(n);
 
+  // lineup bullets are extra: they don't displace the probability deltas
+  const lineup = availability.filter(Boolean).slice(0, 2);
+  for (const a of lineup) bullets.push(`Availability: ${a}`);
+
   for (const d of deltas.slice(0, 3)) {
     if (!d?.label || !Number.isFinite(d?.value)) continue;
     const sign = d.value > 0 ? "+" : "";
     bullets.push(`${d.label}: ${sign}${d.value.toFixed(d.dp ?? 3)}${d.suffix ?? ""}`);
   }
-  return { bullets: bullets.slice(0, 6) };
+  return { bullets: bullets.slice(0, 6 + lineup.length) };
 }
 
 
@@ -1964,14 +2545,16 @@ function eloProbHome(homeElo, awayElo, homeAdv = 0.02) {
 }
 // ─────────────────────────────────────────────────────────────────────────────
 
-async function buildNbaPredictions(dateYYYYMMDD, windowDays, { modelVersion = "v2" } = {}) {
+async function buildNbaPredictions(dateYYYYMMDD, windowDays, { modelVersion = "v2", sim = null, model = null } = {}) {
   const mv = modelVersion === "v1" ? "v1" : "v2";
-  const key = `PREDV24:nba:${dateYYYYMMDD}:w${windowDays}:m${mv}`;
+  // slate, history, team stats, edge and probability mapping come from the registered model
+  const m = model || getLeagueModel("nba", mv);
+  const key = `PREDV24:nba:${dateYYYYMMDD}:w${windowDays}:m${mv}${simCacheKey(sim)}`;
 
   return computeCached(key, HEAVY_CACHE_TTL_MS, async () => {
     const t0 = Date.now();
 
-    const slate = await getNbaGamesByDate(dateYYYYMMDD);
+    const slate = await m.fetchSlate(dateYYYYMMDD);
     if (!slate.length) {
       return {
         meta: {
@@ -1988,36 +2571,12 @@ async function buildNbaPredictions(dateYYYYMMDD, windowDays, { modelVersion = "v
       };
     }
 
-    const odds = await fetchVegasForLeagueDate("nba", dateYYYYMMDD);
+    const odds = await loadVegasForSlate("nba", dateYYYYMMDD, sim);
     const oddsMap = odds.ok ? odds.map : new Map();
     const warnings = [];
     if (!odds.ok) warnings.push(`Odds unavailable: ${String(odds.reason || "unknown")}`);
 
-    const end = addDaysUTC(dateYYYYMMDD, -1);
-    const start = addDaysUTC(end, -(windowDays - 1));
-    // Try The Odds API first (fast, no rate limit) — falls back to Ball Don't Lie
-      // for historical backtest dates that are outside the Odds API rolling window.
-      // Dynamic: calculate how far back Odds API /scores must reach for this date's stat window.
-      // Live picks ≈ 16 days; 30-day backtest up to ≈ 46 days back.
-      const _endDaysAgo = Math.round((Date.now() - new Date(end + 'T00:00:00Z').getTime()) / 86_400_000);
-      const _neededDaysFrom = _endDaysAgo + windowDays + 2;
-      const _maxOddsScoresDays = Number(process.env.ODDS_SCORES_MAX_DAYS || 60);
-      let histRows;
-      {
-        // Use the max allowed window for every call so all backtest dates share one cache entry
-          const _callDays = (_neededDaysFrom <= _maxOddsScoresDays) ? _maxOddsScoresDays : null;
-          const oddsRows = (ODDS_API_KEY && _callDays) ? await getOddsApiNbaScores(_callDays) : null;
-        if (oddsRows !== null) {
-          const ranged = oddsRows.filter(g => g.date >= start && g.date <= end);
-          if (ranged.length > 0) {
-            histRows = ranged; // Odds API covers this window — use it
-          } else {
-            try { histRows = await getNbaGamesInRange(start, end); } catch (_) { histRows = []; }
-          }
-        } else {
-          try { histRows = await getNbaGamesInRange(start, end); } catch (_) { histRows = []; }
-        }
-      }
+    const histRows = await m.fetchHistory(dateYYYYMMDD, windowDays);
 
     // ─── Elo ratings from historical NBA data ───────────────────────────────
     const nbaEloParsed = histRows.map(g => {
@@ -2029,78 +2588,68 @@ async function buildNbaPredictions(dateYYYYMMDD, windowDays, { modelVersion = "v
     }).filter(Boolean);
     const nbaEloMap = computeEloMap(nbaEloParsed);
 
-    // ─── Back-to-back detection ────────────────────────────────────────────
-    const nbaYesterday = addDaysUTC(dateYYYYMMDD, -1);
-    const nbaB2BTeams = new Set();
-    histRows.forEach(g => {
-      const d = String(g?.date || '').slice(0, 10);
-      if (d !== nbaYesterday) return;
-      const ha = g?.home_team?.abbreviation; const aa = g?.visitor_team?.abbreviation;
-      if (ha) nbaB2BTeams.add(toNbaTeamId(ha));
-      if (aa) nbaB2BTeams.add(toNbaTeamId(aa));
-    });
-
-    // ─── Injury penalty (Ball Don't Lie) ──────────────────────────────────
-    const nbaInjuryPenalty = new Map();
-    try {
-      const injUrl = `${NBA_API_BASE}/player_injuries?per_page=100`;
-      const injData = await fetchJson(injUrl, { headers: { Authorization: NBA_API_KEY } }, { cacheTtlMs: 30 * 60_000, hostConcurrency: 1, retries: 1, timeoutMs: 8_000 });
-      const injured = Array.isArray(injData?.data) ? injData.data : [];
-      const teamOutCounts = new Map();
-      for (const pl of injured) {
-        const abbr = pl?.team?.abbreviation;
-        if (!abbr || String(pl?.status || '').toLowerCase() !== 'out') continue;
-        const id = toNbaTeamId(abbr);
-        teamOutCounts.set(id, (teamOutCounts.get(id) || 0) + 1);
+    // ─── Availability (injuries / lineup status) ───────────────────────────
+    // Only the current report is available, so walk-forward runs skip it.
+    let availability = { ok: false, source: "off", teams: new Map() };
+    if (!sim) {
+      const teamAbbrById = new Map();
+      for (const row of histRows) {
+        for (const t of [row?.home_team, row?.visitor_team]) {
+          if (t?.id != null && t?.abbreviation) teamAbbrById.set(Number(t.id), t.abbreviation);
+        }
       }
-      // Each confirmed Out player = -0.012 win probability (capped at 0.04)
-      for (const [id, cnt] of teamOutCounts.entries()) nbaInjuryPenalty.set(id, Math.min(0.04, cnt * 0.012));
-    } catch (_) { /* Injury API unavailable — no adjustment applied */ }
+      availability = await loadNbaAvailability({
+        date: dateYYYYMMDD,
+        fetchJson,
+        apiBase: NBA_API_BASE,
+        apiKey: NBA_API_KEY,
+        teamAbbrById,
+      });
+      if (!availability.ok) warnings.push(`Availability unavailable (${availability.source}): ${availability.error}`);
+      else if (availability.statsError) warnings.push(`Availability impacts estimated: ${availability.statsError}`);
+    }
     // ──────────────────────────────────────────────────────────────────────
 
-    const teamStats = buildTeamStatsFromHistory_Generic(histRows, {
-      recent5: 5,
-      recent10: 10,
-      scoreFn: (g) => {
-        const hs = g?.home_team_score;
-        const as = g?.visitor_team_score;
-        if (typeof hs !== "number" || typeof as !== "number") return null;
-        const homeAbbr = g?.home_team?.abbreviation;
-        const awayAbbr = g?.visitor_team?.abbreviation;
-        if (!homeAbbr || !awayAbbr) return null;
-        return {
-          date: String(g?.date || "").slice(0, 10),
-          homeId: toNbaTeamId(homeAbbr),
-          awayId: toNbaTeamId(awayAbbr),
-          homeScore: hs,
-          awayScore: as,
-        };
-      },
-    });
+    const teamStats = m.buildTeamStats(histRows, dateYYYYMMDD);
 
       const games = [];
       let noBetCount = 0;
       let modelOnlyCount = 0;
 
+      // registry parsed once per slate, not per game
+      const shadows = sim ? [] : getShadowStrategies();
+      const liveStrategyId = getLiveStrategy().id;
+
       for (const g of slate) {
       const homeS = teamStats.get(g.home.id) || { ok: false };
       const awayS = teamStats.get(g.away.id) || { ok: false };
 
-      const statEdge = nbaEdge(homeS, awayS, mv);
-      const pStatModel = nbaProbFromEdge(statEdge, 0.11);
+      // Missing players, in points of margin, shift both ratings before they become probabilities
+      const homeAvail = availability.teams.get(String(g.home.abbr || "").toUpperCase()) || null;
+      const awayAvail = availability.teams.get(String(g.away.abbr || "").toUpperCase()) || null;
+      const availPts = (awayAvail?.missingPts ?? 0) - (homeAvail?.missingPts ?? 0);
+
+      // Rest, back-to-back, 3-in-4, road trip and travel (weights in config/scheduleWeights.js)
+      const sched = scheduleEdgeForGame("nba", {
+        date: dateYYYYMMDD,
+        homeSchedule: homeS.schedule,
+        awaySchedule: awayS.schedule,
+        homeVenue: g.home.abbr,
+      });
+
+      const availEdge = NBA_EDGE_PER_POINT * availPts;
+      const baseEdge = m.edge(homeS, awayS) + availEdge;
+      const statEdge = m.edge(homeS, awayS, { scheduleEdge: sched.edge }) + availEdge;
+      const pStatModel = m.probFromEdge(statEdge);
       // Blend Elo (60%) with stat-based model (40%) for stronger team quality signal
       const eloH = nbaEloMap.get(g.home.id);
       const eloA = nbaEloMap.get(g.away.id);
-      const pEloBlend = (eloH != null && eloA != null) ? eloProbHome(eloH, eloA, 0.02) : null;
-      const pHomeBase = pEloBlend != null ? 0.60 * pEloBlend + 0.40 * pStatModel : pStatModel;
-      // Back-to-back: rested team gets +3.5% win probability
-      const homeB2B = nbaB2BTeams.has(g.home.id);
-      const awayB2B = nbaB2BTeams.has(g.away.id);
-      const b2bAdj = (homeB2B && !awayB2B) ? -0.035 : (awayB2B && !homeB2B) ? 0.035 : 0;
-      // Injury: each confirmed Out player = -1.2% win prob (capped at -4%)
-      const homeInjPenalty = nbaInjuryPenalty.get(g.home.id) ?? 0;
-      const awayInjPenalty = nbaInjuryPenalty.get(g.away.id) ?? 0;
-      const pHomeModel = clampNum(pHomeBase + b2bAdj - homeInjPenalty + awayInjPenalty, 0.25, 0.80);
+      const pEloBlend =
+        eloH != null && eloA != null ? eloProbHome(eloH + (ELO_PER_POINT * availPts) / 2, eloA - (ELO_PER_POINT * availPts) / 2, 0.02) : null;
+      const blendNba = (pStat) => (pEloBlend != null ? 0.60 * pEloBlend + 0.40 * pStat : pStat);
+      const pHomeModel = clampNum(blendNba(pStatModel), 0.25, 0.80);
+      // same model without the schedule term, so backtests can score the features
+      const pHomeNoSchedule = clampNum(blendNba(m.probFromEdge(baseEdge)), 0.25, 0.80);
 
       const vegasRow = odds.ok ? lookupVegasNba(oddsMap, g.home.name, g.away.name) : null;
 
@@ -2138,6 +2687,8 @@ async function buildNbaPredictions(dateYYYYMMDD, windowDays, { modelVersion = "v
             meanTotal: means.meanTotal,
             vegasRow,
             isTournamentContext: typeof isT !== 'undefined' ? isT : false,
+            strategy: sim?.strategy,
+            shadows,
           })
         : {
             markets: {
@@ -2199,6 +2750,10 @@ if (!pick.pick) noBetCount++;
           { label: "Home winProb (anchored)", value: pHomeAnchored, dp: 3 },
           ...(Number.isFinite(pHomeMarket) ? [{ label: "Home winProb (market)", value: pHomeMarket, dp: 3 }] : []),
         ],
+        availability: [
+          describeTeamAvailability(g.home.abbr, homeAvail),
+          describeTeamAvailability(g.away.abbr, awayAvail),
+        ],
       });
 
       const recommendedBet = recommended
@@ -2207,6 +2762,11 @@ if (!pick.pick) noBetCount++;
             side: recommended.side,
             line: recommended.line ?? null,
             odds: recommended.odds ?? null,
+            book: recommended.book ?? null,
+            bookTitle: recommended.bookTitle ?? null,
+            marketFairProb: recommended.marketFairProb ?? null,
+            marketEvForStake100: recommended.marketEvForStake100 ?? null,
+            disagreement: recommended.disagreement ?? null,
             tier:
   (recommended.edge ?? 0) >= 0.06
     ? "ELITE"
@@ -2250,6 +2810,7 @@ if (!pick.pick) noBetCount++;
         date: dateYYYYMMDD,
         status: g.status,
         eventStart: vegasRow?.eventStart ?? null,
+        ...(sim ? { oddsSnapshotAt: vegasRow?.snapshotAt ?? null } : {}),
 
         home: g.home,
         away: g.away,
@@ -2267,12 +2828,21 @@ if (!pick.pick) noBetCount++;
           pHomeMarket: Number.isFinite(pHomeMarket) ? pHomeMarket : null,
           homeValueEdgeSigned,
           minEdgeForDirectionalLean: minEdge,
+          schedule: { edge: sched.edge, home: sched.home, away: sched.away, pHomeNoSchedule },
+          availability: {
+            source: availability.source,
+            netPtsHome: Math.round(availPts * 100) / 100,
+            home: homeAvail,
+            away: awayAvail,
+          },
         },
 
         markets: marketBundle.markets,
         ...buildExplicitMarketNodesFromVegas(marketBundle.markets, vegasRow),
         premiumCandidates: marketBundle.premiumCandidates || [],
         rejectedCandidates: marketBundle.rejectedCandidates || [],
+        strategyPicks: withLiveStrategyPick(marketBundle.strategyPicks, liveStrategyId, recommendedBet),
+        scoreDist: marketBundle.scoreDist || null,
         recommendedBet,
 
         market: {
@@ -2308,6 +2878,10 @@ if (!pick.pick) noBetCount++;
           reason: odds.ok ? null : String(odds.reason || "unknown"),
           events: Number.isFinite(odds?.meta?.events) ? odds.meta.events : null,
           bookmaker: odds?.meta?.bookmaker || ODDS_BOOKMAKER,
+          provider: odds?.meta?.provider ?? null,
+          failover: odds?.meta?.failover ?? null,
+          manual: odds?.meta?.manual ?? null,
+          quota: odds?.meta?.quota ?? null,
           url: odds?.meta?.url || null,
           sampleKeys: Array.isArray(odds?.meta?.sampleKeys) ? odds.meta.sampleKeys : null,
         },
@@ -2394,6 +2968,92 @@ async function getNhlScoreboardByDate(dateYYYYMMDD) {
   const events = Array.isArray(json?.events) ? json.events : [];
   return events.map(normalizeEspnNhlEventToGame).filter(Boolean);
 }
+/**
+ * Scheduled start per game from a league's ESPN scoreboard, for the snapshot scheduler
+ * (cron/snapshotScheduler.js). Also tells the Odds API credit planner how close the slate is.
+ */
+async function getSlateStartTimes(league, dateYYYYMMDD) {
+  const path = ESPN_LIVE_PATHS[league];
+  if (!path) return [];
+
+  const url = `${ESPN_SITE_V2}/${path}/scoreboard?dates=${encodeURIComponent(toEspnYYYYMMDD(dateYYYYMMDD))}`;
+  const json = await fetchJson(url, {}, { cacheTtlMs: HEAVY_CACHE_TTL_MS, retries: 2, hostConcurrency: 3, timeoutMs: 15_000 });
+
+  const out = [];
+  for (const event of Array.isArray(json?.events) ? json.events : []) {
+    const comp = event?.competitions?.[0];
+    const home = comp?.competitors?.find((c) => c?.homeAway === "home")?.team;
+    const away = comp?.competitors?.find((c) => c?.homeAway === "away")?.team;
+    const start = event?.date || comp?.date || null;
+    if (!Number.isFinite(Date.parse(start || ""))) continue;
+    out.push({
+      eventId: String(event.id),
+      start: new Date(Date.parse(start)).toISOString(),
+      state: String((comp?.status || event?.status)?.type?.state || "pre").toLowerCase(),
+      home: home?.displayName ?? null,
+      away: away?.displayName ?? null,
+    });
+  }
+  rememberSlateStarts(league, dateYYYYMMDD, out.map((g) => g.start));
+  return out;
+}
+
+/**
+ * In-game state (score, period, clock) from a league's ESPN scoreboard, for GET /api/live.
+ * Short-cached: polled while games are on.
+ */
+async function getLiveScoreboard(league, dateYYYYMMDD) {
+  const path = ESPN_LIVE_PATHS[league];
+  if (!path) return [];
+
+  const url = `${ESPN_SITE_V2}/${path}/scoreboard?dates=${encodeURIComponent(toEspnYYYYMMDD(dateYYYYMMDD))}`;
+  const json = await fetchJson(url, {}, { cacheTtlMs: LIVE_CACHE_TTL_MS, retries: 2, hostConcurrency: 3, timeoutMs: 10_000 });
+
+  const out = [];
+  for (const event of Array.isArray(json?.events) ? json.events : []) {
+    const comp = event?.competitions?.[0];
+    const home = comp?.competitors?.find((c) => c?.homeAway === "home");
+    const away = comp?.competitors?.find((c) => c?.homeAway === "away");
+    if (!home?.team?.id || !away?.team?.id) continue;
+
+    const status = comp?.status || event?.status || {};
+    out.push({
+      eventId: String(event.id),
+      state: String(status?.type?.state || "pre").toLowerCase(),
+      period: Number(status?.period) || 0,
+      clock: status?.displayClock ?? null,
+      detail: status?.type?.shortDetail || status?.type?.detail || null,
+      homeTeamId: String(home.team.id),
+      awayTeamId: String(away.team.id),
+      homeAbbr: home.team.abbreviation || "",
+      awayAbbr: away.team.abbreviation || "",
+      homeScore: espnCompetitorScore(home),
+      awayScore: espnCompetitorScore(away),
+    });
+  }
+  return out;
+}
+
+/**
+ * Pre-game score distribution for a slate game. Games priced without odds carry no
+ * scoreDist, so fall back to the league CAL around the model's win probability.
+ */
+function pregameScoreDist(league, game) {
+  if (game?.scoreDist && Number.isFinite(game.scoreDist.meanMargin)) return game.scoreDist;
+
+  const cal = calForLeague(league);
+  const pHome = Number(game?.model?.pHomeModel);
+  if (!Number.isFinite(pHome)) return null;
+  const means = deriveMeansFromStats(league, pHome, null, null);
+  return {
+    meanMargin: means.meanMargin,
+    meanTotal: Number.isFinite(game?.model?.tempo?.total) ? game.model.tempo.total : means.meanTotal,
+    marginSd: cal.marginSd,
+    totalSd: Number.isFinite(game?.model?.tempo?.totalSd) ? game.model.tempo.totalSd : cal.totalSd,
+    favTotalRho: Number.isFinite(cal.favTotalRho) ? cal.favTotalRho : 0,
+  };
+}
+
 async function getNhlHistory(endDateYYYYMMDD, historyDays) {
   const days = [];
   for (let i = historyDays; i >= 1; i--) days.push(addDaysUTC(endDateYYYYMMDD, -i));
@@ -2415,6 +3075,48 @@ async function getNhlHistory(endDateYYYYMMDD, historyDays) {
   await Promise.all(Array.from({ length: Math.min(POOL, days.length) }, () => worker()));
   return out;
 }
+// Parsed goalie lines per final (event id → lines). Finals don't change, so entries never
+// expire; the raw summaries are large and stay out of the shared fetch cache.
+const NHL_GOALIE_LINES_MAX = 4000;
+const nhlGoalieLines = new Map();
+
+// Goalie lines for the slate teams' recent finals (ESPN summaries)
+async function getNhlGoalieGames(history, teamIds, endDateYYYYMMDD) {
+  const cutoff = Date.parse(`${endDateYYYYMMDD}T00:00:00Z`);
+  const events = history.filter(
+    (g) =>
+      g.status === "Final" &&
+      Date.parse(g.date) < cutoff &&
+      (teamIds.has(g.homeTeamId) || teamIds.has(g.awayTeamId))
+  );
+
+  const out = [];
+  let idx = 0;
+  async function worker() {
+    while (idx < events.length) {
+      const ev = events[idx++];
+      const key = String(ev.id);
+      try {
+        let lines = nhlGoalieLines.get(key);
+        if (!lines) {
+          const summary = await fetchJson(
+            `${ESPN_SITE_V2}/${ESPN_NHL_PATH}/summary?event=${encodeURIComponent(ev.id)}`,
+            {},
+            { cacheTtlMs: 0, retries: 2, hostConcurrency: 3, timeoutMs: 15_000 }
+          );
+          lines = parseGoalieLines(summary);
+          // a boxscore can lag the final whistle: only keep one that has goalie lines
+          if (lines.length) nhlGoalieLines.set(key, lines);
+          if (nhlGoalieLines.size > NHL_GOALIE_LINES_MAX) nhlGoalieLines.delete(nhlGoalieLines.keys().next().value);
+        }
+        if (lines.length) out.push({ date: String(ev.date).slice(0, 10), lines });
+      } catch (_) { /* one missing boxscore only thins the sample */ }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(3, events.length) }, () => worker()));
+  return out;
+}
 function buildNhlTeamStatsFromHistory(history, endDateYYYYMMDD, recentN = 10) {
   const cutoff = Date.parse(`${endDateYYYYMMDD}T00:00:00Z`);
   const byTeamGames = new Map();
@@ -2429,8 +3131,9 @@ function buildNhlTeamStatsFromHistory(history, endDateYYYYMMDD, recentN = 10) {
     const t = g.date ? Date.parse(g.date) : null;
     if (!t || t >= cutoff) continue;
 
-    add(g.homeTeamId, { date: g.date?.slice(0, 10) || "", my: g.homeScore, opp: g.awayScore });
-    add(g.awayTeamId, { date: g.date?.slice(0, 10) || "", my: g.awayScore, opp: g.homeScore });
+    const venue = g.homeAbbr || null;
+    add(g.homeTeamId, { date: g.date?.slice(0, 10) || "", my: g.homeScore, opp: g.awayScore, home: true, venue });
+    add(g.awayTeamId, { date: g.date?.slice(0, 10) || "", my: g.awayScore, opp: g.homeScore, home: false, venue });
   }
 
   const out = new Map();
@@ -2474,12 +3177,13 @@ function buildNhlTeamStatsFromHistory(history, endDateYYYYMMDD, recentN = 10) {
       recentMargin: recent.length ? rMargin / recent.length : null,
       pointsForPerGame: pf / played,
       pointsAgainstPerGame: pa / played,
+      schedule: games.slice(0, 10).map(({ date, home, venue }) => ({ date, home, venue })),
     });
   }
 
   return out;
 }
-function nhlEdge(home, away) {
+function nhlEdge(home, away, scheduleEdge = 0) {
   if (!home?.ok || !away?.ok) return NaN;
 
   // Pythagorean win% is the primary quality signal (stable, mean-regressing).
@@ -2500,7 +3204,7 @@ function nhlEdge(home, away) {
 
   // NHL home teams win ~55% of games. Old value of 0.012 was negligible.
   const homeAdv = 0.06;
-  return wWin * winDiff + wMargin * marginScaled + wRecent * recentDiff + homeAdv;
+  return wWin * winDiff + wMargin * marginScaled + wRecent * recentDiff + homeAdv + scheduleEdge;
 }
 function nhlProbFromEdge(edge, edgeScale = 0.22) {
   // edgeScale 0.17→0.22: model was overconfident given weak raw feature signal.
@@ -2510,14 +3214,21 @@ function nhlProbFromEdge(edge, edgeScale = 0.22) {
   return clampNum(sigmoid(edge / edgeScale), 0.30, 0.70);
 }
 
-async function buildNhlPredictions(dateYYYYMMDD, windowDays) {
+function describeStarter(abbr, s, vsUsual) {
+  if (!s) return `${abbr} starter unknown`;
+  const sign = vsUsual >= 0 ? "+" : "";
+  return `${abbr} ${s.name || "?"} (${s.status}, ${sign}${vsUsual.toFixed(2)} goals/gm vs usual)`;
+}
+
+async function buildNhlPredictions(dateYYYYMMDD, windowDays, { sim = null, model = null } = {}) {
+  const m = model || getLeagueModel("nhl");
   const historyDays = clampNum(Number(windowDays) || 40, 14, 120);
-  const key = `PREDV24:nhl:${dateYYYYMMDD}:w${historyDays}`;
+  const key = `PREDV24:nhl:${dateYYYYMMDD}:w${historyDays}${simCacheKey(sim)}`;
 
   return computeCached(key, HEAVY_CACHE_TTL_MS, async () => {
     const t0 = Date.now();
 
-    const slate = await getNhlScoreboardByDate(dateYYYYMMDD);
+    const slate = await m.fetchSlate(dateYYYYMMDD);
     if (!slate.length) {
       return {
         meta: {
@@ -2534,13 +3245,13 @@ async function buildNhlPredictions(dateYYYYMMDD, windowDays) {
       };
     }
 
-    const odds = await fetchVegasForLeagueDate("nhl", dateYYYYMMDD);
+    const odds = await loadVegasForSlate("nhl", dateYYYYMMDD, sim);
     const oddsMap = odds.ok ? odds.map : new Map();
     const warnings = [];
     if (!odds.ok) warnings.push(`Odds unavailable: ${String(odds.reason || "unknown")}`);
 
-    const history = await getNhlHistory(dateYYYYMMDD, historyDays);
-    const teamStats = buildNhlTeamStatsFromHistory(history, dateYYYYMMDD, 10);
+    const history = await m.fetchHistory(dateYYYYMMDD, historyDays);
+    const teamStats = m.buildTeamStats(history, dateYYYYMMDD);
 
     // ─── NHL Elo ratings from season history ─────────────────────────────────
     const nhlEloParsed = history.map(g => ({
@@ -2551,59 +3262,78 @@ async function buildNhlPredictions(dateYYYYMMDD, windowDays) {
       awayScore: g.awayScore,
     })).filter(g => g.homeId && g.awayId && Number.isFinite(g.homeScore) && Number.isFinite(g.awayScore));
     const nhlEloMap = computeEloMap(nhlEloParsed, 1500, 16);
-
-    // ─── NHL back-to-back detection ───────────────────────────────────────────
-    const nhlYesterday = addDaysUTC(dateYYYYMMDD, -1);
-    const nhlB2BTeams = new Set();
-    history.forEach(g => {
-      if (String(g.date || '').slice(0, 10) !== nhlYesterday) return;
-      if (g.homeTeamId) nhlB2BTeams.add(g.homeTeamId);
-      if (g.awayTeamId) nhlB2BTeams.add(g.awayTeamId);
-    });
-
-    // ─── NHL starting goalie adjustment (ESPN API — fallback no-op) ───────────
-    const nhlGoalieStatus = new Map();
-    try {
-      const espnNhlSB = await fetchJson(
-        `${ESPN_SITE_V2}/${ESPN_NHL_PATH}/scoreboard?dates=${toEspnYYYYMMDD(dateYYYYMMDD)}`,
-        {},
-        { cacheTtlMs: HEAVY_CACHE_TTL_MS, retries: 2, timeoutMs: 10_000 }
-      );
-      for (const ev of (espnNhlSB?.events || [])) {
-        for (const comp of (ev?.competitions || [])) {
-          const pg = comp?.probableStartingGoalie;
-          if (!pg?.team?.id) continue;
-          const isStarter = pg?.isStarter !== false;
-          nhlGoalieStatus.set(String(pg.team.id), isStarter ? 'starter' : 'backup');
-        }
+    const goalRatings = buildGoalRatings(history, dateYYYYMMDD);
+    if (!goalRatings.ok) warnings.push("Goal model unavailable (no finals in window); puck line/totals use the normal approximation.");
+
+    // ─── NHL starting goalies (lib/nhlGoalies.js) ─────────────────────────────
+    const slateTeamIds = new Set(slate.flatMap((g) => [g.homeTeamId, g.awayTeamId]));
+    const goalieRatings = buildGoalieRatings(await getNhlGoalieGames(history, slateTeamIds, dateYYYYMMDD));
+    const manualStarters = new Map();
+    let espnProbables = new Map();
+    // hand-entered and ESPN starters only exist for the live slate; walk-forward runs project from history
+    if (!sim) {
+      try {
+        for (const r of await getGoalieStartersForDate(dateYYYYMMDD)) manualStarters.set(String(r.team_abbr).toUpperCase(), r);
+      } catch (e) {
+        warnings.push(`Goalie starters unavailable: ${String(e?.message || e)}`);
       }
-    } catch (_) { /* Goalie API unavailable — no adjustment applied */ }
+      try {
+        espnProbables = parseEspnProbables(
+          await fetchJson(
+            `${ESPN_SITE_V2}/${ESPN_NHL_PATH}/scoreboard?dates=${toEspnYYYYMMDD(dateYYYYMMDD)}`,
+            {},
+            { cacheTtlMs: 10 * 60_000, retries: 2, timeoutMs: 10_000 }
+          )
+        );
+      } catch (_) { /* no ESPN probables — manual entries and projections still apply */ }
+    }
     // ──────────────────────────────────────────────────────────────────────────
 
     const games = [];
     let noBetCount = 0;
     let modelOnlyCount = 0;
 
+    // registry parsed once per slate, not per game
+    const shadows = sim ? [] : getShadowStrategies();
+    const liveStrategyId = getLiveStrategy().id;
+
     for (const g of slate) {
       const homeS = teamStats.get(g.homeTeamId) || { ok: false };
       const awayS = teamStats.get(g.awayTeamId) || { ok: false };
 
-      const edgeSigned = nhlEdge(homeS, awayS);
-      const pStatNhl = nhlProbFromEdge(edgeSigned, 0.17);
+      // Rest, back-to-back, 3-in-4, road trip and travel (weights in config/scheduleWeights.js)
+      const sched = scheduleEdgeForGame("nhl", {
+        date: dateYYYYMMDD,
+        homeSchedule: homeS.schedule,
+        awaySchedule: awayS.schedule,
+        homeVenue: g.homeAbbr,
+      });
+
+      const edgeSigned = m.edge(homeS, awayS, { scheduleEdge: sched.edge });
+      const pStatNhl = m.probFromEdge(edgeSigned);
       // Blend Elo (50%) with stat-based model (50%) for NHL
       const eloNhlH = nhlEloMap.get(g.homeTeamId);
       const eloNhlA = nhlEloMap.get(g.awayTeamId);
       const pEloNhl = (eloNhlH != null && eloNhlA != null) ? eloProbHome(eloNhlH, eloNhlA, 0.03) : null;
-      const pNhlBase = pEloNhl != null ? 0.50 * pEloNhl + 0.50 * pStatNhl : pStatNhl;
-      // NHL back-to-back: -4% for team on B2B (bigger impact in NHL than NBA)
-      const homeNhlB2B = nhlB2BTeams.has(g.homeTeamId);
-      const awayNhlB2B = nhlB2BTeams.has(g.awayTeamId);
-      const nhlB2BAdj = (homeNhlB2B && !awayNhlB2B) ? -0.04 : (awayNhlB2B && !homeNhlB2B) ? 0.04 : 0;
-      // Goalie adjustment: backup goalie = -5% win prob (goalies dominate NHL outcomes)
-      const homeGoalie = nhlGoalieStatus.get(String(g.homeTeamId));
-      const awayGoalie = nhlGoalieStatus.get(String(g.awayTeamId));
-      const nhlGoalieAdj = (homeGoalie === 'backup' ? -0.05 : 0) + (awayGoalie === 'backup' ? 0.05 : 0);
-      const pHome = clampNum(pNhlBase + nhlB2BAdj + nhlGoalieAdj, 0.22, 0.78);
+      const blendNhl = (pStat) => (pEloNhl != null ? 0.50 * pEloNhl + 0.50 * pStat : pStat);
+      // Starting goalies vs each team's usual mix (goalies dominate NHL outcomes)
+      const homeStarter = resolveStarter(goalieRatings, {
+        teamId: g.homeTeamId,
+        date: dateYYYYMMDD,
+        manual: manualStarters.get(String(g.homeAbbr).toUpperCase()) || null,
+        espn: espnProbables.get(String(g.homeTeamId)) || null,
+      });
+      const awayStarter = resolveStarter(goalieRatings, {
+        teamId: g.awayTeamId,
+        date: dateYYYYMMDD,
+        manual: manualStarters.get(String(g.awayAbbr).toUpperCase()) || null,
+        espn: espnProbables.get(String(g.awayTeamId)) || null,
+      });
+      const goalie = goalieAdjustment(goalieRatings, { homeTeamId: g.homeTeamId, awayTeamId: g.awayTeamId, homeStarter, awayStarter });
+      const nhlGoalieAdj = goalie.adj;
+      const pHome = clampNum(blendNhl(pStatNhl) + nhlGoalieAdj, 0.22, 0.78);
+      // same model without the schedule term, so backtests can score the features
+      const pHomeNoSchedule = clampNum(blendNhl(m.probFromEdge(m.edge(homeS, awayS))) + nhlGoalieAdj, 0.22, 0.78);
 
       const homeObj = {
         id: toNhlTeamId(g.homeTeamId),
@@ -2623,8 +3353,19 @@ async function buildNhlPredictions(dateYYYYMMDD, windowDays) {
       const vegasRow = odds.ok ? lookupVegas(oddsMap, homeObj.name, awayObj.name) : null;
       const means = deriveMeansFromStats("nhl", pHome, homeS, awayS);
 
+      // Goal model (lib/nhlGoalModel.js): totals from attack/defense ratings, split fit to pHome
+      const xg = expectedGoals(goalRatings, {
+        homeTeamId: g.homeTeamId,
+        awayTeamId: g.awayTeamId,
+        homeGoalieDelta: homeStarter ? goalie.homeDelta : 0,
+        awayGoalieDelta: awayStarter ? goalie.awayDelta : 0,
+      });
+      const goalDist = xg ? fitGoalDistribution(xg, pHome) : null;
+      const meanMargin = goalDist?.meanMargin ?? means.meanMargin;
+      const meanTotal = goalDist?.meanTotal ?? means.meanTotal;
+
       const marketBundle = vegasRow
-        ? buildMarketBundle({ league: "nhl", pHomeWin: pHome, meanMargin: means.meanMargin, meanTotal: means.meanTotal, vegasRow })
+        ? buildMarketBundle({ league: "nhl", pHomeWin: pHome, meanMargin, meanTotal, goalDist, vegasRow, strategy: sim?.strategy, shadows })
         : {
             markets: {
               moneyline: { home: null, away: null },
@@ -2655,10 +3396,14 @@ if (!pick.pick) noBetCount++;
 
       const why = buildWhy({
         marketPick: pick.pick,
-        notes: ["NHL model: ESPN history + stable calibration; markets require Odds API lines."],
+        notes: [
+          "NHL model: ESPN history + stable calibration; markets require Odds API lines.",
+          `Goalies: ${describeStarter(g.awayAbbr, awayStarter, goalie.awayDelta)} @ ${describeStarter(g.homeAbbr, homeStarter, goalie.homeDelta)}`,
+        ],
         deltas: [
           { label: "Home winProb (model)", value: pHome, dp: 3 },
           { label: "EdgeSigned (model)", value: edgeSigned, dp: 3 },
+          { label: "Expected goals (total)", value: goalDist?.meanTotal ?? null, dp: 2 },
         ],
       });
 
@@ -2668,6 +3413,11 @@ if (!pick.pick) noBetCount++;
             side: recommended.side,
             line: recommended.line ?? null,
             odds: recommended.odds ?? null,
+            book: recommended.book ?? null,
+            bookTitle: recommended.bookTitle ?? null,
+            marketFairProb: recommended.marketFairProb ?? null,
+            marketEvForStake100: recommended.marketEvForStake100 ?? null,
+            disagreement: recommended.disagreement ?? null,
             tier: recommended.tier,
             modelProb: recommended.modelProb ?? null,
             rawWinProb: recommended.rawWinProb ?? null,
@@ -2687,6 +3437,7 @@ if (!pick.pick) noBetCount++;
         date: dateYYYYMMDD,
         status: g.status,
         eventStart: vegasRow?.eventStart ?? null,
+        ...(sim ? { oddsSnapshotAt: vegasRow?.snapshotAt ?? null } : {}),
 
         home: homeObj,
         away: awayObj,
@@ -2698,11 +3449,21 @@ if (!pick.pick) noBetCount++;
           windowDays: historyDays,
           pHomeModel: pHome,
           homeEdgeSigned: edgeSigned,
+          schedule: { edge: sched.edge, home: sched.home, away: sched.away, pHomeNoSchedule },
+          goalies: {
+            home: homeStarter ? { ...homeStarter, vsUsual: Math.round(goalie.homeDelta * 1000) / 1000 } : null,
+            away: awayStarter ? { ...awayStarter, vsUsual: Math.round(goalie.awayDelta * 1000) / 1000 } : null,
+            adj: Math.round(goalie.adj * 10000) / 10000,
+            starters: { home: starterKey(homeStarter), away: starterKey(awayStarter) },
+          },
+          goalModel: describeGoalDistribution(goalDist),
         },
 
         markets: marketBundle.markets,
         premiumCandidates: marketBundle.premiumCandidates || [],
         rejectedCandidates: marketBundle.rejectedCandidates || [],
+        strategyPicks: withLiveStrategyPick(marketBundle.strategyPicks, liveStrategyId, recommendedBet),
+        scoreDist: marketBundle.scoreDist || null,
         recommendedBet,
 
         market: {
@@ -2737,6 +3498,10 @@ if (!pick.pick) noBetCount++;
           reason: odds.ok ? null : String(odds.reason || "unknown"),
           events: Number.isFinite(odds?.meta?.events) ? odds.meta.events : null,
           bookmaker: odds?.meta?.bookmaker || ODDS_BOOKMAKER,
+          provider: odds?.meta?.provider ?? null,
+          failover: odds?.meta?.failover ?? null,
+          manual: odds?.meta?.manual ?? null,
+          quota: odds?.meta?.quota ?? null,
           url: odds?.meta?.url || null,
           sampleKeys: Array.isArray(odds?.meta?.sampleKeys) ? odds.meta.sampleKeys : null,
         },
@@ -2792,6 +3557,9 @@ function normalizeEspnEventToGame(event) {
     homeLogo: pickLogo(homeTeam),
     awayLogo: pickLogo(awayTeam),
     neutralSite: Boolean(comp?.neutralSite),
+    // box-score counts for the tempo/efficiency ratings (finished games only)
+    homeBox: status === "Final" ? boxFromEspnStatistics(home?.statistics) : null,
+    awayBox: status === "Final" ? boxFromEspnStatistics(away?.statistics) : null,
   };
 }
 async function getNcaamScoreboardByDate(dateYYYYMMDD) {
@@ -2909,16 +3677,17 @@ function getTournamentPhase(dateYYYYMMDD, isTournamentMode) {
   return d >= "2026-03-17" ? "ncaa" : "conference";
 }
 
-async function buildNcaamPredictions(dateYYYYMMDD, windowDays, { tournamentMode, modeLabel } = {}) {
+async function buildNcaamPredictions(dateYYYYMMDD, windowDays, { tournamentMode, modeLabel, sim = null, model = null } = {}) {
+  const m = model || getLeagueModel("ncaam");
   const historyDays = clampNum(Number(windowDays) || 45, 14, 90);
   const isT = Boolean(tournamentMode);
   const tournamentPhase = getTournamentPhase(dateYYYYMMDD, isT);
-  const key = `PREDV24:ncaam:${dateYYYYMMDD}:w${historyDays}:t${isT ? 1 : 0}`;
+  const key = `PREDV24:ncaam:${dateYYYYMMDD}:w${historyDays}:t${isT ? 1 : 0}${simCacheKey(sim)}`;
 
   return computeCached(key, HEAVY_CACHE_TTL_MS, async () => {
     const t0 = Date.now();
 
-    const slate = await getNcaamScoreboardByDate(dateYYYYMMDD);
+    const slate = await m.fetchSlate(dateYYYYMMDD);
     if (!slate.length) {
       return {
         meta: {
@@ -2939,25 +3708,31 @@ async function buildNcaamPredictions(dateYYYYMMDD, windowDays, { tournamentMode,
       };
     }
 
-    const odds = await fetchVegasForLeagueDate("ncaam", dateYYYYMMDD);
+    const odds = await loadVegasForSlate("ncaam", dateYYYYMMDD, sim);
     const oddsMap = odds.ok ? odds.map : new Map();
     const warnings = [];
     if (!odds.ok) warnings.push(`Odds unavailable: ${String(odds.reason || "unknown")}`);
 
-    const history = await getNcaamHistory(dateYYYYMMDD, historyDays);
-    const teamStats = buildNcaamTeamStatsFromHistory(history, dateYYYYMMDD, 10);
+    const history = await m.fetchHistory(dateYYYYMMDD, historyDays);
+    const teamStats = m.buildTeamStats(history, dateYYYYMMDD);
+    const tempo = buildTempoRatings(history, dateYYYYMMDD);
+    if (!tempo.ok) warnings.push("Tempo ratings unavailable (no box scores in window); totals use the base mean.");
 
     const games = [];
     let noBetCount = 0;
     let modelOnlyCount = 0;
 
+    // registry parsed once per slate, not per game
+    const shadows = sim ? [] : getShadowStrategies();
+    const liveStrategyId = getLiveStrategy().id;
+
     for (const g of slate) {
       const homeS = teamStats.get(g.homeTeamId) || { ok: false };
       const awayS = teamStats.get(g.awayTeamId) || { ok: false };
 
       const neutral = Boolean(g.neutralSite) || isT;
-      const edgeSigned = ncaamEdge(homeS, awayS, neutral, isT);
-      const pHome = ncaamProbFromEdge(edgeSigned, 0.23);
+      const edgeSigned = m.edge(homeS, awayS, { neutralSite: neutral, tournamentMode: isT });
+      const pHome = m.probFromEdge(edgeSigned);
 
       const homeObj = {
         id: toNcaamTeamId(g.homeTeamId),
@@ -2976,9 +3751,11 @@ async function buildNcaamPredictions(dateYYYYMMDD, windowDays, { tournamentMode,
 
       const vegasRow = odds.ok ? lookupVegas(oddsMap, homeObj.name, awayObj.name) : null;
       const means = deriveMeansFromStats("ncaam", pHome, homeS, awayS);
+      const projection = projectNcaamGame(tempo, { homeTeamId: g.homeTeamId, awayTeamId: g.awayTeamId, neutral });
+      const meanTotal = projection?.total ?? means.meanTotal;
 
       const marketBundle = vegasRow
-        ? buildMarketBundle({ league: "ncaam", pHomeWin: pHome, meanMargin: means.meanMargin, meanTotal: means.meanTotal, vegasRow })
+        ? buildMarketBundle({ league: "ncaam", pHomeWin: pHome, meanMargin: means.meanMargin, meanTotal, totalSd: projection?.totalSd ?? null, vegasRow, strategy: sim?.strategy, shadows })
         : {
             markets: {
               moneyline: { home: null, away: null },
@@ -3066,6 +3843,7 @@ if (!pick?.pick) {
         deltas: [
           { label: "Home winProb (model)", value: pHome, dp: 3 },
           { label: "EdgeSigned (model)", value: edgeSigned, dp: 3 },
+          { label: "Projected total (tempo)", value: projection?.total ?? null, dp: 1 },
         ],
       });
 
@@ -3075,6 +3853,11 @@ if (!pick?.pick) {
             side: recommended.side,
             line: recommended.line ?? null,
             odds: recommended.odds ?? null,
+            book: recommended.book ?? null,
+            bookTitle: recommended.bookTitle ?? null,
+            marketFairProb: recommended.marketFairProb ?? null,
+            marketEvForStake100: recommended.marketEvForStake100 ?? null,
+            disagreement: recommended.disagreement ?? null,
             tier: recommended.tier,
             modelProb: recommended.modelProb ?? null,
             rawWinProb: recommended.rawWinProb ?? null,
@@ -3094,6 +3877,7 @@ if (!pick?.pick) {
         date: dateYYYYMMDD,
         status: g.status,
         eventStart: vegasRow?.eventStart ?? null,
+        ...(sim ? { oddsSnapshotAt: vegasRow?.snapshotAt ?? null } : {}),
 
         home: homeObj,
         away: awayObj,
@@ -3109,11 +3893,14 @@ if (!pick?.pick) {
           neutralSite: neutral,
           pHomeModel: pHome,
           homeEdgeSigned: edgeSigned,
+          tempo: projection,
         },
 
         markets: marketBundle.markets,
         premiumCandidates: marketBundle.premiumCandidates || [],
         rejectedCandidates: marketBundle.rejectedCandidates || [],
+        strategyPicks: withLiveStrategyPick(marketBundle.strategyPicks, liveStrategyId, recommendedBet),
+        scoreDist: marketBundle.scoreDist || null,
         recommendedBet,
 
         market: {
@@ -3151,6 +3938,209 @@ if (!pick?.pick) {
           reason: odds.ok ? null : String(odds.reason || "unknown"),
           events: Number.isFinite(odds?.meta?.events) ? odds.meta.events : null,
           bookmaker: odds?.meta?.bookmaker || ODDS_BOOKMAKER,
+          provider: odds?.meta?.provider ?? null,
+          failover: odds?.meta?.failover ?? null,
+          manual: odds?.meta?.manual ?? null,
+          quota: odds?.meta?.quota ?? null,
+          url: odds?.meta?.url || null,
+          sampleKeys: Array.isArray(odds?.meta?.sampleKeys) ? odds.meta.sampleKeys : null,
+        },
+        warnings,
+        logo: countMissingLogos(games),
+        elapsedMs: Date.now() - t0,
+      },
+      games,
+    };
+  });
+}
+
+
+/* =========================================================
+   League model registry
+   - Every league /api/predictions can serve is registered here.
+   - NBA / NHL / NCAAM keep their hand-tuned builders (`build`), which
+     take slate, history, team stats, edge and probability mapping from
+     the model they are built for (so a new version only swaps hooks).
+   - A league registered without `build` runs through
+     buildGenericLeaguePredictions: its fetchSlate must return
+     games shaped like normalizeEspnEventToGame().
+   ========================================================= */
+
+async function buildGenericLeaguePredictions(model, dateYYYYMMDD, windowDays, { sim = null } = {}) {
+  const league = model.league;
+  const historyDays = clampNum(Number(windowDays) || model.window.def, model.window.min, model.window.max);
+  const key = `PREDV24:${league}:${model.version}:${dateYYYYMMDD}:w${historyDays}${simCacheKey(sim)}`;
+
+  return computeCached(key, HEAVY_CACHE_TTL_MS, async () => {
+    const t0 = Date.now();
+
+    const slate = await model.fetchSlate(dateYYYYMMDD);
+    if (!Array.isArray(slate) || !slate.length) {
+      return {
+        meta: {
+          league,
+          date: dateYYYYMMDD,
+          windowDays: historyDays,
+          model: model.label,
+          mode: "regular",
+          odds: { ok: false, reason: "no_games", events: null, bookmaker: ODDS_BOOKMAKER, url: null, sampleKeys: null },
+          warnings: [],
+          elapsedMs: Date.now() - t0,
+        },
+        games: [],
+      };
+    }
+
+    const odds = await loadVegasForSlate(league, dateYYYYMMDD, sim);
+    const oddsMap = odds.ok ? odds.map : new Map();
+    const warnings = [];
+    if (!odds.ok) warnings.push(`Odds unavailable: ${String(odds.reason || "unknown")}`);
+
+    const history = await model.fetchHistory(dateYYYYMMDD, historyDays);
+    const teamStats = model.buildTeamStats(history || [], dateYYYYMMDD);
+
+    const games = [];
+    let noBetCount = 0;
+
+    // registry parsed once per slate, not per game
+    const shadows = sim ? [] : getShadowStrategies();
+    const liveStrategyId = getLiveStrategy().id;
+
+    for (const g of slate) {
+      const homeS = teamStats.get(g.homeTeamId) || { ok: false };
+      const awayS = teamStats.get(g.awayTeamId) || { ok: false };
+
+      const edgeSigned = model.edge(homeS, awayS, { neutralSite: Boolean(g.neutralSite), tournamentMode: false });
+      const pHome = model.probFromEdge(edgeSigned);
+
+      const homeObj = {
+        id: `${league}-${g.homeTeamId}`,
+        name: g.homeName || "",
+        abbr: g.homeAbbr || "",
+        logo: sanitizeLogoUrl(g.homeLogo),
+        score: Number.isFinite(g.homeScore) ? g.homeScore : null,
+      };
+      const awayObj = {
+        id: `${league}-${g.awayTeamId}`,
+        name: g.awayName || "",
+        abbr: g.awayAbbr || "",
+        logo: sanitizeLogoUrl(g.awayLogo),
+        score: Number.isFinite(g.awayScore) ? g.awayScore : null,
+      };
+
+      const vegasRow = odds.ok ? lookupVegas(oddsMap, homeObj.name, awayObj.name) : null;
+      const means = deriveMeansFromStats(league, pHome, homeS, awayS);
+
+      const marketBundle = vegasRow
+        ? buildMarketBundle({ league, pHomeWin: pHome, meanMargin: means.meanMargin, meanTotal: means.meanTotal, vegasRow, strategy: sim?.strategy, shadows })
+        : {
+            markets: {
+              moneyline: { home: null, away: null },
+              spread: { home: null, away: null },
+              total: { over: null, under: null, line: null },
+            },
+            recommended: null,
+          };
+
+      const recommended = marketBundle.recommended;
+      const pick = pickFromCandidate(recommended);
+      if (!pick.pick) noBetCount++;
+
+      const why = buildWhy({
+        marketPick: pick.pick,
+        notes: [`${model.label}: registered league model.`],
+        deltas: [
+          { label: "Home winProb (model)", value: pHome, dp: 3 },
+          { label: "EdgeSigned (model)", value: edgeSigned, dp: 3 },
+        ],
+      });
+
+      const recommendedBet = recommended
+        ? {
+            marketType: recommended.marketType,
+            side: recommended.side,
+            line: recommended.line ?? null,
+            odds: recommended.odds ?? null,
+            book: recommended.book ?? null,
+            bookTitle: recommended.bookTitle ?? null,
+            marketFairProb: recommended.marketFairProb ?? null,
+            marketEvForStake100: recommended.marketEvForStake100 ?? null,
+            disagreement: recommended.disagreement ?? null,
+            tier: recommended.tier,
+            modelProb: recommended.modelProb ?? null,
+            rawWinProb: recommended.rawWinProb ?? null,
+            calWinProb: recommended.calWinProb ?? recommended.modelProb ?? null,
+            calibrationMethod: recommended.calibrationMethod ?? null,
+            calibrationVersion: recommended.calibrationVersion ?? null,
+            impliedProb: recommended.impliedProb ?? null,
+            edge: recommended.edge,
+            evForStake100: recommended.evForStake100,
+            kellyHalf: recommended.kellyHalf,
+          }
+        : null;
+
+      games.push({
+        league,
+        gameId: `${league}-${g.id}`,
+        date: dateYYYYMMDD,
+        status: g.status,
+        eventStart: vegasRow?.eventStart ?? null,
+        ...(sim ? { oddsSnapshotAt: vegasRow?.snapshotAt ?? null } : {}),
+
+        home: homeObj,
+        away: awayObj,
+
+        score: { home: homeObj.score, away: awayObj.score },
+
+        model: {
+          version: model.label,
+          windowDays: historyDays,
+          pHomeModel: pHome,
+          homeEdgeSigned: edgeSigned,
+        },
+
+        markets: marketBundle.markets,
+        premiumCandidates: marketBundle.premiumCandidates || [],
+        rejectedCandidates: marketBundle.rejectedCandidates || [],
+        strategyPicks: withLiveStrategyPick(marketBundle.strategyPicks, liveStrategyId, recommendedBet),
+        scoreDist: marketBundle.scoreDist || null,
+        recommendedBet,
+
+        market: {
+          ...buildCompatMarket(league, recommendedBet),
+          oddsComparison: buildOddsComparisonForCompatMarket(recommendedBet, vegasRow),
+          moneyline: {
+            homeOdds: marketBundle?.markets?.moneyline?.home?.odds ?? null,
+            awayOdds: marketBundle?.markets?.moneyline?.away?.odds ?? null,
+            homeWinProb: marketBundle?.markets?.moneyline?.home?.winProb ?? null,
+            awayWinProb: marketBundle?.markets?.moneyline?.away?.winProb ?? null,
+          },
+        },
+
+        pick: pickStringFromPickObj(pick),
+        pickObj: pick,
+        why,
+      });
+    }
+
+    return {
+      meta: {
+        league,
+        date: dateYYYYMMDD,
+        windowDays: historyDays,
+        historyGamesFetched: Array.isArray(history) ? history.length : 0,
+        model: model.label,
+        mode: "regular",
+        noBetCount,
+        odds: {
+          ok: Boolean(odds.ok),
+          reason: odds.ok ? null : String(odds.reason || "unknown"),
+          events: Number.isFinite(odds?.meta?.events) ? odds.meta.events : null,
+          bookmaker: odds?.meta?.bookmaker || ODDS_BOOKMAKER,
+          provider: odds?.meta?.provider ?? null,
+          failover: odds?.meta?.failover ?? null,
+          manual: odds?.meta?.manual ?? null,
+          quota: odds?.meta?.quota ?? null,
           url: odds?.meta?.url || null,
           sampleKeys: Array.isArray(odds?.meta?.sampleKeys) ? odds.meta.sampleKeys : null,
         },
@@ -3163,6 +4153,108 @@ if (!pick?.pick) {
   });
 }
 
+registerLeagueModel({
+  league: "nba",
+  version: "v2",
+  label: "NBA premium-v22",
+  isDefault: true,
+  window: { def: 14, min: 3, max: 30 },
+  oddsSportKey: ODDS_SPORT_NBA,
+  fetchSlate: getNbaGamesByDate,
+  fetchHistory: getNbaHistory,
+  buildTeamStats: (history) => buildNbaTeamStatsFromHistory(history),
+  edge: (home, away, ctx = {}) => nbaEdge(home, away, "v2", ctx.scheduleEdge ?? 0),
+  probFromEdge: (edge) => nbaProbFromEdge(edge, 0.11),
+  build: (date, windowDays, { sim = null, model = null } = {}) => buildNbaPredictions(date, windowDays, { modelVersion: "v2", sim, model }),
+});
+
+registerLeagueModel({
+  league: "nba",
+  version: "v1",
+  label: "NBA premium-v22 (v1 edge)",
+  window: { def: 14, min: 3, max: 30 },
+  oddsSportKey: ODDS_SPORT_NBA,
+  fetchSlate: getNbaGamesByDate,
+  fetchHistory: getNbaHistory,
+  buildTeamStats: (history) => buildNbaTeamStatsFromHistory(history),
+  edge: (home, away, ctx = {}) => nbaEdge(home, away, "v1", ctx.scheduleEdge ?? 0),
+  probFromEdge: (edge) => nbaProbFromEdge(edge, 0.11),
+  build: (date, windowDays, { sim = null, model = null } = {}) => buildNbaPredictions(date, windowDays, { modelVersion: "v1", sim, model }),
+});
+
+registerLeagueModel({
+  league: "nhl",
+  version: "v21",
+  label: "NHL premium-v21",
+  isDefault: true,
+  window: { def: 40, min: 14, max: 120 },
+  oddsSportKey: ODDS_SPORT_NHL,
+  fetchSlate: getNhlScoreboardByDate,
+  fetchHistory: getNhlHistory,
+  buildTeamStats: (history, date) => buildNhlTeamStatsFromHistory(history, date, 10),
+  edge: (home, away, ctx = {}) => nhlEdge(home, away, ctx.scheduleEdge ?? 0),
+  probFromEdge: (edge) => nhlProbFromEdge(edge, 0.17),
+  build: (date, windowDays, { sim = null, model = null } = {}) => buildNhlPredictions(date, windowDays, { sim, model }),
+});
+
+registerLeagueModel({
+  league: "ncaam",
+  version: "v21",
+  label: "NCAAM premium-v21",
+  isDefault: true,
+  window: { def: 45, min: 14, max: 90 },
+  oddsSportKey: ODDS_SPORT_NCAAM,
+  fetchSlate: getNcaamScoreboardByDate,
+  fetchHistory: getNcaamHistory,
+  buildTeamStats: (history, date) => buildNcaamTeamStatsFromHistory(history, date, 10),
+  edge: (home, away, ctx = {}) => ncaamEdge(home, away, ctx.neutralSite, ctx.tournamentMode),
+  probFromEdge: (edge) => ncaamProbFromEdge(edge, 0.23),
+  build: (date, windowDays, { tournamentMode = false, modeLabel = "regular", sim = null, model = null } = {}) =>
+    buildNcaamPredictions(date, windowDays, { tournamentMode, modeLabel, sim, model }),
+});
+
+/**
+ * Build a slate for any registered league.
+ * `model` picks a registered version (unknown versions fall back to the league default);
+ * `windowDays` defaults to the model's window.
+ */
+async function buildLeaguePredictions(
+  league,
+  dateYYYYMMDD,
+  { model: version = null, windowDays = null, tournamentMode = false, modeLabel = "regular", sim = null } = {}
+) {
+  const model = resolveLeagueModel(league, version);
+  if (!model) {
+    const err = new Error(`Unsupported league: ${league}. Registered: ${listLeagues().join("|")}`);
+    err.status = 400;
+    throw err;
+  }
+
+  const w = Number.isFinite(Number(windowDays)) && windowDays != null
+    ? clampNum(Number(windowDays), model.window.min, model.window.max)
+    : model.window.def;
+
+  const out = model.build
+    ? await model.build(dateYYYYMMDD, w, { tournamentMode, modeLabel, sim, model })
+    : await buildGenericLeaguePredictions(model, dateYYYYMMDD, w, { sim });
+
+  return { model, windowDays: w, out };
+}
+
+/**
+ * As-of market rows for an already-built slate, keyed by gameId.
+ * Backtests use minutesBefore = 0 to read the closing line for CLV.
+ */
+async function getAsOfVegasForGames(league, dateYYYYMMDD, games = [], minutesBefore = 0) {
+  const odds = await fetchVegasForLeagueAsOf(league, dateYYYYMMDD, minutesBefore);
+  const lookup = league === "nba" ? lookupVegasNba : lookupVegas;
+
+  const out = new Map();
+  for (const g of games) {
+    out.set(g?.gameId, odds.ok ? lookup(odds.map, g?.home?.name, g?.away?.name) : null);
+  }
+  return out;
+}
 
 /* =========================================================
    Phase 2 — Odds Snapshot Persistence (Premium)
@@ -3291,72 +4383,111 @@ router.get("/ping", (_req, res) => {
   res.json({ ok: true, route: "predict", version: "predict-premium-v21-phase2-snapshots" });
 });
 
+/**
+ * Size each recommended bet from the caller's bankroll + staking policy.
+ * Runs after the ledger write so stakes never leak into shared picks; games are
+ * copied because slates come from the shared compute cache.
+ */
+async function attachRecommendedStakes(wrapped, userKey) {
+  if (!userKey) {
+    wrapped.meta.bankroll = { ok: false, error: "not_signed_in" };
+    return;
+  }
+
+  try {
+    const { configured, settings, history } = await getBankrollState(userKey);
+    const bankroll = history.current;
+
+    wrapped.games = (wrapped.games || []).map((g) => {
+      const rb = g?.recommendedBet;
+      if (!rb) return g;
+      const stake = recommendStake(settings, bankroll, { prob: rb.modelProb, odds: rb.odds, kellyHalf: rb.kellyHalf });
+      return { ...g, recommendedBet: { ...rb, stake } };
+    });
+
+    wrapped.meta.bankroll = { ok: true, configured, policy: settings.policy, current: bankroll };
+  } catch (e) {
+    wrapped.meta.bankroll = { ok: false, error: String(e?.message || e) };
+  }
+}
+
+router.get("/models", (_req, res) => {
+  res.json({ ok: true, models: listLeagueModels() });
+});
+
 router.get("/predictions", async (req, res) => {
   const league = String(req.query.league || "nba").toLowerCase();
   const date = readDateFromReq(req);
   const { tournament, mode } = readModeFromReq(req);
 
   try {
-    if (league === "nba") {
-      const windowDays = readWindowFromReq(req, 14, 3, 30);
-      const mv = readModelFromReq(req, "v2");
-      const out = await buildNbaPredictions(date, windowDays, { modelVersion: mv });
-      {
-      const wrapped = okWrap("nba", date, out);
-
-      await writeSlatePicksToLedger({
-        date,
-        league: "nba",
-        games: wrapped.games,
-        modelVersion: wrapped.meta?.model
-      });
-
-      await persistOddsSnapshotsForResponse(wrapped);
-      return res.json(wrapped);
+    const requested = resolveLeagueModel(league, readModelFromReq(req));
+    if (!requested) {
+      return res
+        .status(400)
+        .json({ ok: false, error: `Unsupported league. Use league=${listLeagues().join("|")}`, got: league });
     }
-}
 
-    if (league === "nhl") {
-      const windowDays = readWindowFromReq(req, 40, 14, 120);
-      const out = await buildNhlPredictions(date, windowDays);
-      {
-      const wrapped = okWrap("nhl", date, out);
+    const windowDays = readWindowFromReq(req, requested.window.def, requested.window.min, requested.window.max);
+    const { model, out } = await buildLeaguePredictions(league, date, {
+      model: requested.version,
+      windowDays,
+      tournamentMode: tournament,
+      modeLabel: mode,
+    });
+
+    const wrapped = okWrap(league, date, out);
+    wrapped.meta.modelVersion = model.version;
+    wrapped.meta.provider = providerMeta();
+    wrapped.meta.strategy = { live: getLiveStrategy().id, shadows: getShadowStrategies().map((x) => x.id) };
 
+    // Only the default version publishes; side-by-side versions are read-only. This is
+    // intended: before the registry an explicit ?model=v1 NBA request overwrote the
+    // day's published picks with v1's, which then got graded as the live record.
+    // Replayed slates are fixtures, not real publishes, so they never touch the ledger.
+    if (isDefaultLeagueModel(model) && !isReplayMode()) {
       await writeSlatePicksToLedger({
         date,
-        league: "nhl",
+        league,
         games: wrapped.games,
-        modelVersion: wrapped.meta?.model
+        modelVersion: wrapped.meta?.model,
+        strategyId: wrapped.meta.strategy.live,
       });
 
-      await persistOddsSnapshotsForResponse(wrapped);
-      return res.json(wrapped);
-    }
-}
-
-    if (league === "ncaam") {
-      const windowDays = readWindowFromReq(req, 45, 14, 90);
-      const out = await buildNcaamPredictions(date, windowDays, { tournamentMode: tournament, modeLabel: mode });
-      {
-      const wrapped = okWrap("ncaam", date, out);
-
-      await writeSlatePicksToLedger({
+      await writeStrategyPicksToLedger({
         date,
-        league: "ncaam",
+        league,
         games: wrapped.games,
-        modelVersion: wrapped.meta?.model
+        modelVersion: wrapped.meta?.model,
       });
 
       await persistOddsSnapshotsForResponse(wrapped);
-      return res.json(wrapped);
+
+      // new-pick / line / price alerts; delivery (webhooks, SMTP) must not hold up the response
+      evaluateAlerts({ date, league, games: wrapped.games, source: "predictions" }).catch((e) =>
+        console.warn(`[alerts] ${league} ${date}: ${e?.message || e}`)
+      );
     }
-}
 
-    return res.status(400).json({ ok: false, error: "Unsupported league. Use league=nba|nhl|ncaam", got: league });
+    await attachRecommendedStakes(wrapped, readUserKeyFromReq(req));
+
+    return res.json(wrapped);
   } catch (e) {
     return res.json(errWrap({ league, date, windowDays: null, model: "premium-v20", mode, error: e?.message || e }));
   }
 });
 
-export { buildNbaPredictions, buildNhlPredictions, buildNcaamPredictions };
+export {
+  buildNbaPredictions,
+  buildNhlPredictions,
+  buildNcaamPredictions,
+  buildLeaguePredictions,
+  dropOddsCache,
+  fetchVegasForLeagueDate,
+  getAsOfVegasForGames,
+  getLiveScoreboard,
+  getSlateStartTimes,
+  invalidateSlateCache,
+  pregameScoreDist,
+};
 export default router;
\ No newline at end of file
@@ -2,6 +2,8 @@
 import express from "express";
 import fs from "fs";
 import path from "path";
+import { planOddsFetch, recordOddsApiResponse } from "../lib/oddsQuota.js";
+import { providerForUrl } from "../lib/providers.js";
 
 const router = express.Router();
 
@@ -9,7 +11,8 @@ const router = express.Router();
  * Upsets Odds v2 — DraftKings moneyline (Odds API) + model overlay
  *
  * - Pulls two-sided moneyline from The Odds API (DraftKings) => true market underdog detection
- * - Caches results (memory + optional disk) to protect quota
+ * - Caches results (memory + optional disk) to protect quota; over the day's credit
+ *   budget (lib/oddsQuota.js) the last cached slate is served however old it is
  * - Optionally overlays model pick/confidence/tier from /api/predictions (single call per request)
  * - mode=strict requires model to pick the underdog (only when overlayModel=1)
  *
@@ -106,7 +109,12 @@ async function fetchJson(url, timeoutMs = 12000) {
   const t = setTimeout(() => controller.abort(), timeoutMs);
   try {
     const r = await safeFetch(url, { signal: controller.signal });
-    const j = await r.json().catch(() => null);
+    const body = await r.text().catch(() => "");
+    if (providerForUrl(url) === "oddsapi") await recordOddsApiResponse(r, body);
+    let j = null;
+    try {
+      j = body ? JSON.parse(body) : null;
+    } catch (_e) {}
     if (!r.ok) {
       const msg = j?.message || j?.error || `Request failed (${r.status})`;
       throw new Error(msg);
@@ -282,6 +290,14 @@ const sportKey = sportKeyForLeague(league);
 
     let oddsData = getFromCache(ck, ttlSec);
     let fetched = false;
+    let quotaHeld = null;
+
+    const plan = oddsData ? null : await planOddsFetch(league, date);
+    if (plan && !plan.allow) {
+      oddsData = getFromCache(ck, Infinity);
+      if (!oddsData) return res.status(503).json({ ok: false, error: plan.reason });
+      quotaHeld = plan.reason;
+    }
 
     if (!oddsData) {
       const url =
@@ -472,6 +488,7 @@ const sportKey = sportKeyForLeague(league);
         overlayOk,
         overlayMatched,
         fetchedFromApi: fetched,
+        quotaHeld,
         cacheKey: ck,
         ttlSec,
         eventsIn,
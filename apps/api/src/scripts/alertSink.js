@@ -0,0 +1,114 @@
+import http from "node:http";
+import net from "node:net";
+
+/**
+ * Local sink for alert delivery: prints every webhook POST and every SMTP
+ * message it receives. Nothing is forwarded.
+ *
+ *   node src/scripts/alertSink.js [--http=8787] [--smtp=2525]
+ *
+ * then point a rule at webhook_url=http://127.0.0.1:8787/ (run the API with
+ * ALERT_WEBHOOK_ALLOW_PRIVATE=1 so a loopback URL is accepted) and/or run it
+ * with SMTP_HOST=127.0.0.1 SMTP_PORT=2525 (no TLS, no auth).
+ */
+
+function parseArgs() {
+  const raw = Object.fromEntries(
+    process.argv.slice(2).map((arg) => {
+      const cleaned = arg.replace(/^--/, "");
+      const idx = cleaned.indexOf("=");
+      if (idx === -1) return [cleaned, true];
+      return [cleaned.slice(0, idx), cleaned.slice(idx + 1)];
+    })
+  );
+
+  return {
+    httpPort: Number(raw.http ?? 8787),
+    smtpPort: Number(raw.smtp ?? 2525),
+  };
+}
+
+function log(kind, data) {
+  console.log(JSON.stringify({ sink: kind, at: new Date().toISOString(), ...data }, null, 2));
+}
+
+export function startWebhookSink(port, onMessage = (m) => log("webhook", m)) {
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      let json = null;
+      try {
+        json = JSON.parse(body);
+      } catch {
+        // not JSON — keep the raw body
+      }
+      onMessage({ method: req.method, path: req.url, signature: req.headers["x-alert-signature"] ?? null, body: json ?? body });
+      res.writeHead(204).end();
+    });
+  });
+  return new Promise((resolve) => server.listen(port, "127.0.0.1", () => resolve(server)));
+}
+
+// Just enough ESMTP to accept a message: no TLS, any AUTH accepted.
+export function startSmtpSink(port, onMessage = (m) => log("smtp", m)) {
+  const server = net.createServer((socket) => {
+    const send = (line) => socket.write(`${line}\r\n`);
+    let buf = "";
+    let inData = false;
+    let mail = { from: null, to: [], data: [] };
+
+    send("220 alert-sink ESMTP");
+    socket.on("data", (chunk) => {
+      buf += chunk.toString("utf8");
+      let i;
+      while ((i = buf.indexOf("\r\n")) >= 0) {
+        const line = buf.slice(0, i);
+        buf = buf.slice(i + 2);
+
+        if (inData) {
+          if (line === ".") {
+            inData = false;
+            onMessage({ from: mail.from, to: mail.to, message: mail.data.join("\n") });
+            mail = { from: null, to: [], data: [] };
+            send("250 OK queued");
+          } else {
+            mail.data.push(line.startsWith("..") ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const cmd = line.slice(0, 4).toUpperCase();
+        if (cmd === "EHLO") {
+          send("250-alert-sink");
+          send("250 AUTH PLAIN");
+        } else if (cmd === "HELO") send("250 alert-sink");
+        else if (cmd === "AUTH") send("235 OK");
+        else if (cmd === "MAIL") {
+          mail.from = line.replace(/^MAIL FROM:\s*/i, "").replace(/[<>]/g, "");
+          send("250 OK");
+        } else if (cmd === "RCPT") {
+          mail.to.push(line.replace(/^RCPT TO:\s*/i, "").replace(/[<>]/g, ""));
+          send("250 OK");
+        } else if (cmd === "DATA") {
+          inData = true;
+          send("354 End data with <CR><LF>.<CR><LF>");
+        } else if (cmd === "RSET" || cmd === "NOOP") send("250 OK");
+        else if (cmd === "QUIT") {
+          send("221 Bye");
+          socket.end();
+        } else send("502 Command not implemented");
+      }
+    });
+  });
+  return new Promise((resolve) => server.listen(port, "127.0.0.1", () => resolve(server)));
+}
+
+const isDirectRun = process.argv[1]?.endsWith("alertSink.js");
+
+if (isDirectRun) {
+  const { httpPort, smtpPort } = parseArgs();
+  Promise.all([startWebhookSink(httpPort), startSmtpSink(smtpPort)]).then(([h, s]) => {
+    console.log(`webhook sink http://127.0.0.1:${h.address().port}/  smtp sink 127.0.0.1:${s.address().port}`);
+  });
+}
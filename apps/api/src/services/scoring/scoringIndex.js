@@ -1,5 +1,5 @@
 import { supabase } from "../../db/dailyLedger.js";
-import { settleRows, fetchFinalsForLeague } from "./settlementEngine.js";
+import { settleRows, fetchFinalsForLeague, grade, extractEventId } from "./settlementEngine.js";
 import { buildPerformanceFromPicks } from "./performanceEngine.js";
 import { validatePerformanceRow } from "./validationEngine.js";
 
@@ -68,11 +68,59 @@ async function upsertPerformanceDaily(date, league, perf) {
   return row;
 }
 
-export async function runScoringForLeague(date, league) {
+/** Grade picks_daily rows for one slate against ESPN finals. */
+export async function gradeLedgerForLeague(date, league) {
   const existingRows = await fetchPickRows(date, league);
   const finalsMap = await fetchFinalsForLeague(date, league);
   const settlementUpdates = settleRows(existingRows, finalsMap);
   const ledgerResultsUpdated = await applySettlementUpdates(settlementUpdates);
+  return { league, date, rows: existingRows.length, finals: finalsMap.size, ledgerResultsUpdated };
+}
+
+/**
+ * Grade strategy_picks rows (every strategy version's pick) for one slate against
+ * ESPN finals. Shared by the daily cron and the backfill grading step.
+ */
+export async function gradeStrategyPicksForLeague(date, league) {
+  const { data, error } = await supabase
+    .from("strategy_picks")
+    .select("date,league,game_key,strategy_id,pick,market,line,result")
+    .eq("date", date)
+    .eq("league", league)
+    .neq("pick", "PASS");
+
+  if (error) throw new Error(`${league} strategy_picks fetch failed: ${error.message}`);
+  const rows = data || [];
+  if (!rows.length) return { league, date, rows: 0, finals: 0, strategyResultsUpdated: 0 };
+
+  const finalsMap = await fetchFinalsForLeague(date, league);
+  let updated = 0;
+
+  for (const row of rows) {
+    const final = finalsMap.get(extractEventId(row.game_key));
+    if (!final) continue;
+    if (row.market !== "moneyline" && !Number.isFinite(Number(row.line))) continue;
+
+    const result = grade({ market: row.market, pick: row.pick, market_line: row.line }, final.homeScore, final.awayScore);
+    if (!result) continue;
+
+    const { error: upErr } = await supabase
+      .from("strategy_picks")
+      .update({ result: result.toUpperCase(), updated_at: new Date().toISOString() })
+      .eq("date", row.date)
+      .eq("league", row.league)
+      .eq("game_key", row.game_key)
+      .eq("strategy_id", row.strategy_id);
+
+    if (upErr) throw new Error(`strategy_picks update failed for ${row.league} ${row.game_key} ${row.strategy_id}: ${upErr.message}`);
+    updated += 1;
+  }
+
+  return { league, date, rows: rows.length, finals: finalsMap.size, strategyResultsUpdated: updated };
+}
+
+/** Rebuild the performance_daily row for one slate from its (graded) picks. */
+export async function rollupPerformanceForLeague(date, league) {
   const settledRows = await fetchPickRows(date, league);
   const perf = buildPerformanceFromPicks(settledRows);
 
@@ -92,6 +140,11 @@ export async function runScoringForLeague(date, league) {
     scored: perf.scored,
     acc: perf.acc,
     roi: perf.roi,
-    ledgerResultsUpdated,
   };
 }
+
+export async function runScoringForLeague(date, league) {
+  const { ledgerResultsUpdated } = await gradeLedgerForLeague(date, league);
+  const perf = await rollupPerformanceForLeague(date, league);
+  return { ...perf, ledgerResultsUpdated };
+}
@@ -15,7 +15,7 @@ function toNum(v) {
   return Number.isFinite(n) ? n : null;
 }
 
-function extractEventId(gameKey) {
+export function extractEventId(gameKey) {
   const m = String(gameKey || "").match(/(\d+)(?!.*\d)/);
   return m ? m[1] : null;
 }
@@ -44,7 +44,11 @@ export async function fetchFinalsForLeague(date, league) {
 
     map.set(String(e.id), {
       homeScore: toNum(home.score),
-      awayScore: toNum(away.score)
+      awayScore: toNum(away.score),
+      homeAbbr: home.team?.abbreviation || null,
+      awayAbbr: away.team?.abbreviation || null,
+      homeName: home.team?.displayName || null,
+      awayName: away.team?.displayName || null
     });
   }
 
@@ -75,7 +79,7 @@ function calcClvOdds(publishOdds, closeOdds) {
 
 /* --- GRADING --- */
 
-function grade(row, home, away) {
+export function grade(row, home, away) {
   const market = row.market;
   const pick = row.pick.toLowerCase();
   const line = toNum(row.market_line ?? row.publish_line);
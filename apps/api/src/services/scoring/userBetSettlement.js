@@ -0,0 +1,182 @@
+/* User-bet settlement: My Bets rows (straight + parlay legs) graded with the ledger's grade() */
+
+import { extractEventId, grade } from "./settlementEngine.js";
+import { clvForBet } from "../../lib/backtest.js";
+
+const SIDES = ["home", "away", "over", "under"];
+
+function toNum(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function norm(v) {
+  return String(v || "").trim().toLowerCase();
+}
+
+export function normMarket(v) {
+  const m = norm(v);
+  if (["ml", "money", "h2h"].includes(m)) return "moneyline";
+  if (m === "spreads") return "spread";
+  if (["totals", "ou"].includes(m)) return "total";
+  return m;
+}
+
+function decimalFromAmerican(odds) {
+  const o = toNum(odds);
+  if (o == null || o === 0) return null;
+  return o > 0 ? 1 + o / 100 : 1 + 100 / Math.abs(o);
+}
+
+function americanFromDecimal(dec) {
+  if (!Number.isFinite(dec) || dec <= 1) return null;
+  return dec >= 2 ? Math.round((dec - 1) * 100) : Math.round(-100 / (dec - 1));
+}
+
+function round2(x) {
+  return Number.isFinite(x) ? Math.round(x * 100) / 100 : null;
+}
+
+// "MEM @ PHI" / "MEM@PHI:2026-03-10" → { away, home }
+function teamsFromLabel(label) {
+  const m = String(label || "").split(":")[0].match(/^\s*(.+?)\s*@\s*(.+?)\s*$/);
+  return m ? { away: norm(m[1]), home: norm(m[2]) } : null;
+}
+
+function teamMatches(name, final, side) {
+  const n = norm(name);
+  if (!n) return false;
+  const abbr = norm(final?.[`${side}Abbr`]);
+  const full = norm(final?.[`${side}Name`]);
+  return n === abbr || n === full || (full && full.endsWith(` ${n}`));
+}
+
+/**
+ * Final for a bet/leg: event id from the game key first, else the teams in
+ * game_label / game_key ("AWAY @ HOME").
+ */
+export function findFinal(bet, finalsMap) {
+  if (!finalsMap) return null;
+
+  const id = extractEventId(bet?.game_key);
+  if (id && finalsMap.has(id)) return finalsMap.get(id);
+
+  const teams = teamsFromLabel(bet?.game_label) || teamsFromLabel(bet?.game_key);
+  if (!teams) return null;
+
+  for (const final of finalsMap.values()) {
+    if (teamMatches(teams.home, final, "home") && teamMatches(teams.away, final, "away")) return final;
+  }
+  return null;
+}
+
+/** home/away/over/under; team abbreviations and names resolve against the final. */
+export function resolveSide(pick, market, final) {
+  const p = norm(pick).replace(/\s+[+-]?\d+(\.\d+)?$/, ""); // "mem +2.5" → "mem"
+  if (SIDES.includes(p)) return p;
+  if (market === "total") {
+    if (p.startsWith("o")) return "over";
+    if (p.startsWith("u")) return "under";
+    return null;
+  }
+  if (teamMatches(p, final, "home")) return "home";
+  if (teamMatches(p, final, "away")) return "away";
+  return null;
+}
+
+/** win / loss / push for one straight bet or leg, or null while ungradeable. */
+export function gradeUserSelection(sel, finalsMap) {
+  const final = findFinal(sel, finalsMap);
+  if (!final || final.homeScore == null || final.awayScore == null) return null;
+
+  const market = normMarket(sel.market);
+  const side = resolveSide(sel.pick, market, final);
+  if (!side) return null;
+  if (market !== "moneyline" && toNum(sel.line) == null) return null;
+
+  return grade({ market, pick: side, market_line: toNum(sel.line) }, final.homeScore, final.awayScore);
+}
+
+function profitFor(result, stake, odds) {
+  const s = toNum(stake);
+  if (s == null) return null;
+  if (result === "loss") return -s;
+  if (result === "push" || result === "void") return 0;
+  const dec = decimalFromAmerican(odds);
+  return dec == null ? null : round2(s * (dec - 1));
+}
+
+export function settleStraightBet(bet, finalsMap) {
+  const result = gradeUserSelection(bet, finalsMap);
+  if (!result) return null;
+  return { result, profit: profitFor(result, bet.stake, bet.odds) };
+}
+
+/**
+ * Leg by leg. Any losing leg loses the ticket; otherwise it waits for every leg.
+ * Push / void legs drop out and the payout is re-priced on the remaining legs
+ * (all legs out → push). Re-pricing needs each remaining leg's odds; without
+ * them the ticket is left pending for a manual settle.
+ */
+export function settleParlayBet(bet, finalsFor) {
+  const legs = Array.isArray(bet?.legs) ? bet.legs : [];
+  if (legs.length < 2) return { pending: true, reason: "no_structured_legs" };
+
+  const graded = legs.map((leg) => {
+    if (["win", "loss", "push", "void"].includes(norm(leg?.result))) return { ...leg, result: norm(leg.result) };
+    const sel = {
+      ...leg,
+      date: leg?.date || bet.date,
+      league: norm(leg?.league || bet.league),
+    };
+    return { ...leg, result: gradeUserSelection(sel, finalsFor(sel.league, sel.date)) };
+  });
+
+  if (graded.some((l) => l.result === "loss")) {
+    return { result: "loss", profit: profitFor("loss", bet.stake), legs: graded };
+  }
+  if (graded.some((l) => !l.result)) {
+    return { pending: true, reason: "legs_pending", legs: graded };
+  }
+
+  const live = graded.filter((l) => l.result === "win");
+  if (!live.length) return { result: "push", profit: 0, legs: graded };
+
+  const reduced = live.length < graded.length;
+  let odds = toNum(bet.odds);
+  if (reduced) {
+    const decs = live.map((l) => decimalFromAmerican(l.odds));
+    if (decs.some((d) => d == null)) return { pending: true, reason: "leg_odds_missing", legs: graded };
+    odds = americanFromDecimal(decs.reduce((a, d) => a * d, 1));
+  }
+
+  return { result: "win", profit: profitFor("win", bet.stake, odds), settledOdds: odds, reduced, legs: graded };
+}
+
+/**
+ * CLV for a straight bet against its pick_closes row (side-aware line CLV,
+ * implied-probability CLV). Uses the price the user actually took.
+ */
+export function clvFromClose(bet, closeRow, side) {
+  if (!closeRow) return null;
+  const close = { line: toNum(closeRow.close_line), odds: toNum(closeRow.close_odds) };
+  if (close.odds == null && close.line == null) return null;
+
+  const betQuote = {
+    marketType: normMarket(bet.market),
+    side,
+    line: toNum(bet.publish_line ?? bet.line),
+    odds: toNum(bet.publish_odds ?? bet.odds),
+  };
+  const { clvImplied, clvLine } = clvForBet(betQuote, close);
+  const oddsDelta = close.odds != null && betQuote.odds != null ? close.odds - betQuote.odds : null;
+
+  return {
+    close_line: close.line,
+    close_odds: close.odds,
+    clv_line_delta: clvLine,
+    clv_odds_delta: oddsDelta,
+    clv_implied_delta: clvImplied,
+  };
+}
@@ -1,12 +1,3 @@
-import { createClient } from "@supabase/supabase-js";
+import { getStorageClient } from "./db/storage/index.js";
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-
-export const supabaseAdmin = createClient(
-  supabaseUrl,
-  supabaseServiceKey,
-  {
-    auth: { persistSession: false }
-  }
-);
+export const supabaseAdmin = getStorageClient();
@@ -1,12 +1,25 @@
-import React from "react";
+import React, { useEffect, useState } from "react";
 import { Navigate, useLocation } from "react-router-dom";
 import { useSubscriber } from "./SubscriberContext";
 
 export default function ProtectedRoute({ children }) {
   const location = useLocation();
-  const { ready, isAuthenticated, isActiveSubscriber } = useSubscriber();
+  const { ready, isAuthenticated, isActiveSubscriber, checkSession } = useSubscriber();
+  const [checkedPath, setCheckedPath] = useState(null);
 
-  if (!ready) {
+  // Re-validate with the server on every protected navigation (expired / revoked sessions)
+  useEffect(() => {
+    let cancelled = false;
+    checkSession().finally(() => {
+      if (!cancelled) setCheckedPath(location.pathname);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [checkSession, location.pathname]);
+
+  // first visit waits for the server; later navigations re-check in the background
+  if (!ready || (checkedPath == null && !isAuthenticated)) {
     return (
       <div style={{ padding: 32, color: "#e2e8f0" }}>
         Loading subscriber session...
@@ -1,58 +1,115 @@
-import React, { createContext, useContext, useEffect, useMemo, useState } from "react";
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+import { authHeaders, clearSessionToken, getSessionToken, setSessionToken } from "./session";
 
-const STORAGE_KEY = "sportsmvp_subscriber_session";
+// pre-auth scaffold kept a fake session here; dropped on load
+const LEGACY_STORAGE_KEY = "sportsmvp_subscriber_session";
 
 const SubscriberContext = createContext(null);
 
-function readStoredSession() {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return null;
-    const parsed = JSON.parse(raw);
-    if (!parsed || typeof parsed !== "object") return null;
-    return parsed;
-  } catch {
-    return null;
+async function postJson(path, body) {
+  const res = await fetch(path, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...authHeaders() },
+    body: JSON.stringify(body || {}),
+  });
+  const json = await res.json().catch(() => null);
+  if (!res.ok || json?.ok === false) {
+    throw new Error(json?.error || `Request failed (${res.status})`);
   }
+  return json;
 }
 
 export function SubscriberProvider({ children }) {
   const [session, setSession] = useState(null);
   const [ready, setReady] = useState(false);
 
+  // Server is the source of truth: a token only counts once /api/auth/session accepts it.
+  const checkSession = useCallback(async () => {
+    if (!getSessionToken()) {
+      setSession(null);
+      setReady(true);
+      return null;
+    }
+
+    try {
+      const res = await fetch("/api/auth/session", { headers: authHeaders() });
+      const json = await res.json().catch(() => null);
+
+      if (res.ok && json?.ok !== false && json?.user) {
+        setSession(json.user);
+        return json.user;
+      }
+      if (res.status === 401 || res.status === 403) {
+        clearSessionToken();
+        setSession(null);
+      }
+      return null;
+    } catch {
+      // network blip: keep whatever we had rather than bouncing to /login
+      return null;
+    } finally {
+      setReady(true);
+    }
+  }, []);
+
   useEffect(() => {
-    const existing = readStoredSession();
-    if (existing) setSession(existing);
-    setReady(true);
+    try {
+      localStorage.removeItem(LEGACY_STORAGE_KEY);
+    } catch {
+      // ignore
+    }
+    checkSession();
+  }, [checkSession]);
+
+  const acceptSession = useCallback((json) => {
+    setSessionToken(json.token);
+    setSession(json.user);
+    return json.user;
   }, []);
 
-  const login = ({ email }) => {
-    const normalizedEmail = String(email || "").trim().toLowerCase();
-    const next = {
-      email: normalizedEmail,
-      plan: "premium",
-      status: "active",
-      startedAt: new Date().toISOString(),
-    };
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
-    setSession(next);
-  };
-
-  const logout = () => {
-    localStorage.removeItem(STORAGE_KEY);
+  const login = useCallback(
+    async ({ email, password }) => acceptSession(await postJson("/api/auth/login", { email, password })),
+    [acceptSession]
+  );
+
+  const register = useCallback(
+    async ({ email, password }) => acceptSession(await postJson("/api/auth/register", { email, password })),
+    [acceptSession]
+  );
+
+  const requestMagicLink = useCallback(async ({ email }) => postJson("/api/auth/magic-link", { email }), []);
+
+  const verifyMagicLink = useCallback(
+    async (token) => acceptSession(await postJson("/api/auth/magic-link/verify", { token })),
+    [acceptSession]
+  );
+
+  const logout = useCallback(async () => {
+    try {
+      await postJson("/api/auth/logout");
+    } catch {
+      // stateless on the server; dropping the token is what matters
+    }
+    clearSessionToken();
     setSession(null);
-  };
+  }, []);
 
   const value = useMemo(
     () => ({
       ready,
       session,
+      user: session,
       isAuthenticated: !!session,
-      isActiveSubscriber: session?.status === "active",
+      // new accounts start on the free plan; premium pages need a paid one
+      isActiveSubscriber: session?.status === "active" && session?.plan === "premium",
+      checkSession,
       login,
+      register,
+      requestMagicLink,
+      verifyMagicLink,
       logout,
     }),
-    [ready, session]
+    [ready, session, checkSession, login, register, requestMagicLink, verifyMagicLink, logout]
   );
 
   return <SubscriberContext.Provider value={value}>{children}</SubscriberContext.Provider>;
@@ -0,0 +1,38 @@
+// apps/web/src/auth/session.js
+
+/**
+ * Session token storage + auth headers.
+ *
+ * The token is issued by POST /api/auth/login (or the magic-link verify) and
+ * is only a bearer credential — who the user is and what plan they're on always
+ * comes from GET /api/auth/session.
+ */
+
+const TOKEN_KEY = "sportsmvp_session_token";
+
+export function getSessionToken() {
+  try {
+    return localStorage.getItem(TOKEN_KEY) || null;
+  } catch {
+    return null;
+  }
+}
+
+export function setSessionToken(token) {
+  try {
+    if (token) localStorage.setItem(TOKEN_KEY, token);
+    else localStorage.removeItem(TOKEN_KEY);
+  } catch {
+    // storage unavailable (private mode) — session lasts for this tab only
+  }
+}
+
+export function clearSessionToken() {
+  setSessionToken(null);
+}
+
+/** `{ Authorization }` when signed in, else `{}` — spread into fetch headers. */
+export function authHeaders() {
+  const token = getSessionToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
@@ -0,0 +1,227 @@
+import { useEffect, useMemo, useState } from "react";
+
+/**
+ * LineMovementChart.jsx
+ *
+ * Odds/line history for one game + market from GET /api/markets/:gameKey/history.
+ * - one thin line per book, thick line for the consensus
+ * - publish / close markers from the graded pick (when the game was published)
+ * - steam moves as dots, RLM as a badge
+ *
+ * Fetches lazily: render it inside a closed <details> and it loads on first open.
+ */
+
+const BOOK_COLORS = ["#60a5fa", "#f472b6", "#34d399", "#fbbf24", "#a78bfa", "#f87171", "#22d3ee", "#fb923c"];
+
+const W = 560;
+const H = 180;
+const PAD = { top: 14, right: 12, bottom: 24, left: 44 };
+
+function toMillis(x) {
+  const t = new Date(x || "").getTime();
+  return Number.isFinite(t) ? t : null;
+}
+
+function valueOf(market, p) {
+  if (!p) return null;
+  if (market === "moneyline") return p.odds == null ? null : Number(p.odds);
+  return p.line == null ? null : Number(p.line);
+}
+
+function fmtTime(ms) {
+  if (ms == null) return "—";
+  return new Date(ms).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+}
+
+function fmtValue(market, v) {
+  if (v == null || !Number.isFinite(v)) return "—";
+  if (market === "moneyline") return v > 0 ? `+${Math.round(v)}` : `${Math.round(v)}`;
+  return Number.isInteger(v) ? String(v) : v.toFixed(1);
+}
+
+export default function LineMovementChart({ gameKey, date, league, market, side }) {
+  const [state, setState] = useState({ loading: true, error: "", data: null });
+
+  useEffect(() => {
+    if (!gameKey) return undefined;
+    let cancelled = false;
+
+    const qs = new URLSearchParams();
+    if (date) qs.set("date", date);
+    if (league) qs.set("league", String(league).toLowerCase());
+    if (market) qs.set("market", market);
+    if (side) qs.set("side", side);
+
+    fetch(`/api/markets/${encodeURIComponent(gameKey)}/history?${qs.toString()}`)
+      .then((r) => r.json())
+      .then((json) => {
+        if (cancelled) return;
+        if (!json?.ok) setState({ loading: false, error: json?.error || "Failed to load history.", data: null });
+        else setState({ loading: false, error: "", data: json });
+      })
+      .catch(() => {
+        if (!cancelled) setState({ loading: false, error: "Failed to load history.", data: null });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [gameKey, date, league, market, side]);
+
+  const series = state.data?.markets?.[0] || null;
+  const mkt = series?.market || market || "";
+
+  const pickMarker = useMemo(() => {
+    const picks = state.data?.picks || [];
+    return picks.find((p) => p.market === mkt && (!side || String(p.pick || "").toLowerCase() === side)) || picks[0] || null;
+  }, [state.data, mkt, side]);
+
+  const chart = useMemo(() => {
+    if (!series) return null;
+
+    const lines = series.books.map((b, i) => ({
+      key: b.book,
+      color: BOOK_COLORS[i % BOOK_COLORS.length],
+      pts: b.points.map((p) => ({ t: toMillis(p.capturedAt), v: valueOf(mkt, p) })).filter((p) => p.t != null && p.v != null),
+    }));
+    const consensus = series.consensus
+      .map((p) => ({ t: toMillis(p.capturedAt), v: valueOf(mkt, p) }))
+      .filter((p) => p.t != null && p.v != null);
+
+    const all = [...consensus, ...lines.flatMap((l) => l.pts)];
+    if (!all.length) return null;
+
+    const publishT = toMillis(pickMarker?.publish?.capturedAt);
+    const closeT = toMillis(pickMarker?.close?.capturedAt);
+
+    const ts = [...all.map((p) => p.t), publishT, closeT].filter((t) => t != null);
+    let t0 = Math.min(...ts);
+    let t1 = Math.max(...ts);
+    if (t1 === t0) {
+      t0 -= 30 * 60 * 1000;
+      t1 += 30 * 60 * 1000;
+    }
+
+    let v0 = Math.min(...all.map((p) => p.v));
+    let v1 = Math.max(...all.map((p) => p.v));
+    const padV = Math.max((v1 - v0) * 0.15, mkt === "moneyline" ? 5 : 0.5);
+    v0 -= padV;
+    v1 += padV;
+
+    const x = (t) => PAD.left + ((t - t0) / (t1 - t0)) * (W - PAD.left - PAD.right);
+    const y = (v) => PAD.top + (1 - (v - v0) / (v1 - v0)) * (H - PAD.top - PAD.bottom);
+
+    // step path: hold each value until the next change
+    const path = (pts) => {
+      if (!pts.length) return "";
+      let d = `M${x(pts[0].t)},${y(pts[0].v)}`;
+      for (let i = 1; i < pts.length; i++) d += ` H${x(pts[i].t)} V${y(pts[i].v)}`;
+      return `${d} H${x(t1)}`;
+    };
+
+    const consensusAt = (t) => {
+      let v = consensus[0]?.v ?? null;
+      for (const p of consensus) if (p.t <= t) v = p.v;
+      return v;
+    };
+
+    return {
+      t0,
+      t1,
+      v0,
+      v1,
+      x,
+      y,
+      lines: lines.map((l) => ({ ...l, d: path(l.pts) })),
+      consensusD: path(consensus),
+      publishT,
+      closeT,
+      steam: (series.steam || []).map((s) => {
+        const t = toMillis(s.end);
+        return { ...s, t, v: consensusAt(t) };
+      }),
+    };
+  }, [series, mkt, pickMarker]);
+
+  if (state.loading) return <div style={{ fontSize: 13, color: "#94a3b8", padding: 8 }}>Loading line history…</div>;
+  if (state.error) return <div style={{ fontSize: 13, color: "#fca5a5", padding: 8 }}>{state.error}</div>;
+  if (!series || !chart) {
+    return <div style={{ fontSize: 13, color: "#94a3b8", padding: 8 }}>No market snapshots captured for this game yet.</div>;
+  }
+
+  const delta = series.movement?.delta ?? 0;
+
+  return (
+    <div style={{ display: "grid", gap: 8, marginTop: 10 }}>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center", fontSize: 12, color: "#cbd5e1" }}>
+        <span>
+          Consensus {fmtValue(mkt, valueOf(mkt, series.movement?.open))} → {fmtValue(mkt, valueOf(mkt, series.movement?.latest))}
+        </span>
+        <span style={{ color: delta > 0 ? "#86efac" : delta < 0 ? "#fca5a5" : "#94a3b8", fontWeight: 700 }}>
+          {delta > 0 ? "toward our side" : delta < 0 ? "against our side" : "flat"}
+        </span>
+        {series.steam?.length > 0 && (
+          <span style={{ borderRadius: 999, padding: "3px 8px", fontWeight: 800, background: "rgba(245,158,11,0.15)", border: "1px solid rgba(245,158,11,0.35)", color: "#fde68a" }}>
+            Steam ×{series.steam.length}
+          </span>
+        )}
+        {series.rlm?.flagged && (
+          <span
+            title={series.rlm.assumed ? "Public side assumed (no ticket data)" : "Based on ticket share"}
+            style={{ borderRadius: 999, padding: "3px 8px", fontWeight: 800, background: "rgba(168,85,247,0.15)", border: "1px solid rgba(168,85,247,0.35)", color: "#d8b4fe" }}
+          >
+            Reverse line movement
+          </span>
+        )}
+      </div>
+
+      <svg viewBox={`0 0 ${W} ${H}`} style={{ width: "100%", height: "auto", background: "rgba(2,6,23,0.45)", borderRadius: 12 }}>
+        {[chart.v0, (chart.v0 + chart.v1) / 2, chart.v1].map((v) => (
+          <g key={`grid-${v}`}>
+            <line x1={PAD.left} x2={W - PAD.right} y1={chart.y(v)} y2={chart.y(v)} stroke="rgba(148,163,184,0.12)" />
+            <text x={PAD.left - 6} y={chart.y(v) + 4} fill="#64748b" fontSize="10" textAnchor="end">
+              {fmtValue(mkt, v)}
+            </text>
+          </g>
+        ))}
+        <text x={PAD.left} y={H - 6} fill="#64748b" fontSize="10">{fmtTime(chart.t0)}</text>
+        <text x={W - PAD.right} y={H - 6} fill="#64748b" fontSize="10" textAnchor="end">{fmtTime(chart.t1)}</text>
+
+        {chart.publishT != null && (
+          <g>
+            <line x1={chart.x(chart.publishT)} x2={chart.x(chart.publishT)} y1={PAD.top} y2={H - PAD.bottom} stroke="#93c5fd" strokeDasharray="4 3" />
+            <text x={chart.x(chart.publishT) + 3} y={PAD.top + 8} fill="#93c5fd" fontSize="10">publish</text>
+          </g>
+        )}
+        {chart.closeT != null && (
+          <g>
+            <line x1={chart.x(chart.closeT)} x2={chart.x(chart.closeT)} y1={PAD.top} y2={H - PAD.bottom} stroke="#f8fafc" strokeDasharray="4 3" />
+            <text x={chart.x(chart.closeT) - 3} y={PAD.top + 8} fill="#f8fafc" fontSize="10" textAnchor="end">close</text>
+          </g>
+        )}
+
+        {chart.lines.map((l) => (
+          <path key={l.key} d={l.d} fill="none" stroke={l.color} strokeWidth="1.2" opacity="0.6" />
+        ))}
+        <path d={chart.consensusD} fill="none" stroke="#f8fafc" strokeWidth="2.4" />
+
+        {chart.steam
+          .filter((s) => s.t != null && s.v != null)
+          .map((s) => (
+            <circle key={`steam-${s.start}`} cx={chart.x(s.t)} cy={chart.y(s.v)} r="4.5" fill="#fbbf24" stroke="#0f172a" strokeWidth="1.5">
+              <title>{`Steam ${s.direction} • ${s.books.join(", ")}`}</title>
+            </circle>
+          ))}
+      </svg>
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 10, fontSize: 11, color: "#94a3b8" }}>
+        <span style={{ color: "#f8fafc", fontWeight: 700 }}>━ consensus</span>
+        {chart.lines.map((l) => (
+          <span key={`legend-${l.key}`} style={{ color: l.color }}>
+            ━ {l.key}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
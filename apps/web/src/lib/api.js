@@ -1,4 +1,5 @@
 // apps/web/src/lib/api.js
+import { authHeaders } from "../auth/session";
 
 // Prefer explicit base (set in Vite env). Otherwise:
 // - in dev (localhost) hit API directly at 127.0.0.1:3001
@@ -12,7 +13,7 @@ async function request(path, { method = "GET", headers, body } = {}) {
 
   const res = await fetch(url, {
     method,
-    headers: { "Content-Type": "application/json", ...(headers || {}) },
+    headers: { "Content-Type": "application/json", ...authHeaders(), ...(headers || {}) },
     body: body ? JSON.stringify(body) : undefined,
   });
 
@@ -89,3 +90,20 @@ export async function getLeaguePredict(league, date, windowDays) {
 export async function getNbaTeams() {
   return request(`/api/nba/teams`);
 }
+
+/**
+ * Manual odds (books the feeds don't carry) — /api/odds/manual
+ * Writes need the API's ADMIN_TOKEN.
+ */
+export async function listManualOdds(date, league) {
+  const l = league ? `&league=${encodeURIComponent(String(league).toLowerCase())}` : "";
+  return request(`/api/odds/manual?date=${encodeURIComponent(date)}${l}`);
+}
+
+export async function saveManualOdds(entry, adminToken) {
+  return request(`/api/odds/manual`, { method: "POST", headers: { "x-admin-token": adminToken }, body: entry });
+}
+
+export async function deleteManualOdds(id, adminToken) {
+  return request(`/api/odds/manual/${encodeURIComponent(id)}`, { method: "DELETE", headers: { "x-admin-token": adminToken } });
+}
@@ -1,6 +1,6 @@
-// apps/api/src/lib/odds.js
-
-const ODDS = new Map();
+// apps/web/src/lib/odds.js
+// Manual moneylines, persisted by the API (/api/odds/manual) and merged into its slate odds.
+import { listManualOdds, saveManualOdds } from "./api";
 
 export function americanToImpliedProb(ml) {
   const x = Number(ml);
@@ -9,27 +9,34 @@ export function americanToImpliedProb(ml) {
   return 100 / (x + 100);
 }
 
-export function getOdds({ date, gameId }) {
-  return ODDS.get(`${date}:${gameId}`) || null;
+function toRow(r) {
+  return {
+    id: r.id,
+    date: String(r.date).slice(0, 10),
+    league: r.league,
+    home: r.home_team,
+    away: r.away_team,
+    homeML: r.home_odds,
+    awayML: r.away_odds,
+    book: r.book,
+    updatedAt: r.updated_at,
+  };
 }
 
-export function upsertOdds({ date, gameId, homeML, awayML, book = "manual" }) {
-  const row = {
-    date,
-    gameId,
-    homeML: Number(homeML),
-    awayML: Number(awayML),
-    book: String(book || "manual"),
-    updatedAt: new Date().toISOString(),
-  };
-  ODDS.set(`${date}:${gameId}`, row);
-  return row;
+export async function listOddsByDate(date, league) {
+  const res = await listManualOdds(date, league);
+  return (res?.data || []).filter((r) => r.market === "moneyline" && !r.expired).map(toRow);
+}
+
+export async function getOdds({ date, league, home, away }) {
+  const rows = await listOddsByDate(date, league);
+  return rows.find((r) => r.home === home && r.away === away) || null;
 }
 
-export function listOddsByDate(date) {
-  const out = [];
-  for (const v of ODDS.values()) {
-    if (v.date === date) out.push(v);
-  }
-  return out;
+export async function upsertOdds({ date, league, home, away, homeML, awayML, book = "manual", adminToken }) {
+  const res = await saveManualOdds(
+    { date, league, home, away, book: String(book || "manual"), moneyline: { home: Number(homeML), away: Number(awayML) } },
+    adminToken
+  );
+  return res?.data?.[0] ? toRow(res.data[0]) : null;
 }
@@ -1,36 +1,94 @@
-import React, { useMemo, useState } from "react";
-import { Link, useLocation, useNavigate } from "react-router-dom";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Link, Navigate, useLocation, useNavigate } from "react-router-dom";
 import { useSubscriber } from "../auth/SubscriberContext";
 
 export default function Login() {
   const navigate = useNavigate();
   const location = useLocation();
-  const { login, isAuthenticated, isActiveSubscriber } = useSubscriber();
+  const { login, register, requestMagicLink, verifyMagicLink, isAuthenticated, isActiveSubscriber } = useSubscriber();
 
+  const [mode, setMode] = useState("login"); // login | register
   const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
   const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [busy, setBusy] = useState(false);
 
   const target = useMemo(() => {
     return location?.state?.from || "/app";
   }, [location]);
 
-  const onSubmit = (e) => {
-    e.preventDefault();
-    const normalized = String(email || "").trim().toLowerCase();
+  // Magic link lands here as /login?token=...
+  const magicToken = useMemo(() => new URLSearchParams(location.search).get("token"), [location.search]);
+  const verifiedToken = useRef(null);
+
+  useEffect(() => {
+    if (!magicToken || verifiedToken.current === magicToken) return;
+    verifiedToken.current = magicToken;
 
+    setBusy(true);
+    verifyMagicLink(magicToken)
+      .then(() => navigate(target, { replace: true }))
+      .catch((e) => {
+        setError(String(e?.message || "This sign-in link is invalid or has expired."));
+        setBusy(false);
+      });
+  }, [magicToken, verifyMagicLink, navigate, target]);
+
+  const validEmail = () => {
+    const normalized = String(email || "").trim().toLowerCase();
     if (!normalized || !normalized.includes("@")) {
       setError("Enter a valid email address.");
+      return null;
+    }
+    return normalized;
+  };
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    const normalized = validEmail();
+    if (!normalized) return;
+    if (!password) {
+      setError("Enter your password, or use a sign-in link instead.");
       return;
     }
 
     setError("");
-    login({ email: normalized });
-    navigate(target, { replace: true });
+    setNotice("");
+    setBusy(true);
+    try {
+      if (mode === "register") await register({ email: normalized, password });
+      else await login({ email: normalized, password });
+      navigate(target, { replace: true });
+    } catch (err) {
+      setError(String(err?.message || "Sign-in failed."));
+      setBusy(false);
+    }
   };
 
-  if (isAuthenticated && isActiveSubscriber) {
-    navigate(target, { replace: true });
-    return null;
+  const onMagicLink = async () => {
+    const normalized = validEmail();
+    if (!normalized) return;
+
+    setError("");
+    setNotice("");
+    setBusy(true);
+    try {
+      const json = await requestMagicLink({ email: normalized });
+      setNotice(
+        json?.devLink
+          ? `Dev mode — sign-in link: ${json.devLink}`
+          : `Check ${normalized} for a sign-in link.`
+      );
+    } catch (err) {
+      setError(String(err?.message || "Could not send a sign-in link."));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (isAuthenticated && isActiveSubscriber && !magicToken) {
+    return <Navigate to={target} replace />;
   }
 
   const styles = {
@@ -102,6 +160,34 @@ export default function Login() {
       cursor: "pointer",
       boxShadow: "0 12px 28px rgba(37,99,235,0.28)",
     },
+    secondary: {
+      width: "100%",
+      marginTop: 10,
+      border: "1px solid rgba(148,163,184,0.22)",
+      background: "rgba(15,23,42,0.7)",
+      color: "#cbd5e1",
+      fontWeight: 700,
+      fontSize: 14,
+      borderRadius: 14,
+      padding: "12px 18px",
+      cursor: "pointer",
+    },
+    linkButton: {
+      background: "none",
+      border: "none",
+      padding: 0,
+      color: "#93c5fd",
+      fontWeight: 700,
+      cursor: "pointer",
+      fontSize: 13,
+    },
+    notice: {
+      marginBottom: 12,
+      color: "#86efac",
+      fontSize: 13,
+      fontWeight: 700,
+      wordBreak: "break-all",
+    },
     note: {
       marginTop: 16,
       color: "#94a3b8",
@@ -137,21 +223,51 @@ export default function Login() {
           <input
             id="email"
             type="email"
+            autoComplete="email"
             placeholder="you@example.com"
             value={email}
             onChange={(e) => setEmail(e.target.value)}
             style={styles.input}
           />
 
+          <label style={styles.label} htmlFor="password">Password</label>
+          <input
+            id="password"
+            type="password"
+            autoComplete={mode === "register" ? "new-password" : "current-password"}
+            placeholder={mode === "register" ? "At least 8 characters" : "••••••••"}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            style={styles.input}
+          />
+
           {error ? <div style={styles.error}>{error}</div> : null}
+          {notice ? <div style={styles.notice}>{notice}</div> : null}
+          {isAuthenticated && !isActiveSubscriber && !busy ? (
+            <div style={styles.notice}>You're signed in, but this account doesn't have an active premium plan yet.</div>
+          ) : null}
+
+          <button type="submit" style={styles.button} disabled={busy}>
+            {busy ? "Working…" : mode === "register" ? "Create account" : "Log in"}
+          </button>
 
-          <button type="submit" style={styles.button}>
-            Continue to Premium App
+          <button type="button" style={styles.secondary} disabled={busy} onClick={onMagicLink}>
+            Email me a sign-in link instead
           </button>
         </form>
 
         <div style={styles.note}>
-          This is the subscriber access scaffold. Stripe billing and production auth will be connected next.
+          {mode === "register" ? "Already have an account? " : "New to Sports MVP? "}
+          <button
+            type="button"
+            style={styles.linkButton}
+            onClick={() => {
+              setMode(mode === "register" ? "login" : "register");
+              setError("");
+            }}
+          >
+            {mode === "register" ? "Log in" : "Create an account"}
+          </button>
         </div>
 
         <Link to="/" style={styles.back}>← Back to homepage</Link>
@@ -1,7 +1,7 @@
 import { useEffect, useMemo, useState } from "react";
+import { authHeaders } from "../auth/session";
 
 const API_BASE = "http://127.0.0.1:3001";
-const USER_KEY = "local-dev";
 
 function num(v) {
   if (v === null || v === undefined || v === "") return null;
@@ -54,6 +54,36 @@ function clvImpliedText(v) {
   return `${n > 0 ? "+" : n < 0 ? "-" : ""}${abs}% edge`;
 }
 
+function emptyLeg() {
+  return { game_label: "", market: "spread", pick: "", line: "", odds: "" };
+}
+
+function resizeLegs(legs, count) {
+  const n = Math.max(2, Number(count) || 2);
+  const next = legs.slice(0, n);
+  while (next.length < n) next.push(emptyLeg());
+  return next;
+}
+
+// only fully described legs go to the API — the auto-settler needs game + pick
+function legsPayload(legs) {
+  return legs
+    .filter((l) => l.game_label.trim() && l.pick.trim())
+    .map((l) => ({
+      game_label: l.game_label.trim(),
+      market: l.market,
+      pick: l.pick.trim(),
+      line: l.market !== "moneyline" && l.line !== "" ? Number(l.line) : null,
+      odds: l.odds === "" ? null : Number(l.odds),
+    }));
+}
+
+function legsSummaryText(legs) {
+  return legs
+    .map((l) => [l.pick, l.market !== "moneyline" && l.line != null ? l.line : null].filter((x) => x != null && x !== "").join(" "))
+    .join(" | ");
+}
+
 function emptyForm() {
   return {
     date: new Date().toISOString().slice(0, 10),
@@ -63,6 +93,7 @@ function emptyForm() {
     parlay_type: "multi_game",
     legs_count: "2",
     legs_summary: "",
+    legs: [emptyLeg(), emptyLeg()],
     game_key: "",
     game_label: "",
     market: "spread",
@@ -70,6 +101,7 @@ function emptyForm() {
     line: "",
     odds: "",
     stake: "",
+    model_prob: "",
     book: "",
     notes: "",
     source: "manual",
@@ -84,19 +116,25 @@ export default function MyBets() {
   const [summary, setSummary] = useState(null);
   const [bets, setBets] = useState([]);
   const [form, setForm] = useState(emptyForm());
+  const [bankroll, setBankroll] = useState(null);
+  const [bankrollForm, setBankrollForm] = useState(null);
+  const [savingBankroll, setSavingBankroll] = useState(false);
+  const [stakeHint, setStakeHint] = useState(null);
 
   async function loadData() {
     setLoading(true);
     setError("");
     try {
-      const [summaryRes, betsRes] = await Promise.all([
-        fetch(`${API_BASE}/api/bets/summary?user_key=${encodeURIComponent(USER_KEY)}`),
-        fetch(`${API_BASE}/api/bets?user_key=${encodeURIComponent(USER_KEY)}`),
+      const [summaryRes, betsRes, bankrollRes] = await Promise.all([
+        fetch(`${API_BASE}/api/bets/summary`, { headers: authHeaders() }),
+        fetch(`${API_BASE}/api/bets`, { headers: authHeaders() }),
+        fetch(`${API_BASE}/api/bankroll`, { headers: authHeaders() }),
       ]);
 
-      const [summaryJson, betsJson] = await Promise.all([
+      const [summaryJson, betsJson, bankrollJson] = await Promise.all([
         summaryRes.json(),
         betsRes.json(),
+        bankrollRes.json().catch(() => null),
       ]);
 
       if (!summaryRes.ok || summaryJson?.ok === false) {
@@ -108,6 +146,13 @@ export default function MyBets() {
 
       setSummary(summaryJson?.data || null);
       setBets(Array.isArray(betsJson?.data) ? betsJson.data : []);
+
+      // Bankroll is optional — the ledger still works without it
+      const bankrollData = bankrollRes.ok && bankrollJson?.ok !== false ? bankrollJson?.data || null : null;
+      setBankroll(bankrollData);
+      if (bankrollData?.settings) {
+        setBankrollForm((f) => f || { ...bankrollData.settings });
+      }
     } catch (e) {
       setError(String(e?.message || "Failed to load My Bets."));
     } finally {
@@ -125,8 +170,10 @@ export default function MyBets() {
     setError("");
 
     try {
+      const legs = form.bet_type === "parlay" ? legsPayload(form.legs) : [];
       const payload = {
         ...form,
+        legs: legs.length ? legs : null,
         legs_count: form.bet_type === "parlay" ? Number(form.legs_count) : null,
         line: form.bet_type === "straight" && form.line !== "" ? Number(form.line) : null,
         odds: form.odds === "" ? null : Number(form.odds),
@@ -134,14 +181,17 @@ export default function MyBets() {
         market: form.bet_type === "straight" ? form.market : "moneyline",
         pick: form.bet_type === "straight" ? form.pick : "parlay",
         parlay_type: form.bet_type === "parlay" ? form.parlay_type : null,
-        legs_summary: form.bet_type === "parlay" ? form.legs_summary : null,
+        legs_summary:
+          form.bet_type === "parlay" ? form.legs_summary || (legs.length ? legsSummaryText(legs) : null) : null,
+        source_meta: num(form.model_prob) != null ? { model_prob: num(form.model_prob) / 100 } : null,
       };
+      delete payload.model_prob;
 
       const res = await fetch(`${API_BASE}/api/bets`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
-          "x-user-key": USER_KEY,
+          ...authHeaders(),
         },
         body: JSON.stringify(payload),
       });
@@ -160,6 +210,70 @@ export default function MyBets() {
     }
   }
 
+  async function saveBankroll(e) {
+    e.preventDefault();
+    setSavingBankroll(true);
+    setError("");
+    try {
+      const res = await fetch(`${API_BASE}/api/bankroll`, {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+          ...authHeaders(),
+        },
+        body: JSON.stringify({
+          starting_bankroll: num(bankrollForm?.starting_bankroll),
+          policy: bankrollForm?.policy,
+          unit_size: num(bankrollForm?.unit_size),
+          unit_pct: num(bankrollForm?.unit_pct),
+          kelly_fraction: num(bankrollForm?.kelly_fraction),
+          max_pct: num(bankrollForm?.max_pct),
+        }),
+      });
+
+      const json = await res.json();
+      if (!res.ok || json?.ok === false) {
+        throw new Error(json?.error || "Failed to save bankroll settings.");
+      }
+
+      setBankrollForm({ ...json.data });
+      await loadData();
+    } catch (e) {
+      setError(String(e?.message || "Failed to save bankroll settings."));
+    } finally {
+      setSavingBankroll(false);
+    }
+  }
+
+  // Recommended stake follows the odds / model probability typed into the form
+  useEffect(() => {
+    const odds = num(form.odds);
+    if (odds == null || odds === 0) {
+      setStakeHint(null);
+      return undefined;
+    }
+
+    const probPct = num(form.model_prob);
+    const params = new URLSearchParams({ odds: String(odds) });
+    if (probPct != null) params.set("prob", String(probPct / 100));
+
+    let cancelled = false;
+    const t = setTimeout(async () => {
+      try {
+        const res = await fetch(`${API_BASE}/api/bankroll/stake?${params.toString()}`, { headers: authHeaders() });
+        const json = await res.json();
+        if (!cancelled) setStakeHint(res.ok && json?.ok !== false ? json.data : null);
+      } catch {
+        if (!cancelled) setStakeHint(null);
+      }
+    }, 250);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(t);
+    };
+  }, [form.odds, form.model_prob, bankroll]);
+
   async function quickSettle(id, result) {
     setSettlingId(id);
     setError("");
@@ -168,6 +282,7 @@ export default function MyBets() {
         method: "PATCH",
         headers: {
           "Content-Type": "application/json",
+          ...authHeaders(),
         },
         body: JSON.stringify({
           result,
@@ -504,6 +619,22 @@ export default function MyBets() {
       color: "#86efac",
       border: "1px solid rgba(16,185,129,0.18)",
     },
+    legsField: {
+      display: "grid",
+      gap: 8,
+      gridColumn: "1 / -1",
+    },
+    legRow: {
+      display: "grid",
+      gridTemplateColumns: "2fr 1fr 1fr 1fr 1fr",
+      gap: 8,
+    },
+    legChips: {
+      display: "flex",
+      flexWrap: "wrap",
+      gap: 6,
+      marginTop: 8,
+    },
     rowGameTitle: {
       fontWeight: 800,
       color: "#f8fafc",
@@ -650,6 +781,136 @@ export default function MyBets() {
           </div>
         </section>
 
+        <section style={{ ...styles.card, marginBottom: 20 }}>
+          <h2 style={styles.sectionTitle}>Bankroll &amp; Staking</h2>
+          <div style={styles.sectionSub}>
+            Set your starting bankroll and how you size bets. Flat stakes a fixed unit, fractional Kelly
+            scales with the model edge, and capped percentage risks a fixed share of the current bankroll.
+            Recommended stakes on picks, parlays and the form below all follow this policy.
+          </div>
+
+          <div style={styles.statsGrid}>
+            <div style={styles.statTile}>
+              <div style={styles.statLabel}>Current Bankroll</div>
+              <div style={styles.statValue}>{loading ? "—" : money(bankroll?.bankroll?.current)}</div>
+            </div>
+            <div style={styles.statTile}>
+              <div style={styles.statLabel}>Starting</div>
+              <div style={styles.statValue}>{loading ? "—" : money(bankroll?.bankroll?.starting)}</div>
+            </div>
+            <div style={styles.statTile}>
+              <div style={styles.statLabel}>Peak</div>
+              <div style={styles.statValue}>{loading ? "—" : money(bankroll?.bankroll?.peak)}</div>
+            </div>
+            <div style={styles.statTile}>
+              <div style={styles.statLabel}>Max Drawdown</div>
+              <div style={{ ...styles.statValue, color: "#fda4af" }}>
+                {loading ? "—" : pctFromUnit(bankroll?.bankroll?.maxDrawdownPct, 1)}
+              </div>
+            </div>
+            <div style={styles.statTile}>
+              <div style={styles.statLabel}>Current Drawdown</div>
+              <div style={styles.statValue}>{loading ? "—" : pctFromUnit(bankroll?.bankroll?.currentDrawdownPct, 1)}</div>
+            </div>
+            <div style={styles.statTile}>
+              <div style={styles.statLabel}>Risk of Ruin</div>
+              <div style={styles.statValue}>
+                {loading ? "—" : bankroll?.riskOfRuin?.value == null ? "—" : pctFromUnit(bankroll.riskOfRuin.value, 2)}
+              </div>
+            </div>
+            <div style={styles.statTile}>
+              <div style={styles.statLabel}>Policy</div>
+              <div style={styles.statValue}>{loading ? "—" : titleCase(bankroll?.settings?.policy)}</div>
+            </div>
+          </div>
+
+          {bankrollForm ? (
+            <form onSubmit={saveBankroll} style={{ marginTop: 14 }}>
+              <div style={styles.formGrid}>
+                <div style={styles.field}>
+                  <label style={styles.label}>Starting Bankroll</label>
+                  <input
+                    style={styles.input}
+                    type="number"
+                    step="1"
+                    value={bankrollForm.starting_bankroll ?? ""}
+                    onChange={(e) => setBankrollForm((f) => ({ ...f, starting_bankroll: e.target.value }))}
+                  />
+                </div>
+
+                <div style={styles.field}>
+                  <label style={styles.label}>Staking Policy</label>
+                  <select
+                    style={styles.input}
+                    value={bankrollForm.policy}
+                    onChange={(e) => setBankrollForm((f) => ({ ...f, policy: e.target.value }))}
+                  >
+                    <option value="flat">Flat Units</option>
+                    <option value="kelly">Fractional Kelly</option>
+                    <option value="capped_pct">Capped Percentage</option>
+                  </select>
+                </div>
+
+                {bankrollForm.policy === "flat" ? (
+                  <div style={styles.field}>
+                    <label style={styles.label}>Unit Size ($)</label>
+                    <input
+                      style={styles.input}
+                      type="number"
+                      step="0.01"
+                      value={bankrollForm.unit_size ?? ""}
+                      onChange={(e) => setBankrollForm((f) => ({ ...f, unit_size: e.target.value }))}
+                    />
+                  </div>
+                ) : null}
+
+                {bankrollForm.policy === "kelly" ? (
+                  <div style={styles.field}>
+                    <label style={styles.label}>Kelly Fraction</label>
+                    <input
+                      style={styles.input}
+                      type="number"
+                      step="0.05"
+                      value={bankrollForm.kelly_fraction ?? ""}
+                      onChange={(e) => setBankrollForm((f) => ({ ...f, kelly_fraction: e.target.value }))}
+                    />
+                  </div>
+                ) : null}
+
+                {bankrollForm.policy === "capped_pct" ? (
+                  <div style={styles.field}>
+                    <label style={styles.label}>Stake % of Bankroll</label>
+                    <input
+                      style={styles.input}
+                      type="number"
+                      step="0.005"
+                      value={bankrollForm.unit_pct ?? ""}
+                      onChange={(e) => setBankrollForm((f) => ({ ...f, unit_pct: e.target.value }))}
+                    />
+                  </div>
+                ) : null}
+
+                <div style={styles.field}>
+                  <label style={styles.label}>Max Stake % of Bankroll</label>
+                  <input
+                    style={styles.input}
+                    type="number"
+                    step="0.005"
+                    value={bankrollForm.max_pct ?? ""}
+                    onChange={(e) => setBankrollForm((f) => ({ ...f, max_pct: e.target.value }))}
+                  />
+                </div>
+              </div>
+
+              <div style={styles.buttonRow}>
+                <button type="submit" style={styles.primaryBtn} disabled={savingBankroll}>
+                  {savingBankroll ? "Saving..." : "Save Bankroll Settings"}
+                </button>
+              </div>
+            </form>
+          ) : null}
+        </section>
+
         <section style={{ ...styles.card, marginBottom: 20 }}>
           <h2 style={styles.sectionTitle}>Add a Bet</h2>
           <div style={styles.sectionSub}>
@@ -770,7 +1031,9 @@ export default function MyBets() {
                     <select
                       style={styles.input}
                       value={form.legs_count}
-                      onChange={(e) => setForm((f) => ({ ...f, legs_count: e.target.value }))}
+                      onChange={(e) =>
+                        setForm((f) => ({ ...f, legs_count: e.target.value, legs: resizeLegs(f.legs, e.target.value) }))
+                      }
                     >
                       <option value="2">2</option>
                       <option value="3">3</option>
@@ -792,6 +1055,53 @@ export default function MyBets() {
                       onChange={(e) => setForm((f) => ({ ...f, legs_summary: e.target.value }))}
                     />
                   </div>
+
+                  <div style={styles.legsField}>
+                    <label style={styles.label}>Legs (fill these in to have the parlay settle automatically)</label>
+                    {form.legs.map((leg, i) => {
+                      const setLeg = (patch) =>
+                        setForm((f) => ({ ...f, legs: f.legs.map((l, j) => (j === i ? { ...l, ...patch } : l)) }));
+                      return (
+                        <div key={i} style={styles.legRow}>
+                          <input
+                            style={styles.input}
+                            type="text"
+                            placeholder={`Leg ${i + 1}: MEM @ PHI`}
+                            value={leg.game_label}
+                            onChange={(e) => setLeg({ game_label: e.target.value })}
+                          />
+                          <select style={styles.input} value={leg.market} onChange={(e) => setLeg({ market: e.target.value })}>
+                            <option value="spread">Spread</option>
+                            <option value="moneyline">Moneyline</option>
+                            <option value="total">Total</option>
+                          </select>
+                          <input
+                            style={styles.input}
+                            type="text"
+                            placeholder={leg.market === "total" ? "over / under" : "MEM"}
+                            value={leg.pick}
+                            onChange={(e) => setLeg({ pick: e.target.value })}
+                          />
+                          <input
+                            style={styles.input}
+                            type="number"
+                            step="0.5"
+                            placeholder="Line"
+                            disabled={leg.market === "moneyline"}
+                            value={leg.market === "moneyline" ? "" : leg.line}
+                            onChange={(e) => setLeg({ line: e.target.value })}
+                          />
+                          <input
+                            style={styles.input}
+                            type="number"
+                            placeholder="Odds"
+                            value={leg.odds}
+                            onChange={(e) => setLeg({ odds: e.target.value })}
+                          />
+                        </div>
+                      );
+                    })}
+                  </div>
                 </>
               )}
 
@@ -829,6 +1139,18 @@ export default function MyBets() {
                 />
               </div>
 
+              <div style={styles.field}>
+                <label style={styles.label}>Model Win % (optional)</label>
+                <input
+                  style={styles.input}
+                  type="number"
+                  step="0.1"
+                  placeholder="55"
+                  value={form.model_prob}
+                  onChange={(e) => setForm((f) => ({ ...f, model_prob: e.target.value }))}
+                />
+              </div>
+
               <div style={styles.field}>
                 <label style={styles.label}>Stake</label>
                 <input
@@ -839,6 +1161,24 @@ export default function MyBets() {
                   value={form.stake}
                   onChange={(e) => setForm((f) => ({ ...f, stake: e.target.value }))}
                 />
+                {stakeHint ? (
+                  <div style={styles.rowSub}>
+                    {stakeHint.stake > 0 ? (
+                      <>
+                        Recommended {money(stakeHint.stake)} ({pctFromUnit(stakeHint.pctOfBankroll, 1)} of bankroll){" "}
+                        <button
+                          type="button"
+                          style={styles.ghostBtn}
+                          onClick={() => setForm((f) => ({ ...f, stake: String(stakeHint.stake) }))}
+                        >
+                          Use
+                        </button>
+                      </>
+                    ) : (
+                      <>No stake recommended ({titleCase(stakeHint.reason)})</>
+                    )}
+                  </div>
+                ) : null}
               </div>
 
               <div style={styles.field}>
@@ -970,6 +1310,27 @@ export default function MyBets() {
                               <div style={styles.rowSub}>
                                 {bet?.legs_count ? `${bet.legs_count} legs` : "—"}
                               </div>
+                              {Array.isArray(bet?.legs) && bet.legs.length ? (
+                                <div style={styles.legChips}>
+                                  {bet.legs.map((leg, i) => {
+                                    const lr = String(leg?.result || "pending").toLowerCase();
+                                    const chipStyle =
+                                      lr === "win"
+                                        ? styles.statusChipWin
+                                        : lr === "loss"
+                                        ? styles.statusChipLoss
+                                        : lr === "push" || lr === "void"
+                                        ? styles.statusChipPush
+                                        : styles.statusChipPending;
+                                    return (
+                                      <span key={i} style={chipStyle} title={leg?.game_label || ""}>
+                                        {titleCase(leg?.pick)}
+                                        {leg?.line != null ? ` ${leg.line}` : ""} · {lr.toUpperCase()}
+                                      </span>
+                                    );
+                                  })}
+                                </div>
+                              ) : null}
                             </>
                           ) : (
                             <div style={styles.rowStrong}>{titleCase(bet?.pick)}</div>
@@ -984,6 +1345,7 @@ export default function MyBets() {
                         </td>
                         <td style={styles.td}>
                           <span style={statusStyle}>{String(result || "pending").toUpperCase()}</span>
+                          {bet?.settled_by === "auto" ? <div style={styles.rowSub}>Auto-settled</div> : null}
                         </td>
                         <td style={styles.td}>
                           <div style={styles.rowStrong}>{money(bet?.profit)}</div>
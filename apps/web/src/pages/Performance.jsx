@@ -1,4 +1,5 @@
 import { useEffect, useMemo, useState } from "react";
+import { authHeaders } from "../auth/session";
 
 const API_BASE = "http://127.0.0.1:3001";
 
@@ -174,8 +175,8 @@ export default function Performance() {
           fetch(`${API_BASE}/api/performance/kpis?leagues=nba,nhl,ncaam&days=14`),
           fetch(`${API_BASE}/api/performance/league`),
           fetch(`${API_BASE}/api/performance/recent`),
-          fetch(`${API_BASE}/api/bets/summary`),
-          fetch(`${API_BASE}/api/bets?limit=12`),
+          fetch(`${API_BASE}/api/bets/summary`, { headers: authHeaders() }),
+          fetch(`${API_BASE}/api/bets?limit=12`, { headers: authHeaders() }),
         ]);
 
         const [kpisJson, leagueJson, recentJson, bankrollJson, ledgerJson] = await Promise.all([
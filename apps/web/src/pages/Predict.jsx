@@ -1,4 +1,7 @@
 import { useEffect, useMemo, useState } from "react";
+import LineMovementChart from "../components/LineMovementChart";
+
+const LIVE_POLL_MS = 30_000;
 
 function num(v) {
   const n = Number(v);
@@ -201,6 +204,12 @@ function edgeMeterTone(score) {
 
 
 
+function liveStatusText(g) {
+  if (!g) return "";
+  if (g.state === "post") return g.detail || "Final";
+  return g.detail || `P${g.period} ${g.clock || ""}`.trim();
+}
+
 function marketSignal(row) {
   const best = row?.market?.oddsComparison?.bestOdds;
   const current = row?.bet?.odds;
@@ -226,6 +235,8 @@ export default function Predict() {
   const [sortBy, setSortBy] = useState("edgeScore");
   const [rows, setRows] = useState([]);
   const [modelPerf, setModelPerf] = useState(null);
+  const [historyOpen, setHistoryOpen] = useState({});
+  const [liveByGame, setLiveByGame] = useState({});
 
   useEffect(() => {
     let cancelled = false;
@@ -249,12 +260,15 @@ export default function Predict() {
           modelPerfRes.json(),
         ]);
 
-        const normalize = (label, games) =>
-          (games || [])
+        const normalize = (label, json) =>
+          (json?.games || [])
             .filter((g) => g?.recommendedBet)
             .map((g) => ({
               league: label,
               id: `${label}-${g.gameId}`,
+              gameId: g.gameId || null,
+              gameKey: g.gameKey || g.game_key || g.id || g.gameId || null,
+              date: json?.meta?.date || null,
               matchup: `${g.away?.abbr || "AWAY"} @ ${g.home?.abbr || "HOME"}`,
               awayLogo: g.away?.logo || "",
               homeLogo: g.home?.logo || "",
@@ -264,9 +278,9 @@ export default function Predict() {
             }));
 
         const all = [
-          ...normalize("NBA", nbaJson?.games),
-          ...normalize("NCAAM", ncaamJson?.games),
-          ...normalize("NHL", nhlJson?.games),
+          ...normalize("NBA", nbaJson),
+          ...normalize("NCAAM", ncaamJson),
+          ...normalize("NHL", nhlJson),
         ];
 
         if (!cancelled) {
@@ -297,6 +311,44 @@ export default function Predict() {
     return () => { cancelled = true; };
   }, []);
 
+  // the slate date(s) the cards were loaded for; the live feed must follow them, not today's UTC date
+  const slateDates = useMemo(() => [...new Set(rows.map((row) => row.date).filter(Boolean))].sort().join(","), [rows]);
+
+  // In-game score + live win/cover probability (GET /api/live); pre-game numbers stay on the card
+  useEffect(() => {
+    if (!slateDates) return undefined;
+    let cancelled = false;
+
+    async function poll() {
+      try {
+        const jsons = await Promise.all(
+          slateDates.split(",").map(async (date) => {
+            const res = await fetch(`/api/live?league=all&date=${encodeURIComponent(date)}`);
+            return res.json();
+          })
+        );
+        if (cancelled || !jsons.some((json) => json?.ok)) return;
+
+        const next = {};
+        for (const json of jsons) {
+          for (const g of json?.games || []) {
+            if (g?.gameId && g.state !== "pre") next[g.gameId] = g;
+          }
+        }
+        setLiveByGame(next);
+      } catch {
+        // keep the last snapshot
+      }
+    }
+
+    poll();
+    const timer = setInterval(poll, LIVE_POLL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [slateDates]);
+
   const filtered = useMemo(() => {
     const base = rows.filter((row) => {
       if (league !== "all" && row.league.toLowerCase() !== league) return false;
@@ -689,6 +741,7 @@ export default function Predict() {
             {filtered.map((row, index) => {
               const score = edgeScoreFromBet(row.bet);
               const size = sizeRecommendation(row.bet);
+              const liveGame = row.gameId ? liveByGame[row.gameId] : null;
 
               return (
                 <article key={row.id} style={{ ...styles.card, padding: 18 }}>
@@ -712,12 +765,33 @@ export default function Predict() {
                         {marketText(row.bet)} • Odds {oddsText(row.bet?.odds)} {row.bet?.line != null ? `• Line ${row.bet.line}` : ""}
                       </div>
 
+                      {liveGame && (
+                        <div style={{ marginTop: 10, display: "flex", flexWrap: "wrap", gap: 12, alignItems: "center", background: "rgba(239,68,68,0.08)", border: "1px solid rgba(239,68,68,0.22)", borderRadius: 14, padding: "8px 12px" }}>
+                          <span style={{ fontSize: 11, fontWeight: 800, letterSpacing: "0.08em", textTransform: "uppercase", color: liveGame.state === "in" ? "#fca5a5" : "#cbd5e1" }}>
+                            {liveGame.state === "in" ? "● Live" : "Final"}
+                          </span>
+                          <span style={{ fontSize: 14, fontWeight: 800, color: "#f8fafc" }}>
+                            {liveGame.score?.away ?? "—"} – {liveGame.score?.home ?? "—"}
+                          </span>
+                          <span style={{ fontSize: 12, color: "#94a3b8" }}>{liveStatusText(liveGame)}</span>
+                          {liveGame.live?.pick && (
+                            <span style={{ fontSize: 13, color: "#e2e8f0", fontWeight: 700 }}>
+                              Pick now {pctFromUnit(liveGame.live.pick.win, 1)}
+                              <span style={{ color: "#94a3b8", fontWeight: 500 }}> (pre-game {pctFromUnit(row.bet?.modelProb, 1)})</span>
+                            </span>
+                          )}
+                          {liveGame.live?.pHomeWin != null && (
+                            <span style={{ fontSize: 12, color: "#cbd5e1" }}>Home win {pctFromUnit(liveGame.live.pHomeWin, 1)}</span>
+                          )}
+                        </div>
+                      )}
+
                       {row.market?.oddsComparison?.bestOdds != null && (
                         <div style={{ marginTop: 12, background: "rgba(15,23,42,0.72)", border: "1px solid rgba(148,163,184,0.14)", borderRadius: 16, padding: 12 }}>
                           <div style={{ display: "flex", flexWrap: "wrap", gap: 12, alignItems: "center", marginBottom: 8 }}>
                             <span style={{ fontSize: 11, color: "#94a3b8", textTransform: "uppercase", fontWeight: 700 }}>Best Odds</span>
                             <span style={{ fontSize: 14, fontWeight: 800, color: "#f8fafc" }}>
-                              {row.market.oddsComparison.bestBook || "Best Book"} {oddsText(row.market.oddsComparison.bestOdds)}
+                              {row.market.oddsComparison.bestBookTitle || row.market.oddsComparison.bestBook || "Best Book"} {oddsText(row.market.oddsComparison.bestOdds)}
                             </span>
                             {row.market.oddsComparison.bestLine != null && (
                               <span style={{ fontSize: 13, color: "#cbd5e1" }}>Line {row.market.oddsComparison.bestLine}</span>
@@ -752,7 +826,7 @@ export default function Predict() {
                                         : "1px solid rgba(148,163,184,0.10)",
                                   }}
                                 >
-                                  <div style={{ fontSize: 13, fontWeight: 700, color: "#e2e8f0" }}>{book.book}</div>
+                                  <div style={{ fontSize: 13, fontWeight: 700, color: "#e2e8f0" }}>{book.bookTitle || book.book}</div>
                                   <div style={{ fontSize: 13, color: "#bfdbfe", fontWeight: 700 }}>{oddsText(book.odds)}</div>
                                   <div style={{ fontSize: 12, color: "#94a3b8" }}>{book.line == null ? "—" : `Line ${book.line}`}</div>
                                 </div>
@@ -870,6 +944,29 @@ export default function Predict() {
                       )}
                     </div>
                   )}
+
+                  {row.gameKey && (
+                    <details
+                      style={{ marginTop: 14, background: "rgba(15,23,42,0.92)", border: "1px solid rgba(148,163,184,0.12)", borderRadius: 16, padding: 12 }}
+                      onToggle={(e) => {
+                        const open = e.currentTarget.open;
+                        if (open) setHistoryOpen((prev) => (prev[row.id] ? prev : { ...prev, [row.id]: true }));
+                      }}
+                    >
+                      <summary style={{ cursor: "pointer", color: "#93c5fd", fontSize: 13, fontWeight: 700 }}>
+                        Line movement
+                      </summary>
+                      {historyOpen[row.id] && (
+                        <LineMovementChart
+                          gameKey={row.gameKey}
+                          date={row.date}
+                          league={row.league}
+                          market={row.bet?.marketType}
+                          side={row.bet?.side ? String(row.bet.side).toLowerCase() : undefined}
+                        />
+                      )}
+                    </details>
+                  )}
                 </article>
               );
             })}
@@ -1,8 +1,7 @@
 import { useEffect, useMemo, useState } from "react";
+import { authHeaders } from "../auth/session";
 
 const API_BASE = "http://127.0.0.1:3001";
-const USER_KEY = "local-dev";
-
 
 function num(v) {
   if (v === null || v === undefined || v === "") return null;
@@ -185,7 +184,7 @@ export default function TournamentCenter() {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
-          "x-user-key": USER_KEY,
+          ...authHeaders(),
         },
         body: JSON.stringify(payload),
       });